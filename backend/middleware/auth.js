@@ -1,5 +1,9 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+
+// Session "last used" times are only written this often, not on every request
+const LAST_USED_PRECISION_MS = 5 * 60 * 1000;
 
 const auth = async (req, res, next) => {
   try {
@@ -10,13 +14,25 @@ const auth = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Access tokens are tied to a session so signing out or revoking it takes effect at once
+    const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+    if (!session || !session.isActive() || !session.user.equals(decoded.userId)) {
+      return res.status(401).json({ message: 'Session has ended, please sign in again' });
+    }
+
     const user = await User.findById(decoded.userId).select('-password');
     
     if (!user) {
       return res.status(401).json({ message: 'Token is not valid' });
     }
 
+    if (Date.now() - session.lastUsedAt.getTime() > LAST_USED_PRECISION_MS) {
+      await Session.updateOne({ _id: session._id }, { $set: { lastUsedAt: new Date() } });
+    }
+
     req.user = user;
+    req.session = session;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -0,0 +1,19 @@
+// Restrict a route to users holding one of the given roles. Runs after
+// `auth`, e.g. router.get('/', auth, authorize('admin'), handler).
+const authorize = (roles) => {
+  const allowed = Array.isArray(roles) ? roles : [roles];
+
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ message: 'No token provided, authorization denied' });
+    }
+
+    if (!allowed.includes(req.user.role)) {
+      return res.status(403).json({ message: 'You do not have permission to perform this action' });
+    }
+
+    next();
+  };
+};
+
+module.exports = authorize;
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+// Pick the dependent profile named by X-Profile-Id (or ?profileId=) on the
+// resolved account. Sets req.profile (null for the account holder) and
+// req.scope, the { user, profile } filter for regimens and dose logs.
+const resolveProfile = (req, res, next) => {
+  const profileId = req.header('X-Profile-Id') || req.query.profileId;
+  let profile = null;
+
+  if (profileId) {
+    profile = mongoose.Types.ObjectId.isValid(profileId) ?
+      req.patient.dependents?.id(profileId) :
+      null;
+
+    if (!profile) {
+      return res.status(404).json({ message: 'Profile not found' });
+    }
+  }
+
+  req.profile = profile;
+  req.scope = { user: req.patient._id, profile: profile ? profile._id : null };
+  next();
+};
+
+// Resolve whose data a request acts on. Caregivers pick a linked patient with
+// the X-Patient-Id header (or ?patientId=); everyone else acts on themselves.
+// Sets req.patient, and req.caregiverAccess when acting for someone else, then
+// resolves the dependent profile unless `profile: false` is passed (for routes
+// that manage the profiles themselves). The 'owner' permission is never granted
+// to caregivers, for changes only the account holder may make.
+const patientAccess = (permission, { profile = true } = {}) => async (req, res, next) => {
+  try {
+    const patientId = req.header('X-Patient-Id') || req.query.patientId;
+    const done = () => (profile ? resolveProfile(req, res, next) : next());
+
+    if (!patientId || patientId === req.user._id.toString()) {
+      req.patient = req.user;
+      return done();
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(patientId)) {
+      return res.status(400).json({ message: 'Invalid patient ID' });
+    }
+
+    const patient = await User.findById(patientId).select('-password');
+    const membership = patient?.familyGroup?.members?.find(
+      member => member.userId && member.userId.toString() === req.user._id.toString()
+    );
+
+    // Same response whether the patient is missing or not linked, so IDs can't be probed
+    if (!membership) {
+      return res.status(403).json({ message: 'You do not have access to this patient' });
+    }
+
+    // Logging doses needs the schedule, so it implies read access
+    const allowed = permission === 'canViewMedications' ?
+      membership.canViewMedications || membership.canLogDoses :
+      !permission || membership[permission];
+
+    if (!allowed) {
+      const messages = {
+        canLogDoses: 'You do not have permission to log doses for this patient',
+        owner: 'Only the patient can make this change'
+      };
+      return res.status(403).json({
+        message: messages[permission] || 'You do not have permission to view this patient\'s medications'
+      });
+    }
+
+    req.patient = patient;
+    req.caregiverAccess = membership;
+    done();
+  } catch (error) {
+    console.error('Patient access middleware error:', error);
+    res.status(500).json({ message: 'Server error while checking patient access' });
+  }
+};
+
+module.exports = patientAccess;
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+  // Which record was changed
+  entityType: {
+    type: String,
+    required: true,
+    enum: ['DoseLog', 'Regimen', 'Medication']
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Owner of the record, for per-user history queries
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  action: {
+    type: String,
+    required: true,
+    enum: ['create', 'update', 'delete']
+  },
+  // Who made the change; empty when the system acted on its own
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  source: {
+    type: String,
+    required: true,
+    enum: ['user', 'caregiver', 'scheduler'],
+    default: 'user'
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  changes: {
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index for record history lookups
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ user: 1, createdAt: -1 });
+
+// Entries are append-only: once written they can't be changed or removed
+const rejectChange = function(next) {
+  next(new Error('Audit log entries cannot be changed or deleted'));
+};
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+auditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'],
+  rejectChange
+);
+auditLogSchema.pre(['deleteOne', 'deleteMany', 'findOneAndDelete'], { document: false, query: true }, rejectChange);
+auditLogSchema.pre('deleteOne', { document: true, query: false }, rejectChange);
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// How long each kind of emailed link stays valid
+const TOKEN_TTL_MINUTES = {
+  password_reset: 60,
+  email_verification: 24 * 60
+};
+
+// Single-use tokens emailed for password resets and email verification
+const authTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: Object.keys(TOKEN_TTL_MINUTES),
+    required: true
+  },
+  // Address the link was sent to; verification only counts for that address
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    required: true
+  },
+  // Only a keyed hash of the emailed token is stored
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: Date
+}, {
+  timestamps: true
+});
+
+authTokenSchema.index({ user: 1, purpose: 1 });
+// Expired tokens are removed by MongoDB
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Method to hash a token for lookup. Keyed with a server secret, so only this
+// server can produce a hash that matches a stored token.
+authTokenSchema.statics.hashToken = function(token) {
+  const secret = process.env.AUTH_TOKEN_SECRET || `${process.env.JWT_SECRET}:auth-token`;
+  return crypto.createHmac('sha256', secret).update(String(token)).digest('hex');
+};
+
+// Method to get how long a token for the purpose stays valid
+authTokenSchema.statics.getTtlMinutes = function(purpose) {
+  return TOKEN_TTL_MINUTES[purpose];
+};
+
+// Method to issue a token, replacing any unused one for the same purpose
+authTokenSchema.statics.issue = async function(user, purpose) {
+  await this.deleteMany({ user: user._id, purpose, usedAt: null });
+
+  const token = crypto.randomBytes(32).toString('hex');
+  await this.create({
+    user: user._id,
+    purpose,
+    email: user.email,
+    tokenHash: this.hashToken(token),
+    expiresAt: new Date(Date.now() + TOKEN_TTL_MINUTES[purpose] * 60 * 1000)
+  });
+  return token;
+};
+
+// Method to use up a token. Returns the token record, or null if it is
+// unknown, expired or already used.
+authTokenSchema.statics.consume = function(token, purpose) {
+  return this.findOneAndUpdate(
+    {
+      tokenHash: this.hashToken(token),
+      purpose,
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+};
+
+// Method to check whether a token was issued too recently to send another
+authTokenSchema.statics.issuedWithin = async function(userId, purpose, seconds) {
+  const recent = await this.exists({
+    user: userId,
+    purpose,
+    createdAt: { $gt: new Date(Date.now() - seconds * 1000) }
+  });
+  return !!recent;
+};
+
+module.exports = mongoose.model('AuthToken', authTokenSchema);
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// How long an invitation link stays valid
+const INVITATION_TTL_DAYS = 7;
+
+const careInvitationSchema = new mongoose.Schema({
+  // Patient granting access
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  email: {
+    type: String,
+    required: [true, 'Invitee email is required'],
+    lowercase: true,
+    trim: true
+  },
+  relationship: {
+    type: String,
+    trim: true
+  },
+  permissions: {
+    canViewMedications: { type: Boolean, default: true },
+    canLogDoses: { type: Boolean, default: false }
+  },
+  // Only a hash of the emailed token is stored
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'revoked'],
+    default: 'pending'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  respondedAt: Date
+}, {
+  timestamps: true
+});
+
+careInvitationSchema.index({ patient: 1, status: 1 });
+careInvitationSchema.index({ email: 1, status: 1 });
+
+// Method to hash an invitation token for lookup
+careInvitationSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+// Method to create a pending invitation and return it with its plain token
+careInvitationSchema.statics.createWithToken = async function(data) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const invitation = await this.create({
+    ...data,
+    tokenHash: this.hashToken(token),
+    expiresAt: new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000)
+  });
+  return { invitation, token };
+};
+
+// Method to check if the invitation can still be accepted
+careInvitationSchema.methods.isOpen = function() {
+  return this.status === 'pending' && this.expiresAt > new Date();
+};
+
+// Hide the token hash from API responses
+careInvitationSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.tokenHash;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('CareInvitation', careInvitationSchema);
@@ -1,4 +1,11 @@
 const mongoose = require('mongoose');
+const {
+  resolveTimezone,
+  getZonedParts,
+  zonedTimeToUtc,
+  addZonedDays,
+  getZonedDateKey
+} = require('../utils/timezone');
 
 const doseLogSchema = new mongoose.Schema({
   user: {
@@ -16,6 +23,17 @@ const doseLogSchema = new mongoose.Schema({
     ref: 'Medication',
     required: true
   },
+  // Who recorded the dose: the patient, a caregiver acting for them, or
+  // empty when the system marked it (e.g. auto-missed)
+  loggedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Dependent profile the dose belongs to (null for the account holder)
+  profile: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
   scheduledTime: {
     type: Date,
     required: [true, 'Scheduled time is required']
@@ -23,6 +41,16 @@ const doseLogSchema = new mongoose.Schema({
   actualTime: {
     type: Date
   },
+  // Unscheduled as-needed intake; scheduledTime mirrors actualTime and
+  // these logs are reported separately from scheduled adherence
+  isPrn: {
+    type: Boolean,
+    default: false
+  },
+  prnLimitExceeded: {
+    type: Boolean, // logged despite a PRN limit warning
+    default: false
+  },
   status: {
     type: String,
     required: [true, 'Status is required'],
@@ -78,6 +106,37 @@ const doseLogSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Lead-time reminders already sent for this dose. Each lead time is claimed
+  // once, so ticks and server instances never remind twice for the same one.
+  remindersSent: [{
+    _id: false,
+    minutesBefore: Number,
+    sentAt: Date
+  }],
+  // Snoozed from a reminder notification; the reminder is sent again at snoozedUntil
+  snoozedUntil: Date,
+  snoozeCount: {
+    type: Number,
+    default: 0
+  },
+  overdueNotificationSent: {
+    type: Boolean,
+    default: false
+  },
+  overdueNotifiedAt: Date,
+  // Escalation to caregivers / the emergency contact for critical regimens.
+  // escalatedAt is claimed once, so a dose is never escalated twice.
+  escalation: {
+    escalatedAt: Date,
+    recipients: [{
+      _id: false,
+      kind: { type: String, enum: ['caregiver', 'emergency_contact'] },
+      name: String,
+      email: String,
+      delivered: Boolean,
+      error: String
+    }]
+  },
   takenLate: {
     type: Boolean,
     default: false
@@ -121,11 +180,23 @@ const doseLogSchema = new mongoose.Schema({
 
 // Indexes for efficient querying
 doseLogSchema.index({ user: 1, scheduledTime: -1 });
+doseLogSchema.index({ user: 1, profile: 1, scheduledTime: -1 });
 doseLogSchema.index({ user: 1, regimen: 1, scheduledTime: -1 });
 doseLogSchema.index({ user: 1, status: 1, scheduledTime: -1 });
+// One pending dose per regimen and scheduled time, so concurrent materialization
+// runs can't create duplicate reminders. Logged doses (including PRN intake and
+// quick actions at arbitrary times) aren't constrained.
+doseLogSchema.index(
+  { regimen: 1, scheduledTime: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+doseLogSchema.index({ regimen: 1, isPrn: 1, actualTime: -1 }); // PRN limit checks
 
 // Pre-save middleware to calculate if dose was taken late and assign rewards
 doseLogSchema.pre('save', function(next) {
+  // As-needed intake has no schedule to be late against and earns no rewards
+  if (this.isPrn) return next();
+
   if (this.status === 'taken' && this.actualTime && this.scheduledTime) {
     const diffInMinutes = Math.floor((this.actualTime - this.scheduledTime) / (1000 * 60));
     this.minutesLate = Math.max(0, diffInMinutes);
@@ -162,6 +233,13 @@ doseLogSchema.pre('save', function(next) {
       this.rewards.bonusPoints += 25;
       this.rewards.reasonForBonus = '30-day streak bonus';
     }
+
+    // Rewards belong to the account holder, so a dependent's doses don't earn any
+    if (this.profile) {
+      this.rewards.points = 0;
+      this.rewards.bonusPoints = 0;
+      this.rewards.reasonForBonus = undefined;
+    }
   }
   
   next();
@@ -248,55 +326,75 @@ doseLogSchema.statics.getAdherenceStats = async function(userId, startDate, endD
   }
 };
 
-// Get adherence statistics
-doseLogSchema.statics.getAdherenceStats = async function(userId, startDate, endDate) {
+// Method to build a filter for resolved scheduled doses: logged rather than
+// pending, and not as-needed intake, which has no schedule to adhere to.
+// Other conditions are merged in and may narrow the status.
+doseLogSchema.statics.resolvedScheduled = function(conditions = {}) {
+  return { status: { $ne: 'pending' }, isPrn: { $ne: true }, ...conditions };
+};
+
+// Method to build the same filter for an account holder's own doses, leaving out dependents'
+doseLogSchema.statics.ownResolvedScheduled = function(userId, conditions = {}) {
+  return this.resolvedScheduled({ user: userId, profile: null, ...conditions });
+};
+
+// Get adherence statistics for the account holder, or for one of their dependent profiles
+doseLogSchema.statics.getAdherenceStats = async function(userId, startDate, endDate, profileId = null) {
   try {
     const userObjectId = new mongoose.Types.ObjectId(userId);
+    const profile = profileId ? new mongoose.Types.ObjectId(profileId) : null;
     const start = new Date(startDate);
     const end = new Date(endDate);
     
-    // Get all scheduled doses in the time period
-    const totalDoses = await this.countDocuments({
+    // Get all resolved scheduled doses in the time period (pending doses haven't been
+    // logged yet, and as-needed intake is reported separately)
+    const totalDoses = await this.countDocuments(this.resolvedScheduled({
       user: userObjectId,
+      profile,
       scheduledTime: { $gte: start, $lte: end }
-    });
+    }));
     
     // Get taken doses (both on time and late)
-    const takenDoses = await this.countDocuments({
+    const takenDoses = await this.countDocuments(this.resolvedScheduled({
       user: userObjectId,
+      profile,
       scheduledTime: { $gte: start, $lte: end },
       status: 'taken'
-    });
+    }));
     
     // Get taken doses that were on time
-    const takenOnTimeDoses = await this.countDocuments({
+    const takenOnTimeDoses = await this.countDocuments(this.resolvedScheduled({
       user: userObjectId,
+      profile,
       scheduledTime: { $gte: start, $lte: end },
       status: 'taken',
       takenLate: { $ne: true }
-    });
+    }));
     
     // Get taken doses that were late
-    const takenLateDoses = await this.countDocuments({
+    const takenLateDoses = await this.countDocuments(this.resolvedScheduled({
       user: userObjectId,
+      profile,
       scheduledTime: { $gte: start, $lte: end },
       status: 'taken',
       takenLate: true
-    });
+    }));
     
     // Get missed doses
-    const missedDoses = await this.countDocuments({
+    const missedDoses = await this.countDocuments(this.resolvedScheduled({
       user: userObjectId,
+      profile,
       scheduledTime: { $gte: start, $lte: end },
       status: 'missed'
-    });
+    }));
     
     // Get skipped doses
-    const skippedDoses = await this.countDocuments({
+    const skippedDoses = await this.countDocuments(this.resolvedScheduled({
       user: userObjectId,
+      profile,
       scheduledTime: { $gte: start, $lte: end },
       status: 'skipped'
-    });
+    }));
     
     // Calculate rates
     const adherenceRate = totalDoses > 0 ? (takenDoses / totalDoses) * 100 : 0;
@@ -340,23 +438,25 @@ doseLogSchema.statics.getAdherenceStats = async function(userId, startDate, endD
 };
 
 // Get streak information
-doseLogSchema.statics.getStreakInfo = async function(userId) {
+doseLogSchema.statics.getStreakInfo = async function(userId, timezone, profileId = null) {
   try {
+    const tz = resolveTimezone(timezone);
     const today = new Date();
-    const startOfYear = new Date(today.getFullYear(), 0, 1);
+    const startOfYear = zonedTimeToUtc({ year: getZonedParts(today, tz).year, month: 1, day: 1 }, tz);
       // Get daily adherence data for the past year
     const dailyData = await this.aggregate([
       {
-        $match: {
+        $match: this.resolvedScheduled({
           user: new mongoose.Types.ObjectId(userId),
+          profile: profileId ? new mongoose.Types.ObjectId(profileId) : null,
           scheduledTime: { $gte: startOfYear }
-        }
+        })
       },
       {
         $group: {
           _id: {
             date: {
-              $dateToString: { format: '%Y-%m-%d', date: '$scheduledTime' }
+              $dateToString: { format: '%Y-%m-%d', date: '$scheduledTime', timezone: tz }
             }
           },
           totalDoses: { $sum: 1 },
@@ -403,7 +503,7 @@ doseLogSchema.statics.getStreakInfo = async function(userId) {
     });
     
     // Calculate current streak (consecutive perfect days up to today)
-    const today_str = today.toISOString().split('T')[0];
+    const today_str = getZonedDateKey(today, tz);
     let currentDate = new Date(today);
     
     // Check if today has entries and is perfect
@@ -415,8 +515,8 @@ doseLogSchema.statics.getStreakInfo = async function(userId) {
     
     // Count backward from yesterday
     for (let i = 1; i <= 365; i++) {
-      currentDate.setDate(currentDate.getDate() - 1);
-      const dateStr = currentDate.toISOString().split('T')[0];
+      currentDate = addZonedDays(currentDate, -1, tz);
+      const dateStr = getZonedDateKey(currentDate, tz);
       
       if (!dateMap.has(dateStr) || !dateMap.get(dateStr)) {
         break;
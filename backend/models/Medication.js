@@ -1,6 +1,17 @@
 const mongoose = require('mongoose');
 
 const medicationSchema = new mongoose.Schema({
+  // Owner of a private entry; unset for the shared, admin-curated catalog
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Catalog entry this private copy was forked from
+  forkedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Medication'
+  },
   name: {
     type: String,
     required: [true, 'Medication name is required'],
@@ -69,5 +80,22 @@ const medicationSchema = new mongoose.Schema({
 // Index for efficient searching
 medicationSchema.index({ name: 'text', genericName: 'text' });
 medicationSchema.index({ category: 1 });
+medicationSchema.index({ user: 1, name: 1 });
+
+// Method to build a query filter for the catalog plus the user's own entries
+medicationSchema.statics.visibleTo = function(user) {
+  return { user: { $in: [null, user._id] } };
+};
+
+// Method to check if this is a shared catalog entry
+medicationSchema.methods.isCatalogEntry = function() {
+  return !this.user;
+};
+
+// Method to check if a user may change or delete this medication
+medicationSchema.methods.canModify = function(user) {
+  if (user.role === 'admin') return true;
+  return !!this.user && this.user.toString() === user._id.toString();
+};
 
 module.exports = mongoose.model('Medication', medicationSchema);
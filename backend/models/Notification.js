@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// In-app inbox entry. Every reminder, overdue alert, refill alert and
+// achievement is recorded here whatever channels it went out on.
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ['dose_reminder', 'dose_overdue', 'refill_reminder', 'achievement']
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  message: String,
+  // Dependent profile the notification is about; null for the account holder
+  profile: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  dose: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DoseLog'
+  },
+  regimen: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Regimen'
+  },
+  data: mongoose.Schema.Types.Mixed,
+  // Set for notifications that must only ever be recorded once, e.g. achievement:first_dose
+  key: String,
+  isRead: {
+    type: Boolean,
+    default: false
+  },
+  readAt: Date
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, isRead: 1 });
+notificationSchema.index({ user: 1, key: 1 }, { unique: true, partialFilterExpression: { key: { $type: 'string' } } });
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// Delivery records are kept for a month
+const RETENTION_SECONDS = 30 * 24 * 60 * 60;
+
+const notificationDeliverySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  channel: {
+    type: String,
+    required: true,
+    enum: ['email', 'push', 'sms', 'webhook']
+  },
+  // What the notification was about, e.g. dose_reminder, overdue, refill, test
+  event: {
+    type: String,
+    required: true
+  },
+  regimen: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Regimen'
+  },
+  dose: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DoseLog'
+  },
+  subject: String,
+  // Full message, kept only while a retry is pending
+  message: mongoose.Schema.Types.Mixed,
+  status: {
+    type: String,
+    required: true,
+    enum: ['sent', 'retrying', 'failed']
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: Date,
+  lastError: String,
+  providerMessageId: String,
+  sentAt: Date
+}, {
+  timestamps: true
+});
+
+notificationDeliverySchema.index({ status: 1, nextAttemptAt: 1 }); // Retry sweeps
+notificationDeliverySchema.index({ user: 1, createdAt: -1 });
+notificationDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_SECONDS });
+
+module.exports = mongoose.model('NotificationDelivery', notificationDeliverySchema);
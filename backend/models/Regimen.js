@@ -1,4 +1,13 @@
 const mongoose = require('mongoose');
+const {
+  resolveTimezone,
+  getZonedParts,
+  zonedTimeToUtc,
+  startOfZonedDay,
+  addZonedDays,
+  getZonedDayNumber,
+  startOfCalendarDate
+} = require('../utils/timezone');
 
 const regimenSchema = new mongoose.Schema({
   user: {
@@ -17,6 +26,16 @@ const regimenSchema = new mongoose.Schema({
     trim: true,
     default: 'General'
   },
+  // Critical regimens escalate missed doses to caregivers and the emergency contact
+  isCritical: {
+    type: Boolean,
+    default: false
+  },
+  // Dependent profile this regimen belongs to (null for the account holder)
+  profile: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
   // Support for family member tracking
   patientInfo: {
     name: { type: String, trim: true }, // For family members
@@ -34,6 +53,43 @@ const regimenSchema = new mongoose.Schema({
       enum: ['tablet', 'capsule', 'ml', 'mg', 'g', 'tsp', 'tbsp', 'puff', 'drop', 'patch']
     }
   },
+  // Tapering/titration: ordered phases that override `dosage` on the days they cover
+  dosePhases: {
+    type: [{
+      label: { type: String, trim: true }, // e.g., "Week 1", "Taper step 2"
+      startDate: {
+        type: Date,
+        required: [true, 'Phase start date is required']
+      },
+      endDate: Date, // inclusive; open-ended until the next phase when omitted
+      amount: {
+        type: Number,
+        required: [true, 'Phase dosage amount is required'],
+        min: 0
+      },
+      unit: {
+        type: String, // defaults to the regimen's dosage unit
+        enum: ['tablet', 'capsule', 'ml', 'mg', 'g', 'tsp', 'tbsp', 'puff', 'drop', 'patch']
+      },
+      slotAmounts: [{
+        time: {
+          type: String, // Format: "HH:MM", matching a schedule time
+          required: true
+        },
+        amount: {
+          type: Number,
+          required: true,
+          min: 0
+        }
+      }]
+    }],
+    validate: {
+      validator: function(phases) {
+        return !findDosePhaseConflict(phases);
+      },
+      message: props => findDosePhaseConflict(props.value)
+    }
+  },
   frequency: {
     type: String,
     required: [true, 'Frequency is required'],
@@ -48,6 +104,48 @@ const regimenSchema = new mongoose.Schema({
     },
     label: String // e.g., "Morning", "Afternoon", "Evening", "Bedtime"
   }],
+  // Which days doses fall on; times still come from frequency/customSchedule
+  recurrence: {
+    pattern: {
+      type: String,
+      enum: ['daily', 'weekdays', 'interval', 'cycle', 'monthly'],
+      default: 'daily'
+    },
+    daysOfWeek: [{
+      type: Number, // 0 = Sunday ... 6 = Saturday
+      min: 0,
+      max: 6
+    }],
+    interval: {
+      type: Number, // every N days, anchored to startDate
+      min: 1
+    },
+    cycle: {
+      daysOn: { type: Number, min: 1 },
+      daysOff: { type: Number, min: 0 }
+    },
+    dayOfMonth: {
+      type: Number, // clamped to the last day in shorter months
+      min: 1,
+      max: 31
+    }
+  },
+  // Safety limits for as-needed (PRN) intake
+  prnLimits: {
+    maxDosesPer24h: {
+      type: Number,
+      min: 1
+    },
+    minIntervalMinutes: {
+      type: Number,
+      min: 0
+    },
+    enforcement: {
+      type: String,
+      enum: ['warn', 'block'], // warn logs the dose anyway; block refuses it
+      default: 'block'
+    }
+  },
   startDate: {
     type: Date,
     required: [true, 'Start date is required'],
@@ -85,13 +183,14 @@ const regimenSchema = new mongoose.Schema({
       type: Boolean,
       default: true
     },
-    timesBefore: [{
-      type: Number, // minutes before scheduled time
-      default: [30, 10] // 30 minutes and 10 minutes before
-    }],
+    // Minutes before the scheduled time; each lead time sends one reminder per dose
+    timesBefore: {
+      type: [Number],
+      default: [30, 10]
+    },
     methods: [{
       type: String,
-      enum: ['app', 'email', 'sms', 'calendar'],
+      enum: ['app', 'push', 'email', 'sms', 'webhook', 'calendar'],
       default: ['app']
     }],
     calendarEventId: String // For Google Calendar integration
@@ -116,8 +215,21 @@ const regimenSchema = new mongoose.Schema({
     currentStock: {
       type: Number,
       default: 0
-    }
+    },
+    // Stock is only decremented once the user has told us how much they have
+    trackStock: {
+      type: Boolean,
+      default: false
+    },
+    lastRefillDate: Date,
+    lastNotifiedAt: Date // cleared on refill so each supply gets one reminder
   },
+  refillHistory: [{
+    quantity: Number,
+    date: Date,
+    notes: String,
+    recordedAt: { type: Date, default: Date.now }
+  }],
   // Tracking fields
   adherenceHistory: [{
     date: Date,
@@ -145,10 +257,73 @@ const regimenSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Describe the first problem with a list of dose phases, or null if it is valid.
+// Phases must be in start-date order and must not overlap.
+const findDosePhaseConflict = (phases = []) => {
+  for (let i = 0; i < phases.length; i++) {
+    const phase = phases[i];
+    const start = new Date(phase.startDate);
+    const end = phase.endDate ? new Date(phase.endDate) : null;
+
+    if (end && end < start) {
+      return `Dose phase ${i + 1} ends before it starts`;
+    }
+
+    const next = phases[i + 1];
+    if (next) {
+      const nextStart = new Date(next.startDate);
+      if (nextStart <= start) {
+        return `Dose phase ${i + 2} must start after dose phase ${i + 1}`;
+      }
+      if (end && nextStart <= end) {
+        return `Dose phase ${i + 2} overlaps dose phase ${i + 1}`;
+      }
+    }
+  }
+  return null;
+};
+
+// Normalize "8:00" and "08:00" to the same key
+const toTimeKey = (time) => {
+  const [hours, minutes] = String(time).split(':');
+  return `${String(parseInt(hours)).padStart(2, '0')}:${String(parseInt(minutes)).padStart(2, '0')}`;
+};
+
+// Check a day against a recurrence rule, given its offset from startDate
+// and its zoned calendar fields
+const matchesRecurrence = (recurrence, daysDiff, { year, month, day, weekday }) => {
+  switch (recurrence.pattern) {
+    case 'weekdays':
+      return (recurrence.daysOfWeek || []).includes(weekday);
+    case 'interval':
+      return daysDiff % (recurrence.interval || 1) === 0;
+    case 'cycle': {
+      const daysOn = recurrence.cycle?.daysOn || 1;
+      const daysOff = recurrence.cycle?.daysOff || 0;
+      return daysDiff % (daysOn + daysOff) < daysOn;
+    }
+    case 'monthly': {
+      const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+      return day === Math.min(recurrence.dayOfMonth || 1, daysInMonth);
+    }
+    default:
+      return true;
+  }
+};
+
 // Index for efficient querying
 regimenSchema.index({ user: 1, isActive: 1 });
+regimenSchema.index({ user: 1, profile: 1, isActive: 1 });
 regimenSchema.index({ user: 1, startDate: 1, endDate: 1 });
 
+// Start tracking stock as soon as a stock level is entered
+regimenSchema.pre('save', function(next) {
+  if (this.isModified('refillReminder.currentStock') && this.refillReminder.currentStock > 0) {
+    this.refillReminder.trackStock = true;
+  }
+  next();
+});
+
 // Virtual for getting current schedule times based on frequency
 regimenSchema.virtual('scheduleTimes').get(function() {
   if (this.frequency === 'custom') {
@@ -168,45 +343,140 @@ regimenSchema.virtual('scheduleTimes').get(function() {
   return schedules[this.frequency] || [];
 });
 
+// Method to get the instants the regimen's start/end dates cover in a timezone.
+// Start and end dates are calendar days, so the end date is included in full.
+regimenSchema.methods.getActiveWindow = function(timezone) {
+  const tz = resolveTimezone(timezone);
+  const start = startOfCalendarDate(this.startDate, tz);
+  const end = this.endDate ?
+    new Date(addZonedDays(startOfCalendarDate(this.endDate, tz), 1, tz).getTime() - 1) :
+    null;
+  return { start, end };
+};
+
 // Method to check if regimen is currently active
-regimenSchema.methods.isCurrentlyActive = function() {
+regimenSchema.methods.isCurrentlyActive = function(timezone) {
   const now = new Date();
-  const isWithinDateRange = now >= this.startDate && (!this.endDate || now <= this.endDate);
+  const { start, end } = this.getActiveWindow(timezone);
+  const isWithinDateRange = now >= start && (!end || now <= end);
   return this.isActive && isWithinDateRange;
 };
 
 // Method to get next dose time
-regimenSchema.methods.getNextDoseTime = function() {
-  if (!this.isCurrentlyActive()) return null;
+regimenSchema.methods.getNextDoseTime = function(timezone) {
+  if (!this.isCurrentlyActive(timezone)) return null;
   
   const now = new Date();
-  const times = this.scheduleTimes;
-  
-  if (times.length === 0) return null;
-  
-  const currentTime = now.getHours().toString().padStart(2, '0') + ':' + 
-                     now.getMinutes().toString().padStart(2, '0');
   
-  // Find next time today
-  const nextTimeToday = times.find(time => time > currentTime);
+  // Look far enough ahead for monthly rules and long cycle breaks
+  const lookahead = new Date(now.getTime() + 63 * 24 * 60 * 60 * 1000);
+  const nextDose = this.getDoseTimesBetween(now, lookahead, timezone)
+    .find(doseTime => doseTime > now);
   
-  if (nextTimeToday) {
-    const [hours, minutes] = nextTimeToday.split(':');
-    const nextDose = new Date(now);
-    nextDose.setHours(parseInt(hours), parseInt(minutes), 0, 0);
-    return nextDose;
+  return nextDose || null;
+};
+
+// Method to get the effective recurrence rule.
+// Legacy every_other_day/weekly regimens without a rule map to day intervals.
+regimenSchema.methods.getRecurrence = function() {
+  const recurrence = this.recurrence?.toObject ? this.recurrence.toObject() : (this.recurrence || {});
+  const pattern = recurrence.pattern || 'daily';
+
+  if (pattern === 'daily') {
+    if (this.frequency === 'every_other_day') return { pattern: 'interval', interval: 2 };
+    if (this.frequency === 'weekly') return { pattern: 'interval', interval: 7 };
   }
-  
-  // If no more times today, get first time tomorrow
-  if (times.length > 0) {
-    const [hours, minutes] = times[0].split(':');
-    const nextDose = new Date(now);
-    nextDose.setDate(nextDose.getDate() + 1);
-    nextDose.setHours(parseInt(hours), parseInt(minutes), 0, 0);
-    return nextDose;
+
+  return { ...recurrence, pattern };
+};
+
+// Method to check if the regimen has doses on a given calendar day in a timezone
+regimenSchema.methods.isScheduledOn = function(date, timezone) {
+  const tz = resolveTimezone(timezone);
+  const startDay = getZonedDayNumber(startOfCalendarDate(this.startDate, tz), tz);
+  const daysDiff = getZonedDayNumber(date, tz) - startDay;
+  if (daysDiff < 0) return false;
+
+  return matchesRecurrence(this.getRecurrence(), daysDiff, getZonedParts(date, tz));
+};
+
+// Method to find the dose phase covering a dose time's calendar day in a timezone.
+// An open-ended phase runs until the next phase starts.
+regimenSchema.methods.getDosePhaseFor = function(scheduledTime, timezone) {
+  const phases = this.dosePhases || [];
+  if (phases.length === 0) return null;
+
+  const tz = resolveTimezone(timezone);
+  const day = getZonedDayNumber(scheduledTime, tz);
+  const toDay = (date) => getZonedDayNumber(startOfCalendarDate(date, tz), tz);
+
+  const index = phases.findIndex((phase, i) => {
+    if (day < toDay(phase.startDate)) return false;
+    if (phase.endDate) return day <= toDay(phase.endDate);
+    const next = phases[i + 1];
+    return !next || day < toDay(next.startDate);
+  });
+
+  return index === -1 ? null : phases[index];
+};
+
+// Method to get the dosage for a specific dose time, honouring dose phases
+// and per-time-slot amounts; falls back to the regimen's base dosage
+regimenSchema.methods.getDosageFor = function(scheduledTime, timezone) {
+  const base = { amount: this.dosage.amount, unit: this.dosage.unit };
+  const phase = this.getDosePhaseFor(scheduledTime, timezone);
+  if (!phase) return base;
+
+  const { hour, minute } = getZonedParts(scheduledTime, resolveTimezone(timezone));
+  const timeKey = toTimeKey(`${hour}:${minute}`);
+  const slot = (phase.slotAmounts || []).find(item => toTimeKey(item.time) === timeKey);
+
+  return {
+    amount: slot ? slot.amount : phase.amount,
+    unit: phase.unit || base.unit
+  };
+};
+
+// Method to expand the schedule into concrete dose times within a range.
+// Schedule times are wall-clock times in the given timezone.
+regimenSchema.methods.getDoseTimesBetween = function(from, to, timezone) {
+  const times = this.scheduleTimes;
+  if (times.length === 0) return [];
+
+  const tz = resolveTimezone(timezone);
+  const window = this.getActiveWindow(tz);
+  const rangeStart = new Date(Math.max(new Date(from), window.start));
+  const rangeEnd = window.end ?
+    new Date(Math.min(new Date(to), window.end)) :
+    new Date(to);
+
+  const doseTimes = [];
+  let day = startOfZonedDay(rangeStart, tz);
+
+  while (day <= rangeEnd) {
+    if (this.isScheduledOn(day, tz)) {
+      const { year, month, day: dayOfMonth } = getZonedParts(day, tz);
+      times.forEach(time => {
+        const [hours, minutes] = time.split(':');
+        const doseTime = zonedTimeToUtc({
+          year,
+          month,
+          day: dayOfMonth,
+          hour: parseInt(hours),
+          minute: parseInt(minutes)
+        }, tz);
+
+        if (doseTime >= rangeStart && doseTime <= rangeEnd) {
+          doseTimes.push(doseTime);
+        }
+      });
+    }
+    day = addZonedDays(day, 1, tz);
   }
-  
-  return null;
+
+  return doseTimes.sort((a, b) => a - b);
 };
 
+regimenSchema.statics.findDosePhaseConflict = findDosePhaseConflict;
+
 module.exports = mongoose.model('Regimen', regimenSchema);
@@ -0,0 +1,136 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// How long a refresh token stays valid without being used
+const REFRESH_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// A signed-in device. Access tokens name their session, so revoking it
+// signs the device out; the refresh token rotates on every use.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Only a keyed hash of the current refresh token is stored
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userAgent: String,
+  device: String,
+  ip: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked', 'password_change', 'password_reset']
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Sessions are removed by MongoDB once their refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const newExpiry = () => new Date(Date.now() + REFRESH_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Short "Browser on OS" label for the sessions list
+const describeDevice = (userAgent = '') => {
+  const browsers = [
+    [/Edg\//, 'Edge'],
+    [/OPR\/|Opera/, 'Opera'],
+    [/Firefox\//, 'Firefox'],
+    [/Chrome\//, 'Chrome'],
+    [/Safari\//, 'Safari']
+  ];
+  const systems = [
+    [/Windows/, 'Windows'],
+    [/Android/, 'Android'],
+    [/iPhone|iPad|iPod/, 'iOS'],
+    [/Mac OS X|Macintosh/, 'macOS'],
+    [/Linux/, 'Linux']
+  ];
+  const browser = browsers.find(([pattern]) => pattern.test(userAgent))?.[1];
+  const system = systems.find(([pattern]) => pattern.test(userAgent))?.[1];
+
+  if (browser && system) return `${browser} on ${system}`;
+  return browser || system || 'Unknown device';
+};
+
+// Method to hash a refresh token for lookup
+sessionSchema.statics.hashToken = function(token) {
+  const secret = process.env.REFRESH_TOKEN_SECRET || `${process.env.JWT_SECRET}:refresh-token`;
+  return crypto.createHmac('sha256', secret).update(String(token)).digest('hex');
+};
+
+// Method to start a session for a request and return it with its refresh token
+sessionSchema.statics.start = async function(userId, req) {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+  const userAgent = req.get('User-Agent') || '';
+  const session = await this.create({
+    user: userId,
+    refreshTokenHash: this.hashToken(refreshToken),
+    userAgent,
+    device: describeDevice(userAgent),
+    ip: req.ip,
+    expiresAt: newExpiry()
+  });
+  return { session, refreshToken };
+};
+
+// Method to swap a refresh token for a new one. Returns null if the token
+// is unknown, expired, revoked or has already been rotated.
+sessionSchema.statics.rotate = async function(refreshToken, req) {
+  const nextToken = crypto.randomBytes(48).toString('hex');
+  const session = await this.findOneAndUpdate(
+    {
+      refreshTokenHash: this.hashToken(refreshToken),
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    {
+      $set: {
+        refreshTokenHash: this.hashToken(nextToken),
+        lastUsedAt: new Date(),
+        ip: req.ip,
+        expiresAt: newExpiry()
+      }
+    },
+    { new: true }
+  );
+  return session ? { session, refreshToken: nextToken } : null;
+};
+
+// Method to revoke a user's active sessions, optionally keeping one
+sessionSchema.statics.revokeAll = async function(userId, reason, exceptId = null) {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptId) filter._id = { $ne: exceptId };
+
+  const result = await this.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+  return result.modifiedCount;
+};
+
+// Method to check whether the session can still be used
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Hide the token hash from API responses
+sessionSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.refreshTokenHash;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Session', sessionSchema);
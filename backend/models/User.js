@@ -9,6 +9,12 @@ const userSchema = new mongoose.Schema({
     lowercase: true,
     match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
   },
+  // Set once the user follows the emailed verification link
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: Date,
   username: {
     type: String,
     unique: true,
@@ -36,6 +42,12 @@ const userSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Account role; admins curate the shared medication catalog
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user'
+  },
   pushSubscription: {
     endpoint: String,
     keys: {
@@ -59,6 +71,15 @@ const userSchema = new mongoose.Schema({
       canLogDoses: { type: Boolean, default: false }
     }]
   },
+  // Dependents (children, elderly parents) whose medications this account manages.
+  // Regimens and dose logs reference a dependent through their `profile` field.
+  dependents: [{
+    name: { type: String, required: [true, 'Profile name is required'], trim: true },
+    relationship: { type: String, trim: true },
+    dateOfBirth: Date,
+    notes: { type: String, trim: true },
+    createdAt: { type: Date, default: Date.now }
+  }],
   // User categories for medication organization
   medicationCategories: [{
     name: { type: String, required: true },
@@ -68,6 +89,7 @@ const userSchema = new mongoose.Schema({
   emergencyContact: {
     name: String,
     phone: String,
+    email: { type: String, lowercase: true, trim: true },
     relationship: String
   },  preferences: {
     notifications: {
@@ -102,7 +124,26 @@ const userSchema = new mongoose.Schema({
     notifications: {
       email: { type: Boolean, default: true },
       push: { type: Boolean, default: true },
-      reminderMinutes: { type: Number, default: 15 }
+      sms: { type: Boolean, default: false },
+      webhook: { type: Boolean, default: false },
+      webhookUrl: { type: String, trim: true },
+      reminderMinutes: { type: Number, default: 15 },
+      // Local "HH:MM" times in the user's timezone; end before start spans midnight
+      quietHours: {
+        enabled: { type: Boolean, default: false },
+        start: { type: String, default: '22:00', match: /^([01]\d|2[0-3]):[0-5]\d$/ },
+        end: { type: String, default: '07:00', match: /^([01]\d|2[0-3]):[0-5]\d$/ },
+        allowCritical: { type: Boolean, default: true }
+      },
+      // Combine doses due in the same check into one notification
+      batchReminders: { type: Boolean, default: false },
+      // Recap email of the past week, sent on a local weekday (0 = Sunday) and hour
+      weeklySummary: {
+        enabled: { type: Boolean, default: false },
+        weekday: { type: Number, default: 1, min: 0, max: 6 },
+        hour: { type: Number, default: 9, min: 0, max: 23 },
+        attachReport: { type: Boolean, default: false }
+      }
     },
     preferences: {
       theme: {
@@ -114,6 +155,11 @@ const userSchema = new mongoose.Schema({
         type: String,
         default: () => Intl.DateTimeFormat().resolvedOptions().timeZone
       },
+      // Language for emails; unsupported languages fall back to English
+      language: {
+        type: String,
+        default: 'en'
+      },
       lateLoggingWindow: {
         type: Number,
         default: 240 // 4 hours in minutes
@@ -126,6 +172,13 @@ const userSchema = new mongoose.Schema({
     privacy: {
       shareData: { type: Boolean, default: false },
       analytics: { type: Boolean, default: true }
+    },
+    // Who hears about a critical dose that is still untaken after the overdue notice
+    escalation: {
+      enabled: { type: Boolean, default: true },
+      delayMinutes: { type: Number, default: 30, min: 5, max: 1440 },
+      notifyCaregivers: { type: Boolean, default: true },
+      notifyEmergencyContact: { type: Boolean, default: true }
     }
   },
   adherenceStats: {
@@ -148,8 +201,32 @@ const userSchema = new mongoose.Schema({
   // Additional reward tracking fields
   totalRewardPoints: { type: Number, default: 0 },
   lastDailyRewardClaim: { type: Date },
+  // Achievement IDs already announced in the inbox; kept here because the
+  // inbox entries themselves are deleted after their retention period
+  announcedAchievements: { type: [String], default: [] },
   currentStreak: { type: Number, default: 0 },
   longestStreak: { type: Number, default: 0 },
+  // Local date (YYYY-MM-DD) the last weekly summary was sent for
+  weeklySummarySentFor: String,
+
+  // TOTP two-factor authentication. Secrets and codes are only loaded
+  // when a route explicitly selects them.
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    enabledAt: Date,
+    secret: { type: String, select: false },
+    // Held during setup until a first code confirms the authenticator app
+    pendingSecret: { type: String, select: false },
+    // Last time step accepted, so a code can't be replayed
+    lastUsedStep: { type: Number, select: false },
+    recoveryCodes: {
+      type: [{ hash: String, usedAt: Date }],
+      select: false
+    },
+    // Wrong codes since the last right one; too many lock code checks for a while
+    failedAttempts: { type: Number, default: 0, select: false },
+    lockedUntil: { type: Date, select: false }
+  },
   
   // Google Calendar Integration
   googleCalendar: {
@@ -0,0 +1,30 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('./models/User');
+
+// Grant the admin role to an existing account. Later changes can be made
+// through PUT /api/admin/users/:id/role.
+// Usage: node promoteAdmin.js user@example.com
+const email = process.argv[2];
+
+if (!email) {
+  console.log('Usage: node promoteAdmin.js <email>');
+  process.exit(1);
+}
+
+mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/medtrack')
+  .then(async () => {
+    const user = await User.findOneAndUpdate(
+      { email: email.toLowerCase() },
+      { $set: { role: 'admin' } },
+      { new: true }
+    );
+
+    console.log(user ? `${user.email} is now an administrator` : `No user found with email ${email}`);
+    process.exitCode = user ? 0 : 1;
+  })
+  .catch(err => {
+    console.error('MongoDB connection error:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
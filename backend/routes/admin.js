@@ -0,0 +1,280 @@
+const express = require('express');
+const { body, query, param } = require('express-validator');
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const validateRequest = require('../middleware/validation');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const Medication = require('../models/Medication');
+const Regimen = require('../models/Regimen');
+const schedulerService = require('../services/schedulerService');
+const auditService = require('../services/auditService');
+
+const router = express.Router();
+
+// Every route here is for administrators only
+router.use(auth, authorize('admin'));
+
+// Account fields never sent to administrators
+const HIDDEN_USER_FIELDS = '-password -pushSubscription -googleCalendar.accessToken -googleCalendar.refreshToken';
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// @route   GET /api/admin/users
+// @desc    List users with search, role filter and pagination
+// @access  Private (admin)
+router.get('/users', [
+  query('search').optional().trim(),
+  query('role').optional().isIn(['user', 'admin']),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], validateRequest, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const filter = {};
+
+    if (req.query.search) {
+      const pattern = new RegExp(escapeRegExp(req.query.search), 'i');
+      filter.$or = [{ email: pattern }, { firstName: pattern }, { lastName: pattern }];
+    }
+    if (req.query.role) {
+      filter.role = req.query.role;
+    }
+
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .select('email emailVerified firstName lastName role twoFactor.enabled createdAt')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      User.countDocuments(filter)
+    ]);
+
+    res.json({
+      users,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        hasNextPage: page * limit < total,
+        hasPrevPage: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Admin list users error:', error);
+    res.status(500).json({ message: 'Server error while fetching users' });
+  }
+});
+
+// @route   GET /api/admin/users/:id
+// @desc    Get one user's account details with regimen and session counts
+// @access  Private (admin)
+router.get('/users/:id', [
+  param('id').isMongoId().withMessage('Invalid user ID')
+], validateRequest, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select(HIDDEN_USER_FIELDS).lean();
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const [activeRegimens, activeSessions] = await Promise.all([
+      Regimen.countDocuments({ user: user._id, isActive: true }),
+      Session.countDocuments({ user: user._id, revokedAt: null, expiresAt: { $gt: new Date() } })
+    ]);
+
+    res.json({ user, activeRegimens, activeSessions });
+  } catch (error) {
+    console.error('Admin get user error:', error);
+    res.status(500).json({ message: 'Server error while fetching user' });
+  }
+});
+
+// @route   PUT /api/admin/users/:id/role
+// @desc    Change a user's role
+// @access  Private (admin)
+router.put('/users/:id/role', [
+  param('id').isMongoId().withMessage('Invalid user ID'),
+  body('role').isIn(['user', 'admin']).withMessage('Role must be user or admin')
+], validateRequest, async (req, res) => {
+  try {
+    // Keeps at least one administrator able to undo the change
+    if (req.params.id === req.user._id.toString()) {
+      return res.status(400).json({ message: 'You cannot change your own role' });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { $set: { role: req.body.role } },
+      { new: true }
+    ).select('email firstName lastName role');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json({ message: `${user.email} is now ${user.role === 'admin' ? 'an administrator' : 'a regular user'}`, user });
+  } catch (error) {
+    console.error('Admin update role error:', error);
+    res.status(500).json({ message: 'Server error while updating role' });
+  }
+});
+
+// @route   DELETE /api/admin/users/:id/sessions
+// @desc    Sign a user out of every device
+// @access  Private (admin)
+router.delete('/users/:id/sessions', [
+  param('id').isMongoId().withMessage('Invalid user ID')
+], validateRequest, async (req, res) => {
+  try {
+    const user = await User.exists({ _id: req.params.id });
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const revoked = await Session.revokeAll(req.params.id, 'revoked');
+
+    res.json({ message: 'User signed out of all devices', revoked });
+  } catch (error) {
+    console.error('Admin revoke sessions error:', error);
+    res.status(500).json({ message: 'Server error while revoking sessions' });
+  }
+});
+
+// @route   GET /api/admin/catalog
+// @desc    List shared catalog medications with how many regimens use each
+// @access  Private (admin)
+router.get('/catalog', async (req, res) => {
+  try {
+    const medications = await Medication.find({ user: null }).sort({ name: 1 }).lean();
+    const usage = await Regimen.aggregate([
+      { $match: { medication: { $in: medications.map(medication => medication._id) } } },
+      { $group: { _id: '$medication', regimens: { $sum: 1 } } }
+    ]);
+
+    const regimenCounts = new Map(usage.map(entry => [entry._id.toString(), entry.regimens]));
+
+    res.json({
+      medications: medications.map(medication => ({
+        ...medication,
+        regimenCount: regimenCounts.get(medication._id.toString()) || 0
+      }))
+    });
+  } catch (error) {
+    console.error('Admin get catalog error:', error);
+    res.status(500).json({ message: 'Server error while fetching catalog' });
+  }
+});
+
+// @route   GET /api/admin/catalog/candidates
+// @desc    Private medications several users have added that the catalog lacks
+// @access  Private (admin)
+router.get('/catalog/candidates', [
+  query('minUsers').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], validateRequest, async (req, res) => {
+  try {
+    const minUsers = parseInt(req.query.minUsers) || 2;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const [groups, catalog] = await Promise.all([
+      Medication.aggregate([
+        { $match: { user: { $ne: null }, forkedFrom: null } },
+        {
+          $group: {
+            _id: { name: { $toLower: '$name' }, amount: '$strength.amount', unit: '$strength.unit' },
+            users: { $addToSet: '$user' },
+            example: { $first: '$_id' },
+            name: { $first: '$name' },
+            category: { $first: '$category' },
+            form: { $first: '$form' }
+          }
+        },
+        { $project: { _id: 0, key: '$_id', userCount: { $size: '$users' }, example: 1, name: 1, category: 1, form: 1 } },
+        { $match: { userCount: { $gte: minUsers } } },
+        { $sort: { userCount: -1, name: 1 } }
+      ]),
+      Medication.find({ user: null }).select('name strength').lean()
+    ]);
+
+    const catalogKeys = new Set(catalog.map(medication =>
+      `${medication.name.toLowerCase()}|${medication.strength?.amount}|${medication.strength?.unit}`
+    ));
+
+    const candidates = groups
+      .filter(group => !catalogKeys.has(`${group.key.name}|${group.key.amount}|${group.key.unit}`))
+      .slice(0, limit)
+      .map(({ key, ...group }) => ({ ...group, strength: { amount: key.amount, unit: key.unit } }));
+
+    res.json({ candidates });
+  } catch (error) {
+    console.error('Admin catalog candidates error:', error);
+    res.status(500).json({ message: 'Server error while fetching catalog candidates' });
+  }
+});
+
+// @route   POST /api/admin/catalog/:id/promote
+// @desc    Copy a user's private medication into the shared catalog
+// @access  Private (admin)
+router.post('/catalog/:id/promote', [
+  param('id').isMongoId().withMessage('Invalid medication ID')
+], validateRequest, async (req, res) => {
+  try {
+    const source = await Medication.findOne({ _id: req.params.id, user: { $ne: null } }).lean();
+    if (!source) {
+      return res.status(404).json({ message: 'Private medication not found' });
+    }
+
+    const existing = await Medication.exists({
+      user: null,
+      name: new RegExp(`^${escapeRegExp(source.name)}$`, 'i'),
+      'strength.amount': source.strength?.amount,
+      'strength.unit': source.strength?.unit
+    });
+    if (existing) {
+      return res.status(409).json({ message: 'The catalog already has this medication at this strength' });
+    }
+
+    // The user's own entry is left as it is; they can switch to the catalog entry themselves
+    const { _id, __v, user, forkedFrom, createdAt, updatedAt, ...fields } = source;
+    const medication = await Medication.create({ ...fields, user: null });
+    await auditService.recordCreate('Medication', medication, auditService.fromRequest(req), `Added to the catalog from ${source.name}`);
+
+    res.status(201).json({ message: 'Medication added to the catalog', medication });
+  } catch (error) {
+    console.error('Admin promote medication error:', error);
+    res.status(500).json({ message: 'Server error while adding medication to the catalog' });
+  }
+});
+
+// @route   GET /api/admin/scheduler
+// @desc    Get the status of the scheduled jobs
+// @access  Private (admin)
+router.get('/scheduler', (req, res) => {
+  res.json({
+    jobs: schedulerService.getStatus(),
+    triggers: schedulerService.getJobNames()
+  });
+});
+
+// @route   POST /api/admin/scheduler/:job/run
+// @desc    Run a scheduled job now
+// @access  Private (admin)
+router.post('/scheduler/:job/run', [
+  param('job').isIn(schedulerService.getJobNames()).withMessage('Unknown job')
+], validateRequest, async (req, res) => {
+  try {
+    const result = await schedulerService.triggerJob(req.params.job);
+    if (!result.success) {
+      return res.status(500).json({ message: `Job ${req.params.job} failed`, error: result.error });
+    }
+
+    res.json({ job: req.params.job, ...result });
+  } catch (error) {
+    console.error('Admin run job error:', error);
+    res.status(500).json({ message: 'Server error while running job' });
+  }
+});
+
+module.exports = router;
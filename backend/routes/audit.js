@@ -0,0 +1,58 @@
+const express = require('express');
+const { param } = require('express-validator');
+const auth = require('../middleware/auth');
+const patientAccess = require('../middleware/patientAccess');
+const validateRequest = require('../middleware/validation');
+const auditService = require('../services/auditService');
+
+const router = express.Router();
+
+// URL segment for each audited record type
+const ENTITY_TYPES = {
+  doses: 'DoseLog',
+  regimens: 'Regimen',
+  medications: 'Medication'
+};
+
+// @route   GET /api/audit/:type/:id
+// @desc    Get the change history of one dose log, regimen or medication, newest first
+// @access  Private
+router.get('/:type/:id', auth, patientAccess('canViewMedications', { profile: false }), [
+  param('type')
+    .isIn(Object.keys(ENTITY_TYPES))
+    .withMessage('Type must be doses, regimens or medications'),
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid record ID')
+], validateRequest, async (req, res) => {
+  try {
+    const entityType = ENTITY_TYPES[req.params.type];
+
+    // Entries are matched on the record's owner, so history stays readable
+    // after a delete; shared catalog medications have no owner
+    const owners = entityType === 'Medication' ? [null, req.patient._id] : [req.patient._id];
+    const entries = await auditService.getHistory(entityType, req.params.id, { user: { $in: owners } });
+
+    res.json({
+      entityType,
+      entityId: req.params.id,
+      history: entries.map(entry => ({
+        id: entry._id,
+        action: entry.action,
+        source: entry.source,
+        reason: entry.reason,
+        actor: entry.actor ? {
+          id: entry.actor._id,
+          name: `${entry.actor.firstName} ${entry.actor.lastName}`
+        } : null,
+        changes: entry.changes,
+        createdAt: entry.createdAt
+      }))
+    });
+  } catch (error) {
+    console.error('Get audit history error:', error);
+    res.status(500).json({ message: 'Server error while fetching change history' });
+  }
+});
+
+module.exports = router;
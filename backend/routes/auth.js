@@ -1,19 +1,69 @@
 const express = require('express');
 const jwt = require('jsonwebtoken');
-const { body } = require('express-validator');
+const { body, param } = require('express-validator');
 const User = require('../models/User');
+const AuthToken = require('../models/AuthToken');
+const Session = require('../models/Session');
 const auth = require('../middleware/auth');
 const validateRequest = require('../middleware/validation');
+const { assertPublicUrl } = require('../utils/publicUrl');
+const { resolveTimezone } = require('../utils/timezone');
+const emailTemplateService = require('../services/emailTemplateService');
+const notificationService = require('../services/notificationService');
+const twoFactorService = require('../services/twoFactorService');
+const doseMaterializationService = require('../services/doseMaterializationService');
 
 const router = express.Router();
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '7d'
+// Generate a short-lived JWT access token for a session
+const generateToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_ACCESS_EXPIRE || '15m'
   });
 };
 
+// Start a session for a signed-in user and return its access and refresh tokens
+const startSession = async (user, req) => {
+  const { session, refreshToken } = await Session.start(user._id, req);
+  return { token: generateToken(user._id, session._id), refreshToken };
+};
+
+// Re-check the password before security changes, since req.user omits it
+const confirmPassword = async (userId, password) => {
+  const user = await User.findById(userId);
+  return !!user && !!password && user.comparePassword(password);
+};
+
+// Reply to a rejected two-factor code, saying when to retry if too many
+// wrong codes have locked code checks
+const rejectTwoFactorCode = async (res, userId) => {
+  const lockedUntil = userId && await twoFactorService.getLockedUntil(userId);
+  if (lockedUntil) {
+    const minutes = Math.ceil((lockedUntil - Date.now()) / 60000);
+    return res.status(429).json({
+      message: `Too many incorrect codes. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`,
+      lockedUntil
+    });
+  }
+  return res.status(400).json({ message: 'Invalid authentication code' });
+};
+
+// Minimum gap between emailed links of the same kind for one user
+const RESEND_INTERVAL_SECONDS = 60;
+
+const getFrontendUrl = (path, token) =>
+  `${process.env.FRONTEND_URL || 'http://localhost:3000'}${path}?token=${token}`;
+
+// Issue a verification token and email the link to the user's address
+const sendVerification = async (user) => {
+  const token = await AuthToken.issue(user, 'email_verification');
+  return notificationService.sendVerificationEmail(
+    user,
+    getFrontendUrl('/verify-email', token),
+    AuthToken.getTtlMinutes('email_verification')
+  );
+};
+
 // @route   POST /api/auth/register
 // @desc    Register a new user
 // @access  Public
@@ -59,20 +109,28 @@ router.post('/register', [
 
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Registration still succeeds if the verification email can't be sent;
+    // the user can ask for another one from their settings
+    const verification = await sendVerification(user);
+
+    const { token, refreshToken } = await startSession(user, req);
 
     res.status(201).json({
       message: 'User registered successfully',
       token,
+      refreshToken,
+      verificationEmailSent: verification.success,
       user: {
         id: user._id,
         email: user.email,
+        emailVerified: user.emailVerified,
+        twoFactorEnabled: user.twoFactor?.enabled || false,
         firstName: user.firstName,
         lastName: user.lastName,
         fullName: user.fullName,
         dateOfBirth: user.dateOfBirth,
         phone: user.phone,
+        role: user.role,
         preferences: user.preferences,
         adherenceStats: user.adherenceStats
       }
@@ -86,44 +144,80 @@ router.post('/register', [
 // @route   POST /api/auth/login
 // @desc    Login user
 // @access  Public
+// With two-factor authentication on, the password step returns a
+// twoFactorToken; posting it back with a code completes the login.
 router.post('/login', [
   body('email')
+    .if(body('twoFactorToken').not().exists())
     .isEmail()
     .normalizeEmail()
     .withMessage('Please provide a valid email'),
   body('password')
+    .if(body('twoFactorToken').not().exists())
     .exists()
-    .withMessage('Password is required')
+    .withMessage('Password is required'),
+  body('code')
+    .if(body('twoFactorToken').exists())
+    .trim()
+    .notEmpty()
+    .withMessage('Authentication code is required')
 ], validateRequest, async (req, res) => {
   try {
-    const { email, password } = req.body;
+    const { email, password, twoFactorToken, code } = req.body;
+    let user;
 
-    // Check if user exists
-    const user = await User.findOne({ email });
-    if (!user) {
-      return res.status(400).json({ message: 'Invalid credentials' });
-    }
+    if (twoFactorToken) {
+      let userId;
+      try {
+        userId = twoFactorService.verifyChallenge(twoFactorToken);
+      } catch (error) {
+        return res.status(400).json({ message: 'Your sign-in attempt has expired, please sign in again' });
+      }
 
-    // Check password
-    const isMatch = await user.comparePassword(password);
-    if (!isMatch) {
-      return res.status(400).json({ message: 'Invalid credentials' });
+      user = await User.findById(userId);
+      const verified = user && await twoFactorService.verifyCode(user._id, code);
+      if (!verified) {
+        return rejectTwoFactorCode(res, user?._id);
+      }
+    } else {
+      // Check if user exists
+      user = await User.findOne({ email });
+      if (!user) {
+        return res.status(400).json({ message: 'Invalid credentials' });
+      }
+
+      // Check password
+      const isMatch = await user.comparePassword(password);
+      if (!isMatch) {
+        return res.status(400).json({ message: 'Invalid credentials' });
+      }
+
+      if (user.twoFactor?.enabled) {
+        return res.json({
+          message: 'Enter the code from your authenticator app',
+          twoFactorRequired: true,
+          twoFactorToken: twoFactorService.createChallenge(user)
+        });
+      }
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    const { token, refreshToken } = await startSession(user, req);
 
     res.json({
       message: 'Login successful',
       token,
+      refreshToken,
       user: {
         id: user._id,
         email: user.email,
+        emailVerified: user.emailVerified,
+        twoFactorEnabled: user.twoFactor?.enabled || false,
         firstName: user.firstName,
         lastName: user.lastName,
         fullName: user.fullName,
         dateOfBirth: user.dateOfBirth,
         phone: user.phone,
+        role: user.role,
         preferences: user.preferences,
         adherenceStats: user.adherenceStats
       }
@@ -143,11 +237,14 @@ router.get('/me', auth, async (req, res) => {
       user: {
         id: req.user._id,
         email: req.user.email,
+        emailVerified: req.user.emailVerified,
+        twoFactorEnabled: req.user.twoFactor?.enabled || false,
         firstName: req.user.firstName,
         lastName: req.user.lastName,
         fullName: req.user.fullName,
         dateOfBirth: req.user.dateOfBirth,
         phone: req.user.phone,
+        role: req.user.role,
         emergencyContact: req.user.emergencyContact,
         preferences: req.user.preferences,
         settings: req.user.settings,
@@ -160,6 +257,19 @@ router.get('/me', auth, async (req, res) => {
   }
 });
 
+// Pending doses are materialized in the user's timezone, so a new zone means
+// rebuilding them. Failures are logged; the hourly job uses the new zone anyway.
+const syncScheduleTimezone = async (before, after) => {
+  const timezone = resolveTimezone(after);
+  if (timezone === resolveTimezone(before)) return;
+
+  try {
+    await doseMaterializationService.regenerateUser(after._id, timezone);
+  } catch (error) {
+    console.error('Timezone dose sync error:', error);
+  }
+};
+
 // @route   PUT /api/auth/me
 // @desc    Update user profile and settings
 // @access  Private
@@ -180,7 +290,33 @@ router.put('/me', auth, [
   body('dateOfBirth')
     .optional()
     .isISO8601()
-    .withMessage('Please provide a valid date of birth')
+    .withMessage('Please provide a valid date of birth'),
+  body('emergencyContact.email')
+    .optional({ checkFalsy: true })
+    .isEmail()
+    .withMessage('Please provide a valid emergency contact email'),
+  body('settings.notifications.webhookUrl')
+    .optional({ checkFalsy: true })
+    .isURL({ protocols: ['http', 'https'], require_protocol: true })
+    .withMessage('Webhook URL must be a valid http or https URL')
+    .bail()
+    .custom(assertPublicUrl),
+  body(['settings.notifications.quietHours.start', 'settings.notifications.quietHours.end'])
+    .optional()
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage('Quiet hours must be times in HH:MM format'),
+  body('settings.notifications.weeklySummary.weekday')
+    .optional()
+    .isInt({ min: 0, max: 6 })
+    .withMessage('Weekly summary weekday must be 0 (Sunday) to 6 (Saturday)'),
+  body('settings.notifications.weeklySummary.hour')
+    .optional()
+    .isInt({ min: 0, max: 23 })
+    .withMessage('Weekly summary hour must be between 0 and 23'),
+  body('settings.preferences.language')
+    .optional()
+    .isIn(emailTemplateService.locales)
+    .withMessage('Unsupported language')
 ], validateRequest, async (req, res) => {
   try {
     const { firstName, lastName, phone, dateOfBirth, emergencyContact, preferences, settings } = req.body;
@@ -199,17 +335,21 @@ router.put('/me', auth, [
       updateFields,
       { new: true, runValidators: true }
     ).select('-password');
+    await syncScheduleTimezone(req.user, user);
 
     res.json({
       message: 'Profile updated successfully',
       user: {
         id: user._id,
         email: user.email,
+        emailVerified: user.emailVerified,
+        twoFactorEnabled: user.twoFactor?.enabled || false,
         firstName: user.firstName,
         lastName: user.lastName,
         fullName: user.fullName,
         dateOfBirth: user.dateOfBirth,
         phone: user.phone,
+        role: user.role,
         emergencyContact: user.emergencyContact,
         preferences: user.preferences,
         settings: user.settings,
@@ -242,7 +382,11 @@ router.put('/profile', auth, [
   body('dateOfBirth')
     .optional()
     .isISO8601()
-    .withMessage('Please provide a valid date of birth')
+    .withMessage('Please provide a valid date of birth'),
+  body('emergencyContact.email')
+    .optional({ checkFalsy: true })
+    .isEmail()
+    .withMessage('Please provide a valid emergency contact email')
 ], validateRequest, async (req, res) => {
   try {
     const { firstName, lastName, phone, dateOfBirth, emergencyContact, preferences } = req.body;
@@ -260,17 +404,21 @@ router.put('/profile', auth, [
       updateFields,
       { new: true, runValidators: true }
     ).select('-password');
+    await syncScheduleTimezone(req.user, user);
 
     res.json({
       message: 'Profile updated successfully',
       user: {
         id: user._id,
         email: user.email,
+        emailVerified: user.emailVerified,
+        twoFactorEnabled: user.twoFactor?.enabled || false,
         firstName: user.firstName,
         lastName: user.lastName,
         fullName: user.fullName,
         dateOfBirth: user.dateOfBirth,
         phone: user.phone,
+        role: user.role,
         emergencyContact: user.emergencyContact,
         preferences: user.preferences,
         adherenceStats: user.adherenceStats
@@ -308,6 +456,9 @@ router.put('/change-password', auth, [
     user.password = newPassword;
     await user.save();
 
+    // Sign out every other device; this one stays signed in
+    await Session.revokeAll(user._id, 'password_change', req.session._id);
+
     res.json({ message: 'Password changed successfully' });
   } catch (error) {
     console.error('Change password error:', error);
@@ -315,4 +466,377 @@ router.put('/change-password', auth, [
   }
 });
 
+// @route   POST /api/auth/forgot-password
+// @desc    Email a single-use password reset link
+// @access  Public
+router.post('/forgot-password', [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email')
+], validateRequest, async (req, res) => {
+  try {
+    const user = await User.findOne({ email: req.body.email });
+
+    // Same response whether or not the account exists, so addresses can't be probed
+    if (user && !(await AuthToken.issuedWithin(user._id, 'password_reset', RESEND_INTERVAL_SECONDS))) {
+      const token = await AuthToken.issue(user, 'password_reset');
+      const result = await notificationService.sendPasswordResetEmail(
+        user,
+        getFrontendUrl('/reset-password', token),
+        AuthToken.getTtlMinutes('password_reset')
+      );
+      if (!result.success) {
+        console.error('Password reset email failed:', result.error);
+      }
+    }
+
+    res.json({ message: 'If an account exists for that email, a password reset link has been sent' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Server error while requesting password reset' });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password with a reset token
+// @access  Public
+router.post('/reset-password', [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+], validateRequest, async (req, res) => {
+  try {
+    const authToken = await AuthToken.consume(req.body.token, 'password_reset');
+    if (!authToken) {
+      return res.status(400).json({ message: 'This reset link is invalid or has expired' });
+    }
+
+    const user = await User.findById(authToken.user);
+    if (!user) {
+      return res.status(400).json({ message: 'This reset link is invalid or has expired' });
+    }
+
+    user.password = req.body.password;
+    // Following the emailed link proves the user controls the address
+    if (!user.emailVerified && user.email === authToken.email) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    // Any other outstanding reset links stop working once one has been used
+    await AuthToken.deleteMany({ user: user._id, purpose: 'password_reset', usedAt: null });
+    // Whoever knew the old password is signed out everywhere
+    await Session.revokeAll(user._id, 'password_reset');
+
+    res.json({ message: 'Password reset successfully. You can now sign in with your new password.' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ message: 'Server error while resetting password' });
+  }
+});
+
+// @route   POST /api/auth/verify-email
+// @desc    Confirm the user's email address with a verification token
+// @access  Public
+router.post('/verify-email', [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Verification token is required')
+], validateRequest, async (req, res) => {
+  try {
+    const authToken = await AuthToken.consume(req.body.token, 'email_verification');
+    if (!authToken) {
+      return res.status(400).json({ message: 'This verification link is invalid or has expired' });
+    }
+
+    // The link only verifies the address it was sent to
+    const user = await User.findOneAndUpdate(
+      { _id: authToken.user, email: authToken.email },
+      { $set: { emailVerified: true, emailVerifiedAt: new Date() } },
+      { new: true }
+    );
+    if (!user) {
+      return res.status(400).json({ message: 'This verification link is invalid or has expired' });
+    }
+
+    res.json({ message: 'Email verified successfully', email: user.email });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ message: 'Server error while verifying email' });
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Email a new verification link
+// @access  Private
+router.post('/resend-verification', auth, async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({ message: 'Your email address is already verified' });
+    }
+
+    if (await AuthToken.issuedWithin(req.user._id, 'email_verification', RESEND_INTERVAL_SECONDS)) {
+      return res.status(429).json({ message: 'Please wait a minute before requesting another verification email' });
+    }
+
+    const result = await sendVerification(req.user);
+    if (!result.success) {
+      return res.status(500).json({
+        message: 'Failed to send verification email',
+        error: result.error
+      });
+    }
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ message: 'Server error while sending verification email' });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access token and refresh token
+// @access  Public
+router.post('/refresh', [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required')
+], validateRequest, async (req, res) => {
+  try {
+    const rotated = await Session.rotate(req.body.refreshToken, req);
+    if (!rotated) {
+      return res.status(401).json({ message: 'Session has ended, please sign in again' });
+    }
+
+    const { session, refreshToken } = rotated;
+    res.json({
+      token: generateToken(session.user, session._id),
+      refreshToken
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ message: 'Server error while refreshing session' });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    End the current session
+// @access  Private
+router.post('/logout', auth, async (req, res) => {
+  try {
+    await Session.updateOne(
+      { _id: req.session._id, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'logout' } }
+    );
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Server error during logout' });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List the devices the user is signed in on
+// @access  Private
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.json({
+      sessions: sessions.map(session => ({
+        id: session._id,
+        device: session.device,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        current: session._id.equals(req.session._id)
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ message: 'Server error while fetching sessions' });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Sign out one device
+// @access  Private
+router.delete('/sessions/:id', auth, [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid session ID')
+], validateRequest, async (req, res) => {
+  try {
+    const session = await Session.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'revoked' } }
+    );
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    res.json({ message: 'Device signed out' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ message: 'Server error while revoking session' });
+  }
+});
+
+// @route   DELETE /api/auth/sessions
+// @desc    Sign out every device except this one
+// @access  Private
+router.delete('/sessions', auth, async (req, res) => {
+  try {
+    const revoked = await Session.revokeAll(req.user._id, 'revoked', req.session._id);
+
+    res.json({ message: 'Signed out of other devices', revoked });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({ message: 'Server error while revoking sessions' });
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start two-factor enrollment and get the authenticator secret
+// @access  Private
+router.post('/2fa/setup', auth, [
+  body('password')
+    .exists()
+    .withMessage('Password is required')
+], validateRequest, async (req, res) => {
+  try {
+    if (req.user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!(await confirmPassword(req.user._id, req.body.password))) {
+      return res.status(400).json({ message: 'Password is incorrect' });
+    }
+
+    const { secret, otpauthUri } = await twoFactorService.beginSetup(req.user);
+
+    res.json({
+      message: 'Add this account to your authenticator app, then enter a code to finish',
+      secret,
+      otpauthUri
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({ message: 'Server error while setting up two-factor authentication' });
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm enrollment with a code and receive recovery codes
+// @access  Private
+router.post('/2fa/enable', auth, [
+  body('code')
+    .trim()
+    .notEmpty()
+    .withMessage('Authentication code is required')
+], validateRequest, async (req, res) => {
+  try {
+    if (req.user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const recoveryCodes = await twoFactorService.confirmSetup(req.user._id, req.body.code);
+    if (!recoveryCodes) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    res.json({
+      message: 'Two-factor authentication enabled',
+      recoveryCodes
+    });
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({ message: 'Server error while enabling two-factor authentication' });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn off two-factor authentication
+// @access  Private
+router.post('/2fa/disable', auth, [
+  body('password')
+    .exists()
+    .withMessage('Password is required'),
+  body('code')
+    .trim()
+    .notEmpty()
+    .withMessage('Authentication code is required')
+], validateRequest, async (req, res) => {
+  try {
+    if (!req.user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!(await confirmPassword(req.user._id, req.body.password))) {
+      return res.status(400).json({ message: 'Password is incorrect' });
+    }
+
+    if (!(await twoFactorService.verifyCode(req.user._id, req.body.code))) {
+      return rejectTwoFactorCode(res, req.user._id);
+    }
+
+    await twoFactorService.disable(req.user._id);
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({ message: 'Server error while disabling two-factor authentication' });
+  }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace all recovery codes with a new set
+// @access  Private
+router.post('/2fa/recovery-codes', auth, [
+  body('password')
+    .exists()
+    .withMessage('Password is required'),
+  body('code')
+    .trim()
+    .notEmpty()
+    .withMessage('Authentication code is required')
+], validateRequest, async (req, res) => {
+  try {
+    if (!req.user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!(await confirmPassword(req.user._id, req.body.password))) {
+      return res.status(400).json({ message: 'Password is incorrect' });
+    }
+
+    if (!(await twoFactorService.verifyCode(req.user._id, req.body.code))) {
+      return rejectTwoFactorCode(res, req.user._id);
+    }
+
+    const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(req.user._id);
+
+    res.json({
+      message: 'New recovery codes generated; the old ones no longer work',
+      recoveryCodes
+    });
+  } catch (error) {
+    console.error('Recovery codes error:', error);
+    res.status(500).json({ message: 'Server error while generating recovery codes' });
+  }
+});
+
 module.exports = router;
@@ -6,6 +6,7 @@ const User = require('../models/User');
 const Regimen = require('../models/Regimen');
 const DoseLog = require('../models/DoseLog');
 const memoryManager = require('../utils/memoryManager');
+const { resolveTimezone } = require('../utils/timezone');
 
 const router = express.Router();
 
@@ -127,19 +128,19 @@ router.get('/status', auth, async (req, res) => {  try {
 // @access  Private
 router.post('/sync-regimen/:regimenId', auth, async (req, res) => {
   try {
+    // Full document so the schedule expansion methods are available
     const regimen = await Regimen.findOne({
       _id: req.params.regimenId,
       user: req.user._id
     })
-    .populate('medication', 'name')
-    .lean();
+    .populate('medication', 'name');
 
     if (!regimen) {
       return res.status(404).json({ message: 'Regimen not found' });
     }
 
     const user = await User.findById(req.user._id)
-      .select('googleCalendar')
+      .select('googleCalendar preferences.timezone settings.preferences.timezone')
       .lean();
       
     if (!user.googleCalendar?.isConnected) {
@@ -156,7 +157,7 @@ router.post('/sync-regimen/:regimenId', auth, async (req, res) => {
     const calendarId = user.googleCalendar.settings?.calendarId || 'primary';
 
     // Generate events for the next 30 days
-    const events = generateCalendarEvents(regimen, 30);
+    const events = generateCalendarEvents(regimen, 30, resolveTimezone(user));
     const createdEvents = [];
 
     // Process events in batches to manage memory and API rate limits
@@ -211,8 +212,7 @@ router.post('/sync-all', auth, async (req, res) => {
       user: req.user._id,
       isActive: true
     })
-    .populate('medication', 'name')
-    .lean();
+    .populate('medication', 'name');
 
     let totalEvents = 0;
     const results = [];
@@ -428,83 +428,42 @@ router.get('/upcoming', auth, async (req, res) => {
 });
 
 // Helper function to generate calendar events
-function generateCalendarEvents(regimen, days) {
-  const events = [];
+// Dose times come from the regimen's own schedule, expanded in the user's timezone
+function generateCalendarEvents(regimen, days, timezone) {
   const startDate = new Date();
   const endDate = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
 
-  // Get schedule times
-  let scheduleTimes = [];
-  if (regimen.frequency === 'custom' && regimen.customSchedule) {
-    scheduleTimes = regimen.customSchedule.map(cs => cs.time);
-  } else {
-    const schedules = {
-      'once_daily': ['08:00'],
-      'twice_daily': ['08:00', '20:00'],
-      'three_times_daily': ['08:00', '14:00', '20:00'],
-      'four_times_daily': ['08:00', '12:00', '16:00', '20:00']
+  return regimen.getDoseTimesBetween(startDate, endDate, timezone).map(eventStart => {
+    const dosage = regimen.getDosageFor(eventStart, timezone);
+    const eventEnd = new Date(eventStart);
+    eventEnd.setMinutes(eventEnd.getMinutes() + 15); // 15-minute duration
+
+    return {
+      summary: `💊 ${regimen.medication.name}`,
+      description: `Medication reminder: Take ${dosage.amount} ${dosage.unit} of ${regimen.medication.name}`,
+      start: {
+        dateTime: eventStart.toISOString(),
+        timeZone: timezone
+      },
+      end: {
+        dateTime: eventEnd.toISOString(),
+        timeZone: timezone
+      },
+      reminders: {
+        useDefault: false,
+        overrides: [
+          { method: 'popup', minutes: 10 },
+          { method: 'popup', minutes: 60 }
+        ]
+      }
     };
-    scheduleTimes = schedules[regimen.frequency] || ['08:00'];
-  }
-
-  const currentDate = new Date(startDate);
-  while (currentDate <= endDate) {
-    // Check if regimen should be taken today
-    if (shouldTakeToday(regimen, currentDate)) {
-      scheduleTimes.forEach(time => {
-        const [hours, minutes] = time.split(':');
-        const eventStart = new Date(currentDate);
-        eventStart.setHours(parseInt(hours), parseInt(minutes), 0, 0);
-
-        const eventEnd = new Date(eventStart);
-        eventEnd.setMinutes(eventEnd.getMinutes() + 15); // 15-minute duration
-
-        events.push({
-          summary: `💊 ${regimen.medication.name}`,
-          description: `Medication reminder: Take ${regimen.dosage.amount} ${regimen.dosage.unit} of ${regimen.medication.name}`,
-          start: {
-            dateTime: eventStart.toISOString(),
-            timeZone: 'UTC'
-          },
-          end: {
-            dateTime: eventEnd.toISOString(),
-            timeZone: 'UTC'
-          },
-          reminders: {
-            useDefault: false,
-            overrides: [
-              { method: 'popup', minutes: 10 },
-              { method: 'popup', minutes: 60 }
-            ]
-          }
-        });
-      });
-    }
-    currentDate.setDate(currentDate.getDate() + 1);
-  }
-
-  return events;
-}
-
-// Helper function to determine if regimen should be taken today
-function shouldTakeToday(regimen, date) {
-  const startDate = new Date(regimen.startDate);
-  const daysDiff = Math.floor((date - startDate) / (1000 * 60 * 60 * 24));
-
-  switch (regimen.frequency) {
-    case 'every_other_day':
-      return daysDiff % 2 === 0;
-    case 'weekly':
-      return daysDiff % 7 === 0;
-    default:
-      return true;
-  }
+  });
 }
 
 // Helper function to sync a single regimen (for sync-all) - Memory optimized
 async function syncSingleRegimen(regimen, userId) {
   const user = await User.findById(userId)
-    .select('googleCalendar')
+    .select('googleCalendar preferences.timezone settings.preferences.timezone')
     .lean();
     
   const oauth2Client = getOAuth2Client();
@@ -516,7 +475,7 @@ async function syncSingleRegimen(regimen, userId) {
   const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
   const calendarId = user.googleCalendar.settings?.calendarId || 'primary';
 
-  const events = generateCalendarEvents(regimen, 30);
+  const events = generateCalendarEvents(regimen, 30, resolveTimezone(user));
   const createdEvents = [];
 
   // Process events in smaller batches to manage memory
@@ -0,0 +1,385 @@
+const express = require('express');
+const { body } = require('express-validator');
+const CareInvitation = require('../models/CareInvitation');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const validateRequest = require('../middleware/validation');
+const notificationService = require('../services/notificationService');
+const emailTemplateService = require('../services/emailTemplateService');
+
+const router = express.Router();
+
+const permissionValidation = [
+  body('canViewMedications')
+    .optional()
+    .isBoolean()
+    .withMessage('canViewMedications must be a boolean'),
+  body('canLogDoses')
+    .optional()
+    .isBoolean()
+    .withMessage('canLogDoses must be a boolean')
+];
+
+const getInviteUrl = (token) =>
+  `${process.env.FRONTEND_URL || 'http://localhost:3000'}/care/accept?token=${token}`;
+
+const describeUser = (user) => ({
+  _id: user._id,
+  firstName: user.firstName,
+  lastName: user.lastName,
+  email: user.email
+});
+
+// @route   GET /api/care/patients
+// @desc    Get patients who have linked the current user as a caregiver
+// @access  Private
+router.get('/patients', auth, async (req, res) => {
+  try {
+    const patients = await User.find({ 'familyGroup.members.userId': req.user._id })
+      .select('firstName lastName email familyGroup.members');
+
+    res.json({
+      patients: patients.map(patient => {
+        const membership = patient.familyGroup.members.find(
+          member => member.userId && member.userId.toString() === req.user._id.toString()
+        );
+        return {
+          ...describeUser(patient),
+          relationship: membership.relationship,
+          permissions: {
+            canViewMedications: membership.canViewMedications,
+            canLogDoses: membership.canLogDoses
+          }
+        };
+      })
+    });
+  } catch (error) {
+    console.error('Get care patients error:', error);
+    res.status(500).json({ message: 'Server error while fetching patients' });
+  }
+});
+
+// @route   DELETE /api/care/patients/:patientId
+// @desc    Stop being a caregiver for a patient
+// @access  Private
+router.delete('/patients/:patientId', auth, async (req, res) => {
+  try {
+    const result = await User.updateOne(
+      { _id: req.params.patientId, 'familyGroup.members.userId': req.user._id },
+      { $pull: { 'familyGroup.members': { userId: req.user._id } } }
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({ message: 'Patient link not found' });
+    }
+
+    res.json({ message: 'You are no longer a caregiver for this patient' });
+  } catch (error) {
+    console.error('Leave care link error:', error);
+    res.status(500).json({ message: 'Server error while removing patient link' });
+  }
+});
+
+// @route   GET /api/care/caregivers
+// @desc    Get the current user's caregivers and their permissions
+// @access  Private
+router.get('/caregivers', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .select('familyGroup.members')
+      .populate('familyGroup.members.userId', 'firstName lastName email');
+
+    const caregivers = (user.familyGroup?.members || [])
+      .filter(member => member.userId)
+      .map(member => ({
+        ...describeUser(member.userId),
+        relationship: member.relationship,
+        permissions: {
+          canViewMedications: member.canViewMedications,
+          canLogDoses: member.canLogDoses
+        }
+      }));
+
+    res.json({ caregivers });
+  } catch (error) {
+    console.error('Get caregivers error:', error);
+    res.status(500).json({ message: 'Server error while fetching caregivers' });
+  }
+});
+
+// @route   PUT /api/care/caregivers/:userId
+// @desc    Change what a caregiver may do
+// @access  Private
+router.put('/caregivers/:userId', auth, [
+  ...permissionValidation,
+  body('relationship')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Relationship cannot exceed 50 characters')
+], validateRequest, async (req, res) => {
+  try {
+    const update = {};
+    ['canViewMedications', 'canLogDoses', 'relationship'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        update[`familyGroup.members.$.${field}`] = req.body[field];
+      }
+    });
+
+    if (Object.keys(update).length === 0) {
+      return res.status(400).json({ message: 'No changes provided' });
+    }
+
+    const result = await User.updateOne(
+      { _id: req.user._id, 'familyGroup.members.userId': req.params.userId },
+      { $set: update }
+    );
+
+    if (result.matchedCount === 0) {
+      return res.status(404).json({ message: 'Caregiver not found' });
+    }
+
+    res.json({ message: 'Caregiver permissions updated successfully' });
+  } catch (error) {
+    console.error('Update caregiver error:', error);
+    res.status(500).json({ message: 'Server error while updating caregiver' });
+  }
+});
+
+// @route   DELETE /api/care/caregivers/:userId
+// @desc    Remove a caregiver's access
+// @access  Private
+router.delete('/caregivers/:userId', auth, async (req, res) => {
+  try {
+    const result = await User.updateOne(
+      { _id: req.user._id, 'familyGroup.members.userId': req.params.userId },
+      { $pull: { 'familyGroup.members': { userId: req.params.userId } } }
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({ message: 'Caregiver not found' });
+    }
+
+    res.json({ message: 'Caregiver removed successfully' });
+  } catch (error) {
+    console.error('Remove caregiver error:', error);
+    res.status(500).json({ message: 'Server error while removing caregiver' });
+  }
+});
+
+// @route   GET /api/care/invitations
+// @desc    Get invitations the current user has sent
+// @access  Private
+router.get('/invitations', auth, async (req, res) => {
+  try {
+    const invitations = await CareInvitation.find({ patient: req.user._id })
+      .populate('acceptedBy', 'firstName lastName email')
+      .sort({ createdAt: -1 })
+      .limit(50);
+
+    res.json({
+      invitations: invitations.map(invitation => ({
+        ...invitation.toJSON(),
+        isExpired: invitation.status === 'pending' && !invitation.isOpen()
+      }))
+    });
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    res.status(500).json({ message: 'Server error while fetching invitations' });
+  }
+});
+
+// @route   POST /api/care/invitations
+// @desc    Invite someone to be a caregiver
+// @access  Private
+router.post('/invitations', auth, [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  body('relationship')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Relationship cannot exceed 50 characters'),
+  ...permissionValidation
+], validateRequest, async (req, res) => {
+  try {
+    const { email, relationship, canViewMedications = true, canLogDoses = false } = req.body;
+
+    if (email === req.user.email) {
+      return res.status(400).json({ message: 'You cannot invite yourself' });
+    }
+
+    // Skip the invitation if that account is already linked
+    const invitee = await User.findOne({ email }).select('_id');
+    const alreadyLinked = invitee && (req.user.familyGroup?.members || []).some(
+      member => member.userId && member.userId.toString() === invitee._id.toString()
+    );
+    if (alreadyLinked) {
+      return res.status(409).json({ message: 'This person is already one of your caregivers' });
+    }
+
+    // A new invitation replaces any still-pending one to the same address
+    await CareInvitation.updateMany(
+      { patient: req.user._id, email, status: 'pending' },
+      { status: 'revoked', respondedAt: new Date() }
+    );
+
+    const { invitation, token } = await CareInvitation.createWithToken({
+      patient: req.user._id,
+      email,
+      relationship,
+      permissions: { canViewMedications, canLogDoses }
+    });
+
+    const inviteUrl = getInviteUrl(token);
+    const patientName = `${req.user.firstName} ${req.user.lastName}`;
+    const { subject, html, text } = emailTemplateService.render('careInvitation', {
+      patientName,
+      inviteUrl,
+      canLogDoses
+    }, { user: req.user });
+
+    const emailResult = await notificationService.sendEmail(email, subject, html, text);
+
+    res.status(201).json({
+      message: 'Invitation sent successfully',
+      invitation,
+      // Returned so the patient can share the link directly if email is unavailable
+      inviteUrl,
+      emailSent: emailResult.success
+    });
+  } catch (error) {
+    console.error('Create invitation error:', error);
+    res.status(500).json({ message: 'Server error while creating invitation' });
+  }
+});
+
+// @route   DELETE /api/care/invitations/:id
+// @desc    Revoke a pending invitation
+// @access  Private
+router.delete('/invitations/:id', auth, async (req, res) => {
+  try {
+    const invitation = await CareInvitation.findOneAndUpdate(
+      { _id: req.params.id, patient: req.user._id, status: 'pending' },
+      { status: 'revoked', respondedAt: new Date() },
+      { new: true }
+    );
+
+    if (!invitation) {
+      return res.status(404).json({ message: 'Pending invitation not found' });
+    }
+
+    res.json({ message: 'Invitation revoked successfully' });
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({ message: 'Server error while revoking invitation' });
+  }
+});
+
+// @route   POST /api/care/invitations/accept
+// @desc    Accept a caregiver invitation with its emailed token
+// @access  Private
+router.post('/invitations/accept', auth, [
+  body('token')
+    .isString()
+    .isLength({ min: 1 })
+    .withMessage('Invitation token is required')
+], validateRequest, async (req, res) => {
+  try {
+    const invitation = await CareInvitation.findOne({
+      tokenHash: CareInvitation.hashToken(req.body.token)
+    });
+
+    if (!invitation || !invitation.isOpen()) {
+      return res.status(410).json({ message: 'This invitation has expired or is no longer valid' });
+    }
+
+    if (invitation.patient.toString() === req.user._id.toString()) {
+      return res.status(400).json({ message: 'You cannot accept your own invitation' });
+    }
+
+    // Only the invited address may accept, so a forwarded link grants nothing
+    if (req.user.email.toLowerCase() !== invitation.email) {
+      return res.status(403).json({ message: 'This invitation was sent to a different email address. Sign in with that account to accept it.' });
+    }
+    if (!req.user.emailVerified) {
+      return res.status(403).json({ message: 'Verify your email address before accepting this invitation' });
+    }
+
+    // Claim the invitation so a second click can't accept it twice
+    const claimed = await CareInvitation.findOneAndUpdate(
+      { _id: invitation._id, status: 'pending' },
+      { status: 'accepted', acceptedBy: req.user._id, respondedAt: new Date() },
+      { new: true }
+    );
+
+    if (!claimed) {
+      return res.status(410).json({ message: 'This invitation has expired or is no longer valid' });
+    }
+
+    const member = {
+      userId: req.user._id,
+      name: `${req.user.firstName} ${req.user.lastName}`,
+      relationship: invitation.relationship,
+      canViewMedications: invitation.permissions.canViewMedications,
+      canLogDoses: invitation.permissions.canLogDoses
+    };
+
+    // Re-accepting replaces the existing link's permissions
+    const updated = await User.updateOne(
+      { _id: invitation.patient, 'familyGroup.members.userId': req.user._id },
+      { $set: { 'familyGroup.members.$': member } }
+    );
+    if (updated.matchedCount === 0) {
+      await User.updateOne(
+        { _id: invitation.patient },
+        { $push: { 'familyGroup.members': member } }
+      );
+    }
+
+    const patient = await User.findById(invitation.patient).select('firstName lastName email');
+
+    res.json({
+      message: 'Invitation accepted successfully',
+      patient: {
+        ...describeUser(patient),
+        relationship: invitation.relationship,
+        permissions: invitation.permissions
+      }
+    });
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    res.status(500).json({ message: 'Server error while accepting invitation' });
+  }
+});
+
+// @route   POST /api/care/invitations/decline
+// @desc    Decline a caregiver invitation
+// @access  Private
+router.post('/invitations/decline', auth, [
+  body('token')
+    .isString()
+    .isLength({ min: 1 })
+    .withMessage('Invitation token is required')
+], validateRequest, async (req, res) => {
+  try {
+    const invitation = await CareInvitation.findOneAndUpdate(
+      { tokenHash: CareInvitation.hashToken(req.body.token), status: 'pending' },
+      { status: 'declined', respondedAt: new Date() },
+      { new: true }
+    );
+
+    if (!invitation) {
+      return res.status(410).json({ message: 'This invitation has expired or is no longer valid' });
+    }
+
+    res.json({ message: 'Invitation declined' });
+  } catch (error) {
+    console.error('Decline invitation error:', error);
+    res.status(500).json({ message: 'Server error while declining invitation' });
+  }
+});
+
+module.exports = router;
@@ -4,18 +4,25 @@ const DoseLog = require('../models/DoseLog');
 const Regimen = require('../models/Regimen');
 const User = require('../models/User');
 const auth = require('../middleware/auth');
+const patientAccess = require('../middleware/patientAccess');
 const validateRequest = require('../middleware/validation');
 const memoryManager = require('../utils/memoryManager');
+const { escapeCsvValue } = require('../utils/csv');
+const prnService = require('../services/prnService');
+const inventoryService = require('../services/inventoryService');
+const doseActionService = require('../services/doseActionService');
+const auditService = require('../services/auditService');
+const { resolveTimezone, getZonedDayRange } = require('../utils/timezone');
 
 const router = express.Router();
 
 // @route   GET /api/doses
 // @desc    Get dose logs with filters
 // @access  Private
-router.get('/', auth, [
+router.get('/', auth, patientAccess('canViewMedications'), [
   query('startDate').optional().isISO8601(),
   query('endDate').optional().isISO8601(),
-  query('status').optional().isIn(['taken', 'missed', 'skipped', 'delayed']),
+  query('status').optional().isIn(['taken', 'missed', 'skipped', 'delayed', 'pending']),
   query('regimen').optional().isMongoId(),
   query('page').optional().isInt({ min: 1 }),
   query('limit').optional().isInt({ min: 1, max: 100 })
@@ -34,7 +41,7 @@ router.get('/', auth, [
     const safeLimit = Math.min(parseInt(limit), 100);
     const safePage = Math.max(parseInt(page), 1);
     
-    let query = { user: req.user._id };
+    let query = { ...req.scope };
     
     // Date range filter
     if (startDate || endDate) {
@@ -43,9 +50,11 @@ router.get('/', auth, [
       if (endDate) query.scheduledTime.$lte = new Date(endDate);
     }
     
-    // Status filter
+    // Status filter (pending doses are scheduled ahead of time, so hide them unless asked for)
     if (status) {
       query.status = status;
+    } else {
+      query.status = { $ne: 'pending' };
     }
     
     // Regimen filter
@@ -66,6 +75,7 @@ router.get('/', auth, [
             select: 'name genericName category form strength'
           }
         })
+        .populate('loggedBy', 'firstName lastName')
         .sort({ scheduledTime: -1 })
         .skip(skip)
         .limit(safeLimit)
@@ -94,14 +104,13 @@ router.get('/', auth, [
 // @route   GET /api/doses/today
 // @desc    Get today's dose logs
 // @access  Private
-router.get('/today', auth, async (req, res) => {
+router.get('/today', auth, patientAccess('canViewMedications'), async (req, res) => {
   try {
-    const today = new Date();
-    const startOfDay = new Date(today.getFullYear(), today.getMonth(), today.getDate());
-    const endOfDay = new Date(today.getFullYear(), today.getMonth(), today.getDate(), 23, 59, 59);
+    // Day boundaries follow the user's timezone
+    const { start: startOfDay, end: endOfDay } = getZonedDayRange(new Date(), resolveTimezone(req.patient));
     
     const todayDoses = await DoseLog.find({
-      user: req.user._id,
+      ...req.scope,
       scheduledTime: {
         $gte: startOfDay,
         $lte: endOfDay
@@ -116,6 +125,7 @@ router.get('/today', auth, async (req, res) => {
         select: 'name genericName category form strength'
       }
     })
+    .populate('loggedBy', 'firstName lastName')
     .sort({ scheduledTime: 1 })
     .limit(50) // Safety limit for today's doses
     .lean();
@@ -132,7 +142,7 @@ router.get('/today', auth, async (req, res) => {
 // @route   POST /api/doses/log
 // @desc    Log a dose (taken, missed, skipped)
 // @access  Private
-router.post('/log', auth, [
+router.post('/log', auth, patientAccess('canLogDoses'), [
   body('regimen')
     .isMongoId()
     .withMessage('Valid regimen ID is required'),
@@ -182,7 +192,7 @@ router.post('/log', auth, [
     // Verify regimen belongs to user
     const regimen = await Regimen.findOne({
       _id: regimenId,
-      user: req.user._id
+      ...req.scope
     }).populate('medication');
     
     if (!regimen) {
@@ -191,13 +201,13 @@ router.post('/log', auth, [
     
     // Check if dose already logged - if so, update it instead of creating duplicate
     const existingLog = await DoseLog.findOne({
-      user: req.user._id,
+      ...req.scope,
       regimen: regimenId,
       scheduledTime: new Date(scheduledTime)
     });
     
     console.log('Duplicate check:', {
-      userId: req.user._id,
+      userId: req.patient._id,
       regimenId,
       scheduledTime: new Date(scheduledTime),
       existingLog: existingLog ? 'Found' : 'Not found'
@@ -214,7 +224,8 @@ router.post('/log', auth, [
         effectiveness,
         withFood,
         symptoms,
-        location
+        location,
+        loggedBy: req.user._id
       };
 
       // Only include mood if it's not empty (to avoid enum validation errors)
@@ -224,19 +235,23 @@ router.post('/log', auth, [
 
       // Store old status for adherence stats update
       const oldStatus = existingLog.status;
+      const before = { status: oldStatus, dosage: { amount: existingLog.dosage?.amount } };
+      const original = auditService.snapshot(existingLog);
 
       Object.assign(existingLog, updateData);
       await existingLog.save();
+      await auditService.recordUpdate('DoseLog', original, existingLog, auditService.fromRequest(req), 'Dose logged again');
+      await inventoryService.applyDoseChange(regimen._id, before, existingLog);
       await existingLog.populate(['medication', 'regimen']);
 
-      // Update user adherence stats if status changed
-      if (oldStatus !== existingLog.status) {
+      // Update user adherence stats if status changed (the account holder's own doses only)
+      if (oldStatus !== existingLog.status && !req.profile) {
         const oldTaken = oldStatus === 'taken' ? -1 : 0;
         const oldMissed = oldStatus === 'missed' ? -1 : 0;
         const newTaken = existingLog.status === 'taken' ? 1 : 0;
         const newMissed = existingLog.status === 'missed' ? 1 : 0;
         
-        await req.user.updateAdherenceStats(
+        await req.patient.updateAdherenceStats(
           oldTaken + newTaken,
           oldMissed + newMissed
         );
@@ -251,7 +266,7 @@ router.post('/log', auth, [
     }
     
     console.log('Creating new dose log for:', {
-      userId: req.user._id,
+      userId: req.patient._id,
       regimenId,
       scheduledTime: new Date(scheduledTime),
       status
@@ -259,13 +274,14 @@ router.post('/log', auth, [
     
     // Create dose log
     const doseLogData = {
-      user: req.user._id,
+      ...req.scope,
+      loggedBy: req.user._id,
       regimen: regimenId,
       medication: regimen.medication._id,
       scheduledTime: new Date(scheduledTime),
       actualTime: actualTime ? new Date(actualTime) : (status === 'taken' ? new Date() : null),
       status,
-      dosage: regimen.dosage,
+      dosage: regimen.getDosageFor(new Date(scheduledTime), resolveTimezone(req.patient)),
       notes,
       sideEffects,
       effectiveness,
@@ -282,12 +298,16 @@ router.post('/log', auth, [
     const doseLog = new DoseLog(doseLogData);
     
     await doseLog.save();
+    await auditService.recordCreate('DoseLog', doseLog, auditService.fromRequest(req));
+    await inventoryService.applyDoseChange(regimen._id, null, doseLog);
     await doseLog.populate(['medication', 'regimen']);
     
-    // Update user adherence stats
-    const takenCount = status === 'taken' ? 1 : 0;
-    const missedCount = status === 'missed' ? 1 : 0;
-    await req.user.updateAdherenceStats(takenCount, missedCount);
+    // Update user adherence stats (the account holder's own doses only)
+    if (!req.profile) {
+      const takenCount = status === 'taken' ? 1 : 0;
+      const missedCount = status === 'missed' ? 1 : 0;
+      await req.patient.updateAdherenceStats(takenCount, missedCount);
+    }
     
     res.status(201).json({
       message: 'Dose logged successfully',
@@ -300,10 +320,160 @@ router.post('/log', auth, [
   }
 });
 
+// @route   POST /api/doses/prn
+// @desc    Log an unscheduled as-needed (PRN) dose, enforcing the regimen's PRN limits
+// @access  Private
+router.post('/prn', auth, patientAccess('canLogDoses'), [
+  body('regimen')
+    .isMongoId()
+    .withMessage('Valid regimen ID is required'),
+  body('takenAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid taken time is required'),
+  body('amount')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('Dosage amount must be a positive number'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters'),
+  body('symptoms')
+    .optional()
+    .isArray()
+    .withMessage('Symptoms must be an array'),
+  body('effectiveness.rating')
+    .optional()
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Effectiveness rating must be between 1 and 5')
+], validateRequest, async (req, res) => {
+  try {
+    const { regimen: regimenId, takenAt, amount, notes, symptoms = [], effectiveness } = req.body;
+    const intakeTime = takenAt ? new Date(takenAt) : new Date();
+
+    if (intakeTime > new Date(Date.now() + 5 * 60 * 1000)) {
+      return res.status(400).json({ message: 'Taken time cannot be in the future' });
+    }
+    
+    // Verify regimen belongs to user
+    const regimen = await Regimen.findOne({
+      _id: regimenId,
+      ...req.scope
+    }).populate('medication');
+    
+    if (!regimen) {
+      return res.status(404).json({ message: 'Regimen not found' });
+    }
+
+    if (regimen.frequency !== 'as_needed') {
+      return res.status(400).json({ message: 'Only as-needed regimens can log unscheduled doses' });
+    }
+
+    const usage = await prnService.evaluateIntake(regimen, intakeTime);
+    const limitExceeded = usage.violations.length > 0;
+
+    if (limitExceeded && usage.enforcement === 'block') {
+      return res.status(409).json({
+        message: usage.violations.map(violation => violation.message).join('. '),
+        violations: usage.violations,
+        usage
+      });
+    }
+
+    const dosage = regimen.getDosageFor(intakeTime, resolveTimezone(req.patient));
+    const doseLog = new DoseLog({
+      ...req.scope,
+      loggedBy: req.user._id,
+      regimen: regimen._id,
+      medication: regimen.medication._id,
+      scheduledTime: intakeTime,
+      actualTime: intakeTime,
+      status: 'taken',
+      isPrn: true,
+      prnLimitExceeded: limitExceeded,
+      dosage: {
+        amount: amount !== undefined ? parseFloat(amount) : dosage.amount,
+        unit: dosage.unit
+      },
+      notes,
+      symptoms,
+      effectiveness
+    });
+
+    await doseLog.save();
+
+    // Another dose logged at the same moment may have passed the same check.
+    // Re-check against doses saved before this one, so only the later of two
+    // racing requests is turned away.
+    const recheck = await prnService.evaluateIntake(regimen, intakeTime, { loggedBefore: doseLog._id });
+    if (recheck.violations.length > 0 && recheck.enforcement === 'block') {
+      await DoseLog.deleteOne({ _id: doseLog._id });
+      return res.status(409).json({
+        message: recheck.violations.map(violation => violation.message).join('. '),
+        violations: recheck.violations,
+        usage: recheck
+      });
+    }
+    if (recheck.violations.length > 0 && !doseLog.prnLimitExceeded) {
+      doseLog.prnLimitExceeded = true;
+      usage.violations = recheck.violations;
+      await doseLog.save();
+    }
+
+    await auditService.recordCreate('DoseLog', doseLog, auditService.fromRequest(req), 'As-needed dose');
+    await inventoryService.applyDoseChange(regimen._id, null, doseLog);
+    await doseLog.populate(['medication', 'regimen']);
+
+    res.status(201).json({
+      message: doseLog.prnLimitExceeded ? 'As-needed dose logged with warnings' : 'As-needed dose logged successfully',
+      doseLog,
+      warnings: usage.violations,
+      usage: await prnService.evaluateIntake(regimen, new Date())
+    });
+  } catch (error) {
+    console.error('Log PRN dose error:', error);
+    res.status(500).json({ message: 'Server error while logging as-needed dose' });
+  }
+});
+
+// @route   GET /api/doses/prn/:regimenId/status
+// @desc    Get as-needed usage in the last 24 hours and when the next dose is allowed
+// @access  Private
+router.get('/prn/:regimenId/status', auth, patientAccess('canViewMedications'), async (req, res) => {
+  try {
+    const regimen = await Regimen.findOne({
+      _id: req.params.regimenId,
+      ...req.scope
+    });
+    
+    if (!regimen) {
+      return res.status(404).json({ message: 'Regimen not found' });
+    }
+
+    if (regimen.frequency !== 'as_needed') {
+      return res.status(400).json({ message: 'Regimen is not as-needed' });
+    }
+
+    const usage = await prnService.evaluateIntake(regimen, new Date());
+
+    res.json({
+      regimen: regimen._id,
+      limits: regimen.prnLimits,
+      usage,
+      canTakeNow: usage.violations.length === 0
+    });
+  } catch (error) {
+    console.error('Get PRN status error:', error);
+    res.status(500).json({ message: 'Server error while fetching as-needed dose status' });
+  }
+});
+
 // @route   PUT /api/doses/:id
 // @desc    Update dose log
 // @access  Private
-router.put('/:id', auth, [
+router.put('/:id', auth, patientAccess('canLogDoses'), [
   body('status')
     .optional()
     .isIn(['taken', 'missed', 'skipped', 'delayed'])
@@ -325,7 +495,7 @@ router.put('/:id', auth, [
   try {
     const doseLog = await DoseLog.findOne({
       _id: req.params.id,
-      user: req.user._id
+      ...req.scope
     }).populate(['medication', 'regimen']);
     
     if (!doseLog) {
@@ -334,9 +504,12 @@ router.put('/:id', auth, [
     
     // Store old status for adherence stats update
     const oldStatus = doseLog.status;
+    const before = { status: oldStatus, dosage: { amount: doseLog.dosage?.amount } };
+    const original = auditService.snapshot(doseLog);
     
-    // Update dose log
-    const updateData = { ...req.body };
+    // Update dose log; ownership fields are never taken from the request
+    const { user, profile, regimen, medication, loggedBy, ...updateData } = req.body;
+    updateData.loggedBy = req.user._id;
     
     // Handle mood field to avoid enum validation errors with empty strings
     if (updateData.mood && updateData.mood.trim() === '') {
@@ -351,15 +524,17 @@ router.put('/:id', auth, [
     }
     
     await doseLog.save();
+    await auditService.recordUpdate('DoseLog', original, doseLog, auditService.fromRequest(req));
+    await inventoryService.applyDoseChange(doseLog.regimen?._id || doseLog.regimen, before, doseLog);
     
-    // Update user adherence stats if status changed
-    if (oldStatus !== doseLog.status) {
+    // Update user adherence stats if status changed (the account holder's own doses only)
+    if (oldStatus !== doseLog.status && !req.profile) {
       const oldTaken = oldStatus === 'taken' ? -1 : 0;
       const oldMissed = oldStatus === 'missed' ? -1 : 0;
       const newTaken = doseLog.status === 'taken' ? 1 : 0;
       const newMissed = doseLog.status === 'missed' ? 1 : 0;
       
-      await req.user.updateAdherenceStats(
+      await req.patient.updateAdherenceStats(
         oldTaken + newTaken,
         oldMissed + newMissed
       );
@@ -378,21 +553,28 @@ router.put('/:id', auth, [
 // @route   DELETE /api/doses/:id
 // @desc    Delete dose log
 // @access  Private
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', auth, patientAccess('canLogDoses'), async (req, res) => {
   try {
     const doseLog = await DoseLog.findOneAndDelete({
       _id: req.params.id,
-      user: req.user._id
+      ...req.scope
     });
     
     if (!doseLog) {
       return res.status(404).json({ message: 'Dose log not found' });
     }
     
-    // Update user adherence stats
-    const takenCount = doseLog.status === 'taken' ? -1 : 0;
-    const missedCount = doseLog.status === 'missed' ? -1 : 0;
-    await req.user.updateAdherenceStats(takenCount, missedCount);
+    await auditService.recordDelete('DoseLog', doseLog, auditService.fromRequest(req));
+    
+    // Return the dose to stock if it had been taken
+    await inventoryService.applyDoseChange(doseLog.regimen, doseLog, null);
+    
+    // Update user adherence stats (the account holder's own doses only)
+    if (!req.profile) {
+      const takenCount = doseLog.status === 'taken' ? -1 : 0;
+      const missedCount = doseLog.status === 'missed' ? -1 : 0;
+      await req.patient.updateAdherenceStats(takenCount, missedCount);
+    }
     
     res.json({ message: 'Dose log deleted successfully' });
   } catch (error) {
@@ -404,53 +586,48 @@ router.delete('/:id', auth, async (req, res) => {
 // @route   GET /api/doses/pending
 // @desc    Get pending doses (due now or overdue)
 // @access  Private
-router.get('/pending', auth, async (req, res) => {
+router.get('/pending', auth, patientAccess('canViewMedications'), async (req, res) => {
   try {
     const now = new Date();
     const fourHoursAgo = new Date(now.getTime() - 4 * 60 * 60 * 1000);
+    const timezone = resolveTimezone(req.patient);
     
-    // Get active regimens
+    // Get active regimens (end dates are calendar days, so allow a day of slack)
     const regimens = await Regimen.find({
-      user: req.user._id,
+      ...req.scope,
       isActive: true,
       startDate: { $lte: now },
       $or: [
         { endDate: { $exists: false } },
         { endDate: null },
-        { endDate: { $gte: now } }
+        { endDate: { $gte: new Date(now.getTime() - 24 * 60 * 60 * 1000) } }
       ]
     }).populate('medication');
     
     const pendingDoses = [];
     
     for (const regimen of regimens) {
-      const times = regimen.scheduleTimes;
+      // Scheduled doses in the last four hours, expanded in the user's timezone
+      const doseTimes = regimen.getDoseTimesBetween(fourHoursAgo, now, timezone);
       
-      for (const time of times) {
-        const [hours, minutes] = time.split(':');
-        
-        // Check today's doses
-        const today = new Date(now);
-        today.setHours(parseInt(hours), parseInt(minutes), 0, 0);
+      for (const scheduledTime of doseTimes) {
+        // Check if already logged (materialized pending rows still count as unlogged)
+        const existingLog = await DoseLog.findOne({
+          ...req.scope,
+          regimen: regimen._id,
+          scheduledTime,
+          status: { $ne: 'pending' }
+        });
         
-        if (today <= now && today >= fourHoursAgo) {
-          // Check if already logged
-          const existingLog = await DoseLog.findOne({
-            user: req.user._id,
+        if (!existingLog) {
+          pendingDoses.push({
             regimen: regimen._id,
-            scheduledTime: today
+            medication: regimen.medication,
+            dosage: regimen.getDosageFor(scheduledTime, timezone),
+            scheduledTime,
+            isOverdue: scheduledTime < now - 30 * 60 * 1000, // 30 minutes grace period
+            minutesOverdue: Math.max(0, Math.floor((now - scheduledTime) / (1000 * 60)))
           });
-          
-          if (!existingLog) {
-            pendingDoses.push({
-              regimen: regimen._id,
-              medication: regimen.medication,
-              dosage: regimen.dosage,
-              scheduledTime: today,
-              isOverdue: today < now - 30 * 60 * 1000, // 30 minutes grace period
-              minutesOverdue: Math.max(0, Math.floor((now - today) / (1000 * 60)))
-            });
-          }
         }
       }
     }
@@ -468,7 +645,7 @@ router.get('/pending', auth, async (req, res) => {
 // @route   GET /api/doses/stats
 // @desc    Get adherence statistics
 // @access  Private
-router.get('/stats', auth, [
+router.get('/stats', auth, patientAccess('canViewMedications'), [
   query('startDate').optional().isISO8601(),
   query('endDate').optional().isISO8601(),
   query('period').optional().isIn(['week', 'month', 'quarter', 'year'])
@@ -502,8 +679,8 @@ router.get('/stats', auth, [
       }
     }
     
-    const stats = await DoseLog.getAdherenceStats(req.user._id, start, end);
-    const weeklyStats = await DoseLog.getWeeklyAdherence(req.user._id, 4);
+    const stats = await DoseLog.getAdherenceStats(req.patient._id, start, end, req.scope.profile);
+    const weeklyStats = await DoseLog.getWeeklyAdherence(req.patient._id, 4);
     
     res.json({
       stats,
@@ -520,10 +697,65 @@ router.get('/stats', auth, [
   }
 });
 
+// Apply a quick action (taken, missed, skipped) to the dose scheduled at
+// `scheduledTime`. The pending row materialized for it, or an earlier log of
+// it, is updated the way POST /log does; a row is only created when none exists.
+const applyQuickAction = async (req, regimen, scheduledTime, { notes, ...fields }) => {
+  const existingLog = await DoseLog.findOne({
+    ...req.scope,
+    regimen: regimen._id,
+    scheduledTime
+  });
+  const context = auditService.fromRequest(req);
+
+  if (existingLog) {
+    const oldStatus = existingLog.status;
+    const before = { status: oldStatus, dosage: { amount: existingLog.dosage?.amount } };
+    const original = auditService.snapshot(existingLog);
+
+    // Keep notes already on the dose unless new ones were given
+    Object.assign(existingLog, fields, { loggedBy: req.user._id }, notes ? { notes } : {});
+    await existingLog.save();
+    await auditService.recordUpdate('DoseLog', original, existingLog, context);
+    await inventoryService.applyDoseChange(regimen._id, before, existingLog);
+    await updateOwnAdherenceStats(req, oldStatus, existingLog.status);
+    return { doseLog: existingLog, created: false };
+  }
+
+  const doseLog = new DoseLog({
+    ...req.scope,
+    loggedBy: req.user._id,
+    regimen: regimen._id,
+    medication: regimen.medication._id,
+    scheduledTime,
+    dosage: regimen.getDosageFor(scheduledTime, resolveTimezone(req.patient)),
+    notes,
+    ...fields
+  });
+
+  await doseLog.save();
+  await auditService.recordCreate('DoseLog', doseLog, context);
+  await inventoryService.applyDoseChange(regimen._id, null, doseLog);
+  await updateOwnAdherenceStats(req, null, doseLog.status);
+  return { doseLog, created: true };
+};
+
+// Move the account holder's adherence counts from one dose status to another
+// (dependents' doses aren't counted)
+const updateOwnAdherenceStats = async (req, oldStatus, newStatus) => {
+  if (oldStatus === newStatus || req.profile) return;
+
+  const taken = (newStatus === 'taken' ? 1 : 0) - (oldStatus === 'taken' ? 1 : 0);
+  const missed = (newStatus === 'missed' ? 1 : 0) - (oldStatus === 'missed' ? 1 : 0);
+  if (taken || missed) {
+    await req.patient.updateAdherenceStats(taken, missed);
+  }
+};
+
 // @route   POST /api/doses/mark-taken
 // @desc    Mark a dose as taken (quick action)
 // @access  Private
-router.post('/mark-taken', auth, [
+router.post('/mark-taken', auth, patientAccess('canLogDoses'), [
   body('regimen')
     .isMongoId()
     .withMessage('Valid regimen ID is required'),
@@ -543,29 +775,21 @@ router.post('/mark-taken', auth, [
     // Verify regimen belongs to user
     const regimen = await Regimen.findOne({
       _id: regimenId,
-      user: req.user._id
+      ...req.scope
     }).populate('medication');
     
     if (!regimen) {
       return res.status(404).json({ message: 'Regimen not found' });
     }
     
-    // Create dose log
-    const doseLog = new DoseLog({
-      user: req.user._id,
-      regimen: regimenId,
-      medication: regimen.medication._id,
-      scheduledTime: new Date(timestamp),
-      actualTime: new Date(),
+    const { doseLog, created } = await applyQuickAction(req, regimen, new Date(timestamp), {
       status: 'taken',
-      dosage: regimen.dosage,
+      actualTime: new Date(),
       notes
     });
-    
-    await doseLog.save();
     await doseLog.populate(['medication', 'regimen']);
     
-    res.status(201).json({
+    res.status(created ? 201 : 200).json({
       message: 'Dose marked as taken successfully',
       dose: doseLog
     });
@@ -578,7 +802,7 @@ router.post('/mark-taken', auth, [
 // @route   POST /api/doses/mark-missed
 // @desc    Mark a dose as missed
 // @access  Private
-router.post('/mark-missed', auth, [
+router.post('/mark-missed', auth, patientAccess('canLogDoses'), [
   body('regimen')
     .isMongoId()
     .withMessage('Valid regimen ID is required'),
@@ -598,29 +822,21 @@ router.post('/mark-missed', auth, [
     // Verify regimen belongs to user
     const regimen = await Regimen.findOne({
       _id: regimenId,
-      user: req.user._id
+      ...req.scope
     }).populate('medication');
     
     if (!regimen) {
       return res.status(404).json({ message: 'Regimen not found' });
     }
     
-    // Create dose log
-    const doseLog = new DoseLog({
-      user: req.user._id,
-      regimen: regimenId,
-      medication: regimen.medication._id,
-      scheduledTime: new Date(timestamp),
-      actualTime: null,
+    const { doseLog, created } = await applyQuickAction(req, regimen, new Date(timestamp), {
       status: 'missed',
-      dosage: regimen.dosage,
+      actualTime: null,
       notes: reason
     });
-    
-    await doseLog.save();
     await doseLog.populate(['medication', 'regimen']);
     
-    res.status(201).json({
+    res.status(created ? 201 : 200).json({
       message: 'Dose marked as missed',
       dose: doseLog
     });
@@ -633,7 +849,7 @@ router.post('/mark-missed', auth, [
 // @route   POST /api/doses/mark-skipped
 // @desc    Mark a dose as skipped
 // @access  Private
-router.post('/mark-skipped', auth, [
+router.post('/mark-skipped', auth, patientAccess('canLogDoses'), [
   body('regimen')
     .isMongoId()
     .withMessage('Valid regimen ID is required'),
@@ -653,29 +869,21 @@ router.post('/mark-skipped', auth, [
     // Verify regimen belongs to user
     const regimen = await Regimen.findOne({
       _id: regimenId,
-      user: req.user._id
+      ...req.scope
     }).populate('medication');
     
     if (!regimen) {
       return res.status(404).json({ message: 'Regimen not found' });
     }
     
-    // Create dose log
-    const doseLog = new DoseLog({
-      user: req.user._id,
-      regimen: regimenId,
-      medication: regimen.medication._id,
-      scheduledTime: new Date(timestamp),
-      actualTime: null,
+    const { doseLog, created } = await applyQuickAction(req, regimen, new Date(timestamp), {
       status: 'skipped',
-      dosage: regimen.dosage,
+      actualTime: null,
       notes: reason
     });
-    
-    await doseLog.save();
     await doseLog.populate(['medication', 'regimen']);
     
-    res.status(201).json({
+    res.status(created ? 201 : 200).json({
       message: 'Dose marked as skipped',
       dose: doseLog
     });
@@ -685,10 +893,86 @@ router.post('/mark-skipped', auth, [
   }
 });
 
+// @route   POST /api/doses/actions
+// @desc    Apply a reminder notification action (taken, snooze, skip) to its dose
+// @access  Public (signed, short-lived dose action token)
+router.post('/actions', [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Action token is required'),
+  body('action')
+    .isIn(doseActionService.ACTIONS)
+    .withMessage('Action must be taken, snooze or skip')
+], validateRequest, async (req, res) => {
+  try {
+    let doseId;
+    try {
+      doseId = doseActionService.verifyToken(req.body.token);
+    } catch (error) {
+      const message = error.name === 'TokenExpiredError' ?
+        'This reminder has expired. Please log the dose in the app.' :
+        'Invalid action token';
+      return res.status(401).json({ message });
+    }
+
+    const { dose, applied, snoozeLimitReached } = await doseActionService.applyAction(doseId, req.body.action);
+
+    if (!dose) {
+      return res.status(404).json({ message: 'Dose not found' });
+    }
+    if (snoozeLimitReached) {
+      return res.status(409).json({ message: 'This dose cannot be snoozed again', status: dose.status });
+    }
+    if (!applied) {
+      return res.status(409).json({ message: `This dose is already marked as ${dose.status}`, status: dose.status });
+    }
+
+    res.json({
+      message: req.body.action === 'snooze' ?
+        `Reminder snoozed for ${doseActionService.SNOOZE_MINUTES} minutes` :
+        `Dose marked as ${dose.status}`,
+      status: dose.status,
+      snoozedUntil: dose.snoozedUntil
+    });
+  } catch (error) {
+    console.error('Dose action error:', error);
+    res.status(500).json({ message: 'Server error while applying dose action' });
+  }
+});
+
+// @route   POST /api/doses/:id/snooze
+// @desc    Snooze a pending dose's reminder from inside the app
+// @access  Private
+router.post('/:id/snooze', auth, patientAccess('canLogDoses'), async (req, res) => {
+  try {
+    const dose = await DoseLog.findOne({ _id: req.params.id, ...req.scope });
+    if (!dose) {
+      return res.status(404).json({ message: 'Dose not found' });
+    }
+
+    const { dose: snoozed, applied, snoozeLimitReached } = await doseActionService.applyAction(dose._id, 'snooze');
+    if (snoozeLimitReached) {
+      return res.status(409).json({ message: 'This dose cannot be snoozed again' });
+    }
+    if (!applied) {
+      return res.status(409).json({ message: `This dose is already marked as ${snoozed.status}` });
+    }
+
+    res.json({
+      message: `Reminder snoozed for ${doseActionService.SNOOZE_MINUTES} minutes`,
+      snoozedUntil: snoozed.snoozedUntil
+    });
+  } catch (error) {
+    console.error('Snooze dose error:', error);
+    res.status(500).json({ message: 'Server error while snoozing dose' });
+  }
+});
+
 // @route   GET /api/doses/missed
 // @desc    Get missed doses in the last X days
 // @access  Private
-router.get('/missed', auth, [
+router.get('/missed', auth, patientAccess('canViewMedications'), [
   query('days')
     .optional()
     .isInt({ min: 1, max: 365 })
@@ -700,7 +984,7 @@ router.get('/missed', auth, [
     startDate.setDate(startDate.getDate() - days);
     
     const missedDoses = await DoseLog.find({
-      user: req.user._id,
+      ...req.scope,
       status: 'missed',
       scheduledTime: { $gte: startDate }
     })
@@ -751,7 +1035,7 @@ router.get('/missed', auth, [
 // @route   GET /api/doses/export
 // @desc    Export dose logs in PDF or CSV format
 // @access  Private
-router.get('/export', auth, [
+router.get('/export', auth, patientAccess('canViewMedications'), [
   query('format')
     .isIn(['pdf', 'csv', 'json'])
     .withMessage('Valid format is required (pdf, csv, or json)'),
@@ -770,7 +1054,7 @@ router.get('/export', auth, [
 ], validateRequest, async (req, res) => {
   try {
     const { format, startDate, endDate, status } = req.query;
-    let query = { user: req.user._id };
+    let query = { ...req.scope };
     
     // Apply date filters
     if (startDate || endDate) {
@@ -779,10 +1063,8 @@ router.get('/export', auth, [
       if (endDate) query.scheduledTime.$lte = new Date(endDate);
     }
     
-    // Apply status filter
-    if (status) {
-      query.status = status;
-    }
+    // Apply status filter; pending placeholders for upcoming doses aren't history
+    query.status = status || { $ne: 'pending' };
     
     const doses = await DoseLog.find(query)
       .populate('medication', 'name genericName category form strength')
@@ -847,10 +1129,7 @@ router.get('/export', auth, [
 function generateCSV(data, fields) {
   const header = fields.map(f => f.label).join(',') + '\n';
   const rows = data.map(row => {
-    return fields.map(field => {
-      const value = row[field.value]?.toString()?.replace(/"/g, '""') || '';
-      return `"${value}"`;
-    }).join(',');
+    return fields.map(field => escapeCsvValue(row[field.value] ?? '')).join(',');
   }).join('\n');
   
   return header + rows;
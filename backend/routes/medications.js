@@ -1,11 +1,39 @@
 const express = require('express');
+const multer = require('multer');
 const { body, query } = require('express-validator');
 const Medication = require('../models/Medication');
+const Regimen = require('../models/Regimen');
+const DoseLog = require('../models/DoseLog');
+const interactionService = require('../services/interactionService');
+const medicationImportService = require('../services/medicationImportService');
+const auditService = require('../services/auditService');
 const auth = require('../middleware/auth');
 const validateRequest = require('../middleware/validation');
 
 const router = express.Router();
 
+// Import files are parsed in memory; formularies are small text files
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }
+});
+
+// Fields clients may never set directly; ownership is decided by the server
+const PROTECTED_FIELDS = ['_id', 'user', 'forkedFrom', 'createdAt', 'updatedAt'];
+
+const stripProtectedFields = (data) => {
+  const cleaned = { ...data };
+  PROTECTED_FIELDS.forEach(field => delete cleaned[field]);
+  return cleaned;
+};
+
+// Query filter for the requested slice of medications the user can see
+const getScopeFilter = (user, scope) => {
+  if (scope === 'catalog') return { user: null };
+  if (scope === 'mine') return { user: user._id };
+  return Medication.visibleTo(user);
+};
+
 // @route   GET /api/medications
 // @desc    Get all medications with search and filter
 // @access  Private
@@ -16,13 +44,15 @@ router.get('/', auth, [
     'Mental Health', 'Antibiotics', 'Vitamins & Supplements',
     'Respiratory', 'Digestive', 'Hormonal', 'Other'
   ]),
+  query('scope').optional().isIn(['all', 'catalog', 'mine']),
   query('page').optional().isInt({ min: 1 }),
   query('limit').optional().isInt({ min: 1, max: 100 })
 ], validateRequest, async (req, res) => {
   try {
-    const { search, category, page = 1, limit = 20 } = req.query;
+    const { search, category, scope, page = 1, limit = 20 } = req.query;
     
-    let query = {};
+    // Shared catalog entries plus the user's private medications
+    let query = getScopeFilter(req.user, scope);
     
     // Search by name or generic name
     if (search) {
@@ -88,12 +118,187 @@ router.get('/categories', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/medications/export
+// @desc    Export medications as JSON or CSV in the bulk import format
+// @access  Private
+router.get('/export', auth, [
+  query('format').optional().isIn(['json', 'csv']).withMessage('Format must be json or csv'),
+  query('scope').optional().isIn(['all', 'catalog', 'mine']),
+  query('search').optional().trim(),
+  query('category').optional().isIn([
+    'Heart & Blood Pressure', 'Diabetes', 'Pain & Inflammation', 
+    'Mental Health', 'Antibiotics', 'Vitamins & Supplements',
+    'Respiratory', 'Digestive', 'Hormonal', 'Other'
+  ])
+], validateRequest, async (req, res) => {
+  try {
+    const { format = 'json', scope, search, category } = req.query;
+
+    let query = getScopeFilter(req.user, scope);
+    if (search) {
+      query.$or = [
+        { name: { $regex: search, $options: 'i' } },
+        { genericName: { $regex: search, $options: 'i' } }
+      ];
+    }
+    if (category) {
+      query.category = category;
+    }
+
+    const medications = await Medication.find(query).sort({ name: 1 }).lean();
+    const exported = medicationImportService.exportMedications(medications, format);
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', 'attachment; filename=medications.csv');
+      return res.send(exported);
+    }
+
+    res.json({
+      medications: exported,
+      count: exported.length,
+      exportedAt: new Date()
+    });
+  } catch (error) {
+    console.error('Export medications error:', error);
+    res.status(500).json({ message: 'Server error while exporting medications' });
+  }
+});
+
+// @route   POST /api/medications/bulk-import
+// @desc    Import medications from CSV or JSON, optionally as a dry run
+// @access  Private
+router.post('/bulk-import', auth, upload.single('file'), [
+  body('medications')
+    .optional()
+    .isArray()
+    .withMessage('Medications must be an array'),
+  body('csv')
+    .optional()
+    .isString()
+    .withMessage('CSV content must be a string'),
+  body('dryRun')
+    .optional()
+    .isBoolean()
+    .withMessage('dryRun must be a boolean'),
+  body('catalog')
+    .optional()
+    .isBoolean()
+    .withMessage('catalog must be a boolean')
+], validateRequest, async (req, res) => {
+  try {
+    // Accept an uploaded .csv/.json file, raw CSV text, or a JSON array of medications
+    let medications;
+    try {
+      if (req.file) {
+        const isCsv = req.file.mimetype === 'text/csv' || /\.csv$/i.test(req.file.originalname);
+        medications = medicationImportService.parse(req.file.buffer.toString('utf8'), isCsv ? 'csv' : 'json');
+      } else if (req.body.csv) {
+        medications = medicationImportService.parse(req.body.csv, 'csv');
+      } else if (req.body.medications) {
+        medications = medicationImportService.parse(req.body.medications, 'json');
+      } else {
+        return res.status(400).json({ message: 'Provide a file, csv content or a medications array' });
+      }
+    } catch (parseError) {
+      return res.status(400).json({ message: `Could not parse import: ${parseError.message}` });
+    }
+
+    if (medications.length === 0) {
+      return res.status(400).json({ message: 'Import contains no medications' });
+    }
+
+    if (medications.length > medicationImportService.MAX_IMPORT_ROWS) {
+      return res.status(400).json({
+        message: `Imports are limited to ${medicationImportService.MAX_IMPORT_ROWS} rows`
+      });
+    }
+
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+    const toCatalog = req.body.catalog === true || req.body.catalog === 'true';
+
+    // Only admins add to the shared catalog; everyone else imports private entries
+    if (toCatalog && req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Only administrators can import into the shared catalog' });
+    }
+
+    const result = await medicationImportService.importMedications(medications, {
+      dryRun,
+      owner: toCatalog ? null : req.user,
+      audit: auditService.fromRequest(req)
+    });
+
+    res.status(dryRun || result.summary.created === 0 ? 200 : 201).json({
+      message: dryRun ?
+        `Dry run: ${result.summary.valid} of ${result.summary.total} medications would be imported` :
+        `Imported ${result.summary.created} of ${result.summary.total} medications`,
+      ...result
+    });
+  } catch (error) {
+    console.error('Bulk import medications error:', error);
+    res.status(500).json({ message: 'Server error while importing medications' });
+  }
+});
+
+// @route   POST /api/medications/check-interactions
+// @desc    Check a set of medications for interactions and contraindications
+// @access  Private
+router.post('/check-interactions', auth, [
+  body('medications')
+    .isArray({ min: 1, max: 50 })
+    .withMessage('Medications must be a non-empty array of IDs'),
+  body('medications.*')
+    .isMongoId()
+    .withMessage('Invalid medication ID'),
+  body('includeActiveRegimens')
+    .optional()
+    .isBoolean()
+    .withMessage('includeActiveRegimens must be a boolean')
+], validateRequest, async (req, res) => {
+  try {
+    const ids = [...new Set(req.body.medications.map(String))];
+    const medications = await Medication.find({ _id: { $in: ids }, ...Medication.visibleTo(req.user) });
+
+    if (medications.length !== ids.length) {
+      return res.status(404).json({ message: 'One or more medications not found' });
+    }
+
+    // Optionally include what the user is already taking
+    if (req.body.includeActiveRegimens) {
+      const regimens = await Regimen.find({ user: req.user._id, isActive: true })
+        .populate('medication');
+
+      regimens.forEach(regimen => {
+        if (regimen.medication && !ids.includes(String(regimen.medication._id))) {
+          ids.push(String(regimen.medication._id));
+          medications.push(regimen.medication);
+        }
+      });
+    }
+
+    const interactions = interactionService.checkMedications(medications);
+
+    res.json({
+      interactions,
+      hasInteractions: interactions.length > 0,
+      checked: medications.map(medication => ({ _id: medication._id, name: medication.name })),
+      datasetVersion: interactionService.getDatasetVersion()
+    });
+  } catch (error) {
+    console.error('Check interactions error:', error);
+    res.status(500).json({ message: 'Server error while checking interactions' });
+  }
+});
+
 // @route   GET /api/medications/:id
 // @desc    Get single medication
 // @access  Private
 router.get('/:id', auth, async (req, res) => {
   try {
-    const medication = await Medication.findById(req.params.id);
+    const medication = await Medication.findOne({
+      _id: req.params.id,
+      ...Medication.visibleTo(req.user)
+    });
     
     if (!medication) {
       return res.status(404).json({ message: 'Medication not found' });
@@ -129,11 +334,26 @@ router.post('/', auth, [
     .withMessage('Strength amount must be a number'),
   body('strength.unit')
     .isIn(['mg', 'g', 'ml', 'mcg', 'IU', 'units'])
-    .withMessage('Valid strength unit is required')
+    .withMessage('Valid strength unit is required'),
+  body('catalog')
+    .optional()
+    .isBoolean()
+    .withMessage('catalog must be a boolean')
 ], validateRequest, async (req, res) => {
   try {
-    const medication = new Medication(req.body);
+    const { catalog, ...data } = req.body;
+
+    // New medications are private unless an admin adds them to the shared catalog
+    if (catalog && req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Only administrators can add to the shared catalog' });
+    }
+
+    const medication = new Medication({
+      ...stripProtectedFields(data),
+      user: catalog ? null : req.user._id
+    });
     await medication.save();
+    await auditService.recordCreate('Medication', medication, auditService.fromRequest(req));
     
     res.status(201).json({
       message: 'Medication created successfully',
@@ -176,16 +396,27 @@ router.put('/:id', auth, [
     .withMessage('Valid strength unit is required')
 ], validateRequest, async (req, res) => {
   try {
-    const medication = await Medication.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
-    );
+    const medication = await Medication.findOne({
+      _id: req.params.id,
+      ...Medication.visibleTo(req.user)
+    });
     
     if (!medication) {
       return res.status(404).json({ message: 'Medication not found' });
     }
     
+    // Catalog entries are shared; users fork them instead of editing in place
+    if (!medication.canModify(req.user)) {
+      return res.status(403).json({
+        message: 'Shared catalog medications can only be changed by an administrator. Fork it to make a private copy.'
+      });
+    }
+    
+    const original = auditService.snapshot(medication);
+    Object.assign(medication, stripProtectedFields(req.body));
+    await medication.save();
+    await auditService.recordUpdate('Medication', original, medication, auditService.fromRequest(req));
+    
     res.json({
       message: 'Medication updated successfully',
       medication
@@ -196,17 +427,105 @@ router.put('/:id', auth, [
   }
 });
 
+// @route   POST /api/medications/:id/fork
+// @desc    Copy a catalog medication into a private, editable entry
+// @access  Private
+router.post('/:id/fork', auth, [
+  body('moveRegimens')
+    .optional()
+    .isBoolean()
+    .withMessage('moveRegimens must be a boolean')
+], validateRequest, async (req, res) => {
+  try {
+    const source = await Medication.findOne({
+      _id: req.params.id,
+      ...Medication.visibleTo(req.user)
+    });
+    
+    if (!source) {
+      return res.status(404).json({ message: 'Medication not found' });
+    }
+    
+    const { moveRegimens, ...overrides } = req.body;
+    const { _id, __v, createdAt, updatedAt, ...fields } = source.toObject();
+    
+    const medication = new Medication({
+      ...fields,
+      ...stripProtectedFields(overrides),
+      user: req.user._id,
+      forkedFrom: source._id
+    });
+    await medication.save();
+    await auditService.recordCreate('Medication', medication, auditService.fromRequest(req), `Forked from ${source.name}`);
+    
+    // The catalog entry is left untouched, so regimens that reference it keep
+    // working. Optionally repoint this user's regimens and unlogged doses;
+    // logged history keeps the medication it was recorded against.
+    let movedRegimens = 0;
+    if (moveRegimens) {
+      const regimens = await Regimen.find({ user: req.user._id, medication: source._id }).select('_id');
+      const regimenIds = regimens.map(regimen => regimen._id);
+      
+      if (regimenIds.length > 0) {
+        await Regimen.updateMany({ _id: { $in: regimenIds } }, { medication: medication._id });
+        await Promise.all(regimens.map(regimen => auditService.record({
+          entityType: 'Regimen',
+          entityId: regimen._id,
+          user: req.user._id,
+          action: 'update',
+          ...auditService.fromRequest(req),
+          reason: 'Moved to a private copy of the medication',
+          before: { medication: source._id },
+          after: { medication: medication._id }
+        })));
+        await DoseLog.updateMany(
+          { regimen: { $in: regimenIds }, status: 'pending' },
+          { medication: medication._id }
+        );
+      }
+      movedRegimens = regimenIds.length;
+    }
+    
+    res.status(201).json({
+      message: 'Medication forked successfully',
+      medication,
+      movedRegimens
+    });
+  } catch (error) {
+    console.error('Fork medication error:', error);
+    res.status(500).json({ message: 'Server error while forking medication' });
+  }
+});
+
 // @route   DELETE /api/medications/:id
 // @desc    Delete medication
 // @access  Private
 router.delete('/:id', auth, async (req, res) => {
   try {
-    const medication = await Medication.findByIdAndDelete(req.params.id);
+    const medication = await Medication.findOne({
+      _id: req.params.id,
+      ...Medication.visibleTo(req.user)
+    });
     
     if (!medication) {
       return res.status(404).json({ message: 'Medication not found' });
     }
     
+    if (!medication.canModify(req.user)) {
+      return res.status(403).json({ message: 'Shared catalog medications can only be deleted by an administrator' });
+    }
+    
+    // Regimens (possibly other users') still point at it
+    const regimenCount = await Regimen.countDocuments({ medication: medication._id });
+    if (regimenCount > 0) {
+      return res.status(409).json({
+        message: `Medication is used by ${regimenCount} regimen${regimenCount === 1 ? '' : 's'} and cannot be deleted`
+      });
+    }
+    
+    await medication.deleteOne();
+    await auditService.recordDelete('Medication', medication, auditService.fromRequest(req));
+    
     res.json({ message: 'Medication deleted successfully' });
   } catch (error) {
     console.error('Delete medication error:', error);
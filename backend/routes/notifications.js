@@ -1,11 +1,120 @@
 const express = require('express');
+const { body, query, param } = require('express-validator');
 const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const validateRequest = require('../middleware/validation');
+const { assertPublicUrl } = require('../utils/publicUrl');
 const notificationService = require('../services/notificationService');
+const deliveryService = require('../services/deliveryService');
+const emailTemplateService = require('../services/emailTemplateService');
+const weeklySummaryService = require('../services/weeklySummaryService');
 const User = require('../models/User');
 const DoseLog = require('../models/DoseLog');
+const NotificationDelivery = require('../models/NotificationDelivery');
+const Notification = require('../models/Notification');
 
 const router = express.Router();
 
+// @route   GET /api/notifications
+// @desc    Get the user's notification inbox, newest first
+// @access  Private
+router.get('/', auth, [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('unread').optional().isBoolean()
+], validateRequest, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const filter = { user: req.user._id };
+    if (req.query.unread === 'true') filter.isRead = false;
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('dose', 'status scheduledTime regimen profile')
+        .lean(),
+      Notification.countDocuments(filter),
+      Notification.countDocuments({ user: req.user._id, isRead: false })
+    ]);
+
+    res.json({
+      // Dose actions are only offered while the dose is still waiting to be logged
+      notifications: notifications.map(notification => ({
+        ...notification,
+        doseData: notification.dose?.status === 'pending' ? notification.dose : null
+      })),
+      unreadCount,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        hasNextPage: page * limit < total,
+        hasPrevPage: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({ message: 'Server error while fetching notifications' });
+  }
+});
+
+// @route   GET /api/notifications/unread-count
+// @desc    Get the number of unread inbox notifications
+// @access  Private
+router.get('/unread-count', auth, async (req, res) => {
+  try {
+    const unreadCount = await Notification.countDocuments({ user: req.user._id, isRead: false });
+    res.json({ unreadCount });
+  } catch (error) {
+    console.error('Get unread notification count error:', error);
+    res.status(500).json({ message: 'Server error while counting notifications' });
+  }
+});
+
+// @route   PATCH /api/notifications/read-all
+// @desc    Mark every inbox notification as read
+// @access  Private
+router.patch('/read-all', auth, async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.user._id, isRead: false },
+      { $set: { isRead: true, readAt: new Date() } }
+    );
+
+    res.json({ message: 'All notifications marked as read', updated: result.modifiedCount });
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({ message: 'Server error while marking notifications as read' });
+  }
+});
+
+// @route   PATCH /api/notifications/:id/read
+// @desc    Mark one inbox notification as read
+// @access  Private
+router.patch('/:id/read', auth, [
+  param('id').isMongoId().withMessage('Valid notification ID is required')
+], validateRequest, async (req, res) => {
+  try {
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id },
+      { $set: { isRead: true, readAt: new Date() } },
+      { new: true }
+    );
+
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    res.json({ message: 'Notification marked as read', notification });
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({ message: 'Server error while marking notification as read' });
+  }
+});
+
 // @route   GET /api/notifications/upcoming
 // @desc    Get upcoming dose reminders
 // @access  Private
@@ -15,13 +124,13 @@ router.get('/upcoming', auth, async (req, res) => {
     const reminderTime = new Date(Date.now() + minutesAhead * 60 * 1000);
     
     const upcomingDoses = await DoseLog.find({
-      userId: req.user._id,
+      user: req.user._id,
       scheduledTime: {
         $gte: new Date(),
         $lte: reminderTime
       },
       status: 'pending'
-    }).populate('regimen').populate('regimen.medication');
+    }).populate({ path: 'regimen', populate: { path: 'medication' } });
 
     res.json(upcomingDoses);
   } catch (error) {
@@ -36,10 +145,10 @@ router.get('/upcoming', auth, async (req, res) => {
 router.get('/overdue', auth, async (req, res) => {
   try {
     const overdueDoses = await DoseLog.find({
-      userId: req.user._id,
+      user: req.user._id,
       scheduledTime: { $lt: new Date() },
       status: 'pending'
-    }).populate('regimen').populate('regimen.medication');
+    }).populate({ path: 'regimen', populate: { path: 'medication' } });
 
     res.json(overdueDoses);
   } catch (error) {
@@ -89,7 +198,26 @@ router.delete('/subscribe', auth, async (req, res) => {
 // @route   PUT /api/notifications/preferences
 // @desc    Update notification preferences
 // @access  Private
-router.put('/preferences', auth, async (req, res) => {
+router.put('/preferences', auth, [
+  body('notifications.webhookUrl')
+    .optional({ checkFalsy: true })
+    .isURL({ protocols: ['http', 'https'], require_protocol: true })
+    .withMessage('Webhook URL must be a valid http or https URL')
+    .bail()
+    .custom(assertPublicUrl),
+  body(['notifications.quietHours.start', 'notifications.quietHours.end'])
+    .optional()
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage('Quiet hours must be times in HH:MM format'),
+  body('notifications.weeklySummary.weekday')
+    .optional()
+    .isInt({ min: 0, max: 6 })
+    .withMessage('Weekly summary weekday must be 0 (Sunday) to 6 (Saturday)'),
+  body('notifications.weeklySummary.hour')
+    .optional()
+    .isInt({ min: 0, max: 23 })
+    .withMessage('Weekly summary hour must be between 0 and 23')
+], validateRequest, async (req, res) => {
   try {
     const { notifications } = req.body;
     
@@ -123,10 +251,10 @@ router.put('/preferences', auth, async (req, res) => {
 // @access  Private
 router.post('/test', auth, async (req, res) => {
   try {
-    const { type } = req.body; // 'email' or 'push'
+    const { type } = req.body; // 'email', 'push', 'sms' or 'webhook'
     
-    if (!['email', 'push'].includes(type)) {
-      return res.status(400).json({ message: 'Type must be email or push' });
+    if (!['email', 'push', 'sms', 'webhook'].includes(type)) {
+      return res.status(400).json({ message: 'Type must be email, push, sms or webhook' });
     }
 
     const user = await User.findById(req.user._id);
@@ -155,33 +283,19 @@ router.post('/test', auth, async (req, res) => {
       if (!user.email) {
         return res.status(400).json({ message: 'No email address found in your profile' });
       }
-        result = await notificationService.sendEmail(
-        user.email,
-        'Medication Reminder Test - MisoGiao',
-        `
-          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-            <h2 style="color: #2563eb;">🏥 Medication Reminder Test</h2>
-            <p>This is a test of your medication reminder notifications.</p>
-            <div style="background-color: #f0f9ff; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #2563eb;">
-              <h3 style="margin-top: 0; color: #1e40af;">📋 Medication Details:</h3>
-              <p><strong>💊 Medication:</strong> ${testDose.regimen.medication.name}</p>
-              <p><strong>💉 Dosage:</strong> ${testDose.regimen.dosage.amount} ${testDose.regimen.dosage.unit}</p>
-              <p><strong>📅 Frequency:</strong> ${testDose.regimen.frequency}</p>
-              <p><strong>⏰ Scheduled Time:</strong> ${testDose.scheduledTime.toLocaleString()}</p>
-            </div>
-            <div style="background-color: #ecfdf5; padding: 15px; border-radius: 8px; border-left: 4px solid #10b981;">
-              <p style="margin: 0; color: #065f46;">
-                ✅ <strong>Success!</strong> Your email notifications are working correctly. 
-                You'll receive reminders like this for your actual medications.
-              </p>
-            </div>
-            <p style="color: #6b7280; font-size: 14px; margin-top: 20px;">
-              This is an automated test from MisoGiao - Your Medication Tracking Companion.
-            </p>
-          </div>
-        `,
-        `Medication Reminder Test - ${testDose.regimen.medication.name} (${testDose.regimen.dosage.amount} ${testDose.regimen.dosage.unit}) scheduled for ${testDose.scheduledTime.toLocaleString()}. Your email notifications are working correctly!`
-      );
+
+      if (!user.emailVerified) {
+        return res.status(400).json({ message: 'Please verify your email address before testing email reminders' });
+      }
+
+      const { subject, html, text } = emailTemplateService.render('test', {
+        medicationName: testDose.regimen.medication.name,
+        dosage: `${testDose.regimen.dosage.amount} ${testDose.regimen.dosage.unit}`,
+        frequency: testDose.regimen.frequency,
+        scheduledTime: testDose.scheduledTime
+      }, { user });
+
+      result = await notificationService.sendEmail(user.email, subject, html, text);
     } else if (type === 'push') {
       if (!user.settings?.notifications?.push) {
         return res.status(400).json({ message: 'Push notifications are disabled in your settings' });
@@ -219,6 +333,21 @@ router.post('/test', auth, async (req, res) => {
       };
       
       result = await notificationService.sendPushNotification(user.pushSubscription, payload);
+    } else {
+      if (!user.settings?.notifications?.[type]) {
+        return res.status(400).json({ message: `${type === 'sms' ? 'SMS' : 'Webhook'} notifications are disabled in your settings` });
+      }
+
+      const text = `Medication Reminder Test - ${testDose.regimen.medication.name} (${testDose.regimen.dosage.amount} ${testDose.regimen.dosage.unit}). Your ${type === 'sms' ? 'SMS' : 'webhook'} notifications are working correctly!`;
+      result = await deliveryService.sendTest(user, type, {
+        subject: 'Medication Reminder Test - MisoGiao',
+        text,
+        data: {
+          type: 'medication-test',
+          medicationName: testDose.regimen.medication.name,
+          scheduledTime: testDose.scheduledTime.toISOString()
+        }
+      });
     }
 
     if (result.success) {
@@ -241,6 +370,94 @@ router.post('/test', auth, async (req, res) => {
   }
 });
 
+// @route   POST /api/notifications/weekly-summary
+// @desc    Email the user their weekly summary now, with their current settings
+// @access  Private
+router.post('/weekly-summary', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const result = await weeklySummaryService.sendSummary(user);
+
+    if (!result.success) {
+      return res.status(500).json({
+        message: 'Failed to send weekly summary',
+        error: result.error || result.message
+      });
+    }
+
+    res.json({ message: 'Weekly summary sent successfully!' });
+  } catch (error) {
+    console.error('Send weekly summary error:', error);
+    res.status(500).json({ message: 'Server error while sending weekly summary' });
+  }
+});
+
+// @route   GET /api/notifications/deliveries
+// @desc    Get recent notification deliveries and their per-channel results
+// @access  Private
+router.get('/deliveries', auth, [
+  query('status').optional().isIn(['sent', 'retrying', 'failed']),
+  query('channel').optional().isIn(['email', 'push', 'sms', 'webhook']),
+  query('limit').optional().isInt({ min: 1, max: 200 })
+], validateRequest, async (req, res) => {
+  try {
+    const filter = { user: req.user._id };
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.channel) filter.channel = req.query.channel;
+
+    const deliveries = await NotificationDelivery.find(filter)
+      .select('-message')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(req.query.limit) || 50);
+
+    res.json(deliveries);
+  } catch (error) {
+    console.error('Get notification deliveries error:', error);
+    res.status(500).json({ message: 'Server error while fetching notification deliveries' });
+  }
+});
+
+// @route   GET /api/notifications/templates
+// @desc    List the email templates available for preview
+// @access  Private (admin)
+router.get('/templates', auth, authorize('admin'), (req, res) => {
+  res.json({
+    templates: emailTemplateService.listTemplates(),
+    locales: emailTemplateService.locales
+  });
+});
+
+// @route   GET /api/notifications/templates/:name/preview
+// @desc    Render an email template with sample data, as HTML or as JSON with the text version
+// @access  Private (admin)
+router.get('/templates/:name/preview', auth, authorize('admin'), [
+  param('name').isIn(emailTemplateService.listTemplates().map(template => template.name))
+    .withMessage('Unknown email template'),
+  query('format').optional().isIn(['html', 'json']),
+  query('locale').optional().isIn(emailTemplateService.locales)
+], validateRequest, (req, res) => {
+  try {
+    const { subject, html, text, summary } = emailTemplateService.render(
+      req.params.name,
+      emailTemplateService.getSample(req.params.name),
+      { user: req.user, locale: req.query.locale }
+    );
+
+    if (req.query.format === 'html') {
+      return res.type('html').send(html);
+    }
+
+    res.json({ name: req.params.name, subject, summary, html, text });
+  } catch (error) {
+    console.error('Preview email template error:', error);
+    res.status(500).json({ message: 'Server error while rendering email template' });
+  }
+});
+
 // @route   GET /api/notifications/vapid-key
 // @desc    Get VAPID public key for push notifications
 // @access  Public
@@ -259,4 +476,24 @@ router.get('/vapid-key', (req, res) => {
   }
 });
 
+// @route   DELETE /api/notifications/:id
+// @desc    Delete an inbox notification
+// @access  Private
+router.delete('/:id', auth, [
+  param('id').isMongoId().withMessage('Valid notification ID is required')
+], validateRequest, async (req, res) => {
+  try {
+    const notification = await Notification.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    res.json({ message: 'Notification deleted' });
+  } catch (error) {
+    console.error('Delete notification error:', error);
+    res.status(500).json({ message: 'Server error while deleting notification' });
+  }
+});
+
 module.exports = router;
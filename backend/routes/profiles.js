@@ -0,0 +1,145 @@
+const express = require('express');
+const { body } = require('express-validator');
+const Regimen = require('../models/Regimen');
+const auth = require('../middleware/auth');
+const patientAccess = require('../middleware/patientAccess');
+const validateRequest = require('../middleware/validation');
+
+const router = express.Router();
+
+const MAX_PROFILES = 20;
+
+const profileValidation = [
+  body('relationship')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Relationship cannot exceed 50 characters'),
+  body('dateOfBirth')
+    .optional({ nullable: true, checkFalsy: true })
+    .isISO8601()
+    .withMessage('Valid date of birth is required'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters')
+];
+
+// @route   GET /api/profiles
+// @desc    Get the dependent profiles managed under an account
+// @access  Private
+router.get('/', auth, patientAccess('canViewMedications', { profile: false }), async (req, res) => {
+  try {
+    const counts = await Regimen.aggregate([
+      { $match: { user: req.patient._id, profile: { $ne: null }, isActive: true } },
+      { $group: { _id: '$profile', activeRegimens: { $sum: 1 } } }
+    ]);
+    const countByProfile = new Map(counts.map(count => [count._id.toString(), count.activeRegimens]));
+
+    res.json({
+      profiles: (req.patient.dependents || []).map(profile => ({
+        ...profile.toObject(),
+        activeRegimens: countByProfile.get(profile._id.toString()) || 0
+      }))
+    });
+  } catch (error) {
+    console.error('Get profiles error:', error);
+    res.status(500).json({ message: 'Server error while fetching profiles' });
+  }
+});
+
+// @route   POST /api/profiles
+// @desc    Add a dependent profile
+// @access  Private
+router.post('/', auth, patientAccess('owner', { profile: false }), [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Profile name is required and cannot exceed 100 characters'),
+  ...profileValidation
+], validateRequest, async (req, res) => {
+  try {
+    if (req.user.dependents.length >= MAX_PROFILES) {
+      return res.status(400).json({ message: `You can manage at most ${MAX_PROFILES} profiles` });
+    }
+
+    const { name, relationship, dateOfBirth, notes } = req.body;
+    req.user.dependents.push({ name, relationship, dateOfBirth: dateOfBirth || undefined, notes });
+    await req.user.save();
+
+    res.status(201).json({
+      message: 'Profile created successfully',
+      profile: req.user.dependents[req.user.dependents.length - 1]
+    });
+  } catch (error) {
+    console.error('Create profile error:', error);
+    res.status(500).json({ message: 'Server error while creating profile' });
+  }
+});
+
+// @route   PUT /api/profiles/:id
+// @desc    Update a dependent profile
+// @access  Private
+router.put('/:id', auth, patientAccess('owner', { profile: false }), [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Profile name cannot be empty or exceed 100 characters'),
+  ...profileValidation
+], validateRequest, async (req, res) => {
+  try {
+    const profile = req.user.dependents.id(req.params.id);
+    if (!profile) {
+      return res.status(404).json({ message: 'Profile not found' });
+    }
+
+    ['name', 'relationship', 'dateOfBirth', 'notes'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        profile[field] = req.body[field] || undefined;
+      }
+    });
+    await req.user.save();
+
+    // Regimens carry the profile's display info, so keep them in step
+    await Regimen.updateMany(
+      { user: req.user._id, profile: profile._id },
+      { $set: { 'patientInfo.name': profile.name, 'patientInfo.relationship': profile.relationship } }
+    );
+
+    res.json({ message: 'Profile updated successfully', profile });
+  } catch (error) {
+    console.error('Update profile error:', error);
+    res.status(500).json({ message: 'Server error while updating profile' });
+  }
+});
+
+// @route   DELETE /api/profiles/:id
+// @desc    Remove a dependent profile that has no regimens
+// @access  Private
+router.delete('/:id', auth, patientAccess('owner', { profile: false }), async (req, res) => {
+  try {
+    const profile = req.user.dependents.id(req.params.id);
+    if (!profile) {
+      return res.status(404).json({ message: 'Profile not found' });
+    }
+
+    const regimenCount = await Regimen.countDocuments({ user: req.user._id, profile: profile._id });
+    if (regimenCount > 0) {
+      return res.status(409).json({
+        message: `This profile still has ${regimenCount} regimen(s). Delete them before removing the profile.`
+      });
+    }
+
+    profile.deleteOne();
+    await req.user.save();
+
+    res.json({ message: 'Profile deleted successfully' });
+  } catch (error) {
+    console.error('Delete profile error:', error);
+    res.status(500).json({ message: 'Server error while deleting profile' });
+  }
+});
+
+module.exports = router;
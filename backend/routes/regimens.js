@@ -3,22 +3,158 @@ const { body, query } = require('express-validator');
 const Regimen = require('../models/Regimen');
 const Medication = require('../models/Medication');
 const auth = require('../middleware/auth');
+const patientAccess = require('../middleware/patientAccess');
 const validateRequest = require('../middleware/validation');
+const doseMaterializationService = require('../services/doseMaterializationService');
+const inventoryService = require('../services/inventoryService');
+const interactionService = require('../services/interactionService');
+const auditService = require('../services/auditService');
+const { resolveTimezone, getZonedParts, getZonedDayRange } = require('../utils/timezone');
 
 const router = express.Router();
 
+// Dose phase (taper/titration) checks shared by create and update
+const dosePhaseValidation = [
+  body('dosePhases')
+    .optional()
+    .isArray()
+    .withMessage('Dose phases must be an array'),
+  body('dosePhases.*.startDate')
+    .isISO8601()
+    .withMessage('Valid phase start date is required'),
+  body('dosePhases.*.endDate')
+    .optional({ nullable: true, checkFalsy: true })
+    .isISO8601()
+    .withMessage('Valid phase end date is required'),
+  body('dosePhases.*.amount')
+    .isFloat({ min: 0 })
+    .withMessage('Phase dosage amount must be a number'),
+  body('dosePhases.*.unit')
+    .optional({ checkFalsy: true })
+    .isIn(['tablet', 'capsule', 'ml', 'mg', 'g', 'tsp', 'tbsp', 'puff', 'drop', 'patch'])
+    .withMessage('Valid phase dosage unit is required'),
+  body('dosePhases.*.slotAmounts.*.time')
+    .matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage('Valid time format (HH:MM) is required for slot amounts'),
+  body('dosePhases.*.slotAmounts.*.amount')
+    .isFloat({ min: 0 })
+    .withMessage('Slot dosage amount must be a number')
+];
+
+// As-needed (PRN) limit checks shared by create and update
+const prnLimitValidation = [
+  body('prnLimits.maxDosesPer24h')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Max doses per 24 hours must be at least 1'),
+  body('prnLimits.minIntervalMinutes')
+    .optional({ nullable: true })
+    .isInt({ min: 0 })
+    .withMessage('Minimum interval must be 0 or more minutes'),
+  body('prnLimits.enforcement')
+    .optional()
+    .isIn(['warn', 'block'])
+    .withMessage('PRN limit enforcement must be warn or block')
+];
+
+// Reminder lead time checks shared by create and update
+const reminderValidation = [
+  body('reminders.enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('reminders.enabled must be a boolean'),
+  body('reminders.timesBefore')
+    .optional()
+    .isArray({ max: 5 })
+    .withMessage('Up to 5 reminder lead times are allowed'),
+  body('reminders.timesBefore.*')
+    .isInt({ min: 1, max: 1440 })
+    .withMessage('Reminder lead times must be between 1 and 1440 minutes')
+];
+
+// Recurrence rule checks shared by create and update
+const recurrenceValidation = [
+  body('recurrence.pattern')
+    .optional()
+    .isIn(['daily', 'weekdays', 'interval', 'cycle', 'monthly'])
+    .withMessage('Valid recurrence pattern is required'),
+  body('recurrence.daysOfWeek')
+    .if(body('recurrence.pattern').equals('weekdays'))
+    .isArray({ min: 1 })
+    .withMessage('At least one weekday is required for a weekday schedule'),
+  body('recurrence.daysOfWeek.*')
+    .optional()
+    .isInt({ min: 0, max: 6 })
+    .withMessage('Weekdays must be between 0 (Sunday) and 6 (Saturday)'),
+  body('recurrence.interval')
+    .if(body('recurrence.pattern').equals('interval'))
+    .isInt({ min: 1 })
+    .withMessage('Interval must be a whole number of days'),
+  body('recurrence.cycle.daysOn')
+    .if(body('recurrence.pattern').equals('cycle'))
+    .isInt({ min: 1 })
+    .withMessage('Cycle days on must be at least 1'),
+  body('recurrence.cycle.daysOff')
+    .if(body('recurrence.pattern').equals('cycle'))
+    .isInt({ min: 0 })
+    .withMessage('Cycle days off must be 0 or more'),
+  body('recurrence.dayOfMonth')
+    .if(body('recurrence.pattern').equals('monthly'))
+    .isInt({ min: 1, max: 31 })
+    .withMessage('Day of month must be between 1 and 31')
+];
+
+// Refill reminder settings a regimen update may change; the rest is stock bookkeeping
+const EDITABLE_REFILL_FIELDS = ['enabled', 'daysBeforeEmpty'];
+
+// Keep pending dose logs in line with the regimen's current schedule.
+// Failures are logged rather than surfaced; the hourly job will catch up.
+const syncPendingDoses = async (regimen, timezone) => {
+  try {
+    await doseMaterializationService.regenerateRegimen(regimen, timezone);
+  } catch (error) {
+    console.error('Pending dose sync error:', error);
+  }
+};
+
+// Interaction warnings between a regimen's medication and the same profile's other active regimens.
+// Warnings never block the save, and a failed check must not fail the request either.
+const getInteractionWarnings = async (regimen) => {
+  if (!regimen.isActive || !regimen.medication) return [];
+
+  try {
+    const others = await Regimen.find({
+      user: regimen.user,
+      profile: regimen.profile || null,
+      isActive: true,
+      _id: { $ne: regimen._id }
+    }).populate('medication');
+
+    const otherMedications = others
+      .map(other => other.medication)
+      .filter(Boolean);
+
+    return interactionService.checkAgainst(regimen.medication, otherMedications);
+  } catch (error) {
+    console.error('Interaction check error:', error);
+    return [];
+  }
+};
+
 // @route   GET /api/regimens
 // @desc    Get user's regimens
 // @access  Private
-router.get('/', auth, [
+router.get('/', auth, patientAccess('canViewMedications'), [
   query('active').optional().isBoolean(),
   query('page').optional().isInt({ min: 1 }),
   query('limit').optional().isInt({ min: 1, max: 100 })
 ], validateRequest, async (req, res) => {
   try {
+    const timezone = resolveTimezone(req.patient);
+    
     const { active, page = 1, limit = 20 } = req.query;
     
-    let query = { user: req.user._id };
+    let query = { ...req.scope };
     
     if (active !== undefined) {
       query.isActive = active === 'true';
@@ -39,8 +175,8 @@ router.get('/', auth, [
     const regimensWithVirtuals = regimens.map(regimen => ({
       ...regimen.toObject(),
       scheduleTimes: regimen.scheduleTimes,
-      isCurrentlyActive: regimen.isCurrentlyActive(),
-      nextDoseTime: regimen.getNextDoseTime()
+      isCurrentlyActive: regimen.isCurrentlyActive(timezone),
+      nextDoseTime: regimen.getNextDoseTime(timezone)
     }));
     
     res.json({
@@ -62,11 +198,13 @@ router.get('/', auth, [
 // @route   GET /api/regimens/:id
 // @desc    Get single regimen
 // @access  Private
-router.get('/:id', auth, async (req, res) => {
+router.get('/:id', auth, patientAccess('canViewMedications'), async (req, res) => {
   try {
+    const timezone = resolveTimezone(req.patient);
+    
     const regimen = await Regimen.findOne({
       _id: req.params.id,
-      user: req.user._id
+      ...req.scope
     }).populate('medication');
     
     if (!regimen) {
@@ -77,8 +215,8 @@ router.get('/:id', auth, async (req, res) => {
       regimen: {
         ...regimen.toObject(),
         scheduleTimes: regimen.scheduleTimes,
-        isCurrentlyActive: regimen.isCurrentlyActive(),
-        nextDoseTime: regimen.getNextDoseTime()
+        isCurrentlyActive: regimen.isCurrentlyActive(timezone),
+        nextDoseTime: regimen.getNextDoseTime(timezone)
       }
     });
   } catch (error) {
@@ -90,7 +228,7 @@ router.get('/:id', auth, async (req, res) => {
 // @route   POST /api/regimens
 // @desc    Create new regimen
 // @access  Private
-router.post('/', auth, [
+router.post('/', auth, patientAccess('owner'), [
   body('medication')
     .isMongoId()
     .withMessage('Valid medication ID is required'),
@@ -117,11 +255,24 @@ router.post('/', auth, [
   body('customSchedule.*.time')
     .if(body('frequency').equals('custom'))
     .matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/)
-    .withMessage('Valid time format (HH:MM) is required for custom schedule')
+    .withMessage('Valid time format (HH:MM) is required for custom schedule'),
+  body('isCritical')
+    .optional()
+    .isBoolean()
+    .withMessage('isCritical must be a boolean'),
+  ...dosePhaseValidation,
+  ...prnLimitValidation,
+  ...reminderValidation,
+  ...recurrenceValidation
 ], validateRequest, async (req, res) => {
   try {
-    // Verify medication exists
-    const medication = await Medication.findById(req.body.medication);
+    const timezone = resolveTimezone(req.user);
+    
+    // Verify medication exists and is in the catalog or owned by the user
+    const medication = await Medication.findOne({
+      _id: req.body.medication,
+      ...Medication.visibleTo(req.user)
+    });
     if (!medication) {
       return res.status(404).json({ message: 'Medication not found' });
     }
@@ -131,21 +282,35 @@ router.post('/', auth, [
       return res.status(400).json({ message: 'End date must be after start date' });
     }
     
+    // Validate dose phases are ordered and don't overlap
+    const phaseConflict = Regimen.findDosePhaseConflict(req.body.dosePhases);
+    if (phaseConflict) {
+      return res.status(400).json({ message: phaseConflict });
+    }
+    
     const regimen = new Regimen({
       ...req.body,
-      user: req.user._id
+      ...req.scope,
+      // Keep the display info in step with the dependent profile
+      patientInfo: req.profile ?
+        { name: req.profile.name, relationship: req.profile.relationship } :
+        req.body.patientInfo
     });
     
     await regimen.save();
+    await auditService.recordCreate('Regimen', regimen, auditService.fromRequest(req));
+    await syncPendingDoses(regimen, timezone);
     await regimen.populate('medication');
+    const warnings = await getInteractionWarnings(regimen);
     
     res.status(201).json({
       message: 'Regimen created successfully',
+      warnings,
       regimen: {
         ...regimen.toObject(),
         scheduleTimes: regimen.scheduleTimes,
-        isCurrentlyActive: regimen.isCurrentlyActive(),
-        nextDoseTime: regimen.getNextDoseTime()
+        isCurrentlyActive: regimen.isCurrentlyActive(timezone),
+        nextDoseTime: regimen.getNextDoseTime(timezone)
       }
     });
   } catch (error) {
@@ -157,7 +322,7 @@ router.post('/', auth, [
 // @route   PUT /api/regimens/:id
 // @desc    Update regimen
 // @access  Private
-router.put('/:id', auth, [
+router.put('/:id', auth, patientAccess('owner'), [
   body('medication')
     .optional()
     .isMongoId()
@@ -181,13 +346,23 @@ router.put('/:id', auth, [
   body('endDate')
     .optional()
     .isISO8601()
-    .withMessage('Valid end date is required')
+    .withMessage('Valid end date is required'),
+  body('isCritical')
+    .optional()
+    .isBoolean()
+    .withMessage('isCritical must be a boolean'),
+  ...dosePhaseValidation,
+  ...prnLimitValidation,
+  ...reminderValidation,
+  ...recurrenceValidation
 ], validateRequest, async (req, res) => {
   try {
+    const timezone = resolveTimezone(req.user);
+    
     // Find regimen
     const regimen = await Regimen.findOne({
       _id: req.params.id,
-      user: req.user._id
+      ...req.scope
     });
     
     if (!regimen) {
@@ -196,7 +371,10 @@ router.put('/:id', auth, [
     
     // Verify medication exists if being updated
     if (req.body.medication) {
-      const medication = await Medication.findById(req.body.medication);
+      const medication = await Medication.findOne({
+        _id: req.body.medication,
+        ...Medication.visibleTo(req.user)
+      });
       if (!medication) {
         return res.status(404).json({ message: 'Medication not found' });
       }
@@ -208,18 +386,37 @@ router.put('/:id', auth, [
       return res.status(400).json({ message: 'End date must be after start date' });
     }
     
-    // Update regimen
-    Object.assign(regimen, req.body);
+    // Validate dose phases are ordered and don't overlap
+    const phaseConflict = Regimen.findDosePhaseConflict(req.body.dosePhases);
+    if (phaseConflict) {
+      return res.status(400).json({ message: phaseConflict });
+    }
+    
+    // Update regimen; ownership fields and stock bookkeeping are never taken
+    // from the request. Stock only changes through dose logs and refills.
+    const { user, profile, refillHistory, refillReminder, ...updates } = req.body;
+    const original = auditService.snapshot(regimen);
+    Object.assign(regimen, updates);
+    if (refillReminder) {
+      // Set field by field so unmentioned settings and stock are kept
+      EDITABLE_REFILL_FIELDS
+        .filter(field => refillReminder[field] !== undefined)
+        .forEach(field => regimen.set(`refillReminder.${field}`, refillReminder[field]));
+    }
     await regimen.save();
+    await auditService.recordUpdate('Regimen', original, regimen, auditService.fromRequest(req));
+    await syncPendingDoses(regimen, timezone);
     await regimen.populate('medication');
+    const warnings = await getInteractionWarnings(regimen);
     
     res.json({
       message: 'Regimen updated successfully',
+      warnings,
       regimen: {
         ...regimen.toObject(),
         scheduleTimes: regimen.scheduleTimes,
-        isCurrentlyActive: regimen.isCurrentlyActive(),
-        nextDoseTime: regimen.getNextDoseTime()
+        isCurrentlyActive: regimen.isCurrentlyActive(timezone),
+        nextDoseTime: regimen.getNextDoseTime(timezone)
       }
     });
   } catch (error) {
@@ -231,17 +428,22 @@ router.put('/:id', auth, [
 // @route   DELETE /api/regimens/:id
 // @desc    Delete regimen
 // @access  Private
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', auth, patientAccess('owner'), async (req, res) => {
   try {
     const regimen = await Regimen.findOneAndDelete({
       _id: req.params.id,
-      user: req.user._id
+      ...req.scope
     });
     
     if (!regimen) {
       return res.status(404).json({ message: 'Regimen not found' });
     }
     
+    await auditService.recordDelete('Regimen', regimen, auditService.fromRequest(req));
+    
+    // Drop every unlogged dose so no reminders fire for a deleted regimen
+    await doseMaterializationService.clearFutureDoses(regimen._id, new Date(0));
+    
     res.json({ message: 'Regimen deleted successfully' });
   } catch (error) {
     console.error('Delete regimen error:', error);
@@ -252,27 +454,32 @@ router.delete('/:id', auth, async (req, res) => {
 // @route   PUT /api/regimens/:id/toggle
 // @desc    Toggle regimen active status
 // @access  Private
-router.put('/:id/toggle', auth, async (req, res) => {
+router.put('/:id/toggle', auth, patientAccess('owner'), async (req, res) => {
   try {
+    const timezone = resolveTimezone(req.user);
+    
     const regimen = await Regimen.findOne({
       _id: req.params.id,
-      user: req.user._id
+      ...req.scope
     }).populate('medication');
     
     if (!regimen) {
       return res.status(404).json({ message: 'Regimen not found' });
     }
     
+    const original = auditService.snapshot(regimen);
     regimen.isActive = !regimen.isActive;
     await regimen.save();
+    await auditService.recordUpdate('Regimen', original, regimen, auditService.fromRequest(req));
+    await syncPendingDoses(regimen, timezone);
     
     res.json({
       message: `Regimen ${regimen.isActive ? 'activated' : 'deactivated'} successfully`,
       regimen: {
         ...regimen.toObject(),
         scheduleTimes: regimen.scheduleTimes,
-        isCurrentlyActive: regimen.isCurrentlyActive(),
-        nextDoseTime: regimen.getNextDoseTime()
+        isCurrentlyActive: regimen.isCurrentlyActive(timezone),
+        nextDoseTime: regimen.getNextDoseTime(timezone)
       }
     });
   } catch (error) {
@@ -281,41 +488,123 @@ router.put('/:id/toggle', auth, async (req, res) => {
   }
 });
 
+// @route   POST /api/regimens/:id/refill
+// @desc    Record a refill and add its quantity to stock
+// @access  Private
+router.post('/:id/refill', auth, patientAccess('canLogDoses'), [
+  body('quantity')
+    .isFloat({ gt: 0 })
+    .withMessage('Refill quantity must be a positive number'),
+  body('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid refill date is required'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters')
+], validateRequest, async (req, res) => {
+  try {
+    const timezone = resolveTimezone(req.patient);
+    const { quantity, date, notes } = req.body;
+    
+    const regimen = await inventoryService.recordRefill(req.params.id, req.scope, {
+      quantity: parseFloat(quantity),
+      date: date || new Date(),
+      notes
+    });
+    
+    if (!regimen) {
+      return res.status(404).json({ message: 'Regimen not found' });
+    }
+    
+    const stock = regimen.refillReminder.currentStock;
+    await auditService.record({
+      entityType: 'Regimen',
+      entityId: regimen._id,
+      user: regimen.user,
+      action: 'update',
+      ...auditService.fromRequest(req),
+      reason: `Refill of ${parseFloat(quantity)} recorded`,
+      before: { refillReminder: { currentStock: stock - parseFloat(quantity) } },
+      after: { refillReminder: { currentStock: stock, lastRefillDate: regimen.refillReminder.lastRefillDate } }
+    });
+    
+    res.json({
+      message: 'Refill recorded successfully',
+      regimen,
+      inventory: await inventoryService.getProjection(regimen, timezone)
+    });
+  } catch (error) {
+    console.error('Record refill error:', error);
+    res.status(500).json({ message: 'Server error while recording refill' });
+  }
+});
+
+// @route   GET /api/regimens/:id/inventory
+// @desc    Get current stock and projected run-out date
+// @access  Private
+router.get('/:id/inventory', auth, patientAccess('canViewMedications'), async (req, res) => {
+  try {
+    const timezone = resolveTimezone(req.patient);
+    
+    const regimen = await Regimen.findOne({
+      _id: req.params.id,
+      ...req.scope
+    });
+    
+    if (!regimen) {
+      return res.status(404).json({ message: 'Regimen not found' });
+    }
+    
+    res.json({
+      inventory: await inventoryService.getProjection(regimen, timezone),
+      refillHistory: regimen.refillHistory
+    });
+  } catch (error) {
+    console.error('Get inventory error:', error);
+    res.status(500).json({ message: 'Server error while fetching inventory' });
+  }
+});
+
 // @route   GET /api/regimens/today/schedule
 // @desc    Get today's medication schedule
 // @access  Private
-router.get('/today/schedule', auth, async (req, res) => {
+router.get('/today/schedule', auth, patientAccess('canViewMedications'), async (req, res) => {
   try {
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
+    const timezone = resolveTimezone(req.patient);
     
-    const tomorrow = new Date(today);
-    tomorrow.setDate(tomorrow.getDate() + 1);
+    // "Today" is the user's calendar day, not the server's
+    const { start: today, end: endOfToday } = getZonedDayRange(new Date(), timezone);
     
     const regimens = await Regimen.find({
-      user: req.user._id,
+      ...req.scope,
       isActive: true,
-      startDate: { $lte: today },
+      startDate: { $lte: endOfToday },
+      // End dates are stored as calendar days, so allow a day of slack here
+      // and let getDoseTimesBetween apply the exact window
       $or: [
         { endDate: { $exists: false } },
         { endDate: null },
-        { endDate: { $gte: today } }
+        { endDate: { $gte: new Date(today.getTime() - 24 * 60 * 60 * 1000) } }
       ]
     }).populate('medication', 'name genericName category form strength');
     
     const schedule = [];
     
     regimens.forEach(regimen => {
-      const times = regimen.scheduleTimes;
-      times.forEach(time => {
-        const [hours, minutes] = time.split(':');
-        const scheduledTime = new Date(today);
-        scheduledTime.setHours(parseInt(hours), parseInt(minutes), 0, 0);
+      regimen.getDoseTimesBetween(today, endOfToday, timezone).forEach(scheduledTime => {
+        const time = regimen.scheduleTimes.find(scheduleTime => {
+          const [hours, minutes] = scheduleTime.split(':');
+          const parts = getZonedParts(scheduledTime, timezone);
+          return parts.hour === parseInt(hours) && parts.minute === parseInt(minutes);
+        }) || null;
         
         schedule.push({
           regimen: regimen._id,
           medication: regimen.medication,
-          dosage: regimen.dosage,
+          dosage: regimen.getDosageFor(scheduledTime, timezone),
           scheduledTime,
           time,
           label: regimen.frequency === 'custom' ? 
@@ -328,7 +617,7 @@ router.get('/today/schedule', auth, async (req, res) => {
     // Sort by scheduled time
     schedule.sort((a, b) => a.scheduledTime - b.scheduledTime);
     
-    res.json({ schedule });
+    res.json({ schedule, timezone });
   } catch (error) {
     console.error('Get today schedule error:', error);
     res.status(500).json({ message: 'Server error while fetching today\'s schedule' });
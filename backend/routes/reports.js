@@ -3,19 +3,31 @@ const { query } = require('express-validator');
 const DoseLog = require('../models/DoseLog');
 const Regimen = require('../models/Regimen');
 const auth = require('../middleware/auth');
+const patientAccess = require('../middleware/patientAccess');
 const validateRequest = require('../middleware/validation');
 const pdfService = require('../services/pdfService');
 const memoryManager = require('../utils/memoryManager');
+const {
+  resolveTimezone,
+  zonedTimeToUtc,
+  getZonedParts,
+  getZonedDateKey
+} = require('../utils/timezone');
 
 const router = express.Router();
 
+// Name printed on exported reports: the dependent profile, or the account holder
+const getPatientName = (req) =>
+  req.profile ? req.profile.name : `${req.patient.firstName} ${req.patient.lastName}`;
+
 // @route   GET /api/reports/adherence-stats
 // @desc    Get adherence statistics for dashboard
 // @access  Private
-router.get('/adherence-stats', auth, [
+router.get('/adherence-stats', auth, patientAccess('canViewMedications'), [
   query('period').optional().isIn(['week', 'month', 'year'])
 ], validateRequest, async (req, res) => {
   try {
+    const timezone = resolveTimezone(req.patient);
     const { period = 'month' } = req.query;
 
     // Calculate date ranges based on period
@@ -50,10 +62,10 @@ router.get('/adherence-stats', auth, [
     }
 
     // Get current period stats
-    const currentStats = await DoseLog.getAdherenceStats(req.user._id, startDate, today);
+    const currentStats = await DoseLog.getAdherenceStats(req.patient._id, startDate, today, req.scope.profile);
 
     // Get previous period stats for comparison
-    const previousStats = await DoseLog.getAdherenceStats(req.user._id, previousStartDate, previousEndDate);
+    const previousStats = await DoseLog.getAdherenceStats(req.patient._id, previousStartDate, previousEndDate, req.scope.profile);
 
     // Calculate trends (change from previous period)
     const adherenceTrend = Math.round((currentStats.adherenceRate - previousStats.adherenceRate) * 10) / 10;
@@ -62,7 +74,7 @@ router.get('/adherence-stats', auth, [
     const takenLateTrend = Math.round((currentStats.takenLateRate - previousStats.takenLateRate) * 10) / 10;
 
     // Get streak information
-    const streakInfo = await DoseLog.getStreakInfo(req.user._id);
+    const streakInfo = await DoseLog.getStreakInfo(req.patient._id, timezone, req.scope.profile);
 
     // Format the response
     const responseData = {
@@ -89,16 +101,18 @@ router.get('/adherence-stats', auth, [
 // @route   GET /api/reports/adherence
 // @desc    Get detailed adherence report
 // @access  Private
-router.get('/adherence', auth, [
+router.get('/adherence', auth, patientAccess('canViewMedications'), [
   query('startDate').optional().isISO8601(),
   query('endDate').optional().isISO8601(),
   query('format').isIn(['json', 'csv', 'pdf']).withMessage('Valid format is required')
 ], validateRequest, async (req, res) => {
   try {
     // Calculate tomorrow's date as the maximum allowed end date
-    const tomorrow = new Date();
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    tomorrow.setHours(23, 59, 59, 999);
+    const timezone = resolveTimezone(req.patient);
+    const today = getZonedParts(new Date(), timezone);
+    const tomorrow = new Date(
+      zonedTimeToUtc({ year: today.year, month: today.month, day: today.day + 2 }, timezone).getTime() - 1
+    );
 
     const {
       startDate = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000), // 30 days ago
@@ -113,15 +127,15 @@ router.get('/adherence', auth, [
     if (end > tomorrow) {
       end = tomorrow;    }
     // Get overall stats
-    const overallStats = await DoseLog.getAdherenceStats(req.user._id, start, end);
+    const overallStats = await DoseLog.getAdherenceStats(req.patient._id, start, end, req.scope.profile);
 
     // Get medication-specific stats using memory-safe aggregation
     const medicationStatsPipeline = [
       {
-        $match: {
-          user: req.user._id,
+        $match: DoseLog.resolvedScheduled({
+          ...req.scope,
           scheduledTime: { $gte: start, $lte: end }
-        }
+        })
       },
       {
         $lookup: {
@@ -175,19 +189,19 @@ router.get('/adherence', auth, [
     // Get daily adherence data for chart using memory-safe aggregation
     const dailyAdherencePipeline = [
       {
-        $match: {
-          user: req.user._id,
+        $match: DoseLog.resolvedScheduled({
+          ...req.scope,
           scheduledTime: { $gte: start, $lte: end }
-        }
+        })
       },
       {
         $group: {
           _id: {
-            year: { $year: '$scheduledTime' },
-            month: { $month: '$scheduledTime' },
-            day: { $dayOfMonth: '$scheduledTime' }
+            year: { $year: { date: '$scheduledTime', timezone } },
+            month: { $month: { date: '$scheduledTime', timezone } },
+            day: { $dayOfMonth: { date: '$scheduledTime', timezone } }
           },
-          date: { $first: { $dateToString: { format: "%Y-%m-%d", date: "$scheduledTime" } } },
+          date: { $first: { $dateToString: { format: "%Y-%m-%d", date: "$scheduledTime", timezone } } },
           totalDoses: { $sum: 1 },
           takenDoses: {
             $sum: { $cond: [{ $eq: ['$status', 'taken'] }, 1, 0] }
@@ -216,7 +230,7 @@ router.get('/adherence', auth, [
     const missedMedicationsPipeline = [
       {
         $match: {
-          user: req.user._id,
+          ...req.scope,
           status: 'missed',
           scheduledTime: { $gte: start, $lte: end }
         }
@@ -281,6 +295,7 @@ router.get('/adherence', auth, [
       // Transform data to match PDFService expectations
       const pdfData = {
         reportPeriod: report.reportPeriod,
+        patientName: getPatientName(req),
 
         // Map overallStats to top-level properties
         overallAdherence: report.overallStats?.adherenceRate || 0,
@@ -341,13 +356,14 @@ router.get('/adherence', auth, [
 // @route   GET /api/reports/calendar
 // @desc    Get calendar heatmap data
 // @access  Private
-router.get('/calendar', auth, [
+router.get('/calendar', auth, patientAccess('canViewMedications'), [
   query('year').optional().isInt({ min: 2020, max: 2030 }),
   query('month').optional().isInt({ min: 1, max: 12 })
 ], validateRequest, async (req, res) => {
   try {
+    const timezone = resolveTimezone(req.patient);
     const {
-      year = new Date().getFullYear(),
+      year = getZonedParts(new Date(), timezone).year,
       month
     } = req.query;
 
@@ -355,29 +371,29 @@ router.get('/calendar', auth, [
 
     if (month) {
       // Get specific month
-      start = new Date(year, month - 1, 1);
-      end = new Date(year, month, 0);
+      start = zonedTimeToUtc({ year: Number(year), month: Number(month), day: 1 }, timezone);
+      end = new Date(zonedTimeToUtc({ year: Number(year), month: Number(month) + 1, day: 1 }, timezone).getTime() - 1);
     } else {
       // Get entire year
-      start = new Date(year, 0, 1);
-      end = new Date(year, 11, 31);
+      start = zonedTimeToUtc({ year: Number(year), month: 1, day: 1 }, timezone);
+      end = new Date(zonedTimeToUtc({ year: Number(year) + 1, month: 1, day: 1 }, timezone).getTime() - 1);
     }
 
     const calendarData = await DoseLog.aggregate([
       {
-        $match: {
-          user: req.user._id,
+        $match: DoseLog.resolvedScheduled({
+          ...req.scope,
           scheduledTime: { $gte: start, $lte: end }
-        }
+        })
       },
       {
         $group: {
           _id: {
-            year: { $year: '$scheduledTime' },
-            month: { $month: '$scheduledTime' },
-            day: { $dayOfMonth: '$scheduledTime' }
+            year: { $year: { date: '$scheduledTime', timezone } },
+            month: { $month: { date: '$scheduledTime', timezone } },
+            day: { $dayOfMonth: { date: '$scheduledTime', timezone } }
           },
-          date: { $first: { $dateToString: { format: "%Y-%m-%d", date: "$scheduledTime" } } },
+          date: { $first: { $dateToString: { format: "%Y-%m-%d", date: "$scheduledTime", timezone } } },
           totalDoses: { $sum: 1 },
           takenDoses: {
             $sum: { $cond: [{ $eq: ['$status', 'taken'] }, 1, 0] }
@@ -430,10 +446,11 @@ router.get('/calendar', auth, [
 // @route   GET /api/reports/trends
 // @desc    Get adherence trends and insights
 // @access  Private
-router.get('/trends', auth, [
+router.get('/trends', auth, patientAccess('canViewMedications'), [
   query('period').optional().isIn(['week', 'month', 'quarter', 'year'])
 ], validateRequest, async (req, res) => {
   try {
+    const timezone = resolveTimezone(req.patient);
     const { period = 'month' } = req.query;
 
     let start = new Date();
@@ -456,14 +473,14 @@ router.get('/trends', auth, [
     // Get trends by time of day
     const timeOfDayTrends = await DoseLog.aggregate([
       {
-        $match: {
-          user: req.user._id,
+        $match: DoseLog.resolvedScheduled({
+          ...req.scope,
           scheduledTime: { $gte: start }
-        }
+        })
       },
       {
         $addFields: {
-          hour: { $hour: '$scheduledTime' }
+          hour: { $hour: { date: '$scheduledTime', timezone } }
         }
       },
       {
@@ -493,14 +510,14 @@ router.get('/trends', auth, [
     // Get trends by day of week
     const dayOfWeekTrends = await DoseLog.aggregate([
       {
-        $match: {
-          user: req.user._id,
+        $match: DoseLog.resolvedScheduled({
+          ...req.scope,
           scheduledTime: { $gte: start }
-        }
+        })
       },
       {
         $addFields: {
-          dayOfWeek: { $dayOfWeek: '$scheduledTime' }
+          dayOfWeek: { $dayOfWeek: { date: '$scheduledTime', timezone } }
         }
       },
       {
@@ -541,10 +558,10 @@ router.get('/trends', auth, [
     ]);
 
     // Calculate streak information
-    const recentDoses = await DoseLog.find({
-      user: req.user._id,
+    const recentDoses = await DoseLog.find(DoseLog.resolvedScheduled({
+      ...req.scope,
       scheduledTime: { $gte: start }
-    }).sort({ scheduledTime: -1 }).limit(30);
+    })).sort({ scheduledTime: -1 }).limit(30);
 
     let currentStreak = 0;
     let longestStreak = 0;
@@ -552,7 +569,7 @@ router.get('/trends', auth, [
 
     const dailyAdherence = {};
     recentDoses.forEach(dose => {
-      const dateKey = dose.scheduledTime.toISOString().split('T')[0];
+      const dateKey = getZonedDateKey(dose.scheduledTime, timezone);
       if (!dailyAdherence[dateKey]) {
         dailyAdherence[dateKey] = { taken: 0, total: 0 };
       }
@@ -608,39 +625,40 @@ router.get('/trends', auth, [
 // @route   GET /api/reports/calendar-heatmap
 // @desc    Get calendar heatmap data for adherence visualization
 // @access  Private
-router.get('/calendar-heatmap', auth, [
+router.get('/calendar-heatmap', auth, patientAccess('canViewMedications'), [
   query('year').optional().isInt({ min: 2020, max: 2030 })
 ], validateRequest, async (req, res) => {
   try {
+    const timezone = resolveTimezone(req.patient);
     let { year } = req.query;
 
     // If no year provided, find the most recent year with data
     if (!year) {
       const latestYear = await DoseLog.aggregate([
-        { $match: { user: req.user._id } },
-        { $group: { _id: { $year: '$scheduledTime' } } },
+        { $match: { ...req.scope } },
+        { $group: { _id: { $year: { date: '$scheduledTime', timezone } } } },
         { $sort: { _id: -1 } },
         { $limit: 1 }
       ]);
 
-      year = latestYear.length > 0 ? latestYear[0]._id : new Date().getFullYear();
+      year = latestYear.length > 0 ? latestYear[0]._id : getZonedParts(new Date(), timezone).year;
     }
 
-    const startDate = new Date(`${year}-01-01`);
-    const endDate = new Date(`${year}-12-31`);
+    const startDate = zonedTimeToUtc({ year: Number(year), month: 1, day: 1 }, timezone);
+    const endDate = new Date(zonedTimeToUtc({ year: Number(year) + 1, month: 1, day: 1 }, timezone).getTime() - 1);
 
     // Get daily adherence data for the year
     const dailyAdherence = await DoseLog.aggregate([
       {
-        $match: {
-          user: req.user._id,
+        $match: DoseLog.resolvedScheduled({
+          ...req.scope,
           scheduledTime: { $gte: startDate, $lte: endDate }
-        }
+        })
       },
       {
         $group: {
           _id: {
-            $dateToString: { format: '%Y-%m-%d', date: '$scheduledTime' }
+            $dateToString: { format: '%Y-%m-%d', date: '$scheduledTime', timezone }
           },
           totalDoses: { $sum: 1 },
           takenDoses: {
@@ -680,10 +698,11 @@ router.get('/calendar-heatmap', auth, [
 // @route   GET /api/reports/weekly-trends
 // @desc    Get weekly adherence trends
 // @access  Private
-router.get('/weekly-trends', auth, [
+router.get('/weekly-trends', auth, patientAccess('canViewMedications'), [
   query('weeks').optional().isInt({ min: 1, max: 52 })
 ], validateRequest, async (req, res) => {
   try {
+    const timezone = resolveTimezone(req.patient);
     const { weeks = 12 } = req.query;
 
     const startDate = new Date();
@@ -692,15 +711,15 @@ router.get('/weekly-trends', auth, [
     // Get weekly adherence data
     const weeklyData = await DoseLog.aggregate([
       {
-        $match: {
-          user: req.user._id,
+        $match: DoseLog.resolvedScheduled({
+          ...req.scope,
           scheduledTime: { $gte: startDate }
-        }
+        })
       },
       {
         $addFields: {
-          year: { $year: '$scheduledTime' },
-          week: { $week: '$scheduledTime' }
+          year: { $year: { date: '$scheduledTime', timezone } },
+          week: { $week: { date: '$scheduledTime', timezone } }
         }
       },
       {
@@ -722,7 +741,7 @@ router.get('/weekly-trends', auth, [
             }
           },
           weekLabel: {
-            $dateToString: { format: '%b %d', date: '$firstDayOfWeek' }
+            $dateToString: { format: '%b %d', date: '$firstDayOfWeek', timezone }
           }
         }
       },
@@ -741,7 +760,7 @@ router.get('/weekly-trends', auth, [
 // @route   GET /api/reports/most-missed-medications
 // @desc    Get most commonly missed medications
 // @access  Private
-router.get('/most-missed-medications', auth, async (req, res) => {
+router.get('/most-missed-medications', auth, patientAccess('canViewMedications'), async (req, res) => {
   try {
     const thirtyDaysAgo = new Date();
     thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
@@ -749,10 +768,10 @@ router.get('/most-missed-medications', auth, async (req, res) => {
     // Get medication miss rates
     const missedMedications = await DoseLog.aggregate([
       {
-        $match: {
-          user: req.user._id,
+        $match: DoseLog.resolvedScheduled({
+          ...req.scope,
           scheduledTime: { $gte: thirtyDaysAgo }
-        }
+        })
       },
       {
         $lookup: {
@@ -828,15 +847,87 @@ router.get('/most-missed-medications', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/reports/prn-usage
+// @desc    Get as-needed (PRN) usage frequency, reported separately from scheduled adherence
+// @access  Private
+router.get('/prn-usage', auth, patientAccess('canViewMedications'), [
+  query('days').optional().isInt({ min: 1, max: 365 })
+], validateRequest, async (req, res) => {
+  try {
+    const timezone = resolveTimezone(req.patient);
+    const days = parseInt(req.query.days) || 30;
+    const start = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+    // Daily intake counts per regimen, bucketed by the user's calendar day
+    const dailyUsage = await DoseLog.aggregate([
+      {
+        $match: {
+          ...req.scope,
+          isPrn: true,
+          status: 'taken',
+          actualTime: { $gte: start }
+        }
+      },
+      {
+        $group: {
+          _id: {
+            regimen: '$regimen',
+            date: { $dateToString: { format: '%Y-%m-%d', date: '$actualTime', timezone } }
+          },
+          count: { $sum: 1 },
+          limitWarnings: {
+            $sum: { $cond: ['$prnLimitExceeded', 1, 0] }
+          }
+        }
+      },
+      {
+        $sort: { '_id.date': 1 }
+      }
+    ]);
+
+    const regimenIds = [...new Set(dailyUsage.map(day => day._id.regimen.toString()))];
+    const regimens = await Regimen.find({ _id: { $in: regimenIds }, ...req.scope })
+      .populate('medication', 'name')
+      .select('medication prnLimits dosage');
+
+    const usage = regimens.map(regimen => {
+      const regimenDays = dailyUsage.filter(day => day._id.regimen.toString() === regimen._id.toString());
+      const totalDoses = regimenDays.reduce((sum, day) => sum + day.count, 0);
+
+      return {
+        regimen: regimen._id,
+        medication: regimen.medication?.name || 'Unknown',
+        limits: regimen.prnLimits,
+        totalDoses,
+        daysUsed: regimenDays.length,
+        averagePerDay: Math.round((totalDoses / days) * 100) / 100,
+        maxInADay: Math.max(0, ...regimenDays.map(day => day.count)),
+        limitWarnings: regimenDays.reduce((sum, day) => sum + day.limitWarnings, 0),
+        daily: regimenDays.map(day => ({ date: day._id.date, count: day.count }))
+      };
+    }).sort((a, b) => b.totalDoses - a.totalDoses);
+
+    res.json({
+      period: { start, end: new Date(), days },
+      totalDoses: usage.reduce((sum, item) => sum + item.totalDoses, 0),
+      usage
+    });
+  } catch (error) {
+    console.error('Get PRN usage error:', error);
+    res.status(500).json({ message: 'Server error while getting as-needed usage' });
+  }
+});
+
 // @route   GET /api/reports/dose-logs/export
 // @desc    Export dose logs as PDF or CSV
 // @access  Private
-router.get('/dose-logs/export', auth, [
+router.get('/dose-logs/export', auth, patientAccess('canViewMedications'), [
   query('format').isIn(['pdf', 'csv']).withMessage('Valid format is required'),
   query('startDate').optional().isISO8601(),
   query('endDate').optional().isISO8601()
 ], validateRequest, async (req, res) => {
   try {
+    const timezone = resolveTimezone(req.patient);
     const {
       format,
       startDate = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000),
@@ -848,8 +939,9 @@ router.get('/dose-logs/export', auth, [
 
     // Get dose logs
     const doses = await DoseLog.find({
-      user: req.user._id,
-      scheduledTime: { $gte: start, $lte: end }
+      ...req.scope,
+      scheduledTime: { $gte: start, $lte: end },
+      status: { $ne: 'pending' }
     })
       .populate('medication')
       .populate('regimen')
@@ -857,21 +949,23 @@ router.get('/dose-logs/export', auth, [
       .limit(200);
 
     if (format === 'pdf') {
-      const pdfBuffer = await pdfService.generateDoseLogsReport({ doses });
+      const pdfBuffer = await pdfService.generateDoseLogsReport({ doses, patientName: getPatientName(req) });
       res.setHeader('Content-Type', 'application/pdf');
       res.setHeader('Content-Disposition', 'attachment; filename=dose-logs.pdf');
       return res.send(pdfBuffer);
     }
 
     if (format === 'csv') {
-      let csv = 'Date,Time,Medication,Status,Notes\n';
+      let csv = 'Date,Time,Medication,Type,Status,Notes\n';
       doses.forEach(dose => {
-        const date = dose.scheduledTime.toISOString().split('T')[0];
-        const time = dose.scheduledTime.toISOString().split('T')[1].substring(0, 5);
+        const date = getZonedDateKey(dose.scheduledTime, timezone);
+        const { hour, minute } = getZonedParts(dose.scheduledTime, timezone);
+        const time = `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
         const medication = dose.medication?.name || dose.regimen?.medication?.name || 'Unknown';
+        const type = dose.isPrn ? 'As needed' : 'Scheduled';
         const status = dose.status || 'pending';
         const notes = (dose.notes || '').replace(/"/g, '""');
-        csv += `"${date}","${time}","${medication}","${status}","${notes}"\n`;
+        csv += `"${date}","${time}","${medication}","${type}","${status}","${notes}"\n`;
       });
 
       res.setHeader('Content-Type', 'text/csv');
@@ -889,18 +983,22 @@ router.get('/dose-logs/export', auth, [
 // @route   GET /api/reports/medication-list/export
 // @desc    Export medication list as PDF or CSV
 // @access  Private
-router.get('/medication-list/export', auth, [
+router.get('/medication-list/export', auth, patientAccess('canViewMedications'), [
   query('format').isIn(['pdf', 'csv']).withMessage('Valid format is required')
 ], validateRequest, async (req, res) => {
   try {
     const { format } = req.query;
 
-    // Get user's active medications
-    const Medication = require('../models/Medication');
-    const medications = await Medication.find({ user: req.user._id, isActive: true });
+    // Medications on the profile's active regimens, each listed once
+    const regimens = await Regimen.find({ ...req.scope, isActive: true }).populate('medication');
+    const medications = [...new Map(
+      regimens
+        .filter(regimen => regimen.medication)
+        .map(regimen => [regimen.medication._id.toString(), regimen.medication])
+    ).values()];
 
     if (format === 'pdf') {
-      const pdfBuffer = await pdfService.generateMedicationListReport({ medications });
+      const pdfBuffer = await pdfService.generateMedicationListReport({ medications, patientName: getPatientName(req) });
       res.setHeader('Content-Type', 'application/pdf');
       res.setHeader('Content-Disposition', 'attachment; filename=medication-list.pdf');
       return res.send(pdfBuffer);
@@ -935,11 +1033,12 @@ router.get('/medication-list/export', auth, [
 // @route   GET /api/reports/missed-doses/export
 // @desc    Export missed doses as PDF or CSV
 // @access  Private
-router.get('/missed-doses/export', auth, [
+router.get('/missed-doses/export', auth, patientAccess('canViewMedications'), [
   query('format').isIn(['pdf', 'csv']).withMessage('Valid format is required'),
   query('days').optional().isInt({ min: 1, max: 365 })
 ], validateRequest, async (req, res) => {
   try {
+    const timezone = resolveTimezone(req.patient);
     const { format, days = 30 } = req.query;
 
     const startDate = new Date();
@@ -947,7 +1046,7 @@ router.get('/missed-doses/export', auth, [
 
     // Get missed doses
     const missedDoses = await DoseLog.find({
-      user: req.user._id,
+      ...req.scope,
       status: 'missed',
       scheduledTime: { $gte: startDate }
     })
@@ -957,7 +1056,7 @@ router.get('/missed-doses/export', auth, [
       .limit(100);
 
     if (format === 'pdf') {
-      const pdfBuffer = await pdfService.generateMissedDosesReport({ missedDoses });
+      const pdfBuffer = await pdfService.generateMissedDosesReport({ missedDoses, patientName: getPatientName(req) });
       res.setHeader('Content-Type', 'application/pdf');
       res.setHeader('Content-Disposition', 'attachment; filename=missed-doses.pdf');
       return res.send(pdfBuffer);
@@ -966,9 +1065,10 @@ router.get('/missed-doses/export', auth, [
     if (format === 'csv') {
       let csv = 'Date,Medication,Scheduled Time,Minutes Late,Reason\n';
       missedDoses.forEach(dose => {
-        const date = dose.scheduledTime.toISOString().split('T')[0];
+        const date = getZonedDateKey(dose.scheduledTime, timezone);
         const medication = (dose.medication?.name || dose.regimen?.medication?.name || 'Unknown').replace(/"/g, '""');
-        const time = dose.scheduledTime.toISOString().split('T')[1].substring(0, 5);
+        const { hour, minute } = getZonedParts(dose.scheduledTime, timezone);
+        const time = `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
         const minutesLate = dose.minutesLate || 0;
         const reason = (dose.notes || 'Not specified').replace(/"/g, '""');
 
@@ -990,28 +1090,29 @@ router.get('/missed-doses/export', auth, [
 // @route   GET /api/reports/calendar-data/export
 // @desc    Export calendar data as PDF or CSV
 // @access  Private
-router.get('/calendar-data/export', auth, [
+router.get('/calendar-data/export', auth, patientAccess('canViewMedications'), [
   query('format').isIn(['pdf', 'csv']).withMessage('Valid format is required'),
   query('year').optional().isInt({ min: 2020, max: 2030 })
 ], validateRequest, async (req, res) => {
   try {
-    const { format, year = new Date().getFullYear() } = req.query;
+    const timezone = resolveTimezone(req.patient);
+    const { format, year = getZonedParts(new Date(), timezone).year } = req.query;
 
-    const startDate = new Date(`${year}-01-01`);
-    const endDate = new Date(`${year}-12-31`);
+    const startDate = zonedTimeToUtc({ year: Number(year), month: 1, day: 1 }, timezone);
+    const endDate = new Date(zonedTimeToUtc({ year: Number(year) + 1, month: 1, day: 1 }, timezone).getTime() - 1);
 
     // Get calendar data
     const calendarData = await DoseLog.aggregate([
       {
-        $match: {
-          user: req.user._id,
+        $match: DoseLog.resolvedScheduled({
+          ...req.scope,
           scheduledTime: { $gte: startDate, $lte: endDate }
-        }
+        })
       },
       {
         $group: {
           _id: {
-            $dateToString: { format: '%Y-%m-%d', date: '$scheduledTime' }
+            $dateToString: { format: '%Y-%m-%d', date: '$scheduledTime', timezone }
           },
           totalDoses: { $sum: 1 },
           takenDoses: {
@@ -1033,7 +1134,7 @@ router.get('/calendar-data/export', auth, [
     ]);
 
     if (format === 'pdf') {
-      const pdfBuffer = await pdfService.generateCalendarReport(calendarData);
+      const pdfBuffer = await pdfService.generateCalendarReport(calendarData, { patientName: getPatientName(req) });
       res.setHeader('Content-Type', 'application/pdf');
       res.setHeader('Content-Disposition', 'attachment; filename=calendar-data.pdf');
       return res.send(pdfBuffer);
@@ -1,22 +1,49 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const DoseLog = require('../models/DoseLog');
 const User = require('../models/User');
 const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
 const memoryManager = require('../utils/memoryManager');
+const inboxService = require('../services/inboxService');
+const { resolveTimezone, addZonedDays, getZonedDateKey, getZonedDayRange } = require('../utils/timezone');
 
 const router = express.Router();
 
+// Resolve the optional :userId. Only admins may look at someone else's
+// rewards; everyone else gets their own. Sets req.rewardsUserId.
+const resolveRewardsUser = (req, res, next) => {
+  const { userId } = req.params;
+
+  if (!userId || userId === req.user._id.toString()) {
+    req.rewardsUserId = req.user._id;
+    return next();
+  }
+
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ message: 'You can only view your own rewards' });
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(userId)) {
+    return res.status(400).json({ message: 'Invalid user ID' });
+  }
+
+  req.rewardsUserId = new mongoose.Types.ObjectId(userId);
+  next();
+};
+
 // @route   GET /api/rewards/consolidated/:userId
 // @desc    Get user's rewards, achievements, and all related data in one call
-// @access  Private
-router.get('/consolidated/:userId?', auth, async (req, res) => {
+// @access  Private (another user's: admin)
+router.get('/consolidated/:userId?', auth, resolveRewardsUser, async (req, res) => {
   try {
-    const userId = req.params.userId || req.user._id;
+    const userId = req.rewardsUserId;
+    const timezone = resolveTimezone(req.user);
     
     // Fetch all data in parallel for maximum speed
     const [userDoc, recentDoses, achievementDefinitions] = await Promise.all([
       User.findById(userId).select('totalRewardPoints lastDailyRewardClaim').lean(),
-      DoseLog.find({ user: userId })
+      DoseLog.find(DoseLog.ownResolvedScheduled(userId))
         .sort({ scheduledTime: -1 })
         .limit(100)
         .select('rewards scheduledTime updatedAt status medication regimen')
@@ -32,9 +59,9 @@ router.get('/consolidated/:userId?', auth, async (req, res) => {
       dailyProgress,
       weeklyProgress
     ] = await Promise.all([
-      calculateCurrentStreakFast(userId),
-      calculateAchievementsFast(userId),
-      getDailyProgressFast(userId),
+      calculateCurrentStreakFast(userId, timezone),
+      calculateAchievementsFast(userId, timezone),
+      getDailyProgressFast(userId, timezone),
       getWeeklyProgressFast(userId)
     ]);
 
@@ -68,9 +95,13 @@ router.get('/consolidated/:userId?', auth, async (req, res) => {
       progress: getAchievementProgressFast(key, recentDoses)
     }));
 
+    // Announce newly unlocked achievements in the caller's own inbox
+    if (userId.equals(req.user._id)) {
+      await inboxService.recordAchievements(req.user._id, achievements, achievementDefinitions);
+    }
+
     // Check if daily reward can be claimed
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
+    const { start: today } = getZonedDayRange(new Date(), timezone);
     const canClaimDaily = !userDoc?.lastDailyRewardClaim || userDoc.lastDailyRewardClaim < today;
 
     memoryManager.checkMemoryAndGC();
@@ -104,16 +135,17 @@ router.get('/consolidated/:userId?', auth, async (req, res) => {
 
 // @route   GET /api/rewards/user/:userId
 // @desc    Get user's rewards and achievements (legacy endpoint)
-// @access  Private
-router.get('/user/:userId?', auth, async (req, res) => {
+// @access  Private (another user's: admin)
+router.get('/user/:userId?', auth, resolveRewardsUser, async (req, res) => {
   try {
-    const userId = req.params.userId || req.user._id;
+    const userId = req.rewardsUserId;
+    const timezone = resolveTimezone(req.user);
     
     // Fetch user's stored reward points efficiently
     const userDoc = await User.findById(userId).select('totalRewardPoints').lean();
 
     // Get recent dose logs with memory-safe pagination (limit to recent data for performance)
-    const recentDoses = await DoseLog.find({ user: userId })
+    const recentDoses = await DoseLog.find(DoseLog.ownResolvedScheduled(userId))
       .sort({ scheduledTime: -1 })
       .limit(100) // Limit to recent 100 doses for performance
       .select('rewards scheduledTime updatedAt status medication regimen')
@@ -129,7 +161,7 @@ router.get('/user/:userId?', auth, async (req, res) => {
     const totalPoints = (userDoc?.totalRewardPoints || 0) + dosePoints;
 
     // Calculate current streak efficiently using aggregation
-    const currentStreak = await calculateCurrentStreakFast(userId);
+    const currentStreak = await calculateCurrentStreakFast(userId, timezone);
     
     // Get recent rewards (last 10) from already fetched data
     const recentRewards = recentDoses
@@ -146,11 +178,14 @@ router.get('/user/:userId?', auth, async (req, res) => {
       }));
 
     // Calculate achievements efficiently
-    const achievements = await calculateAchievementsFast(userId);
+    const achievements = await calculateAchievementsFast(userId, timezone);
+    if (userId.equals(req.user._id)) {
+      await inboxService.recordAchievements(req.user._id, achievements, getAchievementDefinitions());
+    }
     
     // Get daily/weekly progress efficiently
     const [dailyProgress, weeklyProgress] = await Promise.all([
-      getDailyProgressFast(userId),
+      getDailyProgressFast(userId, timezone),
       getWeeklyProgressFast(userId)
     ]);
 
@@ -179,10 +214,11 @@ router.get('/user/:userId?', auth, async (req, res) => {
 router.get('/achievements', auth, async (req, res) => {
   try {
     const userId = req.user._id;
+    const timezone = resolveTimezone(req.user);
     
     // Use memory-safe pagination for dose logs
     const doseLogs = await memoryManager.safePaginate(DoseLog, 
-      { user: userId }, 
+      DoseLog.ownResolvedScheduled(userId), 
       { 
         limit: 500, 
         select: 'status scheduledTime actualTime updatedAt',
@@ -191,7 +227,7 @@ router.get('/achievements', auth, async (req, res) => {
     );
     
     const achievementDefinitions = getAchievementDefinitions();
-    const userAchievements = await calculateAchievementsFast(userId);
+    const userAchievements = await calculateAchievementsFast(userId, timezone);
     
     const achievementsWithStatus = Object.entries(achievementDefinitions).map(([key, achievement]) => ({
       id: key,
@@ -216,8 +252,7 @@ router.get('/achievements', auth, async (req, res) => {
 router.post('/claim-daily', auth, async (req, res) => {
   try {
     const userId = req.user._id;
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
+    const { start: today } = getZonedDayRange(new Date(), resolveTimezone(req.user));
 
     // Use lean query for better performance
     const user = await User.findById(userId).select('lastDailyRewardClaim').lean();
@@ -296,17 +331,17 @@ router.get('/leaderboard', auth, async (req, res) => {
 
 // @route   GET /api/rewards/performance-test/:userId
 // @desc    Test performance of rewards system optimizations
-// @access  Private (Admin only)
-router.get('/performance-test/:userId?', auth, async (req, res) => {
+// @access  Private (admin)
+router.get('/performance-test/:userId?', auth, authorize('admin'), resolveRewardsUser, async (req, res) => {
   try {
-    const userId = req.params.userId || req.user._id;
+    const userId = req.rewardsUserId;
     
     // Performance test - Legacy approach timing
     const legacyStart = Date.now();
     const [legacyUser, legacyDoses, legacyAchievements] = await Promise.all([
       User.findById(userId).select('totalRewardPoints').lean(),
-      DoseLog.find({ user: userId }).sort({ scheduledTime: -1 }).limit(50).lean(),
-      DoseLog.find({ user: userId }).sort({ scheduledTime: -1 }).limit(100).lean()
+      DoseLog.find(DoseLog.ownResolvedScheduled(userId)).sort({ scheduledTime: -1 }).limit(50).lean(),
+      DoseLog.find(DoseLog.ownResolvedScheduled(userId)).sort({ scheduledTime: -1 }).limit(100).lean()
     ]);
     const legacyTime = Date.now() - legacyStart;
 
@@ -314,7 +349,7 @@ router.get('/performance-test/:userId?', auth, async (req, res) => {
     const optimizedStart = Date.now();
     const [optimizedUser, optimizedDoses] = await Promise.all([
       User.findById(userId).select('totalRewardPoints lastDailyRewardClaim').lean(),
-      DoseLog.find({ user: userId })
+      DoseLog.find(DoseLog.ownResolvedScheduled(userId))
         .sort({ scheduledTime: -1 })
         .limit(100)
         .select('rewards scheduledTime updatedAt status medication regimen')
@@ -368,21 +403,19 @@ router.get('/performance-test/:userId?', auth, async (req, res) => {
 // Helper functions
 
 // Fast streak calculation using aggregation
-async function calculateCurrentStreakFast(userId) {
+async function calculateCurrentStreakFast(userId, timezone) {
   try {
     const pipeline = [
       {
-        $match: {
-          user: userId,
-          status: 'taken'
-        }
+        $match: DoseLog.ownResolvedScheduled(userId, { status: 'taken' })
       },
       {
         $addFields: {
           dateOnly: {
             $dateToString: {
               format: '%Y-%m-%d',
-              date: '$scheduledTime'
+              date: '$scheduledTime',
+              timezone
             }
           }
         }
@@ -409,14 +442,9 @@ async function calculateCurrentStreakFast(userId) {
     const today = new Date();
     
     for (const dateGroup of groupedDates) {
-      const groupDate = new Date(dateGroup._id);
-      const expectedDate = new Date(today);
-      expectedDate.setDate(today.getDate() - streak);
+      const expectedDateStr = getZonedDateKey(addZonedDays(today, -streak, timezone), timezone);
       
-      const groupDateStr = groupDate.toISOString().split('T')[0];
-      const expectedDateStr = expectedDate.toISOString().split('T')[0];
-      
-      if (groupDateStr === expectedDateStr) {
+      if (dateGroup._id === expectedDateStr) {
         streak++;
       } else {
         break;
@@ -431,7 +459,7 @@ async function calculateCurrentStreakFast(userId) {
 }
 
 async function calculateCurrentStreak(userId) {
-  const doses = await DoseLog.find({ user: userId, status: 'taken' })
+  const doses = await DoseLog.find(DoseLog.ownResolvedScheduled(userId, { status: 'taken' }))
     .sort({ scheduledTime: -1 });
 
   if (doses.length === 0) return 0;
@@ -457,13 +485,13 @@ async function calculateCurrentStreak(userId) {
 }
 
 // Fast achievements calculation using aggregation
-async function calculateAchievementsFast(userId) {
+async function calculateAchievementsFast(userId, timezone) {
   try {
     const achievements = [];
     
     // Get basic stats using efficient aggregation
     const statsResult = await DoseLog.aggregate([
-      { $match: { user: userId, status: 'taken' } },
+      { $match: DoseLog.ownResolvedScheduled(userId, { status: 'taken' }) },
       {
         $group: {
           _id: null,
@@ -506,7 +534,7 @@ async function calculateAchievementsFast(userId) {
     }
 
     // Streak achievements (using fast calculation)
-    const currentStreak = await calculateCurrentStreakFast(userId);
+    const currentStreak = await calculateCurrentStreakFast(userId, timezone);
     if (currentStreak >= 7) {
       achievements.push({
         id: 'streak_starter',
@@ -618,10 +646,9 @@ async function calculateWeeklyAdherenceFast(userId) {
 
     const result = await DoseLog.aggregate([
       {
-        $match: {
-          user: userId,
+        $match: DoseLog.ownResolvedScheduled(userId, {
           scheduledTime: { $gte: oneWeekAgo }
-        }
+        })
       },
       {
         $group: {
@@ -650,10 +677,9 @@ async function calculateMonthlyAdherenceFast(userId) {
 
     const result = await DoseLog.aggregate([
       {
-        $match: {
-          user: userId,
+        $match: DoseLog.ownResolvedScheduled(userId, {
           scheduledTime: { $gte: oneMonthAgo }
-        }
+        })
       },
       {
         $group: {
@@ -678,10 +704,9 @@ async function calculateWeeklyAdherence(userId) {
   const oneWeekAgo = new Date();
   oneWeekAgo.setDate(oneWeekAgo.getDate() - 7);
 
-  const weeklyDoses = await DoseLog.find({
-    user: userId,
+  const weeklyDoses = await DoseLog.find(DoseLog.ownResolvedScheduled(userId, {
     scheduledTime: { $gte: oneWeekAgo }
-  });
+  }));
 
   if (weeklyDoses.length === 0) return 0;
 
@@ -693,10 +718,9 @@ async function calculateMonthlyAdherence(userId) {
   const oneMonthAgo = new Date();
   oneMonthAgo.setDate(oneMonthAgo.getDate() - 30);
 
-  const monthlyDoses = await DoseLog.find({
-    user: userId,
+  const monthlyDoses = await DoseLog.find(DoseLog.ownResolvedScheduled(userId, {
     scheduledTime: { $gte: oneMonthAgo }
-  });
+  }));
 
   if (monthlyDoses.length === 0) return 0;
 
@@ -705,18 +729,16 @@ async function calculateMonthlyAdherence(userId) {
 }
 
 // Fast daily progress calculation using aggregation
-async function getDailyProgressFast(userId) {
+async function getDailyProgressFast(userId, timezone) {
   try {
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    const tomorrow = new Date(today);
-    tomorrow.setDate(tomorrow.getDate() + 1);
+    const { start: today, end: endOfToday } = getZonedDayRange(new Date(), timezone);
 
     const result = await DoseLog.aggregate([
       {
         $match: {
           user: userId,
-          scheduledTime: { $gte: today, $lt: tomorrow }
+          profile: null,
+          scheduledTime: { $gte: today, $lte: endOfToday }
         }
       },
       {
@@ -750,10 +772,9 @@ async function getWeeklyProgressFast(userId) {
 
     const result = await DoseLog.aggregate([
       {
-        $match: {
-          user: userId,
+        $match: DoseLog.ownResolvedScheduled(userId, {
           scheduledTime: { $gte: oneWeekAgo }
-        }
+        })
       },
       {
         $group: {
@@ -786,6 +807,7 @@ async function getDailyProgress(userId) {
 
   const todaysDoses = await DoseLog.find({
     user: userId,
+    profile: null,
     scheduledTime: { $gte: today, $lt: tomorrow }
   });
 
@@ -802,10 +824,9 @@ async function getWeeklyProgress(userId) {
   const oneWeekAgo = new Date();
   oneWeekAgo.setDate(oneWeekAgo.getDate() - 7);
 
-  const weeklyDoses = await DoseLog.find({
-    user: userId,
+  const weeklyDoses = await DoseLog.find(DoseLog.ownResolvedScheduled(userId, {
     scheduledTime: { $gte: oneWeekAgo }
-  });
+  }));
 
   const completedDoses = weeklyDoses.filter(dose => dose.status === 'taken');
   
@@ -15,6 +15,10 @@ const reportsRoutes = require('./routes/reports');
 const notificationRoutes = require('./routes/notifications');
 const rewardsRoutes = require('./routes/rewards');
 const calendarRoutes = require('./routes/calendar');
+const careRoutes = require('./routes/care');
+const profileRoutes = require('./routes/profiles');
+const adminRoutes = require('./routes/admin');
+const auditRoutes = require('./routes/audit');
 const schedulerService = require('./services/schedulerService');
 
 const app = express();
@@ -68,7 +72,9 @@ app.use(cors({
     'Accept',
     'Origin',
     'Cache-Control',
-    'X-File-Name'
+    'X-File-Name',
+    'X-Patient-Id',
+    'X-Profile-Id'
   ],
   exposedHeaders: ['Content-Length', 'X-Foo', 'X-Bar'],
   optionsSuccessStatus: 200,
@@ -79,7 +85,7 @@ app.use(cors({
 app.options('*', (req, res) => {
   res.header('Access-Control-Allow-Origin', req.headers.origin || '*');
   res.header('Access-Control-Allow-Methods', 'GET,POST,PUT,DELETE,OPTIONS,PATCH');
-  res.header('Access-Control-Allow-Headers', 'Content-Type,Authorization,X-Requested-With,Accept,Origin,Cache-Control,X-File-Name');
+  res.header('Access-Control-Allow-Headers', 'Content-Type,Authorization,X-Requested-With,Accept,Origin,Cache-Control,X-File-Name,X-Patient-Id,X-Profile-Id');
   res.header('Access-Control-Allow-Credentials', 'true');
   res.sendStatus(200);
 });
@@ -164,6 +170,10 @@ app.use('/api/reports', reportsRoutes);
 app.use('/api/notifications', notificationRoutes);
 app.use('/api/rewards', rewardsRoutes);
 app.use('/api/calendar', calendarRoutes);
+app.use('/api/care', careRoutes);
+app.use('/api/profiles', profileRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/audit', auditRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -0,0 +1,140 @@
+const AuditLog = require('../models/AuditLog');
+
+// Direct changes to dose logs, regimens and medications are recorded.
+// Derived bookkeeping isn't: stock adjusted by dose logs, reminder snoozes,
+// escalation markers, calendar sync IDs and the pending doses the scheduler
+// creates ahead of time as placeholders.
+
+// Bookkeeping fields that change on every save and say nothing about the record
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+const toComparable = (value) => JSON.stringify(value === undefined ? null : value);
+
+const auditService = {
+  // Append an audit entry; never let an audit failure break the caller
+  record: async ({ entityType, entityId, user, action, actor, source = 'user', reason, before, after }) => {
+    try {
+      return await AuditLog.create({
+        entityType,
+        entityId,
+        user,
+        action,
+        actor,
+        source,
+        reason,
+        changes: { before, after }
+      });
+    } catch (error) {
+      console.error('Audit log write failed:', error);
+      return null;
+    }
+  },
+
+  // Who made a request and in what capacity, for the actor and source of an entry
+  fromRequest: (req) => ({
+    actor: req.user._id,
+    source: req.caregiverAccess ? 'caregiver' : 'user'
+  }),
+
+  // Plain copy of a document's fields, with populated references reduced to IDs
+  snapshot: (doc) => {
+    const plain = typeof doc.toObject === 'function' ?
+      doc.toObject({ depopulate: true, virtuals: false }) :
+      { ...doc };
+    IGNORED_FIELDS.forEach(field => delete plain[field]);
+    // Round-trip so ObjectIds and dates are stored the way they compare
+    return JSON.parse(JSON.stringify(plain));
+  },
+
+  // Top-level fields that differ between two snapshots, as { before, after },
+  // or null when nothing changed
+  diff: (before, after) => {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    const changes = { before: {}, after: {} };
+    let changed = false;
+
+    keys.forEach(key => {
+      if (toComparable(before[key]) !== toComparable(after[key])) {
+        changes.before[key] = before[key] ?? null;
+        changes.after[key] = after[key] ?? null;
+        changed = true;
+      }
+    });
+
+    return changed ? changes : null;
+  },
+
+  // Record a new document in full
+  recordCreate: (entityType, doc, context, reason) => {
+    const after = auditService.snapshot(doc);
+    return auditService.record({
+      entityType,
+      entityId: doc._id,
+      user: doc.user?._id || doc.user || null,
+      action: 'create',
+      reason,
+      ...context,
+      after
+    });
+  },
+
+  // Record many new documents at once, e.g. from an import
+  recordCreates: async (entityType, docs, context, reason) => {
+    if (docs.length === 0) return [];
+
+    try {
+      return await AuditLog.insertMany(docs.map(doc => ({
+        entityType,
+        entityId: doc._id,
+        user: doc.user?._id || doc.user || null,
+        action: 'create',
+        source: 'user',
+        reason,
+        ...context,
+        changes: { after: auditService.snapshot(doc) }
+      })));
+    } catch (error) {
+      console.error('Audit log write failed:', error);
+      return [];
+    }
+  },
+
+  // Record the fields that changed since `before` (a snapshot taken before
+  // the change). Nothing is written when the save changed nothing.
+  recordUpdate: (entityType, before, doc, context, reason) => {
+    const changes = auditService.diff(before, auditService.snapshot(doc));
+    if (!changes) return null;
+
+    return auditService.record({
+      entityType,
+      entityId: doc._id,
+      user: doc.user?._id || doc.user || null,
+      action: 'update',
+      reason,
+      ...context,
+      ...changes
+    });
+  },
+
+  // Record a deleted document in full, so it can still be reviewed
+  recordDelete: (entityType, doc, context, reason) => {
+    const before = auditService.snapshot(doc);
+    return auditService.record({
+      entityType,
+      entityId: doc._id,
+      user: doc.user?._id || doc.user || null,
+      action: 'delete',
+      reason,
+      ...context,
+      before
+    });
+  },
+
+  // Every entry for one record, newest first
+  getHistory: (entityType, entityId, filter = {}) => AuditLog.find({ entityType, entityId, ...filter })
+    .sort({ createdAt: -1 })
+    .populate('actor', 'firstName lastName')
+    .lean()
+};
+
+module.exports = auditService;
@@ -0,0 +1,63 @@
+const nodemailer = require('nodemailer');
+
+// SMTP errors worth retrying: connection trouble and 4xx "try again later" replies
+const TRANSIENT_CODES = ['ECONNECTION', 'ETIMEDOUT', 'ESOCKET', 'EDNS'];
+
+// Configure email transporter
+const createEmailTransporter = () => {
+  return nodemailer.createTransport({
+    host: process.env.EMAIL_HOST || 'smtp.gmail.com',
+    port: process.env.EMAIL_PORT || 587,
+    secure: false, // true for 465, false for other ports
+    auth: {
+      user: process.env.EMAIL_USER,
+      pass: process.env.EMAIL_PASS
+    }
+  });
+};
+
+const emailChannel = {
+  name: 'email',
+
+  isConfigured: () => !!(process.env.EMAIL_USER && process.env.EMAIL_PASS),
+
+  // Reminders only go to addresses the user has verified
+  getDestination: (user) => (user.email && user.emailVerified ? user.email : null),
+
+  send: async (to, message) => {
+    if (!emailChannel.isConfigured()) {
+      console.warn('Email service not configured');
+      return { success: false, transient: false, error: 'Email service not configured' };
+    }
+
+    try {
+      const transporter = createEmailTransporter();
+      const result = await transporter.sendMail({
+        from: process.env.EMAIL_USER,
+        to,
+        subject: message.subject,
+        html: message.html,
+        text: message.text,
+        attachments: message.attachments
+      });
+
+      console.log('Email sent successfully:', result.messageId);
+      return { success: true, providerMessageId: result.messageId };
+    } catch (error) {
+      console.error('Email sending failed:', error);
+
+      // Provide more helpful error messages
+      let errorMessage = error.message;
+      if (error.code === 'EAUTH') {
+        errorMessage = 'Email authentication failed. Please check if you are using an App Password for Gmail (not your regular password). Visit https://support.google.com/accounts/answer/185833 to create an App Password.';
+      }
+
+      const transient = TRANSIENT_CODES.includes(error.code) ||
+        (error.responseCode >= 400 && error.responseCode < 500);
+
+      return { success: false, transient, error: errorMessage };
+    }
+  }
+};
+
+module.exports = emailChannel;
@@ -0,0 +1,38 @@
+const emailChannel = require('./emailChannel');
+const pushChannel = require('./pushChannel');
+const smsChannel = require('./smsChannel');
+const webhookChannel = require('./webhookChannel');
+
+// Every notification channel implements the same interface:
+//   name                         key in user.settings.notifications and regimen reminder methods
+//   isConfigured()               whether the server can send on this channel at all
+//   getDestination(user)         the user's address on the channel, or null when not set up
+//   send(destination, message)   resolves { success, transient?, error?, providerMessageId? }
+// A message is { event, subject, text, html, sms?, push?, data }; each channel uses
+// the parts it understands.
+const channels = [emailChannel, pushChannel, smsChannel, webhookChannel];
+
+// Regimen reminder method 'app' stands for the app's standard email and push reminders
+const APP_METHOD_CHANNELS = ['email', 'push'];
+
+const getChannel = (name) => channels.find(channel => channel.name === name) || null;
+
+// Channels a notification should go out on: enabled in the user's settings and,
+// for a regimen's reminders, listed in its reminder methods (no methods means all)
+const selectChannels = (user, regimen = null) => {
+  const enabled = user.settings?.notifications || {};
+  const methods = regimen?.reminders?.methods || [];
+  const allowed = methods.length > 0 ?
+    methods.flatMap(method => (method === 'app' ? APP_METHOD_CHANNELS : [method])) :
+    null;
+
+  return channels.filter(channel =>
+    enabled[channel.name] && (!allowed || allowed.includes(channel.name))
+  );
+};
+
+module.exports = {
+  channels,
+  getChannel,
+  selectChannels
+};
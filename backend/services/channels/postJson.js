@@ -0,0 +1,74 @@
+const http = require('http');
+const https = require('https');
+
+const REQUEST_TIMEOUT_MS = parseInt(process.env.CHANNEL_HTTP_TIMEOUT_MS) || 10000;
+
+// fetch can't take an agent, so requests that need one go through Node's
+// http(s) module instead. Redirects aren't followed there.
+const requestWithAgent = (url, { method, headers, body, signal }, agent) => new Promise((resolve, reject) => {
+  const transport = new URL(url).protocol === 'https:' ? https : http;
+  const request = transport.request(url, { method, headers, agent, signal }, (response) => {
+    let text = '';
+    response.setEncoding('utf8');
+    response.on('data', (chunk) => {
+      text += chunk;
+    });
+    response.on('end', () => resolve({ status: response.statusCode, text }));
+    response.on('error', reject);
+  });
+  request.on('error', reject);
+  request.end(body);
+});
+
+// POST a JSON body and classify the outcome for delivery retries: network
+// errors, timeouts, 429 and 5xx are transient; other 4xx replies are not.
+// `options` are passed through to fetch, e.g. { redirect: 'manual' }, except
+// `agent`, which sends the request through that http(s) agent.
+const postJson = async (url, body, headers = {}, options = {}) => {
+  try {
+    const { agent, ...fetchOptions } = options;
+    const request = {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: typeof body === 'string' ? body : JSON.stringify(body),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    };
+
+    let status;
+    let text;
+    if (agent) {
+      ({ status, text } = await requestWithAgent(url, request, agent));
+    } else {
+      const response = await fetch(url, { ...fetchOptions, ...request });
+      status = response.status;
+      text = await response.text();
+    }
+
+    let data = null;
+    try {
+      data = text ? JSON.parse(text) : null;
+    } catch (error) {
+      data = { raw: text };
+    }
+
+    if (status >= 200 && status < 300) {
+      return { success: true, status, data };
+    }
+
+    return {
+      success: false,
+      status,
+      transient: status === 429 || status >= 500,
+      error: `HTTP ${status}${data?.message ? `: ${data.message}` : ''}`
+    };
+  } catch (error) {
+    const timedOut = error.name === 'TimeoutError' || error.cause?.name === 'TimeoutError';
+    return {
+      success: false,
+      transient: true,
+      error: timedOut ? 'Request timed out' : error.message
+    };
+  }
+};
+
+module.exports = postJson;
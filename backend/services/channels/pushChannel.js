@@ -0,0 +1,68 @@
+const webpush = require('web-push');
+
+// Configure web push when VAPID keys are available
+if (process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY) {
+  try {
+    webpush.setVapidDetails(
+      'mailto:' + (process.env.EMAIL_USER || 'noreply@medtracker.com'),
+      process.env.VAPID_PUBLIC_KEY,
+      process.env.VAPID_PRIVATE_KEY
+    );
+    console.log('Web push configured successfully');
+    if (!process.env.API_URL) {
+      console.warn('API_URL not set - push reminders will be sent without Taken/Snooze/Skip buttons');
+    }
+  } catch (error) {
+    console.warn('Failed to configure web push - invalid VAPID keys:', error.message);
+    console.log('Push notifications will be disabled until valid VAPID keys are provided');
+    // Don't throw error, just disable push notifications
+  }
+} else {
+  console.warn('VAPID keys not found - push notifications will be disabled');
+}
+
+const pushChannel = {
+  name: 'push',
+
+  isConfigured: () => !!(process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY),
+
+  getDestination: (user) => (user.pushSubscription?.endpoint ? user.pushSubscription : null),
+
+  // Push has its own payload shape; fall back to the message's subject and text
+  send: async (subscription, message) => {
+    if (!pushChannel.isConfigured()) {
+      console.warn('Push notification service not configured - VAPID keys missing');
+      return { success: false, transient: false, error: 'Push notification service not configured - VAPID keys missing' };
+    }
+
+    if (!subscription || !subscription.endpoint) {
+      console.warn('Invalid push subscription provided');
+      return { success: false, transient: false, error: 'Invalid push subscription provided' };
+    }
+
+    const payload = message.push || { title: message.subject, body: message.text, data: message.data };
+
+    try {
+      const result = await webpush.sendNotification(subscription, JSON.stringify(payload));
+      console.log('Push notification sent successfully');
+      return { success: true, result };
+    } catch (error) {
+      if (error.message.includes('Vapid') || error.message.includes('VAPID')) {
+        console.warn('VAPID configuration error:', error.message);
+        return { success: false, transient: false, error: 'Push notification service misconfigured - invalid VAPID keys' };
+      }
+
+      console.error('Push notification failed:', error);
+      const status = error.statusCode;
+      return {
+        success: false,
+        // The browser dropped the subscription; it will never succeed again
+        expired: status === 404 || status === 410,
+        transient: !status || status === 429 || status >= 500,
+        error: error.message
+      };
+    }
+  }
+};
+
+module.exports = pushChannel;
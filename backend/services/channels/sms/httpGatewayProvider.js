@@ -0,0 +1,31 @@
+const postJson = require('../postJson');
+
+// Adapter for an HTTP SMS gateway that accepts
+//   POST SMS_GATEWAY_URL { to, from, message }
+// with an optional bearer token, and replies with the message id as `id` or `messageId`
+const httpGatewayProvider = {
+  name: 'http',
+
+  isConfigured: () => !!process.env.SMS_GATEWAY_URL,
+
+  send: async (to, body) => {
+    const headers = process.env.SMS_GATEWAY_API_KEY ?
+      { Authorization: `Bearer ${process.env.SMS_GATEWAY_API_KEY}` } :
+      {};
+
+    const result = await postJson(process.env.SMS_GATEWAY_URL, {
+      to,
+      from: process.env.SMS_FROM || 'MisoGiao',
+      message: body
+    }, headers);
+
+    if (!result.success) return result;
+
+    return {
+      success: true,
+      providerMessageId: result.data?.id || result.data?.messageId || null
+    };
+  }
+};
+
+module.exports = httpGatewayProvider;
@@ -0,0 +1,35 @@
+// Offline SMS provider for development and tests. Messages are kept in memory
+// instead of being sent; failNext() simulates gateway errors to exercise retries.
+const stubProvider = {
+  name: 'stub',
+  sent: [],
+  pendingFailures: [],
+
+  isConfigured: () => true,
+
+  send: async (to, body) => {
+    const failure = stubProvider.pendingFailures.shift();
+    if (failure) {
+      return { success: false, transient: failure.transient, error: failure.error };
+    }
+
+    const message = { id: `stub-${stubProvider.sent.length + 1}`, to, body, sentAt: new Date() };
+    stubProvider.sent.push(message);
+    console.log(`[sms stub] to ${to}: ${body}`);
+    return { success: true, providerMessageId: message.id };
+  },
+
+  // Make the next `count` sends fail
+  failNext: (count = 1, { transient = true, error = 'Simulated gateway failure' } = {}) => {
+    for (let i = 0; i < count; i++) {
+      stubProvider.pendingFailures.push({ transient, error });
+    }
+  },
+
+  reset: () => {
+    stubProvider.sent = [];
+    stubProvider.pendingFailures = [];
+  }
+};
+
+module.exports = stubProvider;
@@ -0,0 +1,46 @@
+const httpGatewayProvider = require('./sms/httpGatewayProvider');
+const stubProvider = require('./sms/stubProvider');
+
+const providers = {
+  http: httpGatewayProvider,
+  stub: stubProvider
+};
+
+// Single SMS segment; longer messages are cut rather than split
+const MAX_SMS_LENGTH = 160;
+const PHONE_PATTERN = /^\+?[0-9][0-9\s\-().]{6,19}$/;
+
+// SMS_PROVIDER picks the adapter explicitly; otherwise the HTTP gateway is
+// used when SMS_GATEWAY_URL is set, and SMS stays off
+const getProvider = () => {
+  const name = process.env.SMS_PROVIDER || (process.env.SMS_GATEWAY_URL ? 'http' : null);
+  const provider = name ? providers[name] : null;
+  return provider && provider.isConfigured() ? provider : null;
+};
+
+const smsChannel = {
+  name: 'sms',
+
+  isConfigured: () => !!getProvider(),
+
+  getDestination: (user) => {
+    const phone = user.phone?.trim();
+    return phone && PHONE_PATTERN.test(phone) ? phone.replace(/[\s\-().]/g, '') : null;
+  },
+
+  send: async (phone, message) => {
+    const provider = getProvider();
+    if (!provider) {
+      return { success: false, transient: false, error: 'SMS service not configured' };
+    }
+
+    const body = message.sms || message.text || message.subject;
+    const truncated = body.length > MAX_SMS_LENGTH ? `${body.slice(0, MAX_SMS_LENGTH - 3)}...` : body;
+
+    return provider.send(phone, truncated);
+  },
+
+  getProvider
+};
+
+module.exports = smsChannel;
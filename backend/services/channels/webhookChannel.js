@@ -0,0 +1,60 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const postJson = require('./postJson');
+const { checkPublicUrl, publicLookup } = require('../../utils/publicUrl');
+
+// Connections only go to addresses that pass the public address check
+const agents = {
+  'http:': new http.Agent({ lookup: publicLookup }),
+  'https:': new https.Agent({ lookup: publicLookup })
+};
+
+const webhookChannel = {
+  name: 'webhook',
+
+  // Each user supplies their own URL, so there is nothing to configure server-side
+  isConfigured: () => true,
+
+  getDestination: (user) => {
+    const url = user.settings?.notifications?.webhookUrl;
+    return url && /^https?:\/\//i.test(url) ? url : null;
+  },
+
+  // Posts { event, subject, text, data, sentAt }. When WEBHOOK_SIGNING_SECRET is
+  // set the body is signed so receivers can verify it came from us.
+  send: async (url, message) => {
+    // Checked again at send time: the URL may predate the check, or its
+    // host may since resolve somewhere internal
+    const problem = await checkPublicUrl(url);
+    if (problem) {
+      return { success: false, transient: false, error: problem };
+    }
+
+    const body = JSON.stringify({
+      event: message.event,
+      subject: message.subject,
+      text: message.text,
+      data: message.data || {},
+      sentAt: new Date().toISOString()
+    });
+
+    const headers = {};
+    if (process.env.WEBHOOK_SIGNING_SECRET) {
+      const signature = crypto
+        .createHmac('sha256', process.env.WEBHOOK_SIGNING_SECRET)
+        .update(body)
+        .digest('hex');
+      headers['X-MisoGiao-Signature'] = `sha256=${signature}`;
+    }
+
+    // The agent re-checks the address it connects to, so the host can't be
+    // rebound to an internal one after the check above. Redirects aren't
+    // followed, so a public URL can't bounce the request inward either.
+    const agent = agents[new URL(url).protocol];
+    const result = await postJson(url, body, headers, { agent });
+    return result.success ? { success: true } : result;
+  }
+};
+
+module.exports = webhookChannel;
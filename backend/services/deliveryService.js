@@ -0,0 +1,183 @@
+const User = require('../models/User');
+const NotificationDelivery = require('../models/NotificationDelivery');
+const channelRegistry = require('./channels');
+
+const MAX_ATTEMPTS = parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS) || 4;
+// Wait before each retry of a transient failure, in minutes
+const RETRY_DELAYS_MINUTES = [1, 5, 15];
+// How long a claimed retry is held so another instance doesn't send it too
+const RETRY_LOCK_MINUTES = 5;
+const RETRY_BATCH_SIZE = 100;
+
+const minutesFromNow = (minutes) => new Date(Date.now() + minutes * 60 * 1000);
+
+const getRetryDelay = (attempts) =>
+  RETRY_DELAYS_MINUTES[Math.min(attempts - 1, RETRY_DELAYS_MINUTES.length - 1)];
+
+// Call a channel without letting a thrown error escape as anything but a transient failure
+const attemptSend = async (channel, destination, message) => {
+  try {
+    return await channel.send(destination, message);
+  } catch (error) {
+    console.error(`${channel.name} channel threw:`, error);
+    return { success: false, transient: true, error: error.message };
+  }
+};
+
+// Delivery status after an attempt, with the fields to store for it
+const describeOutcome = (result, attempts, message) => {
+  if (result.success) {
+    return {
+      status: 'sent',
+      sentAt: new Date(),
+      providerMessageId: result.providerMessageId || undefined,
+      message: undefined,
+      nextAttemptAt: undefined,
+      lastError: undefined
+    };
+  }
+
+  if (result.transient && attempts < MAX_ATTEMPTS) {
+    return {
+      status: 'retrying',
+      message,
+      nextAttemptAt: minutesFromNow(getRetryDelay(attempts)),
+      lastError: result.error
+    };
+  }
+
+  return {
+    status: 'failed',
+    message: undefined,
+    nextAttemptAt: undefined,
+    lastError: result.error
+  };
+};
+
+// A browser that dropped its push subscription never comes back, so forget it
+const handleExpiredPush = async (userId, result) => {
+  if (result.expired) {
+    await User.updateOne({ _id: userId }, { $unset: { pushSubscription: 1 } });
+  }
+};
+
+const deliveryService = {
+  // Send a message to a user on every channel selected for it and record each result.
+  // context: { event, regimen, dose }; the regimen's reminder methods narrow the channels.
+  deliver: async (user, message, { event, regimen = null, dose = null } = {}) => {
+    const fullMessage = { ...message, event };
+    const results = [];
+
+    for (const channel of channelRegistry.selectChannels(user, regimen)) {
+      if (!channel.isConfigured()) {
+        results.push({ channel: channel.name, success: false, skipped: true, error: 'Channel not configured' });
+        continue;
+      }
+
+      const destination = channel.getDestination(user);
+      if (!destination) {
+        results.push({ channel: channel.name, success: false, skipped: true, error: 'No destination set up' });
+        continue;
+      }
+
+      const result = await attemptSend(channel, destination, fullMessage);
+      await handleExpiredPush(user._id, result);
+
+      const delivery = await NotificationDelivery.create({
+        user: user._id,
+        channel: channel.name,
+        event,
+        regimen: regimen?._id || undefined,
+        dose: dose?._id || undefined,
+        subject: message.subject,
+        attempts: 1,
+        ...describeOutcome(result, 1, fullMessage)
+      });
+
+      results.push({
+        channel: channel.name,
+        success: !!result.success,
+        status: delivery.status,
+        deliveryId: delivery._id,
+        error: result.error
+      });
+    }
+
+    return results;
+  },
+
+  // Send one test message on a single channel, ignoring the user's channel toggles
+  sendTest: async (user, channelName, message) => {
+    const channel = channelRegistry.getChannel(channelName);
+    if (!channel) {
+      return { success: false, error: `Unknown channel: ${channelName}` };
+    }
+    if (!channel.isConfigured()) {
+      return { success: false, error: `${channelName} notifications are not configured on this server` };
+    }
+
+    const destination = channel.getDestination(user);
+    if (!destination) {
+      return { success: false, error: `No ${channelName} destination set up in your settings` };
+    }
+
+    const result = await attemptSend(channel, destination, { ...message, event: 'test' });
+    await NotificationDelivery.create({
+      user: user._id,
+      channel: channel.name,
+      event: 'test',
+      subject: message.subject,
+      attempts: 1,
+      // Tests report straight back to the user, so they are never retried
+      ...describeOutcome({ ...result, transient: false }, 1, null)
+    });
+
+    return result;
+  },
+
+  // Re-send deliveries whose retry time has come
+  retryPending: async () => {
+    const now = new Date();
+    let retried = 0;
+    let sent = 0;
+
+    const due = await NotificationDelivery.find({
+      status: 'retrying',
+      nextAttemptAt: { $lte: now }
+    }).sort({ nextAttemptAt: 1 }).limit(RETRY_BATCH_SIZE);
+
+    for (const pending of due) {
+      // Claim the retry; another instance may have picked it up already
+      const delivery = await NotificationDelivery.findOneAndUpdate(
+        { _id: pending._id, status: 'retrying', nextAttemptAt: pending.nextAttemptAt },
+        { $set: { nextAttemptAt: minutesFromNow(RETRY_LOCK_MINUTES) } },
+        { new: true }
+      );
+      if (!delivery) continue;
+
+      retried++;
+      const channel = channelRegistry.getChannel(delivery.channel);
+      const user = await User.findById(delivery.user);
+      const enabled = user?.settings?.notifications?.[delivery.channel];
+      const destination = user && channel ? channel.getDestination(user) : null;
+
+      // The user may have switched the channel off or removed the address since
+      const result = channel && enabled && destination ?
+        await attemptSend(channel, destination, delivery.message) :
+        { success: false, transient: false, error: 'Channel no longer enabled for this user' };
+
+      if (user) await handleExpiredPush(user._id, result);
+
+      const attempts = delivery.attempts + 1;
+      const outcome = describeOutcome(result, attempts, delivery.message);
+      if (outcome.status === 'sent') sent++;
+
+      Object.assign(delivery, outcome, { attempts });
+      await delivery.save();
+    }
+
+    return { retried, sent };
+  }
+};
+
+module.exports = deliveryService;
@@ -0,0 +1,101 @@
+const jwt = require('jsonwebtoken');
+const DoseLog = require('../models/DoseLog');
+const User = require('../models/User');
+const inventoryService = require('./inventoryService');
+const auditService = require('./auditService');
+
+const ACTIONS = ['taken', 'snooze', 'skip'];
+const TOKEN_PURPOSE = 'dose-action';
+const TOKEN_TTL = process.env.DOSE_ACTION_TOKEN_TTL || '2h';
+const SNOOZE_MINUTES = 15;
+const MAX_SNOOZES = 3;
+
+// Action tokens get their own secret so they can never pass as a session token
+const getSecret = () => process.env.DOSE_ACTION_SECRET || `${process.env.JWT_SECRET}:${TOKEN_PURPOSE}`;
+
+// Push payload actions, in the order the notification shows them
+const PUSH_ACTIONS = [
+  { action: 'taken', title: '✅ Taken' },
+  { action: 'snooze', title: `⏰ Snooze ${SNOOZE_MINUTES} min` },
+  { action: 'skip', title: 'Skip' }
+];
+
+const doseActionService = {
+  ACTIONS,
+  PUSH_ACTIONS,
+  SNOOZE_MINUTES,
+
+  // Short-lived token that lets a notification act on one dose without a session
+  createToken: (dose) => jwt.sign(
+    { purpose: TOKEN_PURPOSE, dose: dose._id.toString() },
+    getSecret(),
+    { expiresIn: TOKEN_TTL }
+  ),
+
+  // Dose ID the token was issued for; throws when invalid or expired
+  verifyToken: (token) => {
+    const decoded = jwt.verify(token, getSecret());
+    if (decoded.purpose !== TOKEN_PURPOSE || !decoded.dose) {
+      throw new jwt.JsonWebTokenError('Wrong token purpose');
+    }
+    return decoded.dose;
+  },
+
+  // Where the service worker posts actions: API_URL, the API's public base URL
+  // (e.g. https://api.example.com/api). Null when unset, and reminders then
+  // carry no action buttons.
+  getActionUrl: () => (process.env.API_URL ? `${process.env.API_URL.replace(/\/$/, '')}/doses/actions` : null),
+
+  // Apply a notification action to a pending dose.
+  // Returns { dose, applied }, where applied is false if the dose was already logged.
+  applyAction: async (doseId, action) => {
+    const dose = await DoseLog.findById(doseId);
+    if (!dose) return { dose: null, applied: false };
+
+    if (action === 'snooze') {
+      const snoozed = await DoseLog.findOneAndUpdate(
+        { _id: dose._id, status: 'pending', snoozeCount: { $not: { $gte: MAX_SNOOZES } } },
+        {
+          $set: { snoozedUntil: new Date(Date.now() + SNOOZE_MINUTES * 60 * 1000) },
+          $inc: { snoozeCount: 1 }
+        },
+        { new: true }
+      );
+      return { dose: snoozed || dose, applied: !!snoozed, snoozeLimitReached: !snoozed && dose.status === 'pending' };
+    }
+
+    const status = action === 'taken' ? 'taken' : 'skipped';
+
+    // Claim the dose so a double tap or a second device can't log it twice
+    const claimed = await DoseLog.findOneAndUpdate(
+      { _id: dose._id, status: 'pending' },
+      { $set: { status }, $unset: { snoozedUntil: 1 } },
+      { new: true }
+    );
+    if (!claimed) return { dose, applied: false };
+
+    // Saved through the document so the rewards and lateness hooks run
+    claimed.actualTime = status === 'taken' ? new Date() : null;
+    claimed.loggedBy = claimed.user;
+    await claimed.save();
+    await auditService.recordUpdate(
+      'DoseLog',
+      auditService.snapshot(dose),
+      claimed,
+      { actor: claimed.user, source: 'user' },
+      'Logged from a reminder notification'
+    );
+
+    await inventoryService.applyDoseChange(claimed.regimen, { status: 'pending', dosage: dose.dosage }, claimed);
+
+    // Adherence stats only count the account holder's own doses
+    if (status === 'taken' && !claimed.profile) {
+      const user = await User.findById(claimed.user);
+      if (user) await user.updateAdherenceStats(1, 0);
+    }
+
+    return { dose: claimed, applied: true };
+  }
+};
+
+module.exports = doseActionService;
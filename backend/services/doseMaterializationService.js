@@ -0,0 +1,137 @@
+const Regimen = require('../models/Regimen');
+const DoseLog = require('../models/DoseLog');
+const memoryManager = require('../utils/memoryManager');
+const { resolveTimezone } = require('../utils/timezone');
+
+// How far ahead pending dose logs are created
+const HORIZON_DAYS = parseInt(process.env.DOSE_HORIZON_DAYS) || 7;
+
+// Whether a bulk write failed only because rows already existed
+const isDuplicateKeyOnly = (error) => {
+  const writeErrors = error.writeErrors ? [].concat(error.writeErrors) : [];
+  if (writeErrors.length === 0) return error.code === 11000;
+  return writeErrors.every(writeError => writeError.code === 11000);
+};
+
+const doseMaterializationService = {
+  // Create pending dose logs for a regimen over the rolling horizon,
+  // expanding schedule times in the owner's timezone
+  materializeRegimen: async (regimen, timezone, horizonDays = HORIZON_DAYS) => {
+    if (!regimen.isActive) return { created: 0 };
+
+    const from = new Date();
+    const to = new Date(from.getTime() + horizonDays * 24 * 60 * 60 * 1000);
+    const doseTimes = regimen.getDoseTimesBetween(from, to, timezone);
+
+    if (doseTimes.length === 0) return { created: 0 };
+
+    const userId = regimen.user._id || regimen.user;
+    const medicationId = regimen.medication._id || regimen.medication;
+
+    // Upsert on (regimen, scheduledTime) so repeated runs never duplicate rows
+    // and never touch doses the user has already logged
+    const operations = doseTimes.map(scheduledTime => ({
+      updateOne: {
+        filter: { regimen: regimen._id, scheduledTime },
+        update: {
+          $setOnInsert: {
+            user: userId,
+            profile: regimen.profile || null,
+            regimen: regimen._id,
+            medication: medicationId,
+            scheduledTime,
+            status: 'pending',
+            // Snapshot the dose phase in effect for this dose
+            dosage: regimen.getDosageFor(scheduledTime, timezone)
+          }
+        },
+        upsert: true
+      }
+    }));
+
+    try {
+      const result = await DoseLog.bulkWrite(operations, { ordered: false });
+      return { created: result.upsertedCount || 0 };
+    } catch (error) {
+      // Another run inserted some of the same doses first; the unique index
+      // kept them single, and every other operation still went through
+      if (!isDuplicateKeyOnly(error)) throw error;
+      return { created: error.result?.upsertedCount || 0 };
+    }
+  },
+
+  // Remove pending dose logs scheduled after `from` (defaults to now)
+  clearFutureDoses: async (regimenId, from = new Date()) => {
+    const result = await DoseLog.deleteMany({
+      regimen: regimenId,
+      status: 'pending',
+      scheduledTime: { $gt: from }
+    });
+    return { deleted: result.deletedCount || 0 };
+  },
+
+  // Rebuild future pending doses after a regimen changes
+  regenerateRegimen: async (regimen, timezone) => {
+    const { deleted } = await doseMaterializationService.clearFutureDoses(regimen._id);
+    const { created } = await doseMaterializationService.materializeRegimen(regimen, timezone);
+    return { deleted, created };
+  },
+
+  // Rebuild future pending doses for all of a user's active regimens,
+  // dependents' included, e.g. after the user's timezone changes
+  regenerateUser: async (userId, timezone) => {
+    const regimens = await Regimen.find({
+      user: userId,
+      isActive: true,
+      frequency: { $ne: 'as_needed' }
+    });
+
+    let deleted = 0;
+    let created = 0;
+    for (const regimen of regimens) {
+      const result = await doseMaterializationService.regenerateRegimen(regimen, timezone);
+      deleted += result.deleted;
+      created += result.created;
+    }
+    return { regimens: regimens.length, deleted, created };
+  },
+
+  // Materialize pending doses for every active regimen
+  materializeAll: async () => {
+    // End dates are calendar days that can still be running in western zones
+    const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    const regimens = await Regimen.find({
+      isActive: true,
+      frequency: { $ne: 'as_needed' },
+      $or: [
+        { endDate: { $exists: false } },
+        { endDate: null },
+        { endDate: { $gte: yesterday } }
+      ]
+    }).populate('user', 'preferences.timezone settings.preferences.timezone');
+
+    let created = 0;
+    await memoryManager.processInBatches(regimens, 20, async (regimenBatch) => {
+      const batchResults = await Promise.all(
+        regimenBatch.map(async (regimen) => {
+          try {
+            return await doseMaterializationService.materializeRegimen(
+              regimen,
+              resolveTimezone(regimen.user)
+            );
+          } catch (error) {
+            console.error(`Dose materialization failed for regimen ${regimen._id}:`, error);
+            return { created: 0 };
+          }
+        })
+      );
+
+      batchResults.forEach(result => { created += result.created; });
+      return batchResults;
+    });
+
+    return { regimens: regimens.length, created };
+  }
+};
+
+module.exports = doseMaterializationService;
@@ -0,0 +1,89 @@
+const templates = require('../templates/email');
+const { renderHtml, renderText } = require('../templates/email/layout');
+const { resolveTimezone } = require('../utils/timezone');
+
+const locales = {
+  en: require('../templates/email/locales/en')
+};
+const DEFAULT_LOCALE = 'en';
+
+// Look up a dotted key such as 'reminder.subjectNow'
+const lookup = (strings, key) => key.split('.').reduce((value, part) => value?.[part], strings);
+
+// Fill {placeholders}. A capitalized placeholder ({Whose}) capitalizes the
+// value of its lowercase variable.
+const format = (text, vars = {}) => text.replace(/\{(\w+)\}/g, (match, name) => {
+  if (vars[name] !== undefined && vars[name] !== null) return String(vars[name]);
+
+  const lower = name.charAt(0).toLowerCase() + name.slice(1);
+  if (lower !== name && vars[lower] !== undefined && vars[lower] !== null) {
+    const value = String(vars[lower]);
+    return value.charAt(0).toUpperCase() + value.slice(1);
+  }
+  return match;
+});
+
+// Locale helpers handed to a template's build function
+const createContext = (locale, timezone) => {
+  const strings = locales[locale] || locales[DEFAULT_LOCALE];
+  const fallback = locales[DEFAULT_LOCALE];
+  const dateLocale = strings.dateLocale || fallback.dateLocale;
+
+  const t = (key, vars) => {
+    const text = lookup(strings, key) ?? lookup(fallback, key);
+    return typeof text === 'string' ? format(text, vars) : key;
+  };
+
+  const formatDate = (value, options) => new Date(value).toLocaleString(dateLocale, { timeZone: timezone, ...options });
+
+  return {
+    t,
+    whose: (profileName) => profileName ?
+      t('common.possessiveProfile', { name: profileName }) :
+      t('common.possessiveSelf'),
+    dateTime: (value) => formatDate(value),
+    date: (value) => new Date(value).toLocaleDateString(dateLocale, { timeZone: timezone }),
+    time: (value) => formatDate(value, { hour: 'numeric', minute: '2-digit' })
+  };
+};
+
+const emailTemplateService = {
+  locales: Object.keys(locales),
+
+  // Locale for a user's emails, falling back to the default for unsupported languages
+  resolveLocale: (user) => {
+    const language = typeof user === 'string' ? user : user?.settings?.preferences?.language;
+    return locales[language] ? language : DEFAULT_LOCALE;
+  },
+
+  // Render a named template to { subject, html, text, summary }. Pass `user`
+  // to localize for them, or `locale` / `timezone` directly.
+  render: (name, data, { user, locale, timezone } = {}) => {
+    const template = templates[name];
+    if (!template) {
+      throw new Error(`Unknown email template: ${name}`);
+    }
+
+    const context = createContext(
+      locale || emailTemplateService.resolveLocale(user),
+      timezone || resolveTimezone(user)
+    );
+    const content = template.build(data, context);
+
+    return {
+      ...content,
+      html: renderHtml(content),
+      text: renderText(content)
+    };
+  },
+
+  // Template names with descriptions, for the admin preview
+  listTemplates: () => Object.entries(templates).map(([name, template]) => ({
+    name,
+    description: template.description
+  })),
+
+  getSample: (name) => templates[name]?.sample || null
+};
+
+module.exports = emailTemplateService;
@@ -0,0 +1,138 @@
+const User = require('../models/User');
+const DoseLog = require('../models/DoseLog');
+const Regimen = require('../models/Regimen');
+const notificationService = require('./notificationService');
+const emailTemplateService = require('./emailTemplateService');
+
+const DEFAULT_DELAY_MINUTES = 30;
+// Older doses are left alone so turning a regimen critical doesn't alert on history
+const LOOKBACK_HOURS = 24;
+const UNTAKEN_STATUSES = ['pending', 'missed'];
+
+const escalationService = {
+  // A user's escalation policy with defaults filled in
+  getPolicy: (user) => {
+    const policy = user.settings?.escalation || {};
+    return {
+      enabled: policy.enabled !== false,
+      delayMinutes: policy.delayMinutes || DEFAULT_DELAY_MINUTES,
+      notifyCaregivers: policy.notifyCaregivers !== false,
+      notifyEmergencyContact: policy.notifyEmergencyContact !== false
+    };
+  },
+
+  // Linked caregivers and the emergency contact, one entry per email address
+  getRecipients: async (user, policy) => {
+    const recipients = [];
+
+    if (policy.notifyCaregivers) {
+      const caregiverIds = (user.familyGroup?.members || [])
+        .filter(member => member.userId && (member.canViewMedications || member.canLogDoses))
+        .map(member => member.userId);
+
+      if (caregiverIds.length > 0) {
+        const caregivers = await User.find({ _id: { $in: caregiverIds } }).select('firstName lastName email');
+        caregivers.forEach(caregiver => recipients.push({
+          kind: 'caregiver',
+          name: `${caregiver.firstName} ${caregiver.lastName}`,
+          email: caregiver.email
+        }));
+      }
+    }
+
+    if (policy.notifyEmergencyContact && user.emergencyContact?.email) {
+      recipients.push({
+        kind: 'emergency_contact',
+        name: user.emergencyContact.name,
+        email: user.emergencyContact.email
+      });
+    }
+
+    const seen = new Set();
+    return recipients.filter(recipient => {
+      const key = recipient.email?.toLowerCase();
+      if (!key || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  },
+
+  // Notify a user's escalation recipients about one untaken dose
+  escalateDose: async (user, dose, policy) => {
+    // Claim the dose first so concurrent sweeps never escalate it twice
+    const claimed = await DoseLog.findOneAndUpdate(
+      { _id: dose._id, status: { $in: UNTAKEN_STATUSES }, 'escalation.escalatedAt': null },
+      { $set: { 'escalation.escalatedAt': new Date() } },
+      { new: true }
+    );
+
+    if (!claimed) return null;
+
+    const recipients = await escalationService.getRecipients(user, policy);
+    const profile = dose.profile ? user.dependents?.id(dose.profile) : null;
+    const patientName = profile ? profile.name : `${user.firstName} ${user.lastName}`;
+    // Contacts get the alert in the account holder's language and timezone
+    const { subject, html, text } = emailTemplateService.render('escalation', {
+      patientName,
+      holderName: `${user.firstName} ${user.lastName}`,
+      medicationName: dose.regimen?.medication?.name,
+      scheduledTime: dose.scheduledTime
+    }, { user });
+
+    const results = [];
+    for (const recipient of recipients) {
+      const result = await notificationService.sendEmail(recipient.email, subject, html, text);
+      results.push({
+        ...recipient,
+        delivered: !!result.success,
+        error: result.success ? undefined : result.error || result.message
+      });
+    }
+
+    await DoseLog.updateOne({ _id: dose._id }, { $set: { 'escalation.recipients': results } });
+
+    return results;
+  },
+
+  // Escalate critical doses still untaken a policy-defined delay after the overdue notice
+  checkEscalations: async () => {
+    const now = new Date();
+    let escalated = 0;
+
+    const criticalRegimenIds = await Regimen.distinct('_id', { isCritical: true, isActive: true });
+    if (criticalRegimenIds.length === 0) {
+      return { checked: 0, escalated };
+    }
+
+    const doses = await DoseLog.find({
+      regimen: { $in: criticalRegimenIds },
+      status: { $in: UNTAKEN_STATUSES },
+      scheduledTime: { $gte: new Date(now.getTime() - LOOKBACK_HOURS * 60 * 60 * 1000) },
+      overdueNotifiedAt: { $ne: null },
+      'escalation.escalatedAt': null
+    }).populate({ path: 'regimen', populate: { path: 'medication' } });
+
+    const users = await User.find({ _id: { $in: [...new Set(doses.map(dose => dose.user.toString()))] } });
+    const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+    for (const dose of doses) {
+      const user = usersById.get(dose.user.toString());
+      if (!user) continue;
+
+      const policy = escalationService.getPolicy(user);
+      const minutesSinceNotice = (now - dose.overdueNotifiedAt) / (60 * 1000);
+      if (!policy.enabled || minutesSinceNotice < policy.delayMinutes) continue;
+
+      try {
+        const results = await escalationService.escalateDose(user, dose, policy);
+        if (results) escalated++;
+      } catch (error) {
+        console.error(`Escalation failed for dose ${dose._id}:`, error);
+      }
+    }
+
+    return { checked: doses.length, escalated };
+  }
+};
+
+module.exports = escalationService;
@@ -0,0 +1,92 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Read notifications are dropped sooner than unread ones
+const READ_RETENTION_DAYS = parseInt(process.env.NOTIFICATION_READ_RETENTION_DAYS) || 30;
+const RETENTION_DAYS = parseInt(process.env.NOTIFICATION_RETENTION_DAYS) || 90;
+// Only achievements unlocked this recently are announced, so existing users
+// don't get their whole history the first time it's recorded
+const ACHIEVEMENT_ANNOUNCE_DAYS = 7;
+
+const inboxService = {
+  // Add an entry to a user's inbox. Failures are logged rather than thrown so
+  // a notification still goes out on its channels.
+  record: async (userId, { type, title, message, profile = null, dose, regimen, data, key }) => {
+    try {
+      return await Notification.create({
+        user: userId,
+        type,
+        title,
+        message,
+        profile: profile || null,
+        dose: dose?._id || dose || undefined,
+        regimen: regimen?._id || regimen || undefined,
+        data,
+        key
+      });
+    } catch (error) {
+      // Another request already recorded this keyed notification
+      if (error.code === 11000) return null;
+      console.error('Record inbox notification failed:', error);
+      return null;
+    }
+  },
+
+  // Record newly unlocked achievements, once each. Announced IDs are kept on
+  // the user, since the inbox entries don't outlive their retention.
+  recordAchievements: async (userId, achievements, definitions) => {
+    const since = Date.now() - ACHIEVEMENT_ANNOUNCE_DAYS * DAY_MS;
+    const user = await User.findById(userId).select('announcedAchievements').lean();
+    const announced = new Set(user?.announcedAchievements || []);
+    const recent = achievements.filter(achievement =>
+      definitions[achievement.id] &&
+      !announced.has(achievement.id) &&
+      (!achievement.unlockedAt || new Date(achievement.unlockedAt).getTime() >= since)
+    );
+    if (recent.length === 0) return 0;
+
+    // Entries from before announcements were tracked on the user
+    const keys = recent.map(achievement => `achievement:${achievement.id}`);
+    const existing = await Notification.distinct('key', { user: userId, key: { $in: keys } });
+
+    let recorded = 0;
+    for (const achievement of recent) {
+      // Claim the announcement first so concurrent fetches can't both make it
+      const claimed = await User.updateOne(
+        { _id: userId, announcedAchievements: { $ne: achievement.id } },
+        { $addToSet: { announcedAchievements: achievement.id } }
+      );
+      const key = `achievement:${achievement.id}`;
+      if (!claimed.modifiedCount || existing.includes(key)) continue;
+
+      const definition = definitions[achievement.id];
+      const created = await inboxService.record(userId, {
+        type: 'achievement',
+        title: `${definition.icon} Achievement unlocked: ${definition.title}`,
+        message: definition.description,
+        data: { achievementId: achievement.id, points: definition.points },
+        key
+      });
+      if (created) {
+        recorded++;
+      } else {
+        // Give the claim back so a later fetch retries the announcement
+        await User.updateOne({ _id: userId }, { $pull: { announcedAchievements: achievement.id } });
+      }
+    }
+    return recorded;
+  },
+
+  // Delete read notifications past their retention, and everything past the overall limit
+  cleanup: async () => {
+    const now = Date.now();
+    const [read, expired] = await Promise.all([
+      Notification.deleteMany({ isRead: true, createdAt: { $lt: new Date(now - READ_RETENTION_DAYS * DAY_MS) } }),
+      Notification.deleteMany({ createdAt: { $lt: new Date(now - RETENTION_DAYS * DAY_MS) } })
+    ]);
+    return { deleted: read.deletedCount + expired.deletedCount };
+  }
+};
+
+module.exports = inboxService;
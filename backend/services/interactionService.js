@@ -0,0 +1,235 @@
+const fs = require('fs');
+const path = require('path');
+
+// Local interaction dataset; override the path to ship an updated copy
+const DATA_PATH = process.env.INTERACTIONS_DATA_PATH ||
+  path.join(__dirname, '..', 'data', 'interactions.json');
+
+const SEVERITY_ORDER = ['contraindicated', 'major', 'moderate', 'minor'];
+
+let dataset = null;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Lowercase and strip punctuation so "Aspirin 81mg (EC)" can be searched by word
+const normalize = (value) => String(value || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9\s-]/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// Whole-word match that also accepts a plural ("NSAIDs" mentions "nsaid")
+const mentions = (text, term) => {
+  if (!text || !term) return false;
+  return new RegExp(`(^|[^a-z0-9])${escapeRegExp(term)}s?([^a-z0-9]|$)`).test(text);
+};
+
+const pairKey = (a, b) => [a, b].sort().join('|');
+
+// Dataset drug reference: a plain drug name or a "class:<key>" reference
+const normalizeDrugRef = (value) => (
+  String(value).startsWith('class:') ? String(value).trim() : normalize(value)
+);
+
+// Build lookup tables from the dataset file once, on first use
+const loadDataset = () => {
+  if (dataset) return dataset;
+
+  const raw = JSON.parse(fs.readFileSync(DATA_PATH, 'utf8'));
+  const aliases = {};
+  const classesByDrug = {};
+  const classLabels = {};
+  const knownNames = new Set();
+
+  Object.entries(raw.aliases || {}).forEach(([alias, drug]) => {
+    aliases[normalize(alias)] = normalize(drug);
+    knownNames.add(normalize(alias));
+  });
+
+  Object.entries(raw.classes || {}).forEach(([key, { label, members }]) => {
+    classLabels[key] = normalize(label || key);
+    (members || []).forEach(member => {
+      const drug = normalize(member);
+      classesByDrug[drug] = [...(classesByDrug[drug] || []), key];
+      knownNames.add(drug);
+    });
+  });
+
+  const index = new Map();
+  (raw.interactions || []).forEach(entry => {
+    const [a, b] = entry.drugs.map(normalizeDrugRef);
+    [a, b].forEach(drug => {
+      if (!drug.startsWith('class:')) knownNames.add(drug);
+    });
+    index.set(pairKey(a, b), { ...entry, drugs: [a, b] });
+  });
+
+  // Longest names first so "isosorbide mononitrate" wins over shorter overlaps
+  dataset = {
+    version: raw.version,
+    aliases,
+    classesByDrug,
+    classLabels,
+    index,
+    knownNames: [...knownNames].sort((a, b) => b.length - a.length)
+  };
+  return dataset;
+};
+
+// Canonical drug names a medication refers to, from its name and generic name
+const identifyDrugs = (medication) => {
+  const { aliases, knownNames } = loadDataset();
+  const text = [medication.name, medication.genericName].map(normalize).join(' | ');
+  const drugs = new Set();
+
+  knownNames.forEach(name => {
+    if (mentions(text, name)) drugs.add(aliases[name] || name);
+  });
+
+  // Unknown medications still match themselves for duplicates and contraindications
+  if (drugs.size === 0) {
+    [medication.genericName, medication.name].map(normalize).filter(Boolean)
+      .forEach(name => drugs.add(name));
+  }
+
+  return [...drugs];
+};
+
+// Dataset keys (drug names plus "class:" keys) that can appear in an interaction pair
+const getLookupKeys = (drugs) => {
+  const { classesByDrug } = loadDataset();
+  const keys = new Set(drugs);
+  drugs.forEach(drug => {
+    (classesByDrug[drug] || []).forEach(key => keys.add(`class:${key}`));
+  });
+  return [...keys];
+};
+
+const describeMedication = (medication) => ({
+  _id: medication._id,
+  name: medication.name,
+  genericName: medication.genericName
+});
+
+// Contraindication entries on `source` that name the `target` medication or its class
+const findContraindications = (source, target, targetDrugs) => {
+  const { classesByDrug, classLabels } = loadDataset();
+  const targetTerms = new Set([
+    normalize(target.name),
+    normalize(target.genericName),
+    ...targetDrugs
+  ]);
+  targetDrugs.forEach(drug => {
+    (classesByDrug[drug] || []).forEach(key => targetTerms.add(classLabels[key]));
+  });
+
+  return (source.contraindications || []).filter(entry => {
+    const text = normalize(entry);
+    return [...targetTerms].some(term => term && mentions(text, term));
+  });
+};
+
+const interactionService = {
+  SEVERITY_ORDER,
+
+  // Interactions between every pair of the given medication documents
+  checkMedications: (medications) => {
+    const { index } = loadDataset();
+    const entries = medications.map(medication => {
+      const drugs = identifyDrugs(medication);
+      return { medication, drugs, keys: getLookupKeys(drugs) };
+    });
+
+    const interactions = [];
+
+    for (let i = 0; i < entries.length; i++) {
+      for (let j = i + 1; j < entries.length; j++) {
+        interactions.push(...interactionService.comparePair(entries[i], entries[j], index));
+      }
+    }
+
+    return interactionService.sortBySeverity(interactions);
+  },
+
+  // Interactions between one medication and a list of others (e.g. the user's active regimens)
+  checkAgainst: (medication, others) => {
+    const { index } = loadDataset();
+    const drugs = identifyDrugs(medication);
+    const subject = { medication, drugs, keys: getLookupKeys(drugs) };
+
+    const interactions = [];
+    others
+      .filter(other => String(other._id) !== String(medication._id))
+      .forEach(other => {
+        const otherDrugs = identifyDrugs(other);
+        interactions.push(...interactionService.comparePair(
+          subject,
+          { medication: other, drugs: otherDrugs, keys: getLookupKeys(otherDrugs) },
+          index
+        ));
+      });
+
+    return interactionService.sortBySeverity(interactions);
+  },
+
+  // Dataset matches, contraindications and duplicate ingredients for two medications
+  comparePair: (a, b, index) => {
+    const results = [];
+    const medications = [describeMedication(a.medication), describeMedication(b.medication)];
+    const seen = new Set();
+
+    a.keys.forEach(keyA => {
+      b.keys.forEach(keyB => {
+        const key = pairKey(keyA, keyB);
+        const entry = index.get(key);
+        if (!entry || seen.has(key)) return;
+        seen.add(key);
+        results.push({
+          severity: entry.severity,
+          source: 'dataset',
+          drugs: entry.drugs,
+          description: entry.description,
+          medications
+        });
+      });
+    });
+
+    [[a, b], [b, a]].forEach(([source, target]) => {
+      findContraindications(source.medication, target.medication, target.drugs).forEach(entry => {
+        results.push({
+          severity: 'contraindicated',
+          source: 'contraindication',
+          drugs: [entry],
+          description: `${source.medication.name} lists "${entry}" as a contraindication`,
+          medications
+        });
+      });
+    });
+
+    a.drugs.filter(drug => b.drugs.includes(drug)).forEach(drug => {
+      results.push({
+        severity: 'moderate',
+        source: 'duplicate',
+        drugs: [drug],
+        description: `Both medications contain ${drug}; taking them together may double the dose`,
+        medications
+      });
+    });
+
+    return results;
+  },
+
+  sortBySeverity: (interactions) => [...interactions].sort((x, y) =>
+    SEVERITY_ORDER.indexOf(x.severity) - SEVERITY_ORDER.indexOf(y.severity)
+  ),
+
+  getDatasetVersion: () => loadDataset().version,
+
+  // Drop the cached dataset so the next check re-reads the file
+  reload: () => {
+    dataset = null;
+    return loadDataset();
+  }
+};
+
+module.exports = interactionService;
@@ -0,0 +1,118 @@
+const Regimen = require('../models/Regimen');
+const DoseLog = require('../models/DoseLog');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How far ahead run-out dates are projected
+const PROJECTION_DAYS = 180;
+
+// Amount a dose log has taken out of stock
+const takenAmount = (doseLog) =>
+  doseLog && doseLog.status === 'taken' ? (doseLog.dosage?.amount || 0) : 0;
+
+const inventoryService = {
+  // Adjust stock for a dose log being created, changed or deleted.
+  // `before`/`after` are { status, dosage } snapshots, or null when the log
+  // doesn't exist on that side of the change.
+  applyDoseChange: async (regimenId, before, after) => {
+    const delta = takenAmount(before) - takenAmount(after);
+    if (!delta) return null;
+
+    try {
+      return await Regimen.findOneAndUpdate(
+        { _id: regimenId, 'refillReminder.trackStock': true },
+        { $inc: { 'refillReminder.currentStock': delta } },
+        { new: true }
+      );
+    } catch (error) {
+      console.error('Stock adjustment failed:', error);
+      return null;
+    }
+  },
+
+  // Record a refill on a regimen in the given scope, adding its quantity to stock
+  recordRefill: async (regimenId, scope, { quantity, date = new Date(), notes }) => {
+    return Regimen.findOneAndUpdate(
+      { _id: regimenId, ...scope },
+      {
+        $inc: { 'refillReminder.currentStock': quantity },
+        $set: {
+          'refillReminder.trackStock': true,
+          'refillReminder.lastRefillDate': new Date(date)
+        },
+        $unset: { 'refillReminder.lastNotifiedAt': '' },
+        $push: { refillHistory: { quantity, date: new Date(date), notes } }
+      },
+      { new: true }
+    ).populate('medication');
+  },
+
+  // Project when the current stock runs out. Scheduled regimens walk the
+  // upcoming dose times; as-needed regimens use the last 30 days of intake.
+  getProjection: async (regimen, timezone) => {
+    const refill = regimen.refillReminder || {};
+    const currentStock = Math.max(0, refill.currentStock || 0);
+    const now = new Date();
+
+    const projection = {
+      trackStock: !!refill.trackStock,
+      currentStock,
+      daysBeforeEmpty: refill.daysBeforeEmpty ?? 7,
+      dailyUsage: 0,
+      runOutDate: null,
+      daysRemaining: null,
+      needsRefill: false
+    };
+
+    if (regimen.frequency === 'as_needed') {
+      const since = new Date(now.getTime() - 30 * DAY_MS);
+      const [usage] = await DoseLog.aggregate([
+        { $match: { regimen: regimen._id, status: 'taken', actualTime: { $gte: since } } },
+        { $group: { _id: null, total: { $sum: '$dosage.amount' } } }
+      ]);
+      projection.dailyUsage = (usage?.total || 0) / 30;
+
+      if (projection.dailyUsage > 0) {
+        projection.daysRemaining = currentStock / projection.dailyUsage;
+        projection.runOutDate = new Date(now.getTime() + projection.daysRemaining * DAY_MS);
+      }
+    } else {
+      const horizon = new Date(now.getTime() + PROJECTION_DAYS * DAY_MS);
+      const monthAhead = new Date(now.getTime() + 30 * DAY_MS);
+      let remaining = currentStock;
+      let usageNextMonth = 0;
+
+      for (const doseTime of regimen.getDoseTimesBetween(now, horizon, timezone)) {
+        const { amount } = regimen.getDosageFor(doseTime, timezone);
+        if (doseTime <= monthAhead) usageNextMonth += amount;
+
+        if (!projection.runOutDate) {
+          if (amount > remaining) {
+            // First dose the stock can't cover
+            projection.runOutDate = doseTime;
+          } else {
+            remaining -= amount;
+          }
+        } else if (doseTime > monthAhead) {
+          break;
+        }
+      }
+
+      projection.dailyUsage = usageNextMonth / 30;
+      if (projection.runOutDate) {
+        projection.daysRemaining = (projection.runOutDate - now) / DAY_MS;
+      }
+    }
+
+    if (projection.daysRemaining !== null) {
+      projection.daysRemaining = Math.floor(projection.daysRemaining);
+      projection.needsRefill = projection.trackStock &&
+        projection.daysRemaining <= projection.daysBeforeEmpty;
+    }
+    projection.dailyUsage = Math.round(projection.dailyUsage * 100) / 100;
+
+    return projection;
+  }
+};
+
+module.exports = inventoryService;
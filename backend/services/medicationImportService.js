@@ -0,0 +1,233 @@
+const Medication = require('../models/Medication');
+const auditService = require('./auditService');
+const { toCsv, parseCsv } = require('../utils/csv');
+
+// Largest file accepted in one import
+const MAX_IMPORT_ROWS = parseInt(process.env.MEDICATION_IMPORT_MAX_ROWS) || 1000;
+
+// Flat CSV columns and the Medication paths they map to.
+// List columns hold values separated by semicolons.
+const COLUMNS = [
+  { header: 'name', path: 'name' },
+  { header: 'genericName', path: 'genericName' },
+  { header: 'category', path: 'category' },
+  { header: 'form', path: 'form' },
+  { header: 'strengthAmount', path: 'strength.amount', type: 'number' },
+  { header: 'strengthUnit', path: 'strength.unit' },
+  { header: 'ndc', path: 'ndc' },
+  { header: 'manufacturer', path: 'manufacturer' },
+  { header: 'color', path: 'color' },
+  { header: 'shape', path: 'shape' },
+  { header: 'imprint', path: 'imprint' },
+  { header: 'sideEffects', path: 'sideEffects', type: 'list' },
+  { header: 'contraindications', path: 'contraindications', type: 'list' },
+  { header: 'withFood', path: 'instructions.withFood' },
+  { header: 'specialInstructions', path: 'instructions.specialInstructions' },
+  { header: 'costAmount', path: 'cost.amount', type: 'number' },
+  { header: 'costCurrency', path: 'cost.currency' },
+  { header: 'costPer', path: 'cost.per' }
+];
+
+const getPath = (object, path) => path.split('.')
+  .reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), object);
+
+const setPath = (object, path, value) => {
+  const keys = path.split('.');
+  let target = object;
+  keys.slice(0, -1).forEach(key => {
+    target[key] = target[key] || {};
+    target = target[key];
+  });
+  target[keys[keys.length - 1]] = value;
+};
+
+// Fields an import may set; ids, timestamps and anything unknown are dropped
+const pickImportFields = (record) => {
+  const medication = {};
+  COLUMNS.forEach(({ path }) => {
+    const value = getPath(record, path);
+    if (value !== undefined && value !== null && value !== '') {
+      setPath(medication, path, value);
+    }
+  });
+  return medication;
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Digits only, so "0002-3227-30" and "00023227 30" compare equal
+const normalizeNdc = (ndc) => String(ndc || '').replace(/\D/g, '');
+
+const getDuplicateKeys = (medication) => {
+  const keys = [];
+  const ndc = normalizeNdc(medication.ndc);
+  if (ndc) keys.push(`ndc:${ndc}`);
+
+  const name = String(medication.name || '').trim().toLowerCase();
+  if (name && medication.strength?.amount !== undefined) {
+    keys.push(`strength:${name}|${Number(medication.strength.amount)}|${medication.strength.unit || ''}`);
+  }
+  return keys;
+};
+
+const medicationImportService = {
+  COLUMNS,
+  MAX_IMPORT_ROWS,
+
+  // Convert a CSV row keyed by header into a Medication-shaped object
+  fromCsvRecord: (record) => {
+    const medication = {};
+    COLUMNS.forEach(({ header, path, type }) => {
+      const raw = record[header];
+      if (raw === undefined || raw === '') return;
+
+      let value = raw;
+      if (type === 'number') {
+        value = Number(raw);
+        // Keep the raw text so validation reports the bad value
+        if (Number.isNaN(value)) value = raw;
+      } else if (type === 'list') {
+        value = raw.split(';').map(item => item.trim()).filter(Boolean);
+      }
+      setPath(medication, path, value);
+    });
+    return medication;
+  },
+
+  // Flatten a medication into CSV cells in column order
+  toCsvRow: (medication) => COLUMNS.map(({ path, type }) => {
+    const value = getPath(medication, path);
+    if (type === 'list') return (value || []).join('; ');
+    return value === undefined || value === null ? '' : value;
+  }),
+
+  // Parse an uploaded CSV or JSON document into medication objects
+  parse: (content, format) => {
+    if (format === 'csv') {
+      return parseCsv(content).map(medicationImportService.fromCsvRecord);
+    }
+
+    const data = typeof content === 'string' ? JSON.parse(content) : content;
+    const records = Array.isArray(data) ? data : data?.medications;
+    if (!Array.isArray(records)) {
+      throw new Error('JSON import must be an array or an object with a medications array');
+    }
+    return records.map(record => pickImportFields(record || {}));
+  },
+
+  // Schema validation errors for one row, keyed by field path
+  validate: (medication) => {
+    const error = new Medication(medication).validateSync();
+    if (!error) return [];
+
+    return Object.values(error.errors).map(fieldError => ({
+      field: fieldError.path,
+      message: fieldError.kind === 'enum' ?
+        `${fieldError.value} is not a valid ${fieldError.path}` :
+        fieldError.name === 'CastError' ?
+          `${fieldError.path} must be a ${fieldError.kind.toLowerCase()}` :
+          fieldError.message
+    }));
+  },
+
+  // Validate rows, flag duplicates and (unless dry-running) insert the new ones.
+  // `owner` makes the rows private to that user; null imports into the shared catalog.
+  importMedications: async (medications, { dryRun = false, owner = null, audit = {} } = {}) => {
+    if (medications.length > MAX_IMPORT_ROWS) {
+      throw new Error(`Imports are limited to ${MAX_IMPORT_ROWS} rows`);
+    }
+
+    // Look up possible duplicates already in the catalog in one query
+    const names = [...new Set(medications
+      .map(medication => String(medication.name || '').trim())
+      .filter(Boolean))];
+    const ndcs = [...new Set(medications.map(medication => normalizeNdc(medication.ndc)).filter(Boolean))];
+    // Duplicates are checked against what the rows' owner can already see
+    const existing = await Medication.find({
+      ...(owner ? Medication.visibleTo(owner) : { user: null }),
+      $or: [
+        { name: { $in: names.map(name => new RegExp(`^${escapeRegExp(name)}$`, 'i')) } },
+        // Stored NDCs may use any hyphenation, so allow separators between digits
+        { ndc: { $in: ndcs.map(ndc => new RegExp(`^\\D*${ndc.split('').join('\\D*')}\\D*$`)) } }
+      ]
+    }).select('name strength ndc');
+
+    const seen = new Map();
+    existing.forEach(medication => {
+      getDuplicateKeys(medication).forEach(key => {
+        seen.set(key, { source: 'existing', _id: medication._id, name: medication.name });
+      });
+    });
+
+    const rows = [];
+    const toCreate = [];
+
+    medications.forEach((medication, index) => {
+      // Row numbers are 1-based data rows, excluding any header
+      const row = { row: index + 1, name: medication.name || null };
+      const errors = medicationImportService.validate(medication);
+
+      if (errors.length > 0) {
+        rows.push({ ...row, status: 'invalid', errors });
+        return;
+      }
+
+      const keys = getDuplicateKeys(medication);
+      const duplicate = keys.map(key => seen.get(key)).find(Boolean);
+      if (duplicate) {
+        rows.push({ ...row, status: 'duplicate', duplicateOf: duplicate });
+        return;
+      }
+
+      keys.forEach(key => seen.set(key, { source: 'import', row: row.row, name: medication.name }));
+      toCreate.push({ row, medication });
+    });
+
+    let created = [];
+    if (!dryRun && toCreate.length > 0) {
+      created = await Medication.insertMany(
+        toCreate.map(item => ({ ...item.medication, user: owner ? owner._id : null })),
+        { ordered: true }
+      );
+      await auditService.recordCreates('Medication', created, audit, 'Bulk import');
+    }
+
+    toCreate.forEach((item, index) => {
+      rows.push({
+        ...item.row,
+        status: dryRun ? 'valid' : 'created',
+        ...(created[index] ? { _id: created[index]._id } : {})
+      });
+    });
+
+    rows.sort((a, b) => a.row - b.row);
+
+    return {
+      dryRun,
+      summary: {
+        total: medications.length,
+        valid: toCreate.length,
+        created: created.length,
+        duplicates: rows.filter(row => row.status === 'duplicate').length,
+        invalid: rows.filter(row => row.status === 'invalid').length
+      },
+      rows
+    };
+  },
+
+  // Serialize medications in a format the importer accepts
+  exportMedications: (medications, format) => {
+    if (format === 'csv') {
+      return toCsv(
+        COLUMNS.map(({ header }) => header),
+        medications.map(medicationImportService.toCsvRow)
+      );
+    }
+
+    return medications.map(medication => pickImportFields(
+      typeof medication.toObject === 'function' ? medication.toObject() : medication
+    ));
+  }
+};
+
+module.exports = medicationImportService;
@@ -0,0 +1,82 @@
+const User = require('../models/User');
+const DoseLog = require('../models/DoseLog');
+const auditService = require('./auditService');
+
+const DEFAULT_LATE_WINDOW_MINUTES = 240;
+
+const missedDoseService = {
+  // Flip a user's pending doses to missed once their late-logging window has passed
+  markMissedForUser: async (user) => {
+    const windowMinutes = user.preferences?.lateLoggingWindow ?? DEFAULT_LATE_WINDOW_MINUTES;
+    const cutoff = new Date(Date.now() - windowMinutes * 60 * 1000);
+
+    const expiredDoses = await DoseLog.find({
+      user: user._id,
+      status: 'pending',
+      scheduledTime: { $lt: cutoff }
+    }).select('_id status scheduledTime profile').lean();
+
+    let markedCount = 0;
+    let ownMarkedCount = 0;
+
+    for (const dose of expiredDoses) {
+      // Conditional update so a dose logged meanwhile (or claimed by another
+      // instance) is never counted twice
+      const updated = await DoseLog.findOneAndUpdate(
+        { _id: dose._id, status: 'pending' },
+        { $set: { status: 'missed' } },
+        { new: true }
+      );
+
+      if (!updated) continue;
+
+      markedCount++;
+      if (!dose.profile) ownMarkedCount++;
+      await auditService.record({
+        entityType: 'DoseLog',
+        entityId: updated._id,
+        user: user._id,
+        action: 'update',
+        source: 'scheduler',
+        reason: `Auto-marked missed after ${windowMinutes} minute late-logging window`,
+        before: { status: 'pending' },
+        after: { status: 'missed' }
+      });
+    }
+
+    // Account adherence stats only cover the holder's own doses, not dependents'
+    if (ownMarkedCount > 0) {
+      await user.updateAdherenceStats(0, ownMarkedCount);
+    }
+
+    return markedCount;
+  },
+
+  // Sweep every user who has auto-marking enabled
+  markMissedDoses: async () => {
+    // Only look at users who actually have overdue pending doses
+    const userIds = await DoseLog.distinct('user', {
+      status: 'pending',
+      scheduledTime: { $lt: new Date() }
+    });
+
+    const users = await User.find({
+      _id: { $in: userIds },
+      'preferences.autoMarkMissed': { $ne: false }
+    });
+
+    let totalMarked = 0;
+
+    for (const user of users) {
+      try {
+        totalMarked += await missedDoseService.markMissedForUser(user);
+      } catch (error) {
+        console.error(`Auto-mark missed failed for user ${user._id}:`, error);
+      }
+    }
+
+    return { users: users.length, marked: totalMarked };
+  }
+};
+
+module.exports = missedDoseService;
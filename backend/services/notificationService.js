@@ -1,100 +1,124 @@
-const nodemailer = require('nodemailer');
-const webpush = require('web-push'); // Enable web-push for push notifications
 const User = require('../models/User');
 const DoseLog = require('../models/DoseLog');
+const Regimen = require('../models/Regimen');
+const inventoryService = require('./inventoryService');
+const deliveryService = require('./deliveryService');
+const doseActionService = require('./doseActionService');
+const inboxService = require('./inboxService');
+const emailTemplateService = require('./emailTemplateService');
+const emailChannel = require('./channels/emailChannel');
+const pushChannel = require('./channels/pushChannel');
+const { resolveTimezone, getZonedParts } = require('../utils/timezone');
 
-// Configure email transporter
-const createEmailTransporter = () => {
-  return nodemailer.createTransport({
-    host: process.env.EMAIL_HOST || 'smtp.gmail.com',
-    port: process.env.EMAIL_PORT || 587,
-    secure: false, // true for 465, false for other ports
-    auth: {
-      user: process.env.EMAIL_USER,
-      pass: process.env.EMAIL_PASS
-    }
-  });
+// Reminders for a dependent profile go to the account holder, so templates
+// name whose medication it is ("Emma's" rather than "your")
+const getProfileName = (user, profileId) => {
+  const profile = profileId ? user.dependents?.id(profileId) : null;
+  return profile ? profile.name : null;
 };
 
-// Configure web push when VAPID keys are available
-if (process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY) {
-  try {
-    webpush.setVapidDetails(
-      'mailto:' + (process.env.EMAIL_USER || 'noreply@medtracker.com'),
-      process.env.VAPID_PUBLIC_KEY,
-      process.env.VAPID_PRIVATE_KEY
-    );
-    console.log('Web push configured successfully');
-  } catch (error) {
-    console.warn('Failed to configure web push - invalid VAPID keys:', error.message);
-    console.log('Push notifications will be disabled until valid VAPID keys are provided');
-    // Don't throw error, just disable push notifications
-  }
-} else {
-  console.warn('VAPID keys not found - push notifications will be disabled');
-}
+const getDosage = (dose) => {
+  const dosageSource = dose.dosage?.amount ? dose.dosage : dose.regimen?.dosage;
+  return `${dosageSource?.amount} ${dosageSource?.unit}`;
+};
 
-const notificationService = {  // Send email notification
-  sendEmail: async (to, subject, html, text) => {
-    try {
-      if (!process.env.EMAIL_USER || !process.env.EMAIL_PASS) {
-        console.warn('Email service not configured');
-        return { success: false, message: 'Email service not configured' };
-      }
+// Signed token and endpoint for a dose reminder's Taken / Snooze / Skip buttons.
+// Without API_URL there is nowhere to send them, so the reminder has no buttons.
+const getDoseActionData = (dose) => {
+  const actionUrl = doseActionService.getActionUrl();
+  return actionUrl ? { actionToken: doseActionService.createToken(dose), actionUrl } : {};
+};
 
-      const transporter = createEmailTransporter();
-      
-      const mailOptions = {
-        from: process.env.EMAIL_USER,
-        to,
-        subject,
-        html,
-        text
-      };
+const DEFAULT_REMINDER_MINUTES = 15;
 
-      const result = await transporter.sendMail(mailOptions);
-      console.log('Email sent successfully:', result.messageId);
-      return { success: true, messageId: result.messageId };
-    } catch (error) {
-      console.error('Email sending failed:', error);
-      
-      // Provide more helpful error messages
-      let errorMessage = error.message;
-      if (error.code === 'EAUTH') {
-        errorMessage = 'Email authentication failed. Please check if you are using an App Password for Gmail (not your regular password). Visit https://support.google.com/accounts/answer/185833 to create an App Password.';
-      }
-      
-      return { success: false, error: errorMessage };
-    }
-  },  // Send push notification
+// Minutes before a dose to remind at: the regimen's lead times, or the user's
+// reminderMinutes setting for regimens without any
+const getLeadTimes = (user, regimen) => {
+  if (regimen?.reminders?.enabled === false) return [];
+  const leads = regimen?.reminders?.timesBefore || [];
+  return leads.length > 0 ?
+    [...new Set(leads)] :
+    [user.settings?.notifications?.reminderMinutes || DEFAULT_REMINDER_MINUTES];
+};
+
+// Minutes past midnight for an "HH:MM" time
+const toDayMinutes = (time) => {
+  const [hour, minute] = time.split(':').map(Number);
+  return hour * 60 + minute;
+};
+
+// Whether an instant falls in the user's quiet hours, in their timezone.
+// A window whose end is earlier than its start runs past midnight.
+const isInQuietHours = (user, date = new Date()) => {
+  const quietHours = user.settings?.notifications?.quietHours;
+  if (!quietHours?.enabled || !quietHours.start || !quietHours.end) return false;
+
+  const { hour, minute } = getZonedParts(date, resolveTimezone(user));
+  const now = hour * 60 + minute;
+  const start = toDayMinutes(quietHours.start);
+  const end = toDayMinutes(quietHours.end);
+  if (start === end) return false;
+
+  return start < end ? now >= start && now < end : now >= start || now < end;
+};
+
+// Quiet hours hold a dose's notification back unless its regimen is critical
+// and the user lets critical medications through
+const isHeldByQuietHours = (user, regimen, quiet) =>
+  quiet && !(regimen?.isCritical && user.settings?.notifications?.quietHours?.allowCritical !== false);
+
+// Channel selection for a combined notification: the union of the doses'
+// reminder methods, or every channel if any dose's regimen doesn't restrict them
+const getBatchChannelRegimen = (doses) => {
+  const methodLists = doses.map(dose => dose.regimen?.reminders?.methods || []);
+  const methods = methodLists.some(list => list.length === 0) ? [] : [...new Set(methodLists.flat())];
+  return { reminders: { methods } };
+};
+
+// Load the users owning a set of doses, keyed by ID
+const getDoseUsers = async (doses) => {
+  const userIds = [...new Set(doses.filter(dose => dose.user).map(dose => dose.user.toString()))];
+  const users = await User.find({ _id: { $in: userIds } })
+    .select('_id settings preferences.timezone');
+  return new Map(users.map(user => [user._id.toString(), user]));
+};
+
+const notificationService = {
+  // Send an email directly, outside the per-user channel selection
+  sendEmail: async (to, subject, html, text, attachments) => {
+    const result = await emailChannel.send(to, { subject, html, text, attachments });
+    return result.success ?
+      { success: true, messageId: result.providerMessageId } :
+      { success: false, error: result.error };
+  },
+
+  // Send a push notification directly to one subscription
   sendPushNotification: async (subscription, payload) => {
-    try {
-      if (!process.env.VAPID_PUBLIC_KEY || !process.env.VAPID_PRIVATE_KEY) {
-        console.warn('Push notification service not configured - VAPID keys missing');
-        return { success: false, message: 'Push notification service not configured - VAPID keys missing' };
-      }
+    const result = await pushChannel.send(subscription, { push: payload });
+    return result.success ?
+      { success: true, result: result.result } :
+      { success: false, error: result.error };
+  },
 
-      if (!subscription || !subscription.endpoint) {
-        console.warn('Invalid push subscription provided');
-        return { success: false, message: 'Invalid push subscription provided' };
-      }
+  // Email a password reset link. Sent whether or not the address is verified.
+  sendPasswordResetEmail: async (user, resetUrl, expiresInMinutes) => {
+    const { subject, html, text } = emailTemplateService.render('passwordReset', {
+      firstName: user.firstName,
+      resetUrl,
+      expiresInMinutes
+    }, { user });
+    return notificationService.sendEmail(user.email, subject, html, text);
+  },
 
-      // Check if webpush is properly configured by testing the VAPID details
-      try {
-        const result = await webpush.sendNotification(subscription, JSON.stringify(payload));
-        console.log('Push notification sent successfully');
-        return { success: true, result };
-      } catch (vapidError) {
-        if (vapidError.message.includes('Vapid') || vapidError.message.includes('VAPID')) {
-          console.warn('VAPID configuration error:', vapidError.message);
-          return { success: false, message: 'Push notification service misconfigured - invalid VAPID keys' };
-        }
-        throw vapidError; // Re-throw if it's not a VAPID error
-      }
-    } catch (error) {
-      console.error('Push notification failed:', error);
-      return { success: false, error: error.message };
-    }
+  // Email a link confirming the user's address
+  sendVerificationEmail: async (user, verifyUrl, expiresInMinutes) => {
+    const { subject, html, text } = emailTemplateService.render('emailVerification', {
+      firstName: user.firstName,
+      email: user.email,
+      verifyUrl,
+      expiresInHours: Math.round(expiresInMinutes / 60)
+    }, { user });
+    return notificationService.sendEmail(user.email, subject, html, text);
   },
 
   // Send dose reminder notification
@@ -104,67 +128,46 @@ const notificationService = {  // Send email notification
       if (!user) return { success: false, message: 'User not found' };
 
       const medicationName = dose.regimen?.medication?.name || dose.medication?.name || 'Medication';
-      const dosage = dose.dosage || `${dose.regimen?.dosage?.amount} ${dose.regimen?.dosage?.unit}`;
-      
-      let subject, message;
-      if (minutesUntil <= 0) {
-        subject = `Time to take your ${medicationName}`;
-        message = `It's time to take your ${medicationName} (${dosage})`;
-      } else {
-        subject = `${medicationName} reminder`;
-        message = `Don't forget to take your ${medicationName} (${dosage}) in ${minutesUntil} minutes`;
-      }
+      const { subject, summary: message, html, text } = emailTemplateService.render('reminder', {
+        medicationName,
+        dosage: getDosage(dose),
+        scheduledTime: dose.scheduledTime,
+        minutesUntil,
+        profileName: getProfileName(user, dose.profile)
+      }, { user });
 
-      const results = [];
-
-      // Send email notification if enabled
-      if (user.settings?.notifications?.email && user.email) {
-        const html = `
-          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-            <h2 style="color: #2563eb;">${subject}</h2>
-            <p>${message}</p>
-            <div style="background-color: #f3f4f6; padding: 20px; border-radius: 8px; margin: 20px 0;">
-              <h3>Medication Details:</h3>
-              <p><strong>Name:</strong> ${medicationName}</p>
-              <p><strong>Dosage:</strong> ${dosage}</p>
-              <p><strong>Scheduled Time:</strong> ${new Date(dose.scheduledTime).toLocaleString()}</p>
-            </div>
-            <p style="color: #6b7280; font-size: 14px;">
-              This is an automated reminder from MisoGiao. 
-              Please log into your account to mark this dose as taken.
-            </p>
-          </div>
-        `;
-        
-        const emailResult = await notificationService.sendEmail(
-          user.email,
-          subject,
-          html,
-          message
-        );
-        results.push({ type: 'email', ...emailResult });
-      }
+      const data = {
+        doseId: dose._id,
+        profileId: dose.profile || null,
+        medicationName,
+        scheduledTime: dose.scheduledTime
+      };
 
-      // Send push notification if enabled and subscription exists
-      if (user.settings?.notifications?.push && user.pushSubscription) {
-        const payload = {
+      const results = await deliveryService.deliver(user, {
+        subject,
+        text,
+        html,
+        sms: message,
+        push: {
           title: subject,
           body: message,
           icon: '/medication-icon.png',
           badge: '/medication-badge.png',
-          data: {
-            doseId: dose._id,
-            medicationName,
-            scheduledTime: dose.scheduledTime
-          }
-        };
-
-        const pushResult = await notificationService.sendPushNotification(
-          user.pushSubscription,
-          payload
-        );
-        results.push({ type: 'push', ...pushResult });
-      }
+          actions: doseActionService.PUSH_ACTIONS,
+          data: { ...data, ...getDoseActionData(dose) }
+        },
+        data
+      }, { event: 'dose_reminder', regimen: dose.regimen, dose });
+
+      await inboxService.record(user._id, {
+        type: 'dose_reminder',
+        title: subject,
+        message,
+        profile: dose.profile,
+        dose,
+        regimen: dose.regimen,
+        data: { medicationName, scheduledTime: dose.scheduledTime }
+      });
 
       return { success: true, results };
     } catch (error) {
@@ -182,111 +185,356 @@ const notificationService = {  // Send email notification
       const medicationName = dose.regimen?.medication?.name || dose.medication?.name || 'Medication';
       const minutesLate = Math.floor((new Date() - new Date(dose.scheduledTime)) / (1000 * 60));
       
-      const subject = `${medicationName} is overdue`;
-      const message = `Your ${medicationName} is ${minutesLate} minutes overdue. Please take it when possible.`;
-
-      const results = [];
-
-      // Send email notification if enabled
-      if (user.settings?.notifications?.email && user.email) {
-        const html = `
-          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-            <h2 style="color: #dc2626;">${subject}</h2>
-            <p>${message}</p>
-            <div style="background-color: #fef2f2; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #dc2626;">
-              <h3>Overdue Medication:</h3>
-              <p><strong>Name:</strong> ${medicationName}</p>
-              <p><strong>Was scheduled for:</strong> ${new Date(dose.scheduledTime).toLocaleString()}</p>
-              <p><strong>Minutes late:</strong> ${minutesLate}</p>
-            </div>
-            <p style="color: #6b7280; font-size: 14px;">
-              Please log into your account to mark this dose as taken or missed.
-            </p>
-          </div>
-        `;
-        
-        const emailResult = await notificationService.sendEmail(
-          user.email,
-          subject,
-          html,
-          message
-        );
-        results.push({ type: 'email', ...emailResult });
-      }
+      const { subject, summary: message, html, text } = emailTemplateService.render('overdue', {
+        medicationName,
+        scheduledTime: dose.scheduledTime,
+        minutesLate,
+        profileName: getProfileName(user, dose.profile)
+      }, { user });
 
-      // Send push notification if enabled
-      if (user.settings?.notifications?.push && user.pushSubscription) {
-        const payload = {
+      const data = {
+        doseId: dose._id,
+        profileId: dose.profile || null,
+        medicationName,
+        scheduledTime: dose.scheduledTime,
+        minutesLate
+      };
+
+      const results = await deliveryService.deliver(user, {
+        subject,
+        text,
+        html,
+        sms: message,
+        push: {
           title: subject,
           body: message,
           icon: '/medication-icon.png',
           badge: '/medication-badge.png',
           tag: 'overdue',
-          data: {
-            doseId: dose._id,
-            medicationName,
-            scheduledTime: dose.scheduledTime,
-            minutesLate
-          }
-        };
-
-        const pushResult = await notificationService.sendPushNotification(
-          user.pushSubscription,
-          payload
+          actions: doseActionService.PUSH_ACTIONS,
+          data: { ...data, ...getDoseActionData(dose) }
+        },
+        data
+      }, { event: 'overdue', regimen: dose.regimen, dose });
+
+      await inboxService.record(user._id, {
+        type: 'dose_overdue',
+        title: subject,
+        message,
+        profile: dose.profile,
+        dose,
+        regimen: dose.regimen,
+        data: { medicationName, scheduledTime: dose.scheduledTime, minutesLate }
+      });
+
+      return { success: true, results };
+    } catch (error) {
+      console.error('Overdue notification failed:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Send refill reminder when projected supply is running low
+  sendRefillReminder: async (userId, regimen, projection) => {
+    try {
+      const user = await User.findById(userId);
+      if (!user) return { success: false, message: 'User not found' };
+
+      const medicationName = regimen.medication?.name || 'Medication';
+      const { subject, summary: message, html, text } = emailTemplateService.render('refill', {
+        medicationName,
+        currentStock: projection.currentStock,
+        unit: regimen.dosage?.unit,
+        daysRemaining: projection.daysRemaining,
+        runOutDate: projection.runOutDate,
+        profileName: getProfileName(user, regimen.profile)
+      }, { user });
+
+      const data = {
+        regimenId: regimen._id,
+        profileId: regimen.profile || null,
+        medicationName,
+        runOutDate: projection.runOutDate
+      };
+
+      const results = await deliveryService.deliver(user, {
+        subject,
+        text,
+        html,
+        sms: message,
+        push: {
+          title: subject,
+          body: message,
+          icon: '/medication-icon.png',
+          data
+        },
+        data
+      }, { event: 'refill', regimen });
+
+      await inboxService.record(user._id, {
+        type: 'refill_reminder',
+        title: subject,
+        message,
+        profile: regimen.profile,
+        regimen,
+        data: { medicationName, runOutDate: projection.runOutDate }
+      });
+
+      return { success: true, results };
+    } catch (error) {
+      console.error('Refill reminder notification failed:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Check stock-tracked regimens and remind once per supply when running low
+  checkRefillReminders: async () => {
+    let sent = 0;
+    try {
+      const regimens = await Regimen.find({
+        isActive: true,
+        'refillReminder.enabled': true,
+        'refillReminder.trackStock': true,
+        'refillReminder.lastNotifiedAt': null
+      })
+        .populate('medication', 'name')
+        .populate('user', 'preferences.timezone settings.preferences.timezone');
+
+      for (const regimen of regimens) {
+        if (!regimen.user) continue;
+
+        const projection = await inventoryService.getProjection(regimen, resolveTimezone(regimen.user));
+        if (!projection.needsRefill) continue;
+
+        // Claim the reminder first so overlapping runs never send it twice
+        const claimed = await Regimen.findOneAndUpdate(
+          { _id: regimen._id, 'refillReminder.lastNotifiedAt': null },
+          { $set: { 'refillReminder.lastNotifiedAt': new Date() } }
         );
-        results.push({ type: 'push', ...pushResult });
+        if (!claimed) continue;
+
+        await notificationService.sendRefillReminder(regimen.user._id, regimen, projection);
+        sent++;
+      }
+    } catch (error) {
+      console.error('Check refill reminders failed:', error);
+    }
+    return { sent };
+  },
+
+  // Send one combined reminder or overdue notice for several doses
+  sendBatchedNotification: async (userId, doses, kind = 'reminder') => {
+    try {
+      const user = await User.findById(userId);
+      if (!user) return { success: false, message: 'User not found' };
+
+      const now = new Date();
+      const getMedicationName = (dose) => dose.regimen?.medication?.name || dose.medication?.name || 'Medication';
+      const rendered = emailTemplateService.render('doseBatch', {
+        kind,
+        doses: doses.map(dose => ({
+          medicationName: getMedicationName(dose),
+          dosage: getDosage(dose),
+          scheduledTime: dose.scheduledTime,
+          minutesLate: Math.floor((now - new Date(dose.scheduledTime)) / (1000 * 60)),
+          profileName: getProfileName(user, dose.profile)
+        }))
+      }, { user });
+      const { subject, html, text } = rendered;
+
+      const data = {
+        doseIds: doses.map(dose => dose._id),
+        kind
+      };
+
+      const results = await deliveryService.deliver(user, {
+        subject,
+        text,
+        html,
+        sms: `${subject}: ${rendered.items.map(item => item.message).join('; ')}`,
+        push: {
+          title: subject,
+          body: rendered.summary,
+          icon: '/medication-icon.png',
+          badge: '/medication-badge.png',
+          tag: kind === 'overdue' ? 'overdue' : 'dose-batch',
+          data
+        },
+        data
+      }, { event: kind === 'overdue' ? 'overdue' : 'dose_reminder', regimen: getBatchChannelRegimen(doses) });
+
+      // The inbox keeps one entry per dose so each can be acted on separately
+      for (const [index, dose] of doses.entries()) {
+        const medicationName = getMedicationName(dose);
+        await inboxService.record(user._id, {
+          type: kind === 'overdue' ? 'dose_overdue' : 'dose_reminder',
+          title: rendered.items[index].title,
+          message: rendered.items[index].message,
+          profile: dose.profile,
+          dose,
+          regimen: dose.regimen,
+          data: { medicationName, scheduledTime: dose.scheduledTime }
+        });
       }
 
       return { success: true, results };
     } catch (error) {
-      console.error('Overdue notification failed:', error);
+      console.error('Batched notification failed:', error);
       return { success: false, error: error.message };
     }
   },
 
+  // Notify a user about doses claimed in one check, combined into a single
+  // notification when they have batching turned on
+  dispatchDoseNotifications: async (user, doses, kind = 'reminder') => {
+    if (doses.length === 0) return;
+
+    if (doses.length > 1 && user.settings?.notifications?.batchReminders) {
+      await notificationService.sendBatchedNotification(user._id, doses, kind);
+      return;
+    }
+
+    for (const dose of doses) {
+      if (kind === 'overdue') {
+        await notificationService.sendOverdueNotification(user._id, dose);
+      } else {
+        const minutesUntil = Math.floor((new Date(dose.scheduledTime) - new Date()) / (1000 * 60));
+        await notificationService.sendDoseReminder(user._id, dose, minutesUntil);
+      }
+    }
+  },
+
   // Check for upcoming doses and send reminders
   checkUpcomingDoses: async () => {
     try {
       const users = await User.find({
-        'settings.notifications.email': true
-      }).select('_id email settings');
+        $or: [
+          { 'settings.notifications.email': true },
+          { 'settings.notifications.push': true },
+          { 'settings.notifications.sms': true },
+          { 'settings.notifications.webhook': true }
+        ]
+      }).select('_id email settings preferences.timezone');
 
       for (const user of users) {
-        const reminderMinutes = user.settings?.notifications?.reminderMinutes || 15;
-        const reminderTime = new Date(Date.now() + reminderMinutes * 60 * 1000);
-        
-        // Find doses that are due within the reminder window
+        const fallbackMinutes = user.settings?.notifications?.reminderMinutes || DEFAULT_REMINDER_MINUTES;
+        const regimenLeads = await Regimen.distinct('reminders.timesBefore', { user: user._id, isActive: true });
+        const lookahead = Math.max(fallbackMinutes, ...regimenLeads);
+        const now = new Date();
+        const quiet = isInQuietHours(user, now);
+
+        // Doses close enough that one of their lead-time reminders may be due.
+        // Doses flagged by the old single-window reminder are left alone.
         const upcomingDoses = await DoseLog.find({
-          userId: user._id,
+          user: user._id,
           scheduledTime: {
-            $gte: new Date(),
-            $lte: reminderTime
+            $gte: now,
+            $lte: new Date(now.getTime() + lookahead * 60 * 1000)
           },
-          status: 'pending'
-        }).populate('regimen').populate('regimen.medication');
+          status: 'pending',
+          $or: [
+            { reminderSent: { $ne: true } },
+            { 'remindersSent.0': { $exists: true } }
+          ]
+        }).populate({ path: 'regimen', populate: { path: 'medication' } });
 
+        const dueDoses = [];
         for (const dose of upcomingDoses) {
-          const minutesUntil = Math.floor((new Date(dose.scheduledTime) - new Date()) / (1000 * 60));
-          await notificationService.sendDoseReminder(user._id, dose, minutesUntil);
+          // Held reminders stay unclaimed; any still due once quiet hours end go out then
+          if (isHeldByQuietHours(user, dose.regimen, quiet)) continue;
+
+          const sentLeads = dose.remindersSent.map(reminder => reminder.minutesBefore);
+          const dueLeads = getLeadTimes(user, dose.regimen).filter(minutes =>
+            !sentLeads.includes(minutes) &&
+            dose.scheduledTime.getTime() - minutes * 60 * 1000 <= now.getTime()
+          );
+          if (dueLeads.length === 0) continue;
+
+          // Claim the due lead times first so overlapping ticks and other
+          // instances never send the same reminder twice. Lead times that
+          // came due together (e.g. after downtime) share one reminder.
+          const claimed = await DoseLog.findOneAndUpdate(
+            { _id: dose._id, status: 'pending', 'remindersSent.minutesBefore': { $nin: dueLeads } },
+            {
+              $push: { remindersSent: { $each: dueLeads.map(minutes => ({ minutesBefore: minutes, sentAt: now })) } },
+              $set: { reminderSent: true }
+            }
+          );
+          if (claimed) dueDoses.push(dose);
         }
+
+        await notificationService.dispatchDoseNotifications(user, dueDoses, 'reminder');
       }
+
+      await notificationService.sendSnoozedReminders();
     } catch (error) {
       console.error('Check upcoming doses failed:', error);
     }
   },
 
+  // Remind again about doses snoozed from a notification once the snooze is up
+  sendSnoozedReminders: async () => {
+    const now = new Date();
+    const snoozedDoses = await DoseLog.find({
+      status: 'pending',
+      snoozedUntil: { $lte: now }
+    }).populate({ path: 'regimen', populate: { path: 'medication' } });
+
+    const usersById = await getDoseUsers(snoozedDoses);
+    const dueByUser = new Map();
+
+    for (const dose of snoozedDoses) {
+      const user = usersById.get(dose.user.toString());
+      if (!user || isHeldByQuietHours(user, dose.regimen, isInQuietHours(user, now))) continue;
+
+      // Clear the snooze first so overlapping ticks don't both remind
+      const claimed = await DoseLog.findOneAndUpdate(
+        { _id: dose._id, status: 'pending', snoozedUntil: dose.snoozedUntil },
+        { $unset: { snoozedUntil: 1 } }
+      );
+      if (!claimed) continue;
+
+      if (!dueByUser.has(user)) dueByUser.set(user, []);
+      dueByUser.get(user).push(dose);
+    }
+
+    for (const [user, doses] of dueByUser) {
+      await notificationService.dispatchDoseNotifications(user, doses, 'reminder');
+    }
+  },
+
   // Check for overdue doses
   checkOverdueDoses: async () => {
     try {
+      const now = new Date();
       const overdueDoses = await DoseLog.find({
-        scheduledTime: { $lt: new Date() },
-        status: 'pending'
-      }).populate('userId').populate('regimen').populate('regimen.medication');
+        scheduledTime: { $lt: now },
+        status: 'pending',
+        overdueNotificationSent: { $ne: true },
+        // A snoozed dose isn't nagged about until the snooze is up
+        snoozedUntil: { $not: { $gt: now } }
+      }).populate({ path: 'regimen', populate: { path: 'medication' } });
+
+      const usersById = await getDoseUsers(overdueDoses);
+      const dueByUser = new Map();
 
       for (const dose of overdueDoses) {
-        if (dose.userId) {
-          await notificationService.sendOverdueNotification(dose.userId._id, dose);
-        }
+        const user = dose.user && usersById.get(dose.user.toString());
+        // Held overdue notices stay unclaimed and go out once quiet hours end
+        if (!user || isHeldByQuietHours(user, dose.regimen, isInQuietHours(user, now))) continue;
+
+        const claimed = await DoseLog.findOneAndUpdate(
+          { _id: dose._id, status: 'pending', overdueNotificationSent: { $ne: true } },
+          { $set: { overdueNotificationSent: true, overdueNotifiedAt: new Date() } }
+        );
+        if (!claimed) continue;
+
+        if (!dueByUser.has(user)) dueByUser.set(user, []);
+        dueByUser.get(user).push(dose);
+      }
+
+      for (const [user, doses] of dueByUser) {
+        await notificationService.dispatchDoseNotifications(user, doses, 'overdue');
       }
     } catch (error) {
       console.error('Check overdue doses failed:', error);
@@ -212,6 +212,12 @@ class PDFService {
 
     return doc.y + 10;
   }
+  // Prefix a report subtitle with whose records it covers
+  withPatientName(subtitle, patientName) {
+    if (!patientName) return subtitle;
+    return subtitle ? `Patient: ${patientName}  |  ${subtitle}` : `Patient: ${patientName}`;
+  }
+
   // Generate adherence report PDF
   async generateAdherenceReport(data) {
     const doc = this.createDocument();
@@ -225,10 +231,11 @@ class PDFService {
       const endDateStr = !isNaN(endDate.getTime()) ? format(endDate, 'MMM dd, yyyy') : 'Invalid Date';
       
       yPos = this.addHeader(doc, 'Medication Adherence Report', 
-        `Period: ${startDateStr} - ${endDateStr}`);
+        this.withPatientName(`Period: ${startDateStr} - ${endDateStr}`, data.patientName));
     } catch (error) {
       console.error('Date formatting error in adherence report header:', error);
-      yPos = this.addHeader(doc, 'Medication Adherence Report', 'Period: Invalid Dates');
+      yPos = this.addHeader(doc, 'Medication Adherence Report',
+        this.withPatientName('Period: Invalid Dates', data.patientName));
     }
 
     // Overall statistics
@@ -547,7 +554,7 @@ class PDFService {
   async generateDoseLogsReport(data) {
     const doc = this.createDocument();
     
-    let yPos = this.addHeader(doc, 'Dose Logs Report');
+    let yPos = this.addHeader(doc, 'Dose Logs Report', this.withPatientName(null, data.patientName));
 
     if (data.doses && data.doses.length > 0) {
       yPos = this.addSectionHeader(doc, 'Dose History', yPos);
@@ -574,7 +581,7 @@ class PDFService {
   async generateMedicationListReport(data) {
     const doc = this.createDocument();
     
-    let yPos = this.addHeader(doc, 'Current Medications');
+    let yPos = this.addHeader(doc, 'Current Medications', this.withPatientName(null, data.patientName));
 
     if (data.medications && data.medications.length > 0) {
       yPos = this.addSectionHeader(doc, 'Active Medications', yPos);
@@ -615,7 +622,7 @@ class PDFService {
   async generateMissedDosesReport(data) {
     const doc = this.createDocument();
     
-    let yPos = this.addHeader(doc, 'Missed Doses Report');
+    let yPos = this.addHeader(doc, 'Missed Doses Report', this.withPatientName(null, data.patientName));
 
     if (data.missedDoses && data.missedDoses.length > 0) {
       yPos = this.addSectionHeader(doc, 'Missed Dose History', yPos);
@@ -638,10 +645,10 @@ class PDFService {
   }
 
   // Generate calendar data report PDF
-  async generateCalendarReport(data) {
+  async generateCalendarReport(data, options = {}) {
     const doc = this.createDocument();
     
-    let yPos = this.addHeader(doc, 'Calendar Adherence Data');
+    let yPos = this.addHeader(doc, 'Calendar Adherence Data', this.withPatientName(null, options.patientName));
 
     if (data && data.length > 0) {
       yPos = this.addSectionHeader(doc, 'Daily Adherence Summary', yPos);
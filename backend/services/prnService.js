@@ -0,0 +1,92 @@
+const DoseLog = require('../models/DoseLog');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Most doses in any 24h window [start, start + 24h) that contains `time`.
+// The busiest window always starts at a dose or at `time` itself.
+const countBusiestWindow = (doseTimes, time) => {
+  const starts = doseTimes.filter(dose => dose > time - DAY_MS && dose <= time).concat(time);
+  return Math.max(...starts.map(start =>
+    doseTimes.filter(dose => dose >= start && dose < start.getTime() + DAY_MS).length
+  ));
+};
+
+const prnService = {
+  // Check an as-needed intake at `takenAt` against the regimen's PRN limits.
+  // Returns usage in the trailing 24 hours, when the next dose is allowed and
+  // any limits the intake would break. With `loggedBefore` (a dose log ID),
+  // only doses logged before that one count, to re-check a dose just saved.
+  evaluateIntake: async (regimen, takenAt = new Date(), { loggedBefore } = {}) => {
+    const limits = regimen.prnLimits || {};
+    const intakeTime = new Date(takenAt);
+
+    // Doses within a day either side cover every 24h window the intake
+    // falls in and the nearest dose for backdated entries
+    const filter = {
+      regimen: regimen._id,
+      isPrn: true,
+      status: 'taken',
+      actualTime: {
+        $gt: new Date(intakeTime.getTime() - DAY_MS),
+        $lt: new Date(intakeTime.getTime() + DAY_MS)
+      }
+    };
+    if (loggedBefore) {
+      filter._id = { $lt: loggedBefore };
+    }
+    const nearbyDoses = await DoseLog.find(filter).select('actualTime').sort({ actualTime: 1 }).lean();
+
+    const doseTimes = nearbyDoses.map(dose => new Date(dose.actualTime));
+    const windowDoses = doseTimes.filter(time => time <= intakeTime);
+    const violations = [];
+    const nextAllowed = [];
+
+    if (limits.maxDosesPer24h) {
+      // A backdated intake also lands in windows that end after it, so check
+      // the busiest 24h window containing it, not just the trailing one
+      if (countBusiestWindow(doseTimes, intakeTime) >= limits.maxDosesPer24h) {
+        violations.push({
+          type: 'max_per_24h',
+          message: `Maximum of ${limits.maxDosesPer24h} doses in 24 hours already reached`
+        });
+      }
+      // The trailing window frees up a slot when the oldest dose that keeps it full turns 24h old
+      if (windowDoses.length >= limits.maxDosesPer24h) {
+        const oldestBlocking = windowDoses[windowDoses.length - limits.maxDosesPer24h];
+        nextAllowed.push(new Date(oldestBlocking.getTime() + DAY_MS));
+      }
+    }
+
+    if (limits.minIntervalMinutes) {
+      const intervalMs = limits.minIntervalMinutes * 60 * 1000;
+      const tooClose = doseTimes.filter(time => Math.abs(intakeTime - time) < intervalMs);
+      if (tooClose.length > 0) {
+        violations.push({
+          type: 'min_interval',
+          message: `Doses must be at least ${limits.minIntervalMinutes} minutes apart`
+        });
+      }
+      const lastDose = windowDoses[windowDoses.length - 1];
+      if (lastDose) {
+        nextAllowed.push(new Date(lastDose.getTime() + intervalMs));
+      }
+    }
+
+    const nextAllowedAt = nextAllowed.length > 0 ?
+      new Date(Math.max(...nextAllowed.map(time => time.getTime()))) :
+      null;
+
+    return {
+      dosesLast24h: windowDoses.length,
+      remaining: limits.maxDosesPer24h ?
+        Math.max(0, limits.maxDosesPer24h - windowDoses.length) :
+        null,
+      lastDoseAt: windowDoses[windowDoses.length - 1] || null,
+      nextAllowedAt: nextAllowedAt && nextAllowedAt > intakeTime ? nextAllowedAt : null,
+      enforcement: limits.enforcement || 'block',
+      violations
+    };
+  }
+};
+
+module.exports = prnService;
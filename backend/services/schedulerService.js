@@ -1,5 +1,11 @@
 const cron = require('node-cron');
 const notificationService = require('./notificationService');
+const doseMaterializationService = require('./doseMaterializationService');
+const missedDoseService = require('./missedDoseService');
+const escalationService = require('./escalationService');
+const deliveryService = require('./deliveryService');
+const inboxService = require('./inboxService');
+const weeklySummaryService = require('./weeklySummaryService');
 
 class SchedulerService {
   constructor() {
@@ -34,19 +40,126 @@ class SchedulerService {
       scheduled: false
     });
 
+    // Materialize pending doses for the rolling horizon every hour
+    const materializeJob = cron.schedule('0 * * * *', async () => {
+      console.log('Materializing pending doses...');
+      try {
+        await doseMaterializationService.materializeAll();
+      } catch (error) {
+        console.error('Error materializing pending doses:', error);
+      }
+    }, {
+      scheduled: false
+    });
+
+    // Mark pending doses as missed once the late-logging window passes, every 15 minutes
+    const missedJob = cron.schedule('*/15 * * * *', async () => {
+      console.log('Marking missed doses...');
+      try {
+        await missedDoseService.markMissedDoses();
+      } catch (error) {
+        console.error('Error marking missed doses:', error);
+      }
+    }, {
+      scheduled: false
+    });
+
+    // Send refill reminders for low projected supply every hour
+    const refillJob = cron.schedule('30 * * * *', async () => {
+      console.log('Checking refill reminders...');
+      try {
+        await notificationService.checkRefillReminders();
+      } catch (error) {
+        console.error('Error checking refill reminders:', error);
+      }
+    }, {
+      scheduled: false
+    });
+
+    // Escalate untaken critical doses to caregivers / the emergency contact every 5 minutes
+    const escalationJob = cron.schedule('*/5 * * * *', async () => {
+      console.log('Checking missed-dose escalations...');
+      try {
+        await escalationService.checkEscalations();
+      } catch (error) {
+        console.error('Error checking escalations:', error);
+      }
+    }, {
+      scheduled: false
+    });
+
+    // Retry notification deliveries that failed transiently every 5 minutes
+    const retryJob = cron.schedule('*/5 * * * *', async () => {
+      console.log('Retrying pending notification deliveries...');
+      try {
+        await deliveryService.retryPending();
+      } catch (error) {
+        console.error('Error retrying notification deliveries:', error);
+      }
+    }, {
+      scheduled: false
+    });
+
+    // Clear out old inbox notifications once a day
+    const inboxCleanupJob = cron.schedule('15 3 * * *', async () => {
+      console.log('Cleaning up old inbox notifications...');
+      try {
+        await inboxService.cleanup();
+      } catch (error) {
+        console.error('Error cleaning up inbox notifications:', error);
+      }
+    }, {
+      scheduled: false
+    });
+
+    // Send weekly summaries to users whose chosen local weekday and hour it is, every hour
+    const weeklySummaryJob = cron.schedule('0 * * * *', async () => {
+      console.log('Sending weekly summaries...');
+      try {
+        await weeklySummaryService.sendDueSummaries();
+      } catch (error) {
+        console.error('Error sending weekly summaries:', error);
+      }
+    }, {
+      scheduled: false
+    });
+
     // Start the jobs
     upcomingJob.start();
     overdueJob.start();
+    materializeJob.start();
+    missedJob.start();
+    refillJob.start();
+    escalationJob.start();
+    retryJob.start();
+    inboxCleanupJob.start();
+    weeklySummaryJob.start();
 
     // Store references to jobs for later management
     this.jobs.push(
       { name: 'upcoming-doses', job: upcomingJob },
-      { name: 'overdue-doses', job: overdueJob }
+      { name: 'overdue-doses', job: overdueJob },
+      { name: 'materialize-doses', job: materializeJob },
+      { name: 'auto-mark-missed', job: missedJob },
+      { name: 'refill-reminders', job: refillJob },
+      { name: 'missed-dose-escalation', job: escalationJob },
+      { name: 'notification-retries', job: retryJob },
+      { name: 'inbox-cleanup', job: inboxCleanupJob },
+      { name: 'weekly-summaries', job: weeklySummaryJob }
     );
 
+    // Fill the horizon right away instead of waiting for the first hourly tick
+    this.triggerMaterialization();
+
     console.log('Notification scheduler started with the following jobs:');
     console.log('- Upcoming doses check: every 5 minutes');
     console.log('- Overdue doses check: every 15 minutes');
+    console.log('- Pending dose materialization: every hour');
+    console.log('- Auto-mark missed doses: every 15 minutes');
+    console.log('- Missed-dose escalation: every 5 minutes');
+    console.log('- Notification delivery retries: every 5 minutes');
+    console.log('- Inbox cleanup: daily at 03:15');
+    console.log('- Weekly summaries: every hour, per user weekday and hour');
   }
 
   // Stop all scheduled tasks
@@ -67,6 +180,34 @@ class SchedulerService {
     }));
   }
 
+  // Names of the jobs that can be run by hand
+  getJobNames() {
+    return Object.keys(this.getTriggers());
+  }
+
+  // Manually run a job by its scheduled name
+  async triggerJob(name) {
+    const trigger = this.getTriggers()[name];
+    if (!trigger) {
+      return { success: false, error: `Unknown job: ${name}` };
+    }
+    return trigger();
+  }
+
+  getTriggers() {
+    return {
+      'upcoming-doses': () => this.triggerUpcomingCheck(),
+      'overdue-doses': () => this.triggerOverdueCheck(),
+      'materialize-doses': () => this.triggerMaterialization(),
+      'auto-mark-missed': () => this.triggerMissedCheck(),
+      'refill-reminders': () => this.triggerRefillCheck(),
+      'missed-dose-escalation': () => this.triggerEscalationCheck(),
+      'notification-retries': () => this.triggerDeliveryRetries(),
+      'inbox-cleanup': () => this.triggerInboxCleanup(),
+      'weekly-summaries': () => this.triggerWeeklySummaries()
+    };
+  }
+
   // Manually trigger upcoming doses check
   async triggerUpcomingCheck() {
     console.log('Manually triggering upcoming doses check...');
@@ -90,6 +231,90 @@ class SchedulerService {
       return { success: false, error: error.message };
     }
   }
+
+  // Manually trigger pending dose materialization
+  async triggerMaterialization() {
+    console.log('Manually triggering pending dose materialization...');
+    try {
+      const result = await doseMaterializationService.materializeAll();
+      return { success: true, message: 'Pending dose materialization completed', ...result };
+    } catch (error) {
+      console.error('Manual materialization failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Manually trigger the missed-dose sweep
+  async triggerMissedCheck() {
+    console.log('Manually triggering missed doses sweep...');
+    try {
+      const result = await missedDoseService.markMissedDoses();
+      return { success: true, message: 'Missed doses sweep completed', ...result };
+    } catch (error) {
+      console.error('Manual missed sweep failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Manually trigger the refill reminder check
+  async triggerRefillCheck() {
+    console.log('Manually triggering refill reminder check...');
+    try {
+      const result = await notificationService.checkRefillReminders();
+      return { success: true, message: 'Refill reminder check completed', ...result };
+    } catch (error) {
+      console.error('Manual refill check failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Manually trigger the missed-dose escalation check
+  async triggerEscalationCheck() {
+    console.log('Manually triggering missed-dose escalation check...');
+    try {
+      const result = await escalationService.checkEscalations();
+      return { success: true, message: 'Escalation check completed', ...result };
+    } catch (error) {
+      console.error('Manual escalation check failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Manually trigger retries of pending notification deliveries
+  async triggerDeliveryRetries() {
+    console.log('Manually triggering notification delivery retries...');
+    try {
+      const result = await deliveryService.retryPending();
+      return { success: true, message: 'Delivery retries completed', ...result };
+    } catch (error) {
+      console.error('Manual delivery retry failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Manually trigger the inbox retention cleanup
+  async triggerInboxCleanup() {
+    console.log('Manually triggering inbox cleanup...');
+    try {
+      const result = await inboxService.cleanup();
+      return { success: true, message: 'Inbox cleanup completed', ...result };
+    } catch (error) {
+      console.error('Manual inbox cleanup failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Manually trigger the weekly summary run
+  async triggerWeeklySummaries() {
+    console.log('Manually triggering weekly summaries...');
+    try {
+      const result = await weeklySummaryService.sendDueSummaries();
+      return { success: true, message: 'Weekly summaries completed', ...result };
+    } catch (error) {
+      console.error('Manual weekly summary run failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
 }
 
 // Create singleton instance
@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const totp = require('../utils/totp');
+
+const ISSUER = process.env.TOTP_ISSUER || 'MedTracker';
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_PURPOSE = 'login-2fa';
+const CHALLENGE_TTL = process.env.TWO_FACTOR_CHALLENGE_TTL || '5m';
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.lastUsedStep +twoFactor.recoveryCodes';
+// Wrong codes allowed before code checks are locked, and for how long
+const MAX_FAILED_ATTEMPTS = parseInt(process.env.TWO_FACTOR_MAX_ATTEMPTS) || 5;
+const LOCKOUT_MS = (parseInt(process.env.TWO_FACTOR_LOCKOUT_MINUTES) || 15) * 60 * 1000;
+
+// Challenge tokens get their own secret so they can never pass as a session token
+const getChallengeSecret = () => process.env.TWO_FACTOR_SECRET || `${process.env.JWT_SECRET}:${CHALLENGE_PURPOSE}`;
+
+// Recovery codes are random, so a keyed hash is enough to store them safely
+const hashRecoveryCode = (code) => {
+  const secret = process.env.TWO_FACTOR_SECRET || `${process.env.JWT_SECRET}:recovery-code`;
+  const normalized = String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+  return crypto.createHmac('sha256', secret).update(normalized).digest('hex');
+};
+
+// Codes look like "a1b2c-3d4e5"; dashes and case are ignored when entered
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return {
+    codes,
+    stored: codes.map(code => ({ hash: hashRecoveryCode(code) }))
+  };
+};
+
+// Check a code for a user loaded with SECRET_FIELDS, consuming it if it's right
+const checkCode = async (user, code) => {
+  if (!user.twoFactor.secret || !code) return null;
+
+  const step = totp.verifyTotp(user.twoFactor.secret, code);
+  if (step !== null) {
+    const claimed = await User.updateOne(
+      { _id: user._id, 'twoFactor.lastUsedStep': { $not: { $gte: step } } },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+    return claimed.modifiedCount ? { method: 'totp' } : null;
+  }
+
+  const hash = hashRecoveryCode(code);
+  const used = await User.findOneAndUpdate(
+    { _id: user._id, 'twoFactor.recoveryCodes': { $elemMatch: { hash, usedAt: null } } },
+    { $set: { 'twoFactor.recoveryCodes.$.usedAt': new Date() } },
+    { new: true, projection: '+twoFactor.recoveryCodes' }
+  );
+  if (!used) return null;
+
+  return {
+    method: 'recovery',
+    recoveryCodesLeft: used.twoFactor.recoveryCodes.filter(entry => !entry.usedAt).length
+  };
+};
+
+// Refuse code checks for LOCKOUT_MS, then start counting tries afresh
+const lockCodeChecks = (userId) => User.updateOne(
+  { _id: userId },
+  { $set: { 'twoFactor.failedAttempts': 0, 'twoFactor.lockedUntil': new Date(Date.now() + LOCKOUT_MS) } }
+);
+
+const twoFactorService = {
+  RECOVERY_CODE_COUNT,
+
+  // Start enrollment: keep a new secret pending and return what the
+  // authenticator app needs. Replaces any earlier unfinished setup.
+  beginSetup: async (user) => {
+    const secret = totp.generateSecret();
+    await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.pendingSecret': secret } });
+
+    return {
+      secret,
+      otpauthUri: totp.buildOtpauthUri({ secret, account: user.email, issuer: ISSUER })
+    };
+  },
+
+  // Finish enrollment once a code from the pending secret checks out.
+  // Returns the plain recovery codes, or null if the code is wrong.
+  confirmSetup: async (userId, code) => {
+    const user = await User.findById(userId).select(SECRET_FIELDS);
+    const pendingSecret = user?.twoFactor?.pendingSecret;
+    if (!pendingSecret) return null;
+
+    const step = totp.verifyTotp(pendingSecret, code);
+    if (step === null) return null;
+
+    const { codes, stored } = generateRecoveryCodes();
+    await User.updateOne(
+      { _id: userId },
+      {
+        $set: {
+          'twoFactor.enabled': true,
+          'twoFactor.enabledAt': new Date(),
+          'twoFactor.secret': pendingSecret,
+          'twoFactor.lastUsedStep': step,
+          'twoFactor.recoveryCodes': stored
+        },
+        $unset: { 'twoFactor.pendingSecret': '' }
+      }
+    );
+    return codes;
+  },
+
+  // Check an authenticator code or an unused recovery code. Each is
+  // accepted only once. Returns { method, recoveryCodesLeft } or null.
+  // Every check uses up one of MAX_FAILED_ATTEMPTS tries, given back on
+  // success; once they run out, checks fail until the lockout ends.
+  verifyCode: async (userId, code) => {
+    // Taking the try before checking keeps concurrent guesses within the limit
+    const user = await User.findOneAndUpdate(
+      { _id: userId, 'twoFactor.enabled': true, 'twoFactor.lockedUntil': { $not: { $gt: new Date() } } },
+      { $inc: { 'twoFactor.failedAttempts': 1 } },
+      { new: true, projection: `${SECRET_FIELDS} +twoFactor.failedAttempts` }
+    );
+    if (!user) return null;
+
+    const attempt = user.twoFactor.failedAttempts;
+    if (attempt > MAX_FAILED_ATTEMPTS) {
+      await lockCodeChecks(userId);
+      return null;
+    }
+
+    const result = await checkCode(user, code);
+    if (result) {
+      await User.updateOne({ _id: userId }, { $set: { 'twoFactor.failedAttempts': 0 } });
+      return result;
+    }
+
+    if (attempt === MAX_FAILED_ATTEMPTS) {
+      await lockCodeChecks(userId);
+    }
+    return null;
+  },
+
+  // When code checks are locked after too many wrong codes, until when; otherwise null
+  getLockedUntil: async (userId) => {
+    const user = await User.findById(userId).select('+twoFactor.lockedUntil').lean();
+    const lockedUntil = user?.twoFactor?.lockedUntil;
+    return lockedUntil && lockedUntil > new Date() ? lockedUntil : null;
+  },
+
+  // Replace all recovery codes and return the new plain codes
+  regenerateRecoveryCodes: async (userId) => {
+    const { codes, stored } = generateRecoveryCodes();
+    await User.updateOne({ _id: userId }, { $set: { 'twoFactor.recoveryCodes': stored } });
+    return codes;
+  },
+
+  disable: async (userId) => {
+    await User.updateOne(
+      { _id: userId },
+      {
+        $set: { 'twoFactor.enabled': false },
+        $unset: {
+          'twoFactor.enabledAt': '',
+          'twoFactor.secret': '',
+          'twoFactor.pendingSecret': '',
+          'twoFactor.lastUsedStep': '',
+          'twoFactor.recoveryCodes': '',
+          'twoFactor.failedAttempts': '',
+          'twoFactor.lockedUntil': ''
+        }
+      }
+    );
+  },
+
+  // Short-lived token proving the password step of a login succeeded
+  createChallenge: (user) => jwt.sign(
+    { purpose: CHALLENGE_PURPOSE, userId: user._id.toString() },
+    getChallengeSecret(),
+    { expiresIn: CHALLENGE_TTL }
+  ),
+
+  // User ID the challenge was issued for; throws when invalid or expired
+  verifyChallenge: (token) => {
+    const decoded = jwt.verify(token, getChallengeSecret());
+    if (decoded.purpose !== CHALLENGE_PURPOSE || !decoded.userId) {
+      throw new jwt.JsonWebTokenError('Wrong token purpose');
+    }
+    return decoded.userId;
+  }
+};
+
+module.exports = twoFactorService;
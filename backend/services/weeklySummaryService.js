@@ -0,0 +1,207 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const DoseLog = require('../models/DoseLog');
+const Regimen = require('../models/Regimen');
+const notificationService = require('./notificationService');
+const emailTemplateService = require('./emailTemplateService');
+const pdfService = require('./pdfService');
+const {
+  resolveTimezone,
+  getZonedParts,
+  getZonedDateKey,
+  startOfZonedDay,
+  addZonedDays
+} = require('../utils/timezone');
+
+const DEFAULT_WEEKDAY = 1; // Monday
+const DEFAULT_HOUR = 9;
+
+// A user's weekly summary settings with defaults filled in
+const getSettings = (user) => {
+  const settings = user.settings?.notifications?.weeklySummary || {};
+  return {
+    enabled: !!settings.enabled,
+    weekday: settings.weekday ?? DEFAULT_WEEKDAY,
+    hour: settings.hour ?? DEFAULT_HOUR,
+    attachReport: !!settings.attachReport
+  };
+};
+
+// Per-regimen dose counts and points for the account holder's own scheduled doses
+const getRegimenBreakdown = async (userId, start, end) => {
+  const rows = await DoseLog.aggregate([
+    {
+      $match: DoseLog.ownResolvedScheduled(new mongoose.Types.ObjectId(userId), {
+        scheduledTime: { $gte: start, $lte: end }
+      })
+    },
+    {
+      $group: {
+        _id: '$regimen',
+        total: { $sum: 1 },
+        taken: { $sum: { $cond: [{ $eq: ['$status', 'taken'] }, 1, 0] } },
+        missed: { $sum: { $cond: [{ $eq: ['$status', 'missed'] }, 1, 0] } },
+        points: {
+          $sum: {
+            $cond: [
+              { $eq: ['$status', 'taken'] },
+              { $add: [{ $ifNull: ['$rewards.points', 0] }, { $ifNull: ['$rewards.bonusPoints', 0] }] },
+              0
+            ]
+          }
+        }
+      }
+    }
+  ]);
+
+  const regimens = await Regimen.find({ _id: { $in: rows.map(row => row._id) } })
+    .select('medication')
+    .populate('medication', 'name');
+  const names = new Map(regimens.map(regimen => [regimen._id.toString(), regimen.medication?.name]));
+
+  return rows.map(row => ({
+    ...row,
+    medicationName: names.get(row._id?.toString()) || 'Unknown medication'
+  }));
+};
+
+const weeklySummaryService = {
+  getSettings,
+
+  // Whether `now` is the user's chosen weekday and hour in their timezone
+  isDue: (user, now = new Date()) => {
+    const settings = getSettings(user);
+    if (!settings.enabled) return false;
+
+    const { weekday, hour } = getZonedParts(now, resolveTimezone(user));
+    return weekday === settings.weekday && hour === settings.hour;
+  },
+
+  // The seven local days before the day containing `now`
+  getPeriod: (user, now = new Date()) => {
+    const timezone = resolveTimezone(user);
+    const today = startOfZonedDay(now, timezone);
+    return {
+      start: addZonedDays(today, -7, timezone),
+      end: new Date(today.getTime() - 1)
+    };
+  },
+
+  // Gather a user's past week: adherence, missed doses by medication, streak and points
+  compileSummary: async (user, now = new Date()) => {
+    const timezone = resolveTimezone(user);
+    const { start, end } = weeklySummaryService.getPeriod(user, now);
+
+    const [stats, streak, breakdown] = await Promise.all([
+      DoseLog.getAdherenceStats(user._id, start, end),
+      DoseLog.getStreakInfo(user._id, timezone),
+      getRegimenBreakdown(user._id, start, end)
+    ]);
+
+    return {
+      firstName: user.firstName,
+      periodStart: start,
+      periodEnd: end,
+      adherenceRate: stats.adherenceRate,
+      totalDoses: stats.totalDoses,
+      taken: stats.takenDoses,
+      missed: stats.missedDoses,
+      skipped: stats.skippedDoses,
+      currentStreak: streak.currentStreak,
+      bestStreak: streak.bestStreak,
+      pointsEarned: breakdown.reduce((sum, row) => sum + row.points, 0),
+      medications: breakdown,
+      missedByMedication: breakdown
+        .filter(row => row.missed > 0)
+        .sort((a, b) => b.missed - a.missed)
+        .map(row => ({ medicationName: row.medicationName, missed: row.missed, total: row.total }))
+    };
+  },
+
+  // Adherence report PDF for the summary's period, in the shape pdfService expects
+  buildReport: (user, summary) => pdfService.generateAdherenceReport({
+    reportPeriod: { startDate: summary.periodStart, endDate: summary.periodEnd },
+    patientName: `${user.firstName} ${user.lastName}`,
+    overallAdherence: summary.adherenceRate,
+    totalDoses: summary.totalDoses,
+    takenDoses: summary.taken,
+    missedDoses: summary.missed,
+    skippedDoses: summary.skipped,
+    currentStreak: summary.currentStreak,
+    bestStreak: summary.bestStreak,
+    medicationBreakdown: summary.medications.map(row => ({
+      medicationName: row.medicationName,
+      adherenceRate: row.total > 0 ? (row.taken / row.total) * 100 : 0,
+      dosesTaken: row.taken,
+      dossesMissed: row.missed,
+      totalDoses: row.total
+    }))
+  }),
+
+  // Compile and email one user's summary
+  sendSummary: async (user, now = new Date()) => {
+    if (!user.email || !user.emailVerified) return { success: false, message: 'No verified email address' };
+
+    const settings = getSettings(user);
+    const summary = await weeklySummaryService.compileSummary(user, now);
+
+    let attachments;
+    if (settings.attachReport && summary.totalDoses > 0) {
+      try {
+        const report = await weeklySummaryService.buildReport(user, summary);
+        attachments = [{
+          filename: `adherence-report-${getZonedDateKey(summary.periodEnd, resolveTimezone(user))}.pdf`,
+          content: report,
+          contentType: 'application/pdf'
+        }];
+      } catch (error) {
+        // Still send the summary without the report
+        console.error('Weekly summary report failed:', error);
+      }
+    }
+
+    const { subject, html, text } = emailTemplateService.render('weeklySummary', {
+      ...summary,
+      hasAttachment: !!attachments
+    }, { user });
+
+    return notificationService.sendEmail(user.email, subject, html, text, attachments);
+  },
+
+  // Email every opted-in user whose chosen weekday and hour is now, once per week
+  sendDueSummaries: async (now = new Date()) => {
+    let sent = 0;
+    let failed = 0;
+
+    const users = await User.find({ 'settings.notifications.weeklySummary.enabled': true, emailVerified: true })
+      .select('firstName lastName email emailVerified settings preferences.timezone weeklySummarySentFor');
+
+    for (const user of users) {
+      if (!weeklySummaryService.isDue(user, now)) continue;
+
+      // Claim this week's summary first so overlapping runs never send it twice
+      const sendDay = getZonedDateKey(now, resolveTimezone(user));
+      const claimed = await User.findOneAndUpdate(
+        { _id: user._id, weeklySummarySentFor: { $ne: sendDay } },
+        { $set: { weeklySummarySentFor: sendDay } }
+      );
+      if (!claimed) continue;
+
+      try {
+        const result = await weeklySummaryService.sendSummary(user, now);
+        if (result.success) {
+          sent++;
+        } else {
+          failed++;
+        }
+      } catch (error) {
+        failed++;
+        console.error(`Weekly summary failed for user ${user._id}:`, error);
+      }
+    }
+
+    return { checked: users.length, sent, failed };
+  }
+};
+
+module.exports = weeklySummaryService;
@@ -0,0 +1,293 @@
+// Named email templates. Each builds a layout content object (see layout.js)
+// from raw data using the locale helpers it is given:
+//   t(key, vars)    localized string with {placeholders} filled in
+//   whose(name)     "your", or "Emma's" for a dependent profile
+//   dateTime(date), date(date), time(date)   formatted in the recipient's timezone
+// `summary` is the short plain message used for push, SMS and the inbox.
+// `sample` is the data the admin preview renders with.
+
+const SAMPLE_TIME = '2026-01-15T08:00:00.000Z';
+
+const templates = {
+  reminder: {
+    description: 'Upcoming or due dose reminder',
+    sample: { medicationName: 'Aspirin', dosage: '1 tablet', scheduledTime: SAMPLE_TIME, minutesUntil: 15, profileName: null },
+    build: (data, { t, whose, dateTime }) => {
+      const vars = {
+        medication: data.medicationName,
+        dosage: data.dosage,
+        minutes: data.minutesUntil,
+        whose: whose(data.profileName)
+      };
+      const due = !data.minutesUntil || data.minutesUntil <= 0;
+      const summary = t(due ? 'reminder.bodyNow' : 'reminder.bodySoon', vars);
+
+      return {
+        subject: t(due ? 'reminder.subjectNow' : 'reminder.subjectSoon', vars),
+        summary,
+        tone: 'info',
+        paragraphs: [summary],
+        details: {
+          title: t('reminder.detailsTitle'),
+          rows: [
+            { label: t('reminder.name'), value: data.medicationName },
+            { label: t('reminder.dosage'), value: data.dosage },
+            { label: t('reminder.scheduledTime'), value: dateTime(data.scheduledTime) }
+          ]
+        },
+        footer: t('reminder.footer')
+      };
+    }
+  },
+
+  overdue: {
+    description: 'Dose still untaken after its scheduled time',
+    sample: { medicationName: 'Aspirin', scheduledTime: SAMPLE_TIME, minutesLate: 45, profileName: null },
+    build: (data, { t, whose, dateTime }) => {
+      const vars = {
+        medication: data.medicationName,
+        minutes: data.minutesLate,
+        whose: whose(data.profileName)
+      };
+      const summary = t('overdue.body', vars);
+
+      return {
+        subject: t(data.profileName ? 'overdue.subjectProfile' : 'overdue.subject', vars),
+        summary,
+        tone: 'danger',
+        paragraphs: [summary],
+        details: {
+          title: t('overdue.detailsTitle'),
+          rows: [
+            { label: t('overdue.name'), value: data.medicationName },
+            { label: t('overdue.scheduledFor'), value: dateTime(data.scheduledTime) },
+            { label: t('overdue.minutesLate'), value: data.minutesLate }
+          ]
+        },
+        footer: t('overdue.footer')
+      };
+    }
+  },
+
+  refill: {
+    description: 'Projected supply is running low',
+    sample: { medicationName: 'Aspirin', currentStock: 6, unit: 'tablet', daysRemaining: 6, runOutDate: SAMPLE_TIME, profileName: null },
+    build: (data, { t, whose, date }) => {
+      const runOut = data.runOutDate ? date(data.runOutDate) : t('common.soon');
+      const vars = {
+        medication: data.medicationName,
+        days: data.daysRemaining,
+        date: runOut,
+        whose: whose(data.profileName)
+      };
+      const summary = t(data.daysRemaining > 0 ? 'refill.bodyDaysLeft' : 'refill.bodyRunningOut', vars);
+
+      return {
+        subject: t('refill.subject', vars),
+        summary,
+        tone: 'warning',
+        paragraphs: [summary],
+        details: {
+          title: t('refill.detailsTitle'),
+          rows: [
+            { label: t('refill.name'), value: data.medicationName },
+            { label: t('refill.currentStock'), value: `${data.currentStock} ${data.unit || ''}`.trim() },
+            { label: t('refill.runOut'), value: runOut }
+          ]
+        },
+        footer: t('refill.footer')
+      };
+    }
+  },
+
+  doseBatch: {
+    description: 'Several doses due or overdue together',
+    sample: {
+      kind: 'reminder',
+      doses: [
+        { medicationName: 'Aspirin', dosage: '1 tablet', scheduledTime: SAMPLE_TIME, profileName: null },
+        { medicationName: 'Metformin', dosage: '500 mg', scheduledTime: SAMPLE_TIME, profileName: 'Emma' }
+      ]
+    },
+    build: (data, { t, time }) => {
+      const overdue = data.kind === 'overdue';
+      const items = data.doses.map(dose => t(overdue ? 'doseBatch.itemOverdue' : 'doseBatch.itemReminder', {
+        medication: dose.medicationName,
+        dosage: dose.dosage,
+        forWhom: dose.profileName ? t('doseBatch.forWhom', { name: dose.profileName }) : '',
+        time: time(dose.scheduledTime),
+        minutes: dose.minutesLate
+      }));
+      const subject = t(overdue ? 'doseBatch.subjectOverdue' : 'doseBatch.subjectReminder', { count: data.doses.length });
+
+      return {
+        subject,
+        summary: items.join('\n'),
+        // Inbox title and message for each dose
+        items: data.doses.map((dose, index) => ({
+          title: t(overdue ? 'doseBatch.titleOverdue' : 'doseBatch.titleReminder', { medication: dose.medicationName }),
+          message: items[index]
+        })),
+        tone: overdue ? 'danger' : 'info',
+        paragraphs: [t(overdue ? 'doseBatch.introOverdue' : 'doseBatch.introReminder')],
+        list: items,
+        footer: t('doseBatch.footer')
+      };
+    }
+  },
+
+  escalation: {
+    description: 'Critical dose still untaken, sent to caregivers and the emergency contact',
+    sample: { patientName: 'Alex Smith', holderName: 'Alex Smith', medicationName: 'Warfarin', scheduledTime: SAMPLE_TIME },
+    build: (data, { t, dateTime }) => {
+      const vars = {
+        patient: data.patientName,
+        holder: data.holderName,
+        medication: data.medicationName || t('escalation.defaultMedication'),
+        time: dateTime(data.scheduledTime)
+      };
+      const summary = t('escalation.body', vars);
+
+      return {
+        subject: t('escalation.subject', vars),
+        summary,
+        tone: 'danger',
+        paragraphs: [summary, t('escalation.critical', vars)],
+        footer: t('escalation.footer', vars)
+      };
+    }
+  },
+
+  weeklySummary: {
+    description: 'Weekly adherence summary',
+    sample: {
+      firstName: 'Alex',
+      periodStart: '2026-01-05T00:00:00.000Z',
+      periodEnd: '2026-01-11T23:59:59.999Z',
+      adherenceRate: 92,
+      taken: 23,
+      missed: 2,
+      skipped: 0,
+      currentStreak: 3,
+      pointsEarned: 310,
+      missedByMedication: [
+        { medicationName: 'Metformin', missed: 2, total: 14 }
+      ],
+      hasAttachment: true
+    },
+    build: (data, { t, date }) => {
+      const period = `${date(data.periodStart)} – ${date(data.periodEnd)}`;
+      const total = data.taken + data.missed + data.skipped;
+      const missedByMedication = data.missedByMedication || [];
+      const adherence = `${Math.round(data.adherenceRate)}%`;
+
+      return {
+        subject: t('weeklySummary.subject', { period }),
+        heading: t('weeklySummary.heading'),
+        summary: `${t('weeklySummary.adherence')}: ${adherence}`,
+        tone: 'success',
+        paragraphs: [t('weeklySummary.intro', { name: data.firstName })]
+          .concat(total === 0 ? [t('weeklySummary.noDoses')] : []),
+        details: total === 0 ? null : {
+          title: t('weeklySummary.detailsTitle', { period }),
+          rows: [
+            { label: t('weeklySummary.adherence'), value: adherence },
+            { label: t('weeklySummary.taken'), value: data.taken },
+            { label: t('weeklySummary.missed'), value: data.missed },
+            { label: t('weeklySummary.skipped'), value: data.skipped },
+            { label: t('weeklySummary.streak'), value: t('weeklySummary.streakDays', { days: data.currentStreak }) },
+            { label: t('weeklySummary.points'), value: data.pointsEarned }
+          ]
+        },
+        listTitle: t('weeklySummary.missedTitle'),
+        list: missedByMedication.map(medication => t('weeklySummary.missedItem', {
+          medication: medication.medicationName,
+          missed: medication.missed,
+          total: medication.total
+        })),
+        note: [
+          total > 0 && data.missed === 0 ? t('weeklySummary.perfect') : null,
+          data.hasAttachment ? t('weeklySummary.attachment') : null
+        ].filter(Boolean).join(' ') || null,
+        footer: t('weeklySummary.footer')
+      };
+    }
+  },
+
+  test: {
+    description: 'Test email from notification settings',
+    sample: { medicationName: 'Aspirin 81mg', dosage: '1 tablet', frequency: 'Once daily with breakfast', scheduledTime: SAMPLE_TIME },
+    build: (data, { t, dateTime }) => ({
+      subject: t('test.subject'),
+      heading: t('test.heading'),
+      summary: `${t('test.subject')}: ${data.medicationName} (${data.dosage})`,
+      tone: 'info',
+      paragraphs: [t('test.intro')],
+      details: {
+        title: t('test.detailsTitle'),
+        rows: [
+          { label: t('test.medication'), value: data.medicationName },
+          { label: t('test.dosage'), value: data.dosage },
+          { label: t('test.frequency'), value: data.frequency },
+          { label: t('test.scheduledTime'), value: dateTime(data.scheduledTime) }
+        ]
+      },
+      note: t('test.success'),
+      footer: t('test.footer')
+    })
+  },
+
+  passwordReset: {
+    description: 'Link to choose a new password',
+    sample: { firstName: 'Alex', resetUrl: 'https://example.com/reset-password?token=sample', expiresInMinutes: 60 },
+    build: (data, { t }) => ({
+      subject: t('passwordReset.subject'),
+      summary: t('passwordReset.subject'),
+      tone: 'info',
+      paragraphs: [
+        t('passwordReset.body', { name: data.firstName }),
+        t('passwordReset.expiry', { minutes: data.expiresInMinutes })
+      ],
+      action: { label: t('passwordReset.action'), url: data.resetUrl },
+      footer: t('passwordReset.footer')
+    })
+  },
+
+  emailVerification: {
+    description: 'Link to confirm an email address',
+    sample: { firstName: 'Alex', email: 'alex@example.com', verifyUrl: 'https://example.com/verify-email?token=sample', expiresInHours: 24 },
+    build: (data, { t }) => ({
+      subject: t('emailVerification.subject'),
+      summary: t('emailVerification.subject'),
+      tone: 'info',
+      paragraphs: [
+        t('emailVerification.body', { name: data.firstName, email: data.email }),
+        t('emailVerification.reminders'),
+        t('emailVerification.expiry', { hours: data.expiresInHours })
+      ],
+      action: { label: t('emailVerification.action'), url: data.verifyUrl },
+      footer: t('emailVerification.footer')
+    })
+  },
+
+  careInvitation: {
+    description: 'Invitation to become a caregiver',
+    sample: { patientName: 'Alex Smith', inviteUrl: 'https://example.com/care/accept?token=sample', canLogDoses: true },
+    build: (data, { t }) => {
+      const vars = { patient: data.patientName };
+      return {
+        subject: t('careInvitation.subject', vars),
+        summary: t('careInvitation.body', vars),
+        tone: 'info',
+        paragraphs: [
+          t('careInvitation.body', vars),
+          t(data.canLogDoses ? 'careInvitation.permissionsLog' : 'careInvitation.permissionsView')
+        ],
+        action: { label: t('careInvitation.action'), url: data.inviteUrl },
+        footer: t('careInvitation.footer')
+      };
+    }
+  }
+};
+
+module.exports = templates;
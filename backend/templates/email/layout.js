@@ -0,0 +1,98 @@
+// Shared email layout. Templates describe their content as plain strings and
+// this renders it to HTML (escaping every value) and to a plain-text alternative.
+//
+// Content: {
+//   subject, heading, tone,
+//   paragraphs: [string],
+//   details: { title, rows: [{ label, value }] },
+//   listTitle: string, list: [string],
+//   note: string,              highlighted message below the details
+//   action: { label, url },
+//   footer: string
+// }
+
+const TONES = {
+  info: { color: '#2563eb', background: '#f3f4f6', border: null },
+  danger: { color: '#dc2626', background: '#fef2f2', border: '#dc2626' },
+  warning: { color: '#d97706', background: '#fffbeb', border: '#d97706' },
+  success: { color: '#059669', background: '#ecfdf5', border: '#10b981' }
+};
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Only http(s) links make it into an href
+const safeUrl = (url) => (/^https?:\/\//i.test(url || '') ? url : '#');
+
+const boxStyle = (tone) =>
+  `background-color: ${tone.background}; padding: 20px; border-radius: 8px; margin: 20px 0;` +
+  (tone.border ? ` border-left: 4px solid ${tone.border};` : '');
+
+const renderHtml = (content) => {
+  const tone = TONES[content.tone] || TONES.info;
+  const parts = [];
+
+  parts.push(`<h2 style="color: ${tone.color};">${escapeHtml(content.heading || content.subject)}</h2>`);
+  (content.paragraphs || []).forEach(paragraph => parts.push(`<p>${escapeHtml(paragraph)}</p>`));
+
+  if (content.details) {
+    const rows = content.details.rows
+      .map(row => `<p><strong>${escapeHtml(row.label)}:</strong> ${escapeHtml(row.value)}</p>`)
+      .join('');
+    parts.push(`<div style="${boxStyle(tone)}">` +
+      (content.details.title ? `<h3>${escapeHtml(content.details.title)}</h3>` : '') +
+      `${rows}</div>`);
+  }
+
+  if (content.list && content.list.length > 0) {
+    const items = content.list.map(item => `<li>${escapeHtml(item)}</li>`).join('');
+    if (content.listTitle) parts.push(`<h3>${escapeHtml(content.listTitle)}</h3>`);
+    parts.push(`<ul style="${boxStyle(tone)} padding-left: 40px;">${items}</ul>`);
+  }
+
+  if (content.note) {
+    parts.push(`<div style="${boxStyle(TONES.success)}"><p style="margin: 0; color: #065f46;">${escapeHtml(content.note)}</p></div>`);
+  }
+
+  if (content.action) {
+    parts.push(`<p><a href="${escapeHtml(safeUrl(content.action.url))}" style="background-color: ${tone.color}; color: white; padding: 10px 20px; border-radius: 6px; text-decoration: none;">${escapeHtml(content.action.label)}</a></p>`);
+  }
+
+  if (content.footer) {
+    parts.push(`<p style="color: #6b7280; font-size: 14px;">${escapeHtml(content.footer)}</p>`);
+  }
+
+  return `<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">${parts.join('\n')}</div>`;
+};
+
+const renderText = (content) => {
+  const blocks = [content.heading || content.subject];
+
+  (content.paragraphs || []).forEach(paragraph => blocks.push(paragraph));
+
+  if (content.details) {
+    const rows = content.details.rows.map(row => `${row.label}: ${row.value}`);
+    blocks.push([content.details.title, ...rows].filter(Boolean).join('\n'));
+  }
+
+  if (content.list && content.list.length > 0) {
+    const items = content.list.map(item => `- ${item}`);
+    blocks.push([content.listTitle, ...items].filter(Boolean).join('\n'));
+  }
+
+  if (content.note) blocks.push(content.note);
+  if (content.action) blocks.push(`${content.action.label}: ${content.action.url}`);
+  if (content.footer) blocks.push(content.footer);
+
+  return blocks.join('\n\n');
+};
+
+module.exports = {
+  escapeHtml,
+  renderHtml,
+  renderText
+};
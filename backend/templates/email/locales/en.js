@@ -0,0 +1,125 @@
+// English email strings. {placeholders} are filled from template data;
+// another locale only needs to provide the keys it translates.
+module.exports = {
+  dateLocale: 'en-US',
+
+  common: {
+    possessiveSelf: 'your',
+    possessiveProfile: "{name}'s",
+    soon: 'soon'
+  },
+
+  reminder: {
+    subjectNow: 'Time to take {whose} {medication}',
+    subjectSoon: '{medication} reminder',
+    bodyNow: "It's time to take {whose} {medication} ({dosage})",
+    bodySoon: "Don't forget to take {whose} {medication} ({dosage}) in {minutes} minutes",
+    detailsTitle: 'Medication Details:',
+    name: 'Name',
+    dosage: 'Dosage',
+    scheduledTime: 'Scheduled Time',
+    footer: 'This is an automated reminder from MisoGiao. Please log into your account to mark this dose as taken.'
+  },
+
+  overdue: {
+    subject: '{medication} is overdue',
+    subjectProfile: '{Whose} {medication} is overdue',
+    body: '{Whose} {medication} is {minutes} minutes overdue. Please take it when possible.',
+    detailsTitle: 'Overdue Medication:',
+    name: 'Name',
+    scheduledFor: 'Was scheduled for',
+    minutesLate: 'Minutes late',
+    footer: 'Please log into your account to mark this dose as taken or missed.'
+  },
+
+  refill: {
+    subject: 'Time to refill {whose} {medication}',
+    bodyDaysLeft: 'There are about {days} days of {whose} {medication} left. It is projected to run out on {date}.',
+    bodyRunningOut: '{Whose} {medication} is projected to run out on {date}.',
+    detailsTitle: 'Supply Details:',
+    name: 'Name',
+    currentStock: 'Current stock',
+    runOut: 'Projected run-out',
+    footer: 'Record your refill in MisoGiao once you have it so we can keep tracking your supply.'
+  },
+
+  doseBatch: {
+    subjectReminder: 'Time to take {count} medications',
+    subjectOverdue: '{count} medications are overdue',
+    introReminder: 'These medications are due soon:',
+    introOverdue: 'These medications are overdue. Please take them when possible:',
+    itemReminder: '{medication} ({dosage}){forWhom}, at {time}',
+    itemOverdue: '{medication} ({dosage}){forWhom}, {minutes} minutes overdue',
+    forWhom: ' for {name}',
+    titleReminder: 'Time to take {medication}',
+    titleOverdue: '{medication} is overdue',
+    footer: 'Please log into your account to mark these doses as taken.'
+  },
+
+  escalation: {
+    subject: 'Missed dose alert: {patient} has not taken {medication}',
+    body: "{patient}'s dose of {medication} scheduled for {time} has not been logged, even after a reminder.",
+    critical: 'This medication is marked as critical. Please check in with {patient}.',
+    defaultMedication: 'a critical medication',
+    footer: 'You are receiving this because you are listed as a contact for {holder} on MisoGiao.'
+  },
+
+  weeklySummary: {
+    subject: 'Your weekly medication summary ({period})',
+    heading: 'Your week in medications',
+    intro: 'Hi {name}, here is how your week went.',
+    detailsTitle: '{period}',
+    adherence: 'Adherence',
+    taken: 'Doses taken',
+    missed: 'Doses missed',
+    skipped: 'Doses skipped',
+    streak: 'Current streak',
+    streakDays: '{days} days',
+    points: 'Points earned',
+    missedTitle: 'Missed doses by medication:',
+    missedItem: '{medication}: {missed} of {total} missed',
+    perfect: 'You did not miss a single dose this week. Great work!',
+    noDoses: 'No scheduled doses were recorded this week.',
+    attachment: 'Your full adherence report is attached as a PDF.',
+    footer: 'You can turn weekly summaries off in your MisoGiao settings.'
+  },
+
+  test: {
+    subject: 'Medication Reminder Test - MisoGiao',
+    heading: '🏥 Medication Reminder Test',
+    intro: 'This is a test of your medication reminder notifications.',
+    detailsTitle: '📋 Medication Details:',
+    medication: '💊 Medication',
+    dosage: '💉 Dosage',
+    frequency: '📅 Frequency',
+    scheduledTime: '⏰ Scheduled Time',
+    success: "✅ Success! Your email notifications are working correctly. You'll receive reminders like this for your actual medications.",
+    footer: 'This is an automated test from MisoGiao - Your Medication Tracking Companion.'
+  },
+
+  passwordReset: {
+    subject: 'Reset your MisoGiao password',
+    body: 'Hi {name}, we received a request to reset the password for your MisoGiao account.',
+    action: 'Reset password',
+    expiry: 'This link expires in {minutes} minutes and can only be used once.',
+    footer: "If you didn't ask to reset your password, you can ignore this email. Your password won't change."
+  },
+
+  emailVerification: {
+    subject: 'Verify your email address for MisoGiao',
+    body: 'Hi {name}, please confirm that {email} is your email address.',
+    reminders: 'We only send medication reminders by email to verified addresses.',
+    action: 'Verify email',
+    expiry: 'This link expires in {hours} hours.',
+    footer: "If you didn't create a MisoGiao account, you can ignore this email."
+  },
+
+  careInvitation: {
+    subject: '{patient} invited you to help manage their medications',
+    body: '{patient} has invited you to be a caregiver on MisoGiao.',
+    permissionsLog: 'You will be able to view their medications and log doses for them.',
+    permissionsView: 'You will be able to view their medications.',
+    action: 'Accept invitation',
+    footer: 'This invitation expires in 7 days.'
+  }
+};
@@ -0,0 +1,92 @@
+// CSV helpers
+// Follows RFC 4180: fields may be quoted, quotes inside quoted fields are doubled,
+// and quoted fields may contain commas and line breaks.
+
+// Text starting with these is run as a formula by Excel and Sheets
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Quote a value for a CSV cell. Text that would run as a formula gets a
+// leading apostrophe, which spreadsheets show as plain text.
+const escapeCsvValue = (value) => {
+  if (value === undefined || value === null) return '""';
+  const text = typeof value === 'string' && FORMULA_PREFIX.test(value) ? `'${value}` : String(value);
+  return `"${text.replace(/"/g, '""')}"`;
+};
+
+// Undo the apostrophe escapeCsvValue adds to formula-like text
+const unescapeFormula = (cell) => (/^'[=+\-@\t\r]/.test(cell) ? cell.slice(1) : cell);
+
+// Build a CSV document from a header row and rows of cell values
+const toCsv = (headers, rows) => {
+  const lines = [headers, ...rows].map(row => row.map(escapeCsvValue).join(','));
+  return lines.join('\n') + '\n';
+};
+
+// Split CSV text into rows of raw cell strings
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Drop a UTF-8 byte order mark left by spreadsheet exports
+  const input = String(text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Skip blank lines
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+// Parse CSV text with a header row into objects keyed by header
+const parseCsv = (text) => {
+  const [headers, ...rows] = parseCsvRows(text);
+  if (!headers) return [];
+
+  const keys = headers.map(header => header.trim());
+  return rows.map(cells => {
+    const record = {};
+    keys.forEach((key, index) => {
+      if (key) record[key] = unescapeFormula(cells[index] || '').trim();
+    });
+    return record;
+  });
+};
+
+module.exports = {
+  escapeCsvValue,
+  toCsv,
+  parseCsvRows,
+  parseCsv
+};
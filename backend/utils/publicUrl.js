@@ -0,0 +1,105 @@
+// Checks for URLs users supply for the server to call, such as webhooks.
+// Hosts are resolved first, so a name pointing at an internal address is
+// caught as well as a literal one.
+
+const dns = require('dns');
+const net = require('net');
+
+// Loopback, private, link-local (including cloud metadata endpoints), shared,
+// documentation, multicast and other reserved ranges
+const BLOCKED_SUBNETS = {
+  ipv4: [
+    ['0.0.0.0', 8],
+    ['10.0.0.0', 8],
+    ['100.64.0.0', 10],
+    ['127.0.0.0', 8],
+    ['169.254.0.0', 16],
+    ['172.16.0.0', 12],
+    ['192.0.0.0', 24],
+    ['192.0.2.0', 24],
+    ['192.168.0.0', 16],
+    ['198.18.0.0', 15],
+    ['198.51.100.0', 24],
+    ['203.0.113.0', 24],
+    ['224.0.0.0', 4],
+    ['240.0.0.0', 4]
+  ],
+  ipv6: [
+    ['::', 127], // unspecified and loopback
+    ['64:ff9b::', 96], // NAT64
+    ['100::', 64], // discard
+    ['2001:db8::', 32], // documentation
+    ['fc00::', 7], // unique local
+    ['fe80::', 10], // link-local
+    ['ff00::', 8] // multicast
+  ]
+};
+
+// BlockList checks IPv4-mapped IPv6 addresses (::ffff:a.b.c.d) against the IPv4 ranges
+const blockList = new net.BlockList();
+Object.entries(BLOCKED_SUBNETS).forEach(([type, subnets]) => {
+  subnets.forEach(([network, prefix]) => blockList.addSubnet(network, prefix, type));
+});
+
+// Whether an IP address is one the public internet routes to
+const isPublicAddress = (address) => {
+  const type = net.isIPv4(address) ? 'ipv4' : net.isIPv6(address) ? 'ipv6' : null;
+  return type !== null && !blockList.check(address, type);
+};
+
+// Check that a URL is http(s) and every address its host resolves to is public.
+// Returns null when it is safe to call, otherwise the reason it isn't.
+const checkPublicUrl = async (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return 'URL is not valid';
+  }
+
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    return 'URL must use http or https';
+  }
+
+  // IPv6 literals keep their brackets in URL.hostname
+  const host = parsed.hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true, verbatim: true });
+  } catch (error) {
+    return `Could not resolve ${host}`;
+  }
+
+  if (addresses.length === 0 || !addresses.every(({ address }) => isPublicAddress(address))) {
+    return 'URL must point to a public internet address';
+  }
+  return null;
+};
+
+// dns.lookup replacement for http(s) agents that refuses non-public addresses.
+// The connection uses the address checked here, so a host can't pass
+// checkPublicUrl and then resolve somewhere internal when connecting.
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (addresses.length === 0 || !addresses.every(({ address }) => isPublicAddress(address))) {
+      return callback(new Error(`${hostname} does not resolve to a public internet address`));
+    }
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+// Same check that throws, for use as a custom request validator
+const assertPublicUrl = async (url) => {
+  const problem = await checkPublicUrl(url);
+  if (problem) throw new Error(problem);
+  return true;
+};
+
+module.exports = {
+  isPublicAddress,
+  checkPublicUrl,
+  assertPublicUrl,
+  publicLookup
+};
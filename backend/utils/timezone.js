@@ -0,0 +1,154 @@
+// Timezone utilities
+// Schedule times like "08:00" are wall-clock times in the user's IANA zone,
+// so every conversion goes through Intl rather than the server's local clock.
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'UTC';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const formatterCache = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      weekday: 'short'
+    }));
+  }
+  return formatterCache.get(timeZone);
+};
+
+// Check that a string is an IANA zone Intl understands
+const isValidTimezone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Pick the zone for a user document or a raw zone string, falling back to the default
+const resolveTimezone = (userOrTimezone) => {
+  const timeZone = typeof userOrTimezone === 'string' ?
+    userOrTimezone :
+    userOrTimezone?.preferences?.timezone || userOrTimezone?.settings?.preferences?.timezone;
+
+  return isValidTimezone(timeZone) ? timeZone : DEFAULT_TIMEZONE;
+};
+
+// Wall-clock fields of an instant in the given zone (month is 1-based, weekday 0 = Sunday)
+const getZonedParts = (date, timeZone) => {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(new Date(date)).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+
+  return {
+    year: parseInt(parts.year),
+    month: parseInt(parts.month),
+    day: parseInt(parts.day),
+    hour: parseInt(parts.hour),
+    minute: parseInt(parts.minute),
+    second: parseInt(parts.second),
+    weekday: WEEKDAYS.indexOf(parts.weekday)
+  };
+};
+
+// Zone offset from UTC at the given instant, in milliseconds
+const getTimezoneOffset = (date, timeZone) => {
+  const instant = new Date(date);
+  const parts = getZonedParts(instant, timeZone);
+  const wallAsUTC = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallAsUTC - (instant.getTime() - instant.getUTCMilliseconds());
+};
+
+// Instant at which the zone's wall clock reads the given local time.
+// Local times skipped by a DST jump move forward by the jump; local times
+// repeated when clocks fall back resolve to the first occurrence.
+const zonedTimeToUtc = ({ year, month, day, hour = 0, minute = 0 }, timeZone) => {
+  const wallAsUTC = Date.UTC(year, month - 1, day, hour, minute);
+  const offsetBefore = getTimezoneOffset(wallAsUTC - DAY_MS / 2, timeZone);
+  const offsetAfter = getTimezoneOffset(wallAsUTC + DAY_MS / 2, timeZone);
+
+  const candidates = [...new Set([wallAsUTC - offsetBefore, wallAsUTC - offsetAfter])]
+    .sort((a, b) => a - b);
+
+  // Normalize the requested fields (e.g. day 32) before comparing
+  const target = new Date(wallAsUTC);
+  const match = candidates.find(candidate => {
+    const parts = getZonedParts(candidate, timeZone);
+    return parts.year === target.getUTCFullYear() &&
+      parts.month === target.getUTCMonth() + 1 &&
+      parts.day === target.getUTCDate() &&
+      parts.hour === target.getUTCHours() &&
+      parts.minute === target.getUTCMinutes();
+  });
+
+  return new Date(match !== undefined ? match : wallAsUTC - offsetBefore);
+};
+
+// Midnight (or the first valid instant) of the zoned day containing `date`
+const startOfZonedDay = (date, timeZone) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return zonedTimeToUtc({ year, month, day }, timeZone);
+};
+
+// Same wall-clock time `days` calendar days later in the zone
+const addZonedDays = (date, days, timeZone) => {
+  const parts = getZonedParts(date, timeZone);
+  return zonedTimeToUtc({ ...parts, day: parts.day + days }, timeZone);
+};
+
+// Sequential day index of the zoned calendar day, for DST-safe day differences
+const getZonedDayNumber = (date, timeZone) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return Math.floor(Date.UTC(year, month - 1, day) / DAY_MS);
+};
+
+// "YYYY-MM-DD" of the zoned calendar day
+const getZonedDateKey = (date, timeZone) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+// Start and end instants of the zoned day containing `date`
+const getZonedDayRange = (date, timeZone) => {
+  const start = startOfZonedDay(date, timeZone);
+  const end = new Date(addZonedDays(start, 1, timeZone).getTime() - 1);
+  return { start, end };
+};
+
+// Start of a stored calendar date (date-only values are saved as UTC midnight)
+// interpreted as that same calendar day in the zone
+const startOfCalendarDate = (date, timeZone) => {
+  const value = new Date(date);
+  return zonedTimeToUtc({
+    year: value.getUTCFullYear(),
+    month: value.getUTCMonth() + 1,
+    day: value.getUTCDate()
+  }, timeZone);
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  resolveTimezone,
+  getZonedParts,
+  getTimezoneOffset,
+  zonedTimeToUtc,
+  startOfZonedDay,
+  addZonedDays,
+  getZonedDayNumber,
+  getZonedDateKey,
+  getZonedDayRange,
+  startOfCalendarDate
+};
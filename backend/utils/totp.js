@@ -0,0 +1,126 @@
+// Time-based one-time passwords (RFC 6238) on top of HOTP (RFC 4226).
+// Everything takes the time explicitly so codes can be checked offline
+// against the RFC 6238 Appendix B vectors, e.g. with the ASCII secret
+// "12345678901234567890", SHA-1 and 8 digits, T=59 gives 94287082 and
+// T=1111111109 gives 07081804.
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DEFAULTS = {
+  algorithm: 'sha1',
+  digits: 6,
+  period: 30
+};
+
+// Encode bytes as unpadded RFC 4648 base32, the form authenticator apps expect
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+// Decode base32, ignoring case, spaces and padding
+const base32Decode = (input) => {
+  const cleaned = String(input).toUpperCase().replace(/[\s=]/g, '');
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base32 character "${char}"`);
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+// Random base32 secret; 20 bytes matches the SHA-1 block recommendation in RFC 4226
+const generateSecret = (bytes = 20) => base32Encode(crypto.randomBytes(bytes));
+
+const toKey = (secret) => (Buffer.isBuffer(secret) ? secret : base32Decode(secret));
+
+// HOTP value for a counter (RFC 4226 section 5.3)
+const generateHotp = (secret, counter, { algorithm = DEFAULTS.algorithm, digits = DEFAULTS.digits } = {}) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac(algorithm, toKey(secret)).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % 10 ** digits).padStart(digits, '0');
+};
+
+// Time step a Unix time (in seconds) falls in
+const getTimeStep = (time = Date.now() / 1000, period = DEFAULTS.period) => Math.floor(time / period);
+
+// TOTP value for a Unix time in seconds
+const generateTotp = (secret, { time, period = DEFAULTS.period, ...options } = {}) =>
+  generateHotp(secret, getTimeStep(time, period), options);
+
+// Check a code against the current step and `window` steps either side to
+// allow for clock drift. Returns the matching time step, or null.
+const verifyTotp = (secret, code, { time, period = DEFAULTS.period, window = 1, ...options } = {}) => {
+  const digits = options.digits || DEFAULTS.digits;
+  const candidate = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${digits}}$`).test(candidate)) return null;
+
+  const current = getTimeStep(time, period);
+  for (let step = current - window; step <= current + window; step++) {
+    const expected = generateHotp(secret, step, options);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+// Key URI that authenticator apps import, usually via a QR code
+// (https://github.com/google/google-authenticator/wiki/Key-Uri-Format)
+const buildOtpauthUri = ({ secret, account, issuer, algorithm = DEFAULTS.algorithm, digits = DEFAULTS.digits, period = DEFAULTS.period }) => {
+  const label = encodeURIComponent(issuer ? `${issuer}:${account}` : account);
+  const params = new URLSearchParams({
+    secret,
+    algorithm: algorithm.toUpperCase(),
+    digits: String(digits),
+    period: String(period)
+  });
+  if (issuer) params.set('issuer', issuer);
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateHotp,
+  getTimeStep,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUri
+};
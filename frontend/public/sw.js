@@ -0,0 +1,104 @@
+// Service worker for MisoGiao push notifications.
+// Reminder pushes carry Taken / Snooze / Skip actions with a signed, short-lived
+// token, so a dose can be logged straight from the notification without
+// opening the app.
+
+const DOSE_ACTIONS = ['taken', 'snooze', 'skip'];
+
+self.addEventListener('install', () => {
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('push', (event) => {
+  let payload = {};
+  try {
+    payload = event.data ? event.data.json() : {};
+  } catch (error) {
+    payload = { body: event.data ? event.data.text() : '' };
+  }
+
+  const data = payload.data || {};
+  // Action buttons need a token to authorise them and the endpoint to send it to
+  const actions = data.actionToken && data.actionUrl ? (payload.actions || []) : [];
+
+  event.waitUntil(
+    self.registration.showNotification(payload.title || 'MisoGiao', {
+      body: payload.body,
+      icon: payload.icon || '/logo192.png',
+      badge: payload.badge || '/logo192.png',
+      tag: payload.tag || (data.doseId ? `dose-${data.doseId}` : undefined),
+      renotify: !!data.doseId,
+      data,
+      actions
+    })
+  );
+});
+
+// Focus an open app window, or open one, at the given path
+const openApp = async (path) => {
+  const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  const existing = windows.find((client) => new URL(client.url).origin === self.location.origin);
+
+  if (existing) {
+    await existing.focus();
+    if ('navigate' in existing) {
+      return existing.navigate(path);
+    }
+    return existing;
+  }
+  return self.clients.openWindow(path);
+};
+
+// Send a notification action to the backend and confirm the outcome
+const applyDoseAction = async (action, data) => {
+  try {
+    const response = await fetch(data.actionUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ token: data.actionToken, action })
+    });
+    const result = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      // Expired or already logged: let the user sort it out in the app
+      await self.registration.showNotification(data.medicationName || 'MisoGiao', {
+        body: result.message || 'Could not update this dose. Tap to open MisoGiao.',
+        icon: '/logo192.png',
+        tag: `dose-${data.doseId}`,
+        data: { doseId: data.doseId }
+      });
+      return;
+    }
+
+    await self.registration.showNotification(data.medicationName || 'MisoGiao', {
+      body: result.message,
+      icon: '/logo192.png',
+      tag: `dose-${data.doseId}`,
+      silent: true,
+      data: { doseId: data.doseId }
+    });
+  } catch (error) {
+    await self.registration.showNotification(data.medicationName || 'MisoGiao', {
+      body: 'You appear to be offline. Tap to log this dose in MisoGiao.',
+      icon: '/logo192.png',
+      tag: `dose-${data.doseId}`,
+      data: { doseId: data.doseId }
+    });
+  }
+};
+
+self.addEventListener('notificationclick', (event) => {
+  const data = event.notification.data || {};
+  event.notification.close();
+
+  if (DOSE_ACTIONS.includes(event.action) && data.actionToken && data.actionUrl) {
+    event.waitUntil(applyDoseAction(event.action, data));
+    return;
+  }
+
+  event.waitUntil(openApp(data.doseId ? '/dose-logging' : '/dashboard'));
+});
@@ -5,11 +5,15 @@ import RewardsCenter from './components/RewardsCenter';
 import useAuthStore from './store/authStore';
 import Login from './pages/Login';
 import Register from './pages/Register';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import VerifyEmail from './pages/VerifyEmail';
 import Dashboard from './pages/Dashboard';
 import AddMedication from './pages/AddMedication';
 import DoseLogging from './pages/DoseLogging';
 import AdherenceReports from './pages/AdherenceReports';
 import Settings from './pages/Settings';
+import CareTeam from './pages/CareTeam';
 import CalendarCallback from './pages/CalendarCallback';
 import { ThemeProvider } from './context/ThemeContext';
 import './App.css';
@@ -53,6 +57,24 @@ function App() {
                   </PublicRoute>
                 } 
               />
+              <Route 
+                path="/forgot-password" 
+                element={
+                  <PublicRoute>
+                    <ForgotPassword />
+                  </PublicRoute>
+                } 
+              />
+              <Route 
+                path="/reset-password" 
+                element={
+                  <PublicRoute>
+                    <ResetPassword />
+                  </PublicRoute>
+                } 
+              />
+              {/* Verification links work whether or not the user is signed in */}
+              <Route path="/verify-email" element={<VerifyEmail />} />
               
               {/* Protected Routes */}
               <Route 
@@ -103,6 +125,23 @@ function App() {
                   </ProtectedRoute>
                 } 
               />
+              <Route 
+                path="/care" 
+                element={
+                  <ProtectedRoute>
+                    <CareTeam />
+                  </ProtectedRoute>
+                } 
+              />
+              {/* Invitation links from caregiver emails */}
+              <Route 
+                path="/care/accept" 
+                element={
+                  <ProtectedRoute>
+                    <CareTeam />
+                  </ProtectedRoute>
+                } 
+              />
               
               {/* Calendar OAuth Callback Route */}
               <Route 
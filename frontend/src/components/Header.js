@@ -3,12 +3,15 @@ import { useNavigate, useLocation } from 'react-router-dom';
 import { Button } from './';
 import useAuthStore from '../store/authStore';
 import useRewardsStore from '../store/rewardsStore';
+import useCareStore from '../store/careStore';
+import NotificationCenter from './NotificationCenter';
 
 const Header = () => {
   const navigate = useNavigate();
   const location = useLocation();
   const { user, logout } = useAuthStore();
   const { userRewards, canClaimDailyReward, resetDailyReward } = useRewardsStore();
+  const { clearCare } = useCareStore();
   const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
   
   // Only reset daily reward status, don't fetch data (RewardsCenter will handle that)
@@ -19,6 +22,7 @@ const Header = () => {
   }, [user?._id, resetDailyReward]);
 
   const handleLogout = () => {
+    clearCare();
     logout();
     navigate('/login');
     setIsMobileMenuOpen(false);
@@ -34,6 +38,7 @@ const Header = () => {
     { path: '/dose-logging', label: 'Log Dose' },
     { path: '/rewards', label: 'Rewards', badge: canClaimDailyReward() },
     { path: '/adherence-reports', label: 'Reports' },
+    { path: '/care', label: 'Care Team' },
     { path: '/settings', label: 'Settings' }
   ];
 
@@ -82,61 +87,65 @@ const Header = () => {
             ))}
           </nav>
 
-          {/* Desktop User Menu with Rewards */}
-          <div className="hidden md:flex items-center space-x-4">
-            {/* Rewards Summary */}
-            <div className="flex items-center space-x-3 bg-gradient-to-r from-blue-50 to-purple-50 dark:from-blue-900/20 dark:to-purple-900/20 px-3 py-2 rounded-lg border border-blue-200 dark:border-blue-700">
-              <div className="text-center">
-                <div className="text-sm font-bold text-blue-600 dark:text-blue-400">
-                  {userRewards?.totalPoints || 0}
+          <div className="flex items-center space-x-2 md:space-x-4">
+            <NotificationCenter />
+
+            {/* Desktop User Menu with Rewards */}
+            <div className="hidden md:flex items-center space-x-4">
+              {/* Rewards Summary */}
+              <div className="flex items-center space-x-3 bg-gradient-to-r from-blue-50 to-purple-50 dark:from-blue-900/20 dark:to-purple-900/20 px-3 py-2 rounded-lg border border-blue-200 dark:border-blue-700">
+                <div className="text-center">
+                  <div className="text-sm font-bold text-blue-600 dark:text-blue-400">
+                    {userRewards?.totalPoints || 0}
+                  </div>
+                  <div className="text-xs text-gray-500 dark:text-gray-400">Points</div>
                 </div>
-                <div className="text-xs text-gray-500 dark:text-gray-400">Points</div>
-              </div>
-              <div className="text-center">
-                <div className="text-sm font-bold text-purple-600 dark:text-purple-400">
-                  {userRewards?.currentLevel || 1}
+                <div className="text-center">
+                  <div className="text-sm font-bold text-purple-600 dark:text-purple-400">
+                    {userRewards?.currentLevel || 1}
+                  </div>
+                  <div className="text-xs text-gray-500 dark:text-gray-400">Level</div>
                 </div>
-                <div className="text-xs text-gray-500 dark:text-gray-400">Level</div>
-              </div>
-              <div className="text-center">
-                <div className="text-sm font-bold text-orange-600 dark:text-orange-400">
-                  {userRewards?.currentStreak || 0}
+                <div className="text-center">
+                  <div className="text-sm font-bold text-orange-600 dark:text-orange-400">
+                    {userRewards?.currentStreak || 0}
+                  </div>
+                  <div className="text-xs text-gray-500 dark:text-gray-400">Streak</div>
                 </div>
-                <div className="text-xs text-gray-500 dark:text-gray-400">Streak</div>
               </div>
-            </div>
             
-            <span className="text-sm text-gray-700 dark:text-gray-300">
-              Hello, {user?.firstName || 'User'}
-            </span>
-            <Button 
-              variant="outline" 
-              size="sm" 
-              onClick={handleLogout}
-              className="dark:border-gray-600 dark:text-gray-300 dark:hover:bg-gray-700"
-            >
-              Logout
-            </Button>
-          </div>
+              <span className="text-sm text-gray-700 dark:text-gray-300">
+                Hello, {user?.firstName || 'User'}
+              </span>
+              <Button 
+                variant="outline" 
+                size="sm" 
+                onClick={handleLogout}
+                className="dark:border-gray-600 dark:text-gray-300 dark:hover:bg-gray-700"
+              >
+                Logout
+              </Button>
+            </div>
 
-          {/* Mobile menu button */}
-          <div className="md:hidden">
-            <button
-              onClick={() => setIsMobileMenuOpen(!isMobileMenuOpen)}
-              className="inline-flex items-center justify-center p-2 rounded-md text-gray-400 hover:text-gray-500 hover:bg-gray-100 dark:text-gray-500 dark:hover:text-gray-400 dark:hover:bg-gray-700 focus:outline-none focus:ring-2 focus:ring-inset focus:ring-medical-500"
-              aria-expanded="false"
-            >
-              <span className="sr-only">Open main menu</span>
-              {!isMobileMenuOpen ? (
-                <svg className="block h-6 w-6" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke="currentColor" aria-hidden="true">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M4 6h16M4 12h16M4 18h16" />
-                </svg>
-              ) : (
-                <svg className="block h-6 w-6" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke="currentColor" aria-hidden="true">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" />
-                </svg>
-              )}
-            </button>
+            {/* Mobile menu button */}
+            <div className="md:hidden">
+              <button
+                onClick={() => setIsMobileMenuOpen(!isMobileMenuOpen)}
+                className="inline-flex items-center justify-center p-2 rounded-md text-gray-400 hover:text-gray-500 hover:bg-gray-100 dark:text-gray-500 dark:hover:text-gray-400 dark:hover:bg-gray-700 focus:outline-none focus:ring-2 focus:ring-inset focus:ring-medical-500"
+                aria-expanded="false"
+              >
+                <span className="sr-only">Open main menu</span>
+                {!isMobileMenuOpen ? (
+                  <svg className="block h-6 w-6" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke="currentColor" aria-hidden="true">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M4 6h16M4 12h16M4 18h16" />
+                  </svg>
+                ) : (
+                  <svg className="block h-6 w-6" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke="currentColor" aria-hidden="true">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" />
+                  </svg>
+                )}
+              </button>
+            </div>
           </div>
         </div>
       </div>      {/* Mobile menu */}
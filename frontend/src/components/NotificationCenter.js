@@ -1,12 +1,18 @@
 import React, { useState, useEffect } from 'react';
 import { notificationService } from '../services/notificationService';
 import { doseService } from '../services/doseService';
+import useCareStore from '../store/careStore';
 import Button from './Button';
 
+const PAGE_SIZE = 20;
+
 const NotificationCenter = () => {
+  const { activePatientId, activeProfileId } = useCareStore();
   const [notifications, setNotifications] = useState([]);
   const [isOpen, setIsOpen] = useState(false);
   const [unreadCount, setUnreadCount] = useState(0);
+  const [pagination, setPagination] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
 
   useEffect(() => {
     fetchNotifications();
@@ -16,14 +22,36 @@ const NotificationCenter = () => {
 
   const fetchNotifications = async () => {
     try {
-      const data = await notificationService.getNotifications();
-      setNotifications(data);
-      setUnreadCount(data.filter(n => !n.isRead).length);
+      const data = await notificationService.getNotifications({ limit: PAGE_SIZE });
+      setNotifications(data.notifications);
+      setUnreadCount(data.unreadCount);
+      setPagination(data.pagination);
     } catch (error) {
       console.error('Failed to fetch notifications:', error);
     }
   };
 
+  const loadMore = async () => {
+    if (!pagination?.hasNextPage) return;
+    try {
+      setLoadingMore(true);
+      const data = await notificationService.getNotifications({
+        page: pagination.currentPage + 1,
+        limit: PAGE_SIZE
+      });
+      setNotifications(prev => [
+        ...prev,
+        ...data.notifications.filter(n => !prev.some(existing => existing._id === n._id))
+      ]);
+      setUnreadCount(data.unreadCount);
+      setPagination(data.pagination);
+    } catch (error) {
+      console.error('Failed to load more notifications:', error);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
   const markAsRead = async (notificationId) => {
     try {
       await notificationService.markAsRead(notificationId);
@@ -36,30 +64,50 @@ const NotificationCenter = () => {
     }
   };
 
-  const handleDoseAction = async (dose, action) => {
+  const markAllAsRead = async () => {
+    try {
+      await notificationService.markAllAsRead();
+      setNotifications(prev => prev.map(n => ({ ...n, isRead: true })));
+      setUnreadCount(0);
+    } catch (error) {
+      console.error('Failed to mark all notifications as read:', error);
+    }
+  };
+
+  // Doses are logged in the current patient/profile scope, so only offer
+  // actions for the account's own doses in the matching profile
+  const canActOnDose = (notification) =>
+    !!notification.doseData &&
+    !activePatientId &&
+    (notification.profile || null) === (activeProfileId || null);
+
+  const handleDoseAction = async (notification, action) => {
     try {
-      const regimenId = dose.regimen?._id || dose.regimen;
-      const timestamp = dose.scheduledTime || new Date();
+      const doseId = notification.doseData._id;
 
       switch (action) {
         case 'taken':
-          await doseService.markDoseTaken(regimenId, timestamp);
+          await doseService.updateDose(doseId, { status: 'taken' });
           notificationService.showToast('success', 'Dose marked as taken!');
           break;
         case 'missed':
-          await doseService.markDoseMissed(regimenId, timestamp);
+          await doseService.updateDose(doseId, { status: 'missed' });
           notificationService.showToast('info', 'Dose marked as missed');
           break;
         case 'snooze':
+          await doseService.snoozeDose(doseId);
           notificationService.showToast('info', 'Reminder snoozed for 15 minutes');
           break;
         default:
           break;
       }
+      if (!notification.isRead) {
+        await notificationService.markAsRead(notification._id);
+      }
       fetchNotifications();
     } catch (error) {
       console.error('Failed to perform dose action:', error);
-      notificationService.showToast('error', 'Failed to update dose status');
+      notificationService.showToast('error', error.message || 'Failed to update dose status');
     }
   };
 
@@ -109,10 +157,18 @@ const NotificationCenter = () => {
       {/* Notification Dropdown */}
       {isOpen && (
         <div className="absolute right-0 mt-2 w-96 bg-white dark:bg-gray-800 rounded-lg shadow-lg border border-gray-200 dark:border-gray-700 z-50">
-          <div className="p-4 border-b border-gray-200 dark:border-gray-700">
+          <div className="p-4 border-b border-gray-200 dark:border-gray-700 flex items-center justify-between">
             <h3 className="text-lg font-semibold text-gray-900 dark:text-white">
               Notifications
             </h3>
+            {unreadCount > 0 && (
+              <button
+                onClick={markAllAsRead}
+                className="text-sm text-medical-600 dark:text-medical-400 hover:underline"
+              >
+                Mark all as read
+              </button>
+            )}
           </div>
 
           <div className="max-h-[32rem] overflow-y-auto">
@@ -146,18 +202,18 @@ const NotificationCenter = () => {
                       )}
                       
                       <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
-                        {new Date(notification.createdAt).toLocaleTimeString()}
+                        {new Date(notification.createdAt).toLocaleString()}
                       </p>
 
                       {/* Dose Action Buttons */}
-                      {notification.type === 'dose_reminder' && notification.doseData && (
+                      {['dose_reminder', 'dose_overdue'].includes(notification.type) && canActOnDose(notification) && (
                         <div className="flex gap-2 mt-3">
                           <Button
                             size="sm"
                             variant="primary"
                             onClick={(e) => {
                               e.stopPropagation();
-                              handleDoseAction(notification.doseData, 'taken');
+                              handleDoseAction(notification, 'taken');
                             }}
                           >
                             Mark Taken
@@ -167,7 +223,7 @@ const NotificationCenter = () => {
                             variant="outline"
                             onClick={(e) => {
                               e.stopPropagation();
-                              handleDoseAction(notification.doseData, 'snooze');
+                              handleDoseAction(notification, 'snooze');
                             }}
                           >
                             Snooze 15m
@@ -177,7 +233,7 @@ const NotificationCenter = () => {
                             variant="outline"
                             onClick={(e) => {
                               e.stopPropagation();
-                              handleDoseAction(notification.doseData, 'missed');
+                              handleDoseAction(notification, 'missed');
                             }}
                           >
                             Mark Missed
@@ -193,6 +249,13 @@ const NotificationCenter = () => {
                 </div>
               ))
             )}
+            {pagination?.hasNextPage && (
+              <div className="p-3 text-center">
+                <Button size="sm" variant="outline" onClick={loadMore} disabled={loadingMore}>
+                  {loadingMore ? 'Loading...' : 'Load more'}
+                </Button>
+              </div>
+            )}
           </div>
 
           <div className="p-3 border-t border-gray-200 dark:border-gray-700">
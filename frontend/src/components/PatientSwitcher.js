@@ -0,0 +1,48 @@
+import React, { useEffect } from 'react';
+import useCareStore from '../store/careStore';
+
+// Lets a caregiver choose whose medications the page shows.
+// Renders nothing for users who are not anyone's caregiver.
+const PatientSwitcher = ({ className = '' }) => {
+  const { patients, activePatientId, fetchPatients, setActivePatient, getActivePatient } = useCareStore();
+
+  useEffect(() => {
+    fetchPatients().catch(() => {
+      // The switcher is optional; pages still work for the user's own data
+    });
+  }, [fetchPatients]);
+
+  if (patients.length === 0) {
+    return null;
+  }
+
+  const activePatient = getActivePatient();
+
+  return (
+    <div className={`flex flex-col sm:flex-row sm:items-center gap-2 bg-blue-50 dark:bg-blue-900/20 border border-blue-200 dark:border-blue-800 rounded-lg px-4 py-3 ${className}`}>
+      <label htmlFor="patient-switcher" className="text-sm font-medium text-blue-900 dark:text-blue-200">
+        Viewing medications for
+      </label>
+      <select
+        id="patient-switcher"
+        value={activePatientId || ''}
+        onChange={(e) => setActivePatient(e.target.value || null)}
+        className="rounded-md border border-blue-300 dark:border-blue-700 bg-white dark:bg-gray-800 text-gray-900 dark:text-white text-sm px-3 py-1.5 focus:outline-none focus:ring-2 focus:ring-medical-500"
+      >
+        <option value="">Myself</option>
+        {patients.map(patient => (
+          <option key={patient._id} value={patient._id}>
+            {patient.firstName} {patient.lastName}{patient.relationship ? ` (${patient.relationship})` : ''}
+          </option>
+        ))}
+      </select>
+      {activePatient && !activePatient.permissions?.canLogDoses && (
+        <span className="text-xs text-blue-700 dark:text-blue-300">
+          View only: you cannot log doses for {activePatient.firstName}
+        </span>
+      )}
+    </div>
+  );
+};
+
+export default PatientSwitcher;
@@ -0,0 +1,50 @@
+import React, { useEffect } from 'react';
+import useCareStore from '../store/careStore';
+
+// Lets an account holder (or their caregiver) choose which dependent
+// profile the page shows. Renders nothing when the account has no dependents.
+const ProfileSwitcher = ({ className = '' }) => {
+  const {
+    profiles,
+    activePatientId,
+    activeProfileId,
+    fetchProfiles,
+    setActiveProfile,
+    getActivePatient
+  } = useCareStore();
+
+  useEffect(() => {
+    fetchProfiles().catch(() => {
+      // The switcher is optional; pages still work for the account holder
+    });
+  }, [fetchProfiles, activePatientId]);
+
+  if (profiles.length === 0) {
+    return null;
+  }
+
+  const activePatient = getActivePatient();
+
+  return (
+    <div className={`flex flex-col sm:flex-row sm:items-center gap-2 bg-purple-50 dark:bg-purple-900/20 border border-purple-200 dark:border-purple-800 rounded-lg px-4 py-3 ${className}`}>
+      <label htmlFor="profile-switcher" className="text-sm font-medium text-purple-900 dark:text-purple-200">
+        Profile
+      </label>
+      <select
+        id="profile-switcher"
+        value={activeProfileId || ''}
+        onChange={(e) => setActiveProfile(e.target.value || null)}
+        className="rounded-md border border-purple-300 dark:border-purple-700 bg-white dark:bg-gray-800 text-gray-900 dark:text-white text-sm px-3 py-1.5 focus:outline-none focus:ring-2 focus:ring-medical-500"
+      >
+        <option value="">{activePatient ? activePatient.firstName : 'Myself'}</option>
+        {profiles.map(profile => (
+          <option key={profile._id} value={profile._id}>
+            {profile.name}{profile.relationship ? ` (${profile.relationship})` : ''}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+};
+
+export default ProfileSwitcher;
@@ -0,0 +1,144 @@
+import React, { useEffect, useState } from 'react';
+import Modal from './Modal';
+import Alert from './Alert';
+import LoadingSpinner from './LoadingSpinner';
+import auditService from '../services/auditService';
+import { formatDate } from '../utils';
+
+const ACTION_LABELS = {
+  create: 'Created',
+  update: 'Changed',
+  delete: 'Deleted'
+};
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/;
+
+// "scheduledTime" -> "Scheduled time"
+const humanizeField = (field) => {
+  const words = field.replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (typeof value === 'string' && ISO_DATE.test(value)) return formatDate(value, 'datetime');
+  if (Array.isArray(value)) return value.length ? value.map(formatValue).join(', ') : '—';
+  if (typeof value === 'object') {
+    return Object.entries(value)
+      .map(([key, inner]) => `${humanizeField(key)}: ${formatValue(inner)}`)
+      .join('; ');
+  }
+  return String(value);
+};
+
+// Who made the change; scheduler entries have no actor
+const describeActor = (entry) => {
+  if (entry.source === 'scheduler' || !entry.actor) return 'Automatic';
+  return entry.actor.name;
+};
+
+// Field-by-field view of an entry. Creates and deletes list the whole record
+// on one side; updates only the fields that changed.
+const ChangeTable = ({ changes }) => {
+  const before = changes?.before || {};
+  const after = changes?.after || {};
+  const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+  if (fields.length === 0) return null;
+
+  return (
+    <table className="mt-2 w-full text-xs">
+      <thead>
+        <tr className="text-left text-gray-500 dark:text-gray-400">
+          <th className="py-1 pr-2 font-medium">Field</th>
+          <th className="py-1 pr-2 font-medium">Before</th>
+          <th className="py-1 font-medium">After</th>
+        </tr>
+      </thead>
+      <tbody className="divide-y divide-gray-100 dark:divide-gray-700">
+        {fields.map(field => (
+          <tr key={field} className="align-top text-gray-700 dark:text-gray-300">
+            <td className="py-1 pr-2 font-medium">{humanizeField(field)}</td>
+            <td className="py-1 pr-2 break-words">{field in before ? formatValue(before[field]) : '—'}</td>
+            <td className="py-1 break-words">{field in after ? formatValue(after[field]) : '—'}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
+
+// Modal listing every recorded change to one dose log, regimen or medication
+const RecordHistory = ({ isOpen, onClose, type, id, title = 'Change History' }) => {
+  const [history, setHistory] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!isOpen || !id) return;
+
+    let cancelled = false;
+    const loadHistory = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const entries = await auditService.getHistory(type, id);
+        if (!cancelled) setHistory(entries || []);
+      } catch (err) {
+        if (!cancelled) setError(err.message || 'Failed to load change history');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    loadHistory();
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen, type, id]);
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title={title} className="max-w-2xl">
+      {error && <Alert type="error" message={error} className="mb-4" />}
+
+      {loading ? (
+        <div className="flex justify-center py-8">
+          <LoadingSpinner />
+        </div>
+      ) : history.length === 0 ? (
+        !error && (
+          <p className="py-6 text-center text-sm text-gray-500 dark:text-gray-400">
+            No changes have been recorded yet.
+          </p>
+        )
+      ) : (
+        <ol className="max-h-[60vh] space-y-4 overflow-y-auto">
+          {history.map(entry => (
+            <li key={entry.id} className="rounded-lg border border-gray-200 dark:border-gray-700 p-3">
+              <div className="flex flex-wrap items-center gap-2 text-sm">
+                <span className="font-semibold text-gray-900 dark:text-white">
+                  {ACTION_LABELS[entry.action] || entry.action}
+                </span>
+                <span className="text-gray-600 dark:text-gray-300">by {describeActor(entry)}</span>
+                {entry.source === 'caregiver' && (
+                  <span className="inline-flex items-center rounded-full px-2 py-0.5 text-xs font-medium bg-purple-100 text-purple-800 dark:bg-purple-900 dark:text-purple-200">
+                    Caregiver
+                  </span>
+                )}
+                <span className="ml-auto text-xs text-gray-500 dark:text-gray-400">
+                  {formatDate(entry.createdAt, 'datetime')}
+                </span>
+              </div>
+              {entry.reason && (
+                <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">{entry.reason}</p>
+              )}
+              <ChangeTable changes={entry.changes} />
+            </li>
+          ))}
+        </ol>
+      )}
+    </Modal>
+  );
+};
+
+export default RecordHistory;
@@ -0,0 +1,253 @@
+import React, { useState } from 'react';
+import Card from './Card';
+import Button from './Button';
+import Input from './Input';
+import Alert from './Alert';
+import authService from '../services/authService';
+import useAuthStore from '../store/authStore';
+
+const EMPTY_FORM = { password: '', code: '' };
+
+// Secret keys are easier to type from an app in groups of four
+const formatSecret = (secret) => secret.match(/.{1,4}/g).join(' ');
+
+// Enrolment, recovery codes and removal of TOTP two-factor authentication.
+// Every change asks for the password again before it goes through.
+const TwoFactorSettings = () => {
+  const { user, getCurrentUser } = useAuthStore();
+  const enabled = !!user?.twoFactorEnabled;
+
+  // null, 'password', 'verify', 'codes', 'disable' or 'regenerate'
+  const [step, setStep] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [setup, setSetup] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState([]);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+    setError(null);
+  };
+
+  const goTo = (nextStep) => {
+    setStep(nextStep);
+    setForm(EMPTY_FORM);
+    setError(null);
+    setNotice(null);
+  };
+
+  const run = async (action) => {
+    setWorking(true);
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message || 'Something went wrong');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleStartSetup = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const result = await authService.setupTwoFactor(form.password);
+      setSetup(result);
+      goTo('verify');
+    });
+  };
+
+  const handleEnable = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const result = await authService.enableTwoFactor(form.code.trim());
+      setRecoveryCodes(result.recoveryCodes);
+      setSetup(null);
+      goTo('codes');
+      await getCurrentUser();
+    });
+  };
+
+  const handleDisable = (e) => {
+    e.preventDefault();
+    run(async () => {
+      await authService.disableTwoFactor(form.password, form.code.trim());
+      goTo(null);
+      setNotice('Two-factor authentication has been turned off');
+      await getCurrentUser();
+    });
+  };
+
+  const handleRegenerate = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const result = await authService.regenerateRecoveryCodes(form.password, form.code.trim());
+      setRecoveryCodes(result.recoveryCodes);
+      goTo('codes');
+    });
+  };
+
+  const handleCopyCodes = async () => {
+    try {
+      await navigator.clipboard.writeText(recoveryCodes.join('\n'));
+      setNotice('Recovery codes copied');
+    } catch (err) {
+      setError('Could not copy the codes; please write them down instead');
+    }
+  };
+
+  const handleDone = () => {
+    setRecoveryCodes([]);
+    goTo(null);
+  };
+
+  const passwordInput = (
+    <Input
+      id="twoFactorPassword"
+      name="password"
+      type="password"
+      label="Current password"
+      autoComplete="current-password"
+      required
+      value={form.password}
+      onChange={handleChange}
+    />
+  );
+
+  const codeInput = (
+    <Input
+      id="twoFactorCode"
+      name="code"
+      type="text"
+      label="Authentication code"
+      inputMode="numeric"
+      autoComplete="one-time-code"
+      required
+      value={form.code}
+      onChange={handleChange}
+      placeholder="123456"
+    />
+  );
+
+  const formActions = (submitLabel) => (
+    <div className="flex gap-2">
+      <Button type="submit" size="sm" disabled={working}>
+        {working ? 'Please wait...' : submitLabel}
+      </Button>
+      <Button type="button" size="sm" variant="outline" onClick={() => goTo(null)} disabled={working}>
+        Cancel
+      </Button>
+    </div>
+  );
+
+  return (
+    <Card className="p-6 dark:bg-gray-800">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-semibold text-gray-900 dark:text-white">Two-Factor Authentication</h2>
+        <span className={`inline-flex items-center rounded-full px-2 py-0.5 text-xs font-medium ${
+          enabled ?
+            'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200' :
+            'bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-300'
+        }`}>
+          {enabled ? 'On' : 'Off'}
+        </span>
+      </div>
+
+      {error && <Alert type="error" message={error} className="mb-4" />}
+      {notice && <Alert type="success" message={notice} className="mb-4" />}
+
+      {step === null && (
+        <div className="space-y-4">
+          <p className="text-sm text-gray-500 dark:text-gray-400">
+            {enabled ?
+              'Signing in asks for a code from your authenticator app as well as your password.' :
+              'Protect your health records by asking for a code from an authenticator app whenever you sign in.'}
+          </p>
+          {enabled ? (
+            <div className="flex flex-wrap gap-2">
+              <Button size="sm" variant="outline" onClick={() => goTo('regenerate')}>
+                New recovery codes
+              </Button>
+              <Button size="sm" variant="outline" onClick={() => goTo('disable')}>
+                Turn off
+              </Button>
+            </div>
+          ) : (
+            <Button size="sm" onClick={() => goTo('password')}>
+              Set up two-factor authentication
+            </Button>
+          )}
+        </div>
+      )}
+
+      {step === 'password' && (
+        <form className="space-y-4" onSubmit={handleStartSetup}>
+          <p className="text-sm text-gray-500 dark:text-gray-400">Confirm your password to continue.</p>
+          {passwordInput}
+          {formActions('Continue')}
+        </form>
+      )}
+
+      {step === 'verify' && setup && (
+        <form className="space-y-4" onSubmit={handleEnable}>
+          <div className="text-sm text-gray-700 dark:text-gray-300 space-y-2">
+            <p>
+              Add MedTracker to an authenticator app such as Google Authenticator, 1Password or Authy.
+              On this device you can{' '}
+              <a href={setup.otpauthUri} className="font-medium text-medical-600 dark:text-medical-400 hover:underline">
+                open it in your authenticator app
+              </a>
+              ; otherwise enter this key by hand:
+            </p>
+            <p className="font-mono text-base tracking-wider bg-gray-50 dark:bg-gray-700 rounded-md px-3 py-2 break-all select-all">
+              {formatSecret(setup.secret)}
+            </p>
+            <p>Then enter the 6-digit code the app shows.</p>
+          </div>
+          {codeInput}
+          {formActions('Turn on')}
+        </form>
+      )}
+
+      {step === 'codes' && (
+        <div className="space-y-4">
+          <Alert
+            type="warning"
+            message="Save these recovery codes somewhere safe. Each one signs you in once if you lose your authenticator app, and they won't be shown again."
+          />
+          <ul className="grid grid-cols-2 gap-2 font-mono text-sm text-gray-900 dark:text-gray-100 bg-gray-50 dark:bg-gray-700 rounded-md p-4">
+            {recoveryCodes.map(code => (
+              <li key={code}>{code}</li>
+            ))}
+          </ul>
+          <div className="flex gap-2">
+            <Button size="sm" variant="outline" onClick={handleCopyCodes}>
+              Copy codes
+            </Button>
+            <Button size="sm" onClick={handleDone}>
+              I've saved them
+            </Button>
+          </div>
+        </div>
+      )}
+
+      {(step === 'disable' || step === 'regenerate') && (
+        <form className="space-y-4" onSubmit={step === 'disable' ? handleDisable : handleRegenerate}>
+          <p className="text-sm text-gray-500 dark:text-gray-400">
+            {step === 'disable' ?
+              'Confirm your password and a current code (or a recovery code) to turn off two-factor authentication.' :
+              'Confirm your password and a current code to replace your recovery codes. The old codes will stop working.'}
+          </p>
+          {passwordInput}
+          {codeInput}
+          {formActions(step === 'disable' ? 'Turn off' : 'Generate codes')}
+        </form>
+      )}
+    </Card>
+  );
+};
+
+export default TwoFactorSettings;
@@ -5,6 +5,23 @@ import useMedicationStore from '../store/medicationStore';
 import useRegimenStore from '../store/regimenStore';
 import useAuthStore from '../store/authStore';
 import { calendarService } from '../services/calendarService';
+import { notificationService } from '../services/notificationService';
+
+// Regimen reminder methods; 'app' covers the standard email and push reminders
+const REMINDER_METHODS = [
+  { value: 'app', label: 'Email & push' },
+  { value: 'sms', label: 'SMS' },
+  { value: 'webhook', label: 'Webhook' }
+];
+
+// Lead times offered for a regimen's reminders, in minutes before the dose
+const REMINDER_LEAD_TIMES = [
+  { value: 60, label: '1 hour' },
+  { value: 30, label: '30 min' },
+  { value: 15, label: '15 min' },
+  { value: 10, label: '10 min' },
+  { value: 5, label: '5 min' }
+];
 
 const AddMedication = () => {
   const navigate = useNavigate();
@@ -39,6 +56,19 @@ const AddMedication = () => {
     dosage: { amount: '', unit: 'tablet' },
     frequency: 'once_daily',
     customSchedule: [],
+    recurrence: {
+      pattern: 'daily',
+      daysOfWeek: [],
+      interval: 2,
+      cycle: { daysOn: 21, daysOff: 7 },
+      dayOfMonth: 1
+    },
+    dosePhases: [],
+    prnLimits: {
+      maxDosesPer24h: '',
+      minIntervalMinutes: '',
+      enforcement: 'block'
+    },
     startDate: new Date().toISOString().split('T')[0],
     endDate: '',
     purpose: '',
@@ -52,7 +82,8 @@ const AddMedication = () => {
       enabled: true,
       daysBeforeEmpty: 7,
       currentStock: 0
-    }
+    },
+    isCritical: false
   });
   
   const [customTimes, setCustomTimes] = useState(['08:00']);
@@ -83,6 +114,16 @@ const AddMedication = () => {
     { value: 'custom', label: 'Custom schedule', times: [] }
   ];
 
+  const recurrencePatterns = [
+    { value: 'daily', label: 'Every day' },
+    { value: 'weekdays', label: 'Specific weekdays' },
+    { value: 'interval', label: 'Every N days' },
+    { value: 'cycle', label: 'On/off cycle' },
+    { value: 'monthly', label: 'Monthly' }
+  ];
+
+  const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
   const familyMembers = [
     { value: 'self', label: 'Myself' },
     { value: 'spouse', label: 'Spouse/Partner' },
@@ -150,6 +191,24 @@ const AddMedication = () => {
     }
   };
 
+  const toggleReminderMethod = (method) => {
+    setRegimen(prev => {
+      const methods = prev.reminders.methods.includes(method) ?
+        prev.reminders.methods.filter(m => m !== method) :
+        [...prev.reminders.methods, method];
+      return { ...prev, reminders: { ...prev.reminders, methods } };
+    });
+  };
+
+  const toggleReminderLeadTime = (minutes) => {
+    setRegimen(prev => {
+      const timesBefore = prev.reminders.timesBefore.includes(minutes) ?
+        prev.reminders.timesBefore.filter(m => m !== minutes) :
+        [...prev.reminders.timesBefore, minutes].sort((a, b) => b - a);
+      return { ...prev, reminders: { ...prev.reminders, timesBefore } };
+    });
+  };
+
   const addSideEffect = () => {
     if (sideEffect.trim()) {
       setMedication(prev => ({
@@ -179,6 +238,105 @@ const AddMedication = () => {
     setCustomTimes(prev => prev.map((t, i) => i === index ? time : t));
   };
 
+  const toggleWeekday = (day) => {
+    setRegimen(prev => {
+      const daysOfWeek = prev.recurrence.daysOfWeek.includes(day)
+        ? prev.recurrence.daysOfWeek.filter(d => d !== day)
+        : [...prev.recurrence.daysOfWeek, day].sort((a, b) => a - b);
+      return { ...prev, recurrence: { ...prev.recurrence, daysOfWeek } };
+    });
+  };
+
+  const addDosePhase = () => {
+    setRegimen(prev => {
+      const lastPhase = prev.dosePhases[prev.dosePhases.length - 1];
+      let startDate = prev.startDate;
+      if (lastPhase?.endDate) {
+        const nextDay = new Date(lastPhase.endDate);
+        nextDay.setUTCDate(nextDay.getUTCDate() + 1);
+        startDate = nextDay.toISOString().split('T')[0];
+      }
+      return {
+        ...prev,
+        dosePhases: [
+          ...prev.dosePhases,
+          { label: '', startDate, endDate: '', amount: prev.dosage.amount, unit: '', slotAmounts: [] }
+        ]
+      };
+    });
+  };
+
+  const removeDosePhase = (index) => {
+    setRegimen(prev => ({
+      ...prev,
+      dosePhases: prev.dosePhases.filter((_, i) => i !== index)
+    }));
+  };
+
+  const updateDosePhase = (index, field, value) => {
+    setRegimen(prev => ({
+      ...prev,
+      dosePhases: prev.dosePhases.map((phase, i) => i === index ? { ...phase, [field]: value } : phase)
+    }));
+  };
+
+  // Per-time-slot amount; clearing the field falls back to the phase amount
+  const updateSlotAmount = (index, time, amount) => {
+    setRegimen(prev => ({
+      ...prev,
+      dosePhases: prev.dosePhases.map((phase, i) => {
+        if (i !== index) return phase;
+        const slotAmounts = phase.slotAmounts.filter(slot => slot.time !== time);
+        return {
+          ...phase,
+          slotAmounts: amount === '' ? slotAmounts : [...slotAmounts, { time, amount }]
+        };
+      })
+    }));
+  };
+
+  const getSlotAmount = (phase, time) =>
+    phase.slotAmounts.find(slot => slot.time === time)?.amount ?? '';
+
+  // Drop blank optional fields and convert amounts to numbers
+  const buildDosePhases = () => regimen.dosePhases.map(phase => ({
+    ...(phase.label.trim() && { label: phase.label.trim() }),
+    startDate: phase.startDate,
+    ...(phase.endDate && { endDate: phase.endDate }),
+    amount: parseFloat(phase.amount),
+    ...(phase.unit && { unit: phase.unit }),
+    slotAmounts: phase.slotAmounts
+      .filter(slot => customTimes.includes(slot.time))
+      .map(slot => ({ time: slot.time, amount: parseFloat(slot.amount) }))
+  }));
+
+  // PRN limits only apply to as-needed regimens; blank limits are left unset
+  const buildPrnLimits = () => {
+    const { maxDosesPer24h, minIntervalMinutes, enforcement } = regimen.prnLimits;
+    return {
+      ...(maxDosesPer24h !== '' && { maxDosesPer24h: parseInt(maxDosesPer24h) }),
+      ...(minIntervalMinutes !== '' && { minIntervalMinutes: parseInt(minIntervalMinutes) }),
+      enforcement
+    };
+  };
+
+  // Only send the fields the chosen recurrence pattern uses
+  const buildRecurrence = () => {
+    const { pattern, daysOfWeek, interval, cycle, dayOfMonth } = regimen.recurrence;
+    switch (pattern) {
+      case 'weekdays':
+        return { pattern, daysOfWeek };
+      case 'interval':
+        return { pattern, interval: parseInt(interval) };
+      case 'cycle':
+        return { pattern, cycle: { daysOn: parseInt(cycle.daysOn), daysOff: parseInt(cycle.daysOff) } };
+      case 'monthly':
+        return { pattern, dayOfMonth: parseInt(dayOfMonth) };
+      default:
+        return { pattern: 'daily' };
+    }
+  };
+
   const handleFrequencyChange = (freq) => {
     setRegimen(prev => ({ ...prev, frequency: freq }));
     
@@ -211,6 +369,39 @@ const AddMedication = () => {
       setError('At least one time is required for custom schedule');
       return false;
     }
+    const { pattern, daysOfWeek, interval, cycle, dayOfMonth } = regimen.recurrence;
+    if (pattern === 'weekdays' && daysOfWeek.length === 0) {
+      setError('Select at least one weekday');
+      return false;
+    }
+    if (pattern === 'interval' && !(parseInt(interval) >= 1)) {
+      setError('Repeat interval must be at least 1 day');
+      return false;
+    }
+    if (pattern === 'cycle' && (!(parseInt(cycle.daysOn) >= 1) || !(parseInt(cycle.daysOff) >= 0))) {
+      setError('Cycle needs at least 1 day on and 0 or more days off');
+      return false;
+    }
+    if (pattern === 'monthly' && !(parseInt(dayOfMonth) >= 1 && parseInt(dayOfMonth) <= 31)) {
+      setError('Day of month must be between 1 and 31');
+      return false;
+    }
+    for (let i = 0; i < regimen.dosePhases.length; i++) {
+      const phase = regimen.dosePhases[i];
+      const next = regimen.dosePhases[i + 1];
+      if (!phase.startDate || phase.amount === '' || isNaN(parseFloat(phase.amount))) {
+        setError(`Dose phase ${i + 1} needs a start date and amount`);
+        return false;
+      }
+      if (phase.endDate && phase.endDate < phase.startDate) {
+        setError(`Dose phase ${i + 1} ends before it starts`);
+        return false;
+      }
+      if (next && (next.startDate <= phase.startDate || (phase.endDate && next.startDate <= phase.endDate))) {
+        setError(`Dose phase ${i + 2} must start after dose phase ${i + 1} ends`);
+        return false;
+      }
+    }
     if (!regimen.startDate) {
       setError('Start date is required');
       return false;
@@ -242,11 +433,26 @@ const AddMedication = () => {
       // Then create regimen
       const regimenData = {
         ...regimen,
+        recurrence: buildRecurrence(),
+        dosePhases: buildDosePhases(),
+        prnLimits: regimen.frequency === 'as_needed' ? buildPrnLimits() : undefined,
         medication: newMedication.medication._id
       };
       
       const newRegimen = await createRegimen(regimenData);
       
+      // Surface interaction warnings against the user's other active medications
+      (newRegimen.warnings || []).forEach(warning => {
+        const otherMedication = warning.medications?.find(
+          med => med._id !== newMedication.medication._id
+        );
+        notificationService.showToast(
+          warning.severity === 'minor' ? 'default' : 'error',
+          `${warning.severity.toUpperCase()} interaction with ${otherMedication?.name || 'another medication'}: ${warning.description}`,
+          { duration: 10000 }
+        );
+      });
+      
       // Check if user has calendar connected and auto-sync enabled
       try {
         const calendarStatus = await calendarService.getConnectionStatus();
@@ -609,6 +815,124 @@ const AddMedication = () => {
                 </div>
               )}
 
+              {regimen.frequency === 'as_needed' && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                    As-Needed Limits
+                  </label>
+                  <div className="grid grid-cols-2 gap-4">
+                    <Input
+                      type="number"
+                      min="1"
+                      label="Max doses per 24 hours"
+                      value={regimen.prnLimits.maxDosesPer24h}
+                      onChange={(e) => handleRegimenChange('prnLimits.maxDosesPer24h', e.target.value)}
+                    />
+                    <Input
+                      type="number"
+                      min="0"
+                      label="Minimum minutes between doses"
+                      value={regimen.prnLimits.minIntervalMinutes}
+                      onChange={(e) => handleRegimenChange('prnLimits.minIntervalMinutes', e.target.value)}
+                    />
+                  </div>
+                  <select
+                    value={regimen.prnLimits.enforcement}
+                    onChange={(e) => handleRegimenChange('prnLimits.enforcement', e.target.value)}
+                    className="mt-3 w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-medical-500 dark:focus:ring-medical-400"
+                  >
+                    <option value="block">Block doses that exceed a limit</option>
+                    <option value="warn">Warn but allow doses that exceed a limit</option>
+                  </select>
+                </div>
+              )}
+
+              {regimen.frequency !== 'as_needed' && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                    Repeats
+                  </label>
+                  <select
+                    value={regimen.recurrence.pattern}
+                    onChange={(e) => handleRegimenChange('recurrence.pattern', e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-medical-500 dark:focus:ring-medical-400"
+                  >
+                    {recurrencePatterns.map(option => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </select>
+
+                  {regimen.recurrence.pattern === 'weekdays' && (
+                    <div className="flex flex-wrap gap-2 mt-3">
+                      {weekdays.map((day, index) => (
+                        <button
+                          key={day}
+                          type="button"
+                          onClick={() => toggleWeekday(index)}
+                          className={`px-3 py-1 rounded-full border text-sm transition-all duration-200 ${
+                            regimen.recurrence.daysOfWeek.includes(index)
+                              ? 'border-medical-500 bg-medical-50 dark:bg-medical-900/20 text-medical-700 dark:text-medical-300'
+                              : 'border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white'
+                          }`}
+                        >
+                          {day}
+                        </button>
+                      ))}
+                    </div>
+                  )}
+
+                  {regimen.recurrence.pattern === 'interval' && (
+                    <div className="flex items-center gap-2 mt-3">
+                      <span className="text-sm text-gray-700 dark:text-gray-300">Every</span>
+                      <Input
+                        type="number"
+                        min="1"
+                        value={regimen.recurrence.interval}
+                        onChange={(e) => handleRegimenChange('recurrence.interval', e.target.value)}
+                        className="w-24"
+                      />
+                      <span className="text-sm text-gray-700 dark:text-gray-300">days, counting from the start date</span>
+                    </div>
+                  )}
+
+                  {regimen.recurrence.pattern === 'cycle' && (
+                    <div className="flex items-center gap-2 mt-3">
+                      <Input
+                        type="number"
+                        min="1"
+                        value={regimen.recurrence.cycle.daysOn}
+                        onChange={(e) => handleRegimenChange('recurrence.cycle.daysOn', e.target.value)}
+                        className="w-24"
+                      />
+                      <span className="text-sm text-gray-700 dark:text-gray-300">days on,</span>
+                      <Input
+                        type="number"
+                        min="0"
+                        value={regimen.recurrence.cycle.daysOff}
+                        onChange={(e) => handleRegimenChange('recurrence.cycle.daysOff', e.target.value)}
+                        className="w-24"
+                      />
+                      <span className="text-sm text-gray-700 dark:text-gray-300">days off</span>
+                    </div>
+                  )}
+
+                  {regimen.recurrence.pattern === 'monthly' && (
+                    <div className="flex items-center gap-2 mt-3">
+                      <span className="text-sm text-gray-700 dark:text-gray-300">On day</span>
+                      <Input
+                        type="number"
+                        min="1"
+                        max="31"
+                        value={regimen.recurrence.dayOfMonth}
+                        onChange={(e) => handleRegimenChange('recurrence.dayOfMonth', e.target.value)}
+                        className="w-24"
+                      />
+                      <span className="text-sm text-gray-700 dark:text-gray-300">of each month (last day in shorter months)</span>
+                    </div>
+                  )}
+                </div>
+              )}
+
               <div className="grid grid-cols-2 gap-4">                <div>
                   <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
                     Start Date *
@@ -632,7 +956,105 @@ const AddMedication = () => {
                     className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-medical-500 dark:focus:ring-medical-400"
                   />
                 </div>
-              </div>              <div>
+              </div>
+
+              <div>
+                <div className="flex items-center justify-between mb-2">
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                    Dose Phases (Tapering / Titration)
+                  </label>
+                  <Button type="button" variant="outline" size="sm" onClick={addDosePhase}>
+                    Add Phase
+                  </Button>
+                </div>
+                {regimen.dosePhases.length === 0 ? (
+                  <p className="text-sm text-gray-500 dark:text-gray-400">
+                    The dosage above applies every day. Add phases if the amount changes over time.
+                  </p>
+                ) : (
+                  <div className="space-y-3">
+                    {regimen.dosePhases.map((phase, index) => (
+                      <div key={index} className="p-3 border border-gray-200 dark:border-gray-600 rounded-lg space-y-3">
+                        <div className="flex items-center justify-between">
+                          <span className="text-sm font-medium text-gray-900 dark:text-white">Phase {index + 1}</span>
+                          <Button type="button" variant="outline" size="sm" onClick={() => removeDosePhase(index)}>
+                            Remove
+                          </Button>
+                        </div>
+                        <Input
+                          placeholder="Label (e.g., Week 1)"
+                          value={phase.label}
+                          onChange={(e) => updateDosePhase(index, 'label', e.target.value)}
+                        />
+                        <div className="grid grid-cols-2 gap-2">
+                          <input
+                            type="date"
+                            value={phase.startDate}
+                            onChange={(e) => updateDosePhase(index, 'startDate', e.target.value)}
+                            className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-medical-500 dark:focus:ring-medical-400"
+                          />
+                          <input
+                            type="date"
+                            value={phase.endDate}
+                            onChange={(e) => updateDosePhase(index, 'endDate', e.target.value)}
+                            className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-medical-500 dark:focus:ring-medical-400"
+                          />
+                        </div>
+                        <div className="flex gap-2">
+                          <Input
+                            type="number"
+                            min="0"
+                            step="0.5"
+                            placeholder="Amount"
+                            value={phase.amount}
+                            onChange={(e) => updateDosePhase(index, 'amount', e.target.value)}
+                            className="flex-1"
+                          />
+                          <select
+                            value={phase.unit}
+                            onChange={(e) => updateDosePhase(index, 'unit', e.target.value)}
+                            className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-medical-500 dark:focus:ring-medical-400"
+                          >
+                            <option value="">Same unit ({regimen.dosage.unit})</option>
+                            <option value="tablet">tablet(s)</option>
+                            <option value="capsule">capsule(s)</option>
+                            <option value="ml">ml</option>
+                            <option value="mg">mg</option>
+                            <option value="g">g</option>
+                            <option value="tsp">tsp</option>
+                            <option value="tbsp">tbsp</option>
+                            <option value="puff">puff(s)</option>
+                            <option value="drop">drop(s)</option>
+                            <option value="patch">patch(es)</option>
+                          </select>
+                        </div>
+                        {customTimes.length > 1 && regimen.frequency !== 'as_needed' && (
+                          <div className="space-y-2">
+                            <p className="text-xs text-gray-500 dark:text-gray-400">
+                              Optional amount per time (leave blank to use the phase amount)
+                            </p>
+                            {customTimes.map(time => (
+                              <div key={time} className="flex items-center gap-2">
+                                <span className="w-16 text-sm text-gray-700 dark:text-gray-300">{time}</span>
+                                <Input
+                                  type="number"
+                                  min="0"
+                                  step="0.5"
+                                  value={getSlotAmount(phase, time)}
+                                  onChange={(e) => updateSlotAmount(index, time, e.target.value)}
+                                  className="w-24"
+                                />
+                              </div>
+                            ))}
+                          </div>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+
+              <div>
                 <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
                   Purpose / Condition
                 </label>
@@ -688,6 +1110,48 @@ const AddMedication = () => {
                     </label>
                   </div>
 
+                  {regimen.reminders.enabled && (
+                    <div className="ml-6">
+                      <p className="text-sm text-gray-700 dark:text-gray-300 mb-2">Remind me by</p>
+                      <div className="flex flex-wrap gap-4">
+                        {REMINDER_METHODS.map(({ value, label }) => (
+                          <label key={value} className="flex items-center text-sm text-gray-700 dark:text-gray-300">
+                            <input
+                              type="checkbox"
+                              checked={regimen.reminders.methods.includes(value)}
+                              onChange={() => toggleReminderMethod(value)}
+                              className="h-4 w-4 text-medical-600 dark:text-medical-500 focus:ring-medical-500 dark:focus:ring-medical-400 border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-700"
+                            />
+                            <span className="ml-2">{label}</span>
+                          </label>
+                        ))}
+                      </div>
+                      <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                        Channels also need to be switched on in Settings
+                      </p>
+
+                      <p className="text-sm text-gray-700 dark:text-gray-300 mt-4 mb-2">Remind me before each dose</p>
+                      <div className="flex flex-wrap gap-4">
+                        {REMINDER_LEAD_TIMES.map(({ value, label }) => (
+                          <label key={value} className="flex items-center text-sm text-gray-700 dark:text-gray-300">
+                            <input
+                              type="checkbox"
+                              checked={regimen.reminders.timesBefore.includes(value)}
+                              onChange={() => toggleReminderLeadTime(value)}
+                              className="h-4 w-4 text-medical-600 dark:text-medical-500 focus:ring-medical-500 dark:focus:ring-medical-400 border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-700"
+                            />
+                            <span className="ml-2">{label}</span>
+                          </label>
+                        ))}
+                      </div>
+                      {regimen.reminders.timesBefore.length === 0 && (
+                        <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                          Uses the early reminder time from Settings
+                        </p>
+                      )}
+                    </div>
+                  )}
+
                   <div className="flex items-center">
                     <input
                       type="checkbox"
@@ -700,6 +1164,22 @@ const AddMedication = () => {
                       Enable refill reminders
                     </label>
                   </div>
+
+                  <div className="flex items-start">
+                    <input
+                      type="checkbox"
+                      id="critical-medication"
+                      checked={regimen.isCritical}
+                      onChange={(e) => handleRegimenChange('isCritical', e.target.checked)}
+                      className="mt-0.5 h-4 w-4 text-medical-600 dark:text-medical-500 focus:ring-medical-500 dark:focus:ring-medical-400 border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-700"
+                    />
+                    <label htmlFor="critical-medication" className="ml-2 text-sm text-gray-700 dark:text-gray-300">
+                      Critical medication
+                      <span className="block text-xs text-gray-500 dark:text-gray-400">
+                        Alert my caregivers and emergency contact if a dose is still not taken after the overdue reminder
+                      </span>
+                    </label>
+                  </div>
                 </div>
               </div>
             </div>
@@ -32,6 +32,7 @@ const AdherenceReports = () => {
   const [calendarData, setCalendarData] = useState(null);
   const [weeklyTrends, setWeeklyTrends] = useState(null);
   const [mostMissedMeds, setMostMissedMeds] = useState(null);
+  const [prnUsage, setPrnUsage] = useState(null);
   const [selectedYear, setSelectedYear] = useState(2024);
   const [isExportModalOpen, setIsExportModalOpen] = useState(false);
 
@@ -44,15 +45,17 @@ const AdherenceReports = () => {
     setError(null);
     try {
       // Fetch all three features data in parallel
-      const [calendarHeatmap, weeklyData, missedMeds] = await Promise.all([
+      const [calendarHeatmap, weeklyData, missedMeds, prnData] = await Promise.all([
         reportService.getCalendarHeatmap(selectedYear),
         reportService.getWeeklyTrends(12),
-        reportService.getMostMissedMedications()
+        reportService.getMostMissedMedications(),
+        reportService.getPrnUsage(30)
       ]);
       
       setCalendarData(calendarHeatmap);
       setWeeklyTrends(weeklyData);
       setMostMissedMeds(missedMeds);
+      setPrnUsage(prnData);
     } catch (err) {
       console.error('Failed to fetch report data:', err);
       setError('Unable to load adherence reports. Please try again later.');
@@ -456,6 +459,49 @@ const AdherenceReports = () => {
                 </div>
               )}
             </Card>
+
+            {/* As-needed (PRN) usage, kept apart from scheduled adherence */}
+            {prnUsage?.usage?.length > 0 && (
+              <Card className="p-6">
+                <h3 className="text-xl font-semibold text-gray-800 dark:text-gray-200 mb-6">
+                  As-Needed Medication Usage
+                </h3>
+                <p className="text-sm text-gray-600 dark:text-gray-400 mb-6">
+                  How often as-needed medications were taken in the last 30 days. These doses are not part of your adherence score.
+                </p>
+                <div className="space-y-4">
+                  {prnUsage.usage.map(item => (
+                    <div
+                      key={item.regimen}
+                      className="flex items-center justify-between p-4 bg-blue-50 dark:bg-blue-900/20 border border-blue-200 dark:border-blue-700 rounded-lg"
+                    >
+                      <div>
+                        <h4 className="font-semibold text-gray-900 dark:text-gray-100">
+                          {item.medication}
+                        </h4>
+                        <p className="text-sm text-gray-600 dark:text-gray-400">
+                          Used on {item.daysUsed} days • up to {item.maxInADay} in a day
+                          {item.limits?.maxDosesPer24h ? ` (limit ${item.limits.maxDosesPer24h}/24h)` : ''}
+                        </p>
+                        {item.limitWarnings > 0 && (
+                          <p className="text-sm text-amber-600 dark:text-amber-400">
+                            {item.limitWarnings} dose{item.limitWarnings === 1 ? '' : 's'} logged over a limit
+                          </p>
+                        )}
+                      </div>
+                      <div className="text-right">
+                        <div className="text-2xl font-bold text-blue-600 dark:text-blue-400">
+                          {item.totalDoses}
+                        </div>
+                        <div className="text-sm text-gray-600 dark:text-gray-400">
+                          {item.averagePerDay} per day
+                        </div>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </Card>
+            )}
           </div>
         )}
 
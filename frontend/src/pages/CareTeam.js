@@ -0,0 +1,438 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useSearchParams, useNavigate } from 'react-router-dom';
+import { Card, Button, Input, Alert, LoadingSpinner } from '../components';
+import careService from '../services/careService';
+import profileService from '../services/profileService';
+import useCareStore from '../store/careStore';
+
+const emptyInvite = {
+  email: '',
+  relationship: '',
+  canViewMedications: true,
+  canLogDoses: false
+};
+
+const emptyProfile = {
+  name: '',
+  relationship: '',
+  dateOfBirth: ''
+};
+
+const CareTeam = () => {
+  const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const inviteToken = searchParams.get('token');
+  const {
+    patients,
+    fetchPatients,
+    setActivePatient,
+    activePatientId,
+    profiles,
+    fetchProfiles,
+    setActiveProfile
+  } = useCareStore();
+
+  const [caregivers, setCaregivers] = useState([]);
+  const [invitations, setInvitations] = useState([]);
+  const [inviteForm, setInviteForm] = useState(emptyInvite);
+  const [profileForm, setProfileForm] = useState(emptyProfile);
+  const [lastInviteUrl, setLastInviteUrl] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const loadCareTeam = useCallback(async () => {
+    try {
+      const [caregiverData, invitationData] = await Promise.all([
+        careService.getCaregivers(),
+        careService.getInvitations(),
+        fetchPatients(),
+        fetchProfiles()
+      ]);
+      setCaregivers(caregiverData.caregivers || []);
+      setInvitations(invitationData.invitations || []);
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message || 'Failed to load care team' });
+    } finally {
+      setLoading(false);
+    }
+  }, [fetchPatients, fetchProfiles]);
+
+  useEffect(() => {
+    loadCareTeam();
+  }, [loadCareTeam]);
+
+  const clearToken = () => {
+    searchParams.delete('token');
+    setSearchParams(searchParams, { replace: true });
+  };
+
+  const handleAccept = async () => {
+    setSaving(true);
+    try {
+      const result = await careService.acceptInvitation(inviteToken);
+      clearToken();
+      await fetchPatients();
+      setMessage({
+        type: 'success',
+        text: `You are now a caregiver for ${result.patient.firstName} ${result.patient.lastName}`
+      });
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message || 'Failed to accept invitation' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDecline = async () => {
+    setSaving(true);
+    try {
+      await careService.declineInvitation(inviteToken);
+      clearToken();
+      setMessage({ type: 'info', text: 'Invitation declined' });
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message || 'Failed to decline invitation' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setMessage(null);
+    try {
+      const result = await careService.sendInvitation(inviteForm);
+      setInviteForm(emptyInvite);
+      setLastInviteUrl(result.emailSent ? null : result.inviteUrl);
+      setMessage({
+        type: 'success',
+        text: result.emailSent ?
+          `Invitation sent to ${inviteForm.email}` :
+          'Invitation created, but the email could not be sent. Share the link below instead.'
+      });
+      await loadCareTeam();
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message || 'Failed to send invitation' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handlePermissionChange = async (caregiver, field, value) => {
+    try {
+      await careService.updateCaregiver(caregiver._id, { [field]: value });
+      setCaregivers(prev => prev.map(item => (
+        item._id === caregiver._id ?
+          { ...item, permissions: { ...item.permissions, [field]: value } } :
+          item
+      )));
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message || 'Failed to update permissions' });
+    }
+  };
+
+  const handleRemoveCaregiver = async (caregiver) => {
+    if (!window.confirm(`Remove ${caregiver.firstName} ${caregiver.lastName} as a caregiver?`)) return;
+    try {
+      await careService.removeCaregiver(caregiver._id);
+      setCaregivers(prev => prev.filter(item => item._id !== caregiver._id));
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message || 'Failed to remove caregiver' });
+    }
+  };
+
+  const handleRevokeInvitation = async (invitation) => {
+    try {
+      await careService.revokeInvitation(invitation._id);
+      await loadCareTeam();
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message || 'Failed to revoke invitation' });
+    }
+  };
+
+  const handleLeavePatient = async (patient) => {
+    if (!window.confirm(`Stop being a caregiver for ${patient.firstName} ${patient.lastName}?`)) return;
+    try {
+      await careService.leavePatient(patient._id);
+      await fetchPatients();
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message || 'Failed to leave' });
+    }
+  };
+
+  const handleAddProfile = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setMessage(null);
+    try {
+      await profileService.createProfile(profileForm);
+      setProfileForm(emptyProfile);
+      await fetchProfiles();
+      setMessage({ type: 'success', text: `Added a profile for ${profileForm.name}` });
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message || 'Failed to add profile' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDeleteProfile = async (profile) => {
+    if (!window.confirm(`Remove the profile for ${profile.name}?`)) return;
+    try {
+      await profileService.deleteProfile(profile._id);
+      await fetchProfiles();
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message || 'Failed to remove profile' });
+    }
+  };
+
+  const handleViewProfile = (profile) => {
+    setActiveProfile(profile._id);
+    navigate('/dashboard');
+  };
+
+  const handleViewPatient = (patient) => {
+    setActivePatient(patient._id);
+    navigate('/dashboard');
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gray-50 dark:bg-gray-900 flex items-center justify-center">
+        <LoadingSpinner size="lg" />
+      </div>
+    );
+  }
+
+  const pendingInvitations = invitations.filter(invitation => invitation.status === 'pending' && !invitation.isExpired);
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900 py-8">
+      <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 space-y-6">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900 dark:text-white">Care Team</h1>
+          <p className="mt-2 text-gray-600 dark:text-gray-400">
+            Share your medications with family or caregivers, and help the people who share theirs with you.
+          </p>
+        </div>
+
+        {message && (
+          <Alert type={message.type} message={message.text} onClose={() => setMessage(null)} />
+        )}
+
+        {inviteToken && (
+          <Card title="Caregiver invitation">
+            <p className="text-gray-700 dark:text-gray-300 mb-4">
+              Someone has invited you to help manage their medications. Accepting lets you see their
+              schedule and, if they allowed it, log doses for them.
+            </p>
+            <div className="flex space-x-3">
+              <Button onClick={handleAccept} loading={saving} disabled={saving}>
+                Accept invitation
+              </Button>
+              <Button variant="outline" onClick={handleDecline} disabled={saving}>
+                Decline
+              </Button>
+            </div>
+          </Card>
+        )}
+
+        {!activePatientId && (
+          <Card title="Family profiles" subtitle="Track medications for children or other dependents under your account">
+            {profiles.length === 0 ? (
+              <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">You have not added any profiles.</p>
+            ) : (
+              <ul className="divide-y divide-gray-200 dark:divide-gray-700 mb-4">
+                {profiles.map(profile => (
+                  <li key={profile._id} className="py-3 flex items-center justify-between">
+                    <div>
+                      <p className="font-medium text-gray-900 dark:text-white">
+                        {profile.name}
+                        {profile.relationship && (
+                          <span className="ml-2 text-sm text-gray-500 dark:text-gray-400">({profile.relationship})</span>
+                        )}
+                      </p>
+                      <p className="text-xs text-gray-500 dark:text-gray-400">
+                        {profile.activeRegimens} active medication{profile.activeRegimens === 1 ? '' : 's'}
+                      </p>
+                    </div>
+                    <div className="flex space-x-2">
+                      <Button size="sm" onClick={() => handleViewProfile(profile)}>View</Button>
+                      <Button size="sm" variant="ghost" onClick={() => handleDeleteProfile(profile)}>Remove</Button>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            <form onSubmit={handleAddProfile} className="grid grid-cols-1 sm:grid-cols-3 gap-4 items-end">
+              <Input
+                label="Name"
+                required
+                value={profileForm.name}
+                onChange={(e) => setProfileForm(prev => ({ ...prev, name: e.target.value }))}
+              />
+              <Input
+                label="Relationship"
+                placeholder="e.g. Son, Mother"
+                value={profileForm.relationship}
+                onChange={(e) => setProfileForm(prev => ({ ...prev, relationship: e.target.value }))}
+              />
+              <Input
+                label="Date of birth"
+                type="date"
+                value={profileForm.dateOfBirth}
+                onChange={(e) => setProfileForm(prev => ({ ...prev, dateOfBirth: e.target.value }))}
+              />
+              <div className="sm:col-span-3">
+                <Button type="submit" loading={saving} disabled={saving || !profileForm.name.trim()}>
+                  Add profile
+                </Button>
+              </div>
+            </form>
+          </Card>
+        )}
+
+        <Card title="People I care for" subtitle="Switch to a patient from the Dashboard or Log Dose page">
+          {patients.length === 0 ? (
+            <p className="text-sm text-gray-500 dark:text-gray-400">
+              Nobody has shared their medications with you yet.
+            </p>
+          ) : (
+            <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+              {patients.map(patient => (
+                <li key={patient._id} className="py-3 flex items-center justify-between">
+                  <div>
+                    <p className="font-medium text-gray-900 dark:text-white">
+                      {patient.firstName} {patient.lastName}
+                      {patient.relationship && (
+                        <span className="ml-2 text-sm text-gray-500 dark:text-gray-400">({patient.relationship})</span>
+                      )}
+                    </p>
+                    <p className="text-xs text-gray-500 dark:text-gray-400">
+                      {patient.permissions?.canLogDoses ? 'Can view and log doses' : 'View only'}
+                    </p>
+                  </div>
+                  <div className="flex space-x-2">
+                    <Button size="sm" onClick={() => handleViewPatient(patient)}>View</Button>
+                    <Button size="sm" variant="ghost" onClick={() => handleLeavePatient(patient)}>Leave</Button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </Card>
+
+        <Card title="My caregivers">
+          {caregivers.length === 0 ? (
+            <p className="text-sm text-gray-500 dark:text-gray-400">You have not added any caregivers.</p>
+          ) : (
+            <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+              {caregivers.map(caregiver => (
+                <li key={caregiver._id} className="py-3 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
+                  <div>
+                    <p className="font-medium text-gray-900 dark:text-white">
+                      {caregiver.firstName} {caregiver.lastName}
+                      {caregiver.relationship && (
+                        <span className="ml-2 text-sm text-gray-500 dark:text-gray-400">({caregiver.relationship})</span>
+                      )}
+                    </p>
+                    <p className="text-xs text-gray-500 dark:text-gray-400">{caregiver.email}</p>
+                  </div>
+                  <div className="flex items-center space-x-4">
+                    <label className="flex items-center space-x-1 text-sm text-gray-700 dark:text-gray-300">
+                      <input
+                        type="checkbox"
+                        checked={!!caregiver.permissions?.canViewMedications}
+                        onChange={(e) => handlePermissionChange(caregiver, 'canViewMedications', e.target.checked)}
+                      />
+                      <span>View</span>
+                    </label>
+                    <label className="flex items-center space-x-1 text-sm text-gray-700 dark:text-gray-300">
+                      <input
+                        type="checkbox"
+                        checked={!!caregiver.permissions?.canLogDoses}
+                        onChange={(e) => handlePermissionChange(caregiver, 'canLogDoses', e.target.checked)}
+                      />
+                      <span>Log doses</span>
+                    </label>
+                    <Button size="sm" variant="ghost" onClick={() => handleRemoveCaregiver(caregiver)}>Remove</Button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </Card>
+
+        <Card title="Invite a caregiver">
+          <form onSubmit={handleInvite} className="space-y-4">
+            <Input
+              label="Email"
+              type="email"
+              required
+              value={inviteForm.email}
+              onChange={(e) => setInviteForm(prev => ({ ...prev, email: e.target.value }))}
+            />
+            <Input
+              label="Relationship"
+              placeholder="e.g. Daughter, Nurse"
+              value={inviteForm.relationship}
+              onChange={(e) => setInviteForm(prev => ({ ...prev, relationship: e.target.value }))}
+            />
+            <div className="flex space-x-6">
+              <label className="flex items-center space-x-2 text-sm text-gray-700 dark:text-gray-300">
+                <input
+                  type="checkbox"
+                  checked={inviteForm.canViewMedications}
+                  onChange={(e) => setInviteForm(prev => ({ ...prev, canViewMedications: e.target.checked }))}
+                />
+                <span>Can view my medications</span>
+              </label>
+              <label className="flex items-center space-x-2 text-sm text-gray-700 dark:text-gray-300">
+                <input
+                  type="checkbox"
+                  checked={inviteForm.canLogDoses}
+                  onChange={(e) => setInviteForm(prev => ({ ...prev, canLogDoses: e.target.checked }))}
+                />
+                <span>Can log doses for me</span>
+              </label>
+            </div>
+            <Button type="submit" loading={saving} disabled={saving || !inviteForm.email}>
+              Send invitation
+            </Button>
+          </form>
+
+          {lastInviteUrl && (
+            <div className="mt-4 p-3 bg-gray-100 dark:bg-gray-700 rounded-lg text-sm break-all text-gray-800 dark:text-gray-200">
+              {lastInviteUrl}
+            </div>
+          )}
+
+          {pendingInvitations.length > 0 && (
+            <div className="mt-6">
+              <h4 className="text-sm font-medium text-gray-900 dark:text-white mb-2">Pending invitations</h4>
+              <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+                {pendingInvitations.map(invitation => (
+                  <li key={invitation._id} className="py-2 flex items-center justify-between">
+                    <span className="text-sm text-gray-700 dark:text-gray-300">
+                      {invitation.email}
+                      <span className="ml-2 text-xs text-gray-500 dark:text-gray-400">
+                        expires {new Date(invitation.expiresAt).toLocaleDateString()}
+                      </span>
+                    </span>
+                    <Button size="sm" variant="ghost" onClick={() => handleRevokeInvitation(invitation)}>
+                      Revoke
+                    </Button>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </Card>
+      </div>
+    </div>
+  );
+};
+
+export default CareTeam;
@@ -2,10 +2,14 @@ import React, { useEffect, useState, useCallback, useMemo } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { Card, Button, LoadingSpinner, Alert, AdherenceStats, AdherenceDashboard } from '../components';
 import ExportManager from '../components/ExportManager';
+import PatientSwitcher from '../components/PatientSwitcher';
+import ProfileSwitcher from '../components/ProfileSwitcher';
+import RecordHistory from '../components/RecordHistory';
 import useAuthStore from '../store/authStore';
 import useDoseStore from '../store/doseStore';
 import useRegimenStore from '../store/regimenStore';
-import { formatDate, generateTodaySchedule, getScheduleStats } from '../utils';
+import useCareStore from '../store/careStore';
+import { formatDate, generateTodaySchedule, getScheduleStats, formatRecurrence } from '../utils';
 import doseService from '../services/doseService';
 import { notificationService } from '../services/notificationService';
 
@@ -13,7 +17,8 @@ const Dashboard = () => {
   const navigate = useNavigate();
   const { user } = useAuthStore();
   const [actionLoading, setActionLoading] = useState({});
-  const [isExportModalOpen, setIsExportModalOpen] = useState(false);  const { 
+  const [isExportModalOpen, setIsExportModalOpen] = useState(false);
+  const [historyRegimenId, setHistoryRegimenId] = useState(null);  const { 
     todayDoses, 
     getTodayTakenDoses, 
     getTodayMissedDoses,
@@ -28,9 +33,10 @@ const Dashboard = () => {
     loading: regimenLoading,
     error: regimenError 
   } = useRegimenStore();
+  const { activePatientId, activeProfileId } = useCareStore();
 
   useEffect(() => {
-    // Initialize data on component mount
+    // Initialize data on mount and whenever the patient or profile is switched
     const initializeData = async () => {
       try {
         await Promise.all([
@@ -42,7 +48,7 @@ const Dashboard = () => {
       }
     };
       initializeData();
-  }, [fetchRegimens, fetchTodaysDoses]);
+  }, [fetchRegimens, fetchTodaysDoses, activePatientId, activeProfileId]);
   // Handler functions for dose actions
   const handleDoseAction = useCallback(async (dose, action) => {
     const doseKey = dose._id || `${dose.regimen?._id}-${dose.scheduledTime}`;
@@ -161,6 +167,8 @@ const Dashboard = () => {
           <p className="mt-2 text-gray-600 dark:text-gray-400">
             Track your medications and stay on top of your health.
           </p>
+          <PatientSwitcher className="mt-4" />
+          <ProfileSwitcher className="mt-3" />
         </div>        {/* Main Content Grid */}
         <div className="grid grid-cols-1 xl:grid-cols-2 gap-4 sm:gap-6 lg:gap-8">
           {/* Today's Schedule */}
@@ -386,6 +394,8 @@ const Dashboard = () => {
                           <div className="flex items-center text-xs sm:text-sm text-gray-600 dark:text-gray-400 mt-1">
                             <span className="truncate">
                               {formatRegimenDosage(regimen)} • {regimen.frequency?.replace('_', ' ') || 'As needed'}
+                              {regimen.recurrence?.pattern && regimen.recurrence.pattern !== 'daily' && ` • ${formatRecurrence(regimen)}`}
+                              {regimen.refillReminder?.trackStock && ` • ${Math.max(0, regimen.refillReminder.currentStock)} ${regimen.dosage?.unit || ''} left`}
                             </span>
                           </div>
                           {regimen.purpose && (
@@ -394,7 +404,14 @@ const Dashboard = () => {
                             </p>
                           )}
                         </div>
-                        <div className="flex items-center justify-start sm:justify-end">
+                        <div className="flex items-center justify-start sm:justify-end gap-2">
+                          <button
+                            type="button"
+                            onClick={() => setHistoryRegimenId(regimen._id)}
+                            className="text-xs font-medium text-gray-500 dark:text-gray-400 hover:text-blue-600 dark:hover:text-blue-400"
+                          >
+                            History
+                          </button>
                           <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-green-100 dark:bg-green-900/30 text-green-800 dark:text-green-300 border border-green-300 dark:border-green-700">
                             Active
                           </span>
@@ -467,6 +484,15 @@ const Dashboard = () => {
         isOpen={isExportModalOpen} 
         onClose={() => setIsExportModalOpen(false)} 
       />
+
+      {/* Regimen Change History */}
+      <RecordHistory
+        isOpen={!!historyRegimenId}
+        onClose={() => setHistoryRegimenId(null)}
+        type="regimens"
+        id={historyRegimenId}
+        title="Regimen History"
+      />
     </div>
   );
 };
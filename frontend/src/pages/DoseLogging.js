@@ -1,11 +1,15 @@
 import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import { Card, Button, Alert, LoadingSpinner } from '../components';
 import ExportManager from '../components/ExportManager';
+import RecordHistory from '../components/RecordHistory';
+import PatientSwitcher from '../components/PatientSwitcher';
+import ProfileSwitcher from '../components/ProfileSwitcher';
 import useDoseStore from '../store/doseStore';
 import useRegimenStore from '../store/regimenStore';
 import useAuthStore from '../store/authStore';
+import useCareStore from '../store/careStore';
 import { doseService } from '../services/doseService';
-import { formatDate } from '../utils';
+import { formatDate, isRegimenActiveToday, isScheduledOn, getScheduleTimes } from '../utils';
 
 const DoseLogging = () => {
   const { user } = useAuthStore();
@@ -49,16 +53,67 @@ const DoseLogging = () => {
   const [viewMode, setViewMode] = useState('list');
   const [showFilters, setShowFilters] = useState(false);
   const [isExportModalOpen, setIsExportModalOpen] = useState(false);
+  const [historyDoseId, setHistoryDoseId] = useState(null);
+
+  // As-needed (PRN) logging state
+  const [prnStatus, setPrnStatus] = useState({});
+  const [prnMessage, setPrnMessage] = useState(null);
+  const [loggingPrnId, setLoggingPrnId] = useState(null);
   
   // Filter states
   const [filters, setFilters] = useState({
     status: 'all', // all, pending, taken, missed, skipped
     medication: 'all',
     timeRange: 'today' // today, week, month
-  });  useEffect(() => {
+  });
+  const { activePatientId, activeProfileId } = useCareStore();
+
+  // Reload when the patient or profile is switched
+  useEffect(() => {
     fetchRegimens();
     fetchTodaysDoses();
-  }, [fetchRegimens, fetchTodaysDoses]);
+  }, [fetchRegimens, fetchTodaysDoses, activePatientId, activeProfileId]);
+
+  const prnRegimens = useMemo(() => (
+    Array.isArray(regimens) ? regimens.filter(regimen => regimen?.isActive && regimen.frequency === 'as_needed') : []
+  ), [regimens]);
+
+  const loadPrnStatus = useCallback(async () => {
+    const statuses = await Promise.all(prnRegimens.map(async (regimen) => {
+      try {
+        return [regimen._id, await doseService.getPrnStatus(regimen._id)];
+      } catch (error) {
+        return [regimen._id, null];
+      }
+    }));
+    setPrnStatus(Object.fromEntries(statuses));
+  }, [prnRegimens]);
+
+  useEffect(() => {
+    if (prnRegimens.length > 0) {
+      loadPrnStatus();
+    }
+  }, [prnRegimens, loadPrnStatus]);
+
+  const handleLogPrnDose = async (regimen) => {
+    setLoggingPrnId(regimen._id);
+    setPrnMessage(null);
+    try {
+      const result = await doseService.logPrnDose({ regimen: regimen._id });
+      setPrnMessage(result.warnings?.length > 0
+        ? { type: 'warning', text: `Dose logged. ${result.warnings.map(w => w.message).join('. ')}` }
+        : { type: 'success', text: `${regimen.medication?.name || 'Dose'} logged` });
+      await Promise.all([loadPrnStatus(), fetchTodaysDoses()]);
+    } catch (error) {
+      // 409 means a PRN limit blocked the dose
+      setPrnMessage({
+        type: 'error',
+        text: error.status === 409 ? `Not logged: ${error.message}` : error.message
+      });
+    } finally {
+      setLoggingPrnId(null);
+    }
+  };
   
   // Real-time validation effect
   useEffect(() => {
@@ -69,49 +124,6 @@ const DoseLogging = () => {
     }
   }, [doseForm, selectedDose, showValidation]);
 
-  // Helper functions defined before generateTodaySchedule
-  const isRegimenActiveToday = useCallback((regimen) => {
-    const today = new Date();
-    const startDate = new Date(regimen.startDate);
-    const endDate = regimen.endDate ? new Date(regimen.endDate) : null;
-    
-    return today >= startDate && (!endDate || today <= endDate);
-  }, []);
-
-  const shouldTakeToday = useCallback((regimen) => {
-    const today = new Date();
-    const startDate = new Date(regimen.startDate);
-    const daysDiff = Math.floor((today - startDate) / (1000 * 60 * 60 * 24));
-    
-    if (regimen.frequency === 'every_other_day') {
-      return daysDiff % 2 === 0;
-    }
-    
-    if (regimen.frequency === 'weekly') {
-      return daysDiff % 7 === 0;
-    }
-    
-    return true;
-  }, []);
-
-  const getScheduleTimes = useCallback((regimen) => {
-    if (regimen.frequency === 'custom') {
-      return regimen.customSchedule?.map(item => item.time) || [];
-    }
-    
-    const schedules = {
-      'once_daily': ['08:00'],
-      'twice_daily': ['08:00', '20:00'],
-      'three_times_daily': ['08:00', '14:00', '20:00'],
-      'four_times_daily': ['08:00', '12:00', '16:00', '20:00'],
-      'every_other_day': shouldTakeToday(regimen) ? ['08:00'] : [],
-      'weekly': shouldTakeToday(regimen) ? ['08:00'] : [],
-      'as_needed': []
-    };
-    
-    return schedules[regimen.frequency] || [];
-  }, [shouldTakeToday]);
-
   // Generate today's dose schedule with memoization
   const generateTodaySchedule = useMemo(() => {
     const today = new Date();
@@ -123,7 +135,7 @@ const DoseLogging = () => {
     }
     
     regimens
-      .filter(regimen => regimen && regimen.isActive && isRegimenActiveToday(regimen))
+      .filter(regimen => regimen && regimen.isActive && isRegimenActiveToday(regimen) && isScheduledOn(regimen, today))
       .forEach(regimen => {
         const times = getScheduleTimes(regimen);
         times.forEach(time => {
@@ -155,11 +167,11 @@ const DoseLogging = () => {
     
     // Ensure todayDoses is an array and filter out invalid entries
     const validTodayDoses = (Array.isArray(todayDoses) ? todayDoses : [])
-      .filter(dose => dose && dose.regimen);
+      .filter(dose => dose && dose.regimen && !dose.isPrn);
       return [...schedule, ...validTodayDoses].sort((a, b) => 
       new Date(a.scheduledTime) - new Date(b.scheduledTime)
     );
-  }, [regimens, todayDoses, isRegimenActiveToday, getScheduleTimes]);
+  }, [regimens, todayDoses]);
 
   // Helper function to safely get medication name
   const getMedicationName = (dose) => {
@@ -719,6 +731,8 @@ const DoseLogging = () => {
               <p className="mt-2 text-base text-gray-600 dark:text-gray-400">
                 Track your medication doses for today
               </p>
+              <PatientSwitcher className="mt-4" />
+              <ProfileSwitcher className="mt-3" />
             </div>
             <div className="flex space-x-3">
               <Button 
@@ -886,6 +900,11 @@ const DoseLogging = () => {
                                 Late
                               </span>
                             )}
+                            {dose.loggedBy?._id && dose.loggedBy._id !== dose.user && (
+                              <span className="text-xs text-gray-500 dark:text-gray-400">
+                                Logged by {dose.loggedBy.firstName}
+                              </span>
+                            )}
                           </div>
                         )}
                         
@@ -923,6 +942,17 @@ const DoseLogging = () => {
                           </Button>
                         </div>
                       )}
+
+                      {/* Pending placeholders aren't saved yet, so they have no history */}
+                      {dose._id && dose.status !== 'pending' && (
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          onClick={() => setHistoryDoseId(dose._id)}
+                        >
+                          History
+                        </Button>
+                      )}
                     </div>
                   </Card>
                 ))
@@ -953,6 +983,52 @@ const DoseLogging = () => {
                 </div>
               </div>
             </Card>
+
+            {/* As-needed medications */}
+            {prnRegimens.length > 0 && (
+              <Card className="p-6">
+                <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">As-Needed Medications</h3>
+                {prnMessage && (
+                  <Alert
+                    type={prnMessage.type}
+                    message={prnMessage.text}
+                    onClose={() => setPrnMessage(null)}
+                    className="mb-4"
+                  />
+                )}
+                <div className="space-y-4">
+                  {prnRegimens.map(regimen => {
+                    const status = prnStatus[regimen._id];
+                    const limits = regimen.prnLimits || {};
+                    return (
+                      <div key={regimen._id} className="flex items-center justify-between">
+                        <div>
+                          <p className="font-medium text-gray-900 dark:text-white">
+                            {regimen.medication?.name || 'Unknown Medication'}
+                          </p>
+                          <p className="text-xs text-gray-500 dark:text-gray-400">
+                            {status ? `${status.usage.dosesLast24h}${limits.maxDosesPer24h ? ` of ${limits.maxDosesPer24h}` : ''} in last 24h` : 'Loading usage...'}
+                          </p>
+                          {status?.usage.nextAllowedAt && (
+                            <p className="text-xs text-amber-600 dark:text-amber-400">
+                              Next dose allowed at {new Date(status.usage.nextAllowedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                            </p>
+                          )}
+                        </div>
+                        <Button
+                          size="sm"
+                          variant={status && !status.canTakeNow ? 'outline' : 'primary'}
+                          disabled={loggingPrnId === regimen._id}
+                          onClick={() => handleLogPrnDose(regimen)}
+                        >
+                          {loggingPrnId === regimen._id ? 'Logging...' : 'Log Dose'}
+                        </Button>
+                      </div>
+                    );
+                  })}
+                </div>
+              </Card>
+            )}
           </div>
         </div>
       </div>
@@ -1407,6 +1483,15 @@ const DoseLogging = () => {
         isOpen={isExportModalOpen}
         onClose={() => setIsExportModalOpen(false)}
       />
+
+      {/* Change History Modal */}
+      <RecordHistory
+        isOpen={!!historyDoseId}
+        onClose={() => setHistoryDoseId(null)}
+        type="doses"
+        id={historyDoseId}
+        title="Dose History"
+      />
     </div>
   );
 };
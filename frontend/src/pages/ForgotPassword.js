@@ -0,0 +1,104 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Button, Input, Card, Alert } from '../components';
+import authService from '../services/authService';
+import { validateEmail } from '../utils';
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('');
+  const [validationError, setValidationError] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!email) {
+      setValidationError('Email is required');
+      return;
+    }
+    if (!validateEmail(email)) {
+      setValidationError('Please enter a valid email address');
+      return;
+    }
+
+    setLoading(true);
+    setMessage(null);
+    try {
+      const result = await authService.requestPasswordReset(email.toLowerCase());
+      setMessage({ type: 'success', text: result.message });
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message || 'Failed to request a password reset' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-50 via-white to-blue-50 dark:from-gray-900 dark:via-gray-900 dark:to-gray-800 flex items-center justify-center py-8 sm:py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-6 sm:space-y-8">
+        <div className="text-center">
+          <h2 className="text-2xl sm:text-3xl font-bold bg-gradient-to-r from-gray-900 to-gray-700 dark:from-white dark:to-gray-200 bg-clip-text text-transparent">
+            Forgot your password?
+          </h2>
+          <p className="mt-2 text-sm sm:text-base text-gray-600 dark:text-gray-400 max-w-sm mx-auto">
+            Enter your email address and we'll send you a link to reset it
+          </p>
+        </div>
+
+        <Card className="p-6 sm:p-8 bg-white/95 dark:bg-gray-800/95 backdrop-blur-sm border border-gray-200 dark:border-gray-700 shadow-xl">
+          <form className="space-y-5 sm:space-y-6" onSubmit={handleSubmit}>
+            {message && (
+              <Alert
+                type={message.type}
+                message={message.text}
+                className="mb-4"
+              />
+            )}
+
+            <div>
+              <label htmlFor="email" className="block text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2">
+                Email Address
+              </label>
+              <Input
+                id="email"
+                name="email"
+                type="email"
+                autoComplete="email"
+                required
+                value={email}
+                onChange={(e) => {
+                  setEmail(e.target.value);
+                  setValidationError('');
+                }}
+                placeholder="Enter your email"
+                error={validationError}
+                className="dark:bg-gray-700 dark:border-gray-600 dark:text-white dark:placeholder-gray-400 focus:ring-medical-500 focus:border-medical-500"
+              />
+            </div>
+
+            <Button
+              type="submit"
+              className="w-full bg-gradient-to-r from-medical-600 to-medical-700 hover:from-medical-700 hover:to-medical-800 text-white font-semibold py-3 px-4 rounded-xl shadow-lg"
+              loading={loading}
+              disabled={loading}
+            >
+              {loading ? 'Sending...' : 'Send reset link'}
+            </Button>
+          </form>
+
+          <div className="mt-6 text-center text-sm">
+            <Link
+              to="/login"
+              className="font-semibold text-medical-600 dark:text-medical-400 hover:text-medical-500 dark:hover:text-medical-300 transition-colors duration-200"
+            >
+              Back to sign in
+            </Link>
+          </div>
+        </Card>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
@@ -7,7 +7,7 @@ import { validateEmail } from '../utils';
 const Login = () => {
   const navigate = useNavigate();
   const location = useLocation();
-  const { login, loading, error } = useAuthStore();
+  const { login, verifyTwoFactor, clearError, loading, error } = useAuthStore();
   
   const [formData, setFormData] = useState({
     email: '',
@@ -18,6 +18,10 @@ const Login = () => {
   
   const [validationErrors, setValidationErrors] = useState({});
 
+  // Set once the password checks out for an account with two-factor authentication
+  const [twoFactorToken, setTwoFactorToken] = useState(null);
+  const [code, setCode] = useState('');
+
   // Handle navigation state for success messages from registration
   useEffect(() => {
     if (location.state?.message) {
@@ -75,13 +79,42 @@ const Login = () => {
     }
 
     try {
-      await login(formData.email, formData.password);
+      const response = await login(formData.email, formData.password);
+      if (response.twoFactorRequired) {
+        setTwoFactorToken(response.twoFactorToken);
+        return;
+      }
       navigate('/dashboard');
     } catch (error) {
       // Error is handled by the store
       console.error('Login failed:', error);
     }
   };
+
+  const handleVerifyCode = async (e) => {
+    e.preventDefault();
+
+    if (!code.trim()) {
+      setValidationErrors({ code: 'Enter the code from your authenticator app' });
+      return;
+    }
+
+    try {
+      await verifyTwoFactor(twoFactorToken, code.trim());
+      navigate('/dashboard');
+    } catch (error) {
+      // Error is handled by the store
+      console.error('Two-factor verification failed:', error);
+    }
+  };
+
+  const handleStartOver = () => {
+    clearError();
+    setTwoFactorToken(null);
+    setCode('');
+    setValidationErrors({});
+    setFormData(prev => ({ ...prev, password: '' }));
+  };
   return (
     <div className="min-h-screen bg-gradient-to-br from-gray-50 via-white to-blue-50 dark:from-gray-900 dark:via-gray-900 dark:to-gray-800 flex items-center justify-center py-8 sm:py-12 px-4 sm:px-6 lg:px-8">
       <div className="max-w-md w-full space-y-6 sm:space-y-8">
@@ -102,91 +135,148 @@ const Login = () => {
 
         {/* Login Form */}
         <Card className="p-6 sm:p-8 bg-white/95 dark:bg-gray-800/95 backdrop-blur-sm border border-gray-200 dark:border-gray-700 shadow-xl hover:shadow-2xl transition-shadow duration-300">
-          <form className="space-y-5 sm:space-y-6" onSubmit={handleSubmit}>
-            {successMessage && (
-              <Alert
-                type="success"
-                message={successMessage}
-                className="mb-4"
-              />
-            )}
-            
-            {error && (
-              <Alert
-                type="error"
-                message={error}
-                className="mb-4"
-              />
-            )}
-
-            <div>
-              <label htmlFor="email" className="block text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2">
-                Email Address
-              </label>
-              <Input
-                id="email"
-                name="email"
-                type="email"
-                autoComplete="email"
-                required
-                value={formData.email}
-                onChange={handleChange}
-                placeholder="Enter your email"
-                error={validationErrors.email}
-                className="dark:bg-gray-700 dark:border-gray-600 dark:text-white dark:placeholder-gray-400 focus:ring-medical-500 focus:border-medical-500 dark:focus:ring-medical-400 dark:focus:border-medical-400"
-              />
-            </div>
-
-            <div>
-              <label htmlFor="password" className="block text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2">
-                Password
-              </label>
-              <Input
-                id="password"
-                name="password"
-                type="password"
-                autoComplete="current-password"
-                required
-                value={formData.password}
-                onChange={handleChange}
-                placeholder="Enter your password"
-                error={validationErrors.password}
-                className="dark:bg-gray-700 dark:border-gray-600 dark:text-white dark:placeholder-gray-400 focus:ring-medical-500 focus:border-medical-500 dark:focus:ring-medical-400 dark:focus:border-medical-400"
-              />
-            </div>
-
-            <div className="flex items-center justify-between">
-              <div className="flex items-center">
-                <input
-                  id="remember-me"
-                  name="remember-me"
-                  type="checkbox"
-                  className="h-4 w-4 text-medical-600 dark:text-medical-400 focus:ring-medical-500 dark:focus:ring-medical-400 border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-700"
+          {twoFactorToken ? (
+            <form className="space-y-5 sm:space-y-6" onSubmit={handleVerifyCode}>
+              {error && (
+                <Alert
+                  type="error"
+                  message={error}
+                  className="mb-4"
                 />
-                <label htmlFor="remember-me" className="ml-2 block text-sm text-gray-700 dark:text-gray-300">
-                  Remember me
+              )}
+
+              <div>
+                <label htmlFor="code" className="block text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2">
+                  Authentication Code
                 </label>
+                <Input
+                  id="code"
+                  name="code"
+                  type="text"
+                  inputMode="numeric"
+                  autoComplete="one-time-code"
+                  autoFocus
+                  required
+                  value={code}
+                  onChange={(e) => {
+                    setCode(e.target.value);
+                    setValidationErrors({});
+                  }}
+                  placeholder="123456"
+                  error={validationErrors.code}
+                  className="dark:bg-gray-700 dark:border-gray-600 dark:text-white dark:placeholder-gray-400 focus:ring-medical-500 focus:border-medical-500 dark:focus:ring-medical-400 dark:focus:border-medical-400"
+                />
+                <p className="mt-2 text-sm text-gray-500 dark:text-gray-400">
+                  Enter the 6-digit code from your authenticator app. Lost your device? Use one of your recovery codes instead.
+                </p>
               </div>
 
-              <div className="text-sm">
-                <Link
-                  to="/forgot-password"
+              <Button
+                type="submit"
+                className="w-full bg-gradient-to-r from-medical-600 to-medical-700 hover:from-medical-700 hover:to-medical-800 dark:from-medical-500 dark:to-medical-600 dark:hover:from-medical-600 dark:hover:to-medical-700 text-white font-semibold py-3 px-4 rounded-xl shadow-lg hover:shadow-xl transform hover:scale-[1.02] transition-all duration-200"
+                loading={loading}
+                disabled={loading}
+              >
+                {loading ? 'Verifying...' : 'Verify'}
+              </Button>
+
+              <div className="text-center text-sm">
+                <button
+                  type="button"
+                  onClick={handleStartOver}
                   className="font-semibold text-medical-600 dark:text-medical-400 hover:text-medical-500 dark:hover:text-medical-300 transition-colors duration-200"
                 >
-                  Forgot password?
-                </Link>
+                  Back to sign in
+                </button>
               </div>
-            </div>
+            </form>
+          ) : (
+            <form className="space-y-5 sm:space-y-6" onSubmit={handleSubmit}>
+              {successMessage && (
+                <Alert
+                  type="success"
+                  message={successMessage}
+                  className="mb-4"
+                />
+              )}
+            
+              {error && (
+                <Alert
+                  type="error"
+                  message={error}
+                  className="mb-4"
+                />
+              )}
+
+              <div>
+                <label htmlFor="email" className="block text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2">
+                  Email Address
+                </label>
+                <Input
+                  id="email"
+                  name="email"
+                  type="email"
+                  autoComplete="email"
+                  required
+                  value={formData.email}
+                  onChange={handleChange}
+                  placeholder="Enter your email"
+                  error={validationErrors.email}
+                  className="dark:bg-gray-700 dark:border-gray-600 dark:text-white dark:placeholder-gray-400 focus:ring-medical-500 focus:border-medical-500 dark:focus:ring-medical-400 dark:focus:border-medical-400"
+                />
+              </div>
+
+              <div>
+                <label htmlFor="password" className="block text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2">
+                  Password
+                </label>
+                <Input
+                  id="password"
+                  name="password"
+                  type="password"
+                  autoComplete="current-password"
+                  required
+                  value={formData.password}
+                  onChange={handleChange}
+                  placeholder="Enter your password"
+                  error={validationErrors.password}
+                  className="dark:bg-gray-700 dark:border-gray-600 dark:text-white dark:placeholder-gray-400 focus:ring-medical-500 focus:border-medical-500 dark:focus:ring-medical-400 dark:focus:border-medical-400"
+                />
+              </div>
+
+              <div className="flex items-center justify-between">
+                <div className="flex items-center">
+                  <input
+                    id="remember-me"
+                    name="remember-me"
+                    type="checkbox"
+                    className="h-4 w-4 text-medical-600 dark:text-medical-400 focus:ring-medical-500 dark:focus:ring-medical-400 border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-700"
+                  />
+                  <label htmlFor="remember-me" className="ml-2 block text-sm text-gray-700 dark:text-gray-300">
+                    Remember me
+                  </label>
+                </div>
 
-            <Button
-              type="submit"
-              className="w-full bg-gradient-to-r from-medical-600 to-medical-700 hover:from-medical-700 hover:to-medical-800 dark:from-medical-500 dark:to-medical-600 dark:hover:from-medical-600 dark:hover:to-medical-700 text-white font-semibold py-3 px-4 rounded-xl shadow-lg hover:shadow-xl transform hover:scale-[1.02] transition-all duration-200"
-              loading={loading}
-              disabled={loading}
-            >
-              {loading ? 'Signing in...' : 'Sign in'}
-            </Button>
-          </form>
+                <div className="text-sm">
+                  <Link
+                    to="/forgot-password"
+                    className="font-semibold text-medical-600 dark:text-medical-400 hover:text-medical-500 dark:hover:text-medical-300 transition-colors duration-200"
+                  >
+                    Forgot password?
+                  </Link>
+                </div>
+              </div>
+
+              <Button
+                type="submit"
+                className="w-full bg-gradient-to-r from-medical-600 to-medical-700 hover:from-medical-700 hover:to-medical-800 dark:from-medical-500 dark:to-medical-600 dark:hover:from-medical-600 dark:hover:to-medical-700 text-white font-semibold py-3 px-4 rounded-xl shadow-lg hover:shadow-xl transform hover:scale-[1.02] transition-all duration-200"
+                loading={loading}
+                disabled={loading}
+              >
+                {loading ? 'Signing in...' : 'Sign in'}
+              </Button>
+            </form>
+          )}
 
           <div className="mt-6">
             <div className="relative">
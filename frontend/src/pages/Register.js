@@ -113,7 +113,9 @@ const Register = () => {
         navigate('/login', { 
           replace: true, 
           state: { 
-            message: 'Registration successful! Please log in with your credentials.',
+            message: result.verificationEmailSent ?
+              'Registration successful! We sent you an email to verify your address. Please log in with your credentials.' :
+              'Registration successful! Please log in with your credentials.',
             email: userData.email 
           }
         });
@@ -0,0 +1,145 @@
+import React, { useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { Button, Input, Card, Alert } from '../components';
+import authService from '../services/authService';
+import { validatePassword } from '../utils';
+
+const ResetPassword = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+
+  const [formData, setFormData] = useState({ password: '', confirmPassword: '' });
+  const [validationErrors, setValidationErrors] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+    if (validationErrors[name]) {
+      setValidationErrors(prev => ({ ...prev, [name]: '' }));
+    }
+  };
+
+  const validateForm = () => {
+    const errors = {};
+    const passwordCheck = validatePassword(formData.password);
+
+    if (!formData.password) {
+      errors.password = 'Password is required';
+    } else if (!passwordCheck.isValid) {
+      errors.password = passwordCheck.errors[0];
+    }
+
+    if (formData.password !== formData.confirmPassword) {
+      errors.confirmPassword = 'Passwords do not match';
+    }
+
+    setValidationErrors(errors);
+    return Object.keys(errors).length === 0;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!validateForm()) return;
+
+    setLoading(true);
+    setError(null);
+    try {
+      const result = await authService.resetPassword(token, formData.password);
+      navigate('/login', { replace: true, state: { message: result.message } });
+    } catch (err) {
+      setError(err.message || 'Failed to reset password');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-50 via-white to-blue-50 dark:from-gray-900 dark:via-gray-900 dark:to-gray-800 flex items-center justify-center py-8 sm:py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-6 sm:space-y-8">
+        <div className="text-center">
+          <h2 className="text-2xl sm:text-3xl font-bold bg-gradient-to-r from-gray-900 to-gray-700 dark:from-white dark:to-gray-200 bg-clip-text text-transparent">
+            Choose a new password
+          </h2>
+        </div>
+
+        <Card className="p-6 sm:p-8 bg-white/95 dark:bg-gray-800/95 backdrop-blur-sm border border-gray-200 dark:border-gray-700 shadow-xl">
+          {!token ? (
+            <Alert
+              type="error"
+              message="This reset link is incomplete. Please use the link from your email, or request a new one."
+            />
+          ) : (
+            <form className="space-y-5 sm:space-y-6" onSubmit={handleSubmit}>
+              {error && (
+                <Alert
+                  type="error"
+                  message={error}
+                  className="mb-4"
+                />
+              )}
+
+              <div>
+                <label htmlFor="password" className="block text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2">
+                  New Password
+                </label>
+                <Input
+                  id="password"
+                  name="password"
+                  type="password"
+                  autoComplete="new-password"
+                  required
+                  value={formData.password}
+                  onChange={handleChange}
+                  placeholder="Enter a new password"
+                  error={validationErrors.password}
+                  className="dark:bg-gray-700 dark:border-gray-600 dark:text-white dark:placeholder-gray-400 focus:ring-medical-500 focus:border-medical-500"
+                />
+              </div>
+
+              <div>
+                <label htmlFor="confirmPassword" className="block text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2">
+                  Confirm New Password
+                </label>
+                <Input
+                  id="confirmPassword"
+                  name="confirmPassword"
+                  type="password"
+                  autoComplete="new-password"
+                  required
+                  value={formData.confirmPassword}
+                  onChange={handleChange}
+                  placeholder="Enter it again"
+                  error={validationErrors.confirmPassword}
+                  className="dark:bg-gray-700 dark:border-gray-600 dark:text-white dark:placeholder-gray-400 focus:ring-medical-500 focus:border-medical-500"
+                />
+              </div>
+
+              <Button
+                type="submit"
+                className="w-full bg-gradient-to-r from-medical-600 to-medical-700 hover:from-medical-700 hover:to-medical-800 text-white font-semibold py-3 px-4 rounded-xl shadow-lg"
+                loading={loading}
+                disabled={loading}
+              >
+                {loading ? 'Saving...' : 'Reset password'}
+              </Button>
+            </form>
+          )}
+
+          <div className="mt-6 text-center text-sm">
+            <Link
+              to="/forgot-password"
+              className="font-semibold text-medical-600 dark:text-medical-400 hover:text-medical-500 dark:hover:text-medical-300 transition-colors duration-200"
+            >
+              Request a new link
+            </Link>
+          </div>
+        </Card>
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
@@ -1,10 +1,15 @@
 import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import { Card, Button, Alert, LoadingSpinner } from '../components';
+import TwoFactorSettings from '../components/TwoFactorSettings';
 import useAuthStore from '../store/authStore';
 import { useTheme } from '../context/ThemeContext';
 import notificationService from '../services/notificationService';
+import authService from '../services/authService';
 import { calendarService } from '../services/calendarService';
 import api from '../services/api';
+import { getRelativeTime } from '../utils';
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
 
 const Settings = React.memo(() => {  const { user, updateUser } = useAuthStore();
   const { theme, setTheme } = useTheme();
@@ -14,7 +19,23 @@ const Settings = React.memo(() => {  const { user, updateUser } = useAuthStore()
     notifications: {
       email: true,
       push: true,
-      reminderMinutes: 15
+      sms: false,
+      webhook: false,
+      webhookUrl: '',
+      reminderMinutes: 15,
+      quietHours: {
+        enabled: false,
+        start: '22:00',
+        end: '07:00',
+        allowCritical: true
+      },
+      batchReminders: false,
+      weeklySummary: {
+        enabled: false,
+        weekday: 1,
+        hour: 9,
+        attachReport: false
+      }
     },
     preferences: {
       theme: theme,
@@ -25,10 +46,22 @@ const Settings = React.memo(() => {  const { user, updateUser } = useAuthStore()
     privacy: {
       shareData: false,
       analytics: true
+    },
+    escalation: {
+      enabled: true,
+      delayMinutes: 30,
+      notifyCaregivers: true,
+      notifyEmergencyContact: true
     }
   }), [theme]);
   
   const [settings, setSettings] = useState(initialSettings);
+  const [emergencyContact, setEmergencyContact] = useState({
+    name: '',
+    email: '',
+    phone: '',
+    relationship: ''
+  });
     const [loading, setLoading] = useState(false);
   const [message, setMessage] = useState(null);
   const [messageType, setMessageType] = useState('success');  const [pushSupported, setPushSupported] = useState(false);
@@ -37,6 +70,8 @@ const Settings = React.memo(() => {  const { user, updateUser } = useAuthStore()
   const [subscriptionChecked, setSubscriptionChecked] = useState(false);
 
   // Google Calendar state
+  const [sessions, setSessions] = useState([]);
+  const [sessionsLoading, setSessionsLoading] = useState(false);
   const [calendarConnected, setCalendarConnected] = useState(false);
   const [calendarLoading, setCalendarLoading] = useState(false);
   const [calendarSettings, setCalendarSettings] = useState({
@@ -146,6 +181,9 @@ const Settings = React.memo(() => {  const { user, updateUser } = useAuthStore()
     if (user?.settings) {
       setSettings(prev => ({ ...prev, ...user.settings }));
     }
+    if (user?.emergencyContact) {
+      setEmergencyContact(prev => ({ ...prev, ...user.emergencyContact }));
+    }
     
     // Check push notification support and permission
     const pushSupport = notificationService.isPushSupported();
@@ -182,7 +220,118 @@ const Settings = React.memo(() => {  const { user, updateUser } = useAuthStore()
     if (section === 'preferences' && key === 'theme') {
       setTheme(value);
     }
-  }, [setTheme]);  // Optimized push toggle handler with batched state updates
+  }, [setTheme]);
+
+  // Quiet hours sit one level deeper than the other notification settings
+  const handleQuietHoursChange = useCallback((key, value) => {
+    setSettings(prev => ({
+      ...prev,
+      notifications: {
+        ...prev.notifications,
+        quietHours: {
+          ...prev.notifications.quietHours,
+          [key]: value
+        }
+      }
+    }));
+  }, []);
+
+  const handleResendVerification = useCallback(async () => {
+    setLoading(true);
+    setMessage(null);
+
+    try {
+      await authService.resendVerification();
+      setMessage(`📧 Verification email sent to ${user?.email}. Check your inbox.`);
+      setMessageType('success');
+    } catch (error) {
+      console.error('Resend verification failed:', error);
+      setMessage(`Failed to send verification email: ${error.message}`);
+      setMessageType('error');
+    } finally {
+      setLoading(false);
+    }
+  }, [user?.email]);
+
+  const handleWeeklySummaryChange = useCallback((key, value) => {
+    setSettings(prev => ({
+      ...prev,
+      notifications: {
+        ...prev.notifications,
+        weeklySummary: {
+          ...prev.notifications.weeklySummary,
+          [key]: value
+        }
+      }
+    }));
+  }, []);
+
+  // Sends the summary with the saved settings, so unsaved changes don't apply yet
+  const handleSendWeeklySummary = useCallback(async () => {
+    setLoading(true);
+    setMessage(null);
+
+    try {
+      await notificationService.sendWeeklySummary();
+      setMessage('📊 Weekly summary sent! Check your inbox.');
+      setMessageType('success');
+    } catch (error) {
+      console.error('Send weekly summary failed:', error);
+      setMessage(`Failed to send weekly summary: ${error.message}`);
+      setMessageType('error');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const loadSessions = useCallback(async () => {
+    try {
+      setSessions(await authService.getSessions());
+    } catch (error) {
+      console.error('Failed to load sessions:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSessions();
+  }, [loadSessions]);
+
+  // Signing out a device takes effect on its next request
+  const handleRevokeSession = useCallback(async (sessionId) => {
+    setSessionsLoading(true);
+    setMessage(null);
+
+    try {
+      await authService.revokeSession(sessionId);
+      setMessage('Device signed out');
+      setMessageType('success');
+      await loadSessions();
+    } catch (error) {
+      console.error('Revoke session failed:', error);
+      setMessage(`Failed to sign out device: ${error.message}`);
+      setMessageType('error');
+    } finally {
+      setSessionsLoading(false);
+    }
+  }, [loadSessions]);
+
+  const handleRevokeOtherSessions = useCallback(async () => {
+    setSessionsLoading(true);
+    setMessage(null);
+
+    try {
+      await authService.revokeOtherSessions();
+      setMessage('Signed out of all other devices');
+      setMessageType('success');
+      await loadSessions();
+    } catch (error) {
+      console.error('Revoke other sessions failed:', error);
+      setMessage(`Failed to sign out other devices: ${error.message}`);
+      setMessageType('error');
+    } finally {
+      setSessionsLoading(false);
+    }
+  }, [loadSessions]);  // Optimized push toggle handler with batched state updates
   const handlePushToggle = useCallback(async () => {
     if (!pushSupported) {
       setMessage('Push notifications are not supported in this browser.');
@@ -250,12 +399,28 @@ const Settings = React.memo(() => {  const { user, updateUser } = useAuthStore()
         return;
       }
 
+      if (type === 'sms' && !settings.notifications.sms) {
+        setMessage('💬 SMS medication reminders are disabled. Please enable them and save your settings first.');
+        setMessageType('error');
+        return;
+      }
+
+      if (type === 'webhook' && !settings.notifications.webhook) {
+        setMessage('🔗 Webhook medication reminders are disabled. Please enable them and save your settings first.');
+        setMessageType('error');
+        return;
+      }
+
       // Send test notification via API
       const response = await api.post('/notifications/test', { type });
       
       if (response.status === 200) {
         if (type === 'email') {
           setMessage(`📧 Test email medication reminder sent successfully! Check your inbox.`);
+        } else if (type === 'sms') {
+          setMessage(`💬 Test SMS medication reminder sent successfully! Check your phone.`);
+        } else if (type === 'webhook') {
+          setMessage(`🔗 Test webhook medication reminder sent successfully!`);
         } else {
           setMessage(`📱 Test push medication reminder sent successfully! Check your notifications.`);
         }
@@ -270,7 +435,7 @@ const Settings = React.memo(() => {  const { user, updateUser } = useAuthStore()
     } finally {
       setLoading(false);
     }
-  }, [settings.notifications.email, settings.notifications.push]);
+  }, [settings.notifications.email, settings.notifications.push, settings.notifications.sms, settings.notifications.webhook]);
   // Memoized save settings handler
   const handleSaveSettings = useCallback(async () => {
     setLoading(true);
@@ -278,7 +443,7 @@ const Settings = React.memo(() => {  const { user, updateUser } = useAuthStore()
     
     try {
       // Save settings to user profile
-      await updateUser({ settings });
+      await updateUser({ settings, emergencyContact });
       
       // Apply settings
       setTheme(settings.preferences.theme);
@@ -292,7 +457,7 @@ const Settings = React.memo(() => {  const { user, updateUser } = useAuthStore()
     } finally {
       setLoading(false);
     }
-  }, [updateUser, settings, setTheme]);
+  }, [updateUser, settings, emergencyContact, setTheme]);
 
   return (
     <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8 dark:bg-gray-900">
@@ -336,7 +501,23 @@ const Settings = React.memo(() => {  const { user, updateUser } = useAuthStore()
                   }`}
                 />
               </button>
-            </div>            <div className="flex items-center justify-between">
+            </div>
+            {user && !user.emailVerified && (
+              <Alert
+                type="warning"
+                message={`${user.email} isn't verified yet, so email reminders won't be sent. Follow the link we emailed you to verify it.`}
+                actions={
+                  <Button
+                    size="sm"
+                    variant="outline"
+                    onClick={handleResendVerification}
+                    disabled={loading}
+                  >
+                    Resend verification email
+                  </Button>
+                }
+              />
+            )}            <div className="flex items-center justify-between">
               <div>
                 <label className="text-sm font-medium text-gray-700 dark:text-gray-300">
                   📱 Push Medication Reminders
@@ -362,7 +543,70 @@ const Settings = React.memo(() => {  const { user, updateUser } = useAuthStore()
                   }`}
                 />
               </button>
-            </div>            {/* Test Notifications */}
+            </div>
+
+            <div className="flex items-center justify-between">
+              <div>
+                <label className="text-sm font-medium text-gray-700 dark:text-gray-300">
+                  💬 SMS Medication Reminders
+                </label>
+                <p className="text-sm text-gray-500 dark:text-gray-400">
+                  Receive text messages for medications set to remind by SMS
+                  {!user?.phone && <span className="text-amber-600"> (Add a phone number to your profile first)</span>}
+                </p>
+              </div>
+              <button
+                type="button"
+                disabled={!user?.phone && !settings.notifications.sms}
+                onClick={() => handleSettingChange('notifications', 'sms', !settings.notifications.sms)}
+                className={`relative inline-flex h-6 w-11 items-center rounded-full transition-colors ${
+                  settings.notifications.sms ? 'bg-medical-600' : 'bg-gray-200 dark:bg-gray-700'
+                } ${!user?.phone && !settings.notifications.sms ? 'opacity-50 cursor-not-allowed' : ''}`}
+              >
+                <span
+                  className={`inline-block h-4 w-4 transform rounded-full bg-white transition-transform ${
+                    settings.notifications.sms ? 'translate-x-6' : 'translate-x-1'
+                  }`}
+                />
+              </button>
+            </div>
+
+            <div>
+              <div className="flex items-center justify-between">
+                <div>
+                  <label className="text-sm font-medium text-gray-700 dark:text-gray-300">
+                    🔗 Webhook Reminders
+                  </label>
+                  <p className="text-sm text-gray-500 dark:text-gray-400">
+                    Post reminders as JSON to your own URL, e.g. for home automation
+                  </p>
+                </div>
+                <button
+                  type="button"
+                  onClick={() => handleSettingChange('notifications', 'webhook', !settings.notifications.webhook)}
+                  className={`relative inline-flex h-6 w-11 items-center rounded-full transition-colors ${
+                    settings.notifications.webhook ? 'bg-medical-600' : 'bg-gray-200 dark:bg-gray-700'
+                  }`}
+                >
+                  <span
+                    className={`inline-block h-4 w-4 transform rounded-full bg-white transition-transform ${
+                      settings.notifications.webhook ? 'translate-x-6' : 'translate-x-1'
+                    }`}
+                  />
+                </button>
+              </div>
+              {settings.notifications.webhook && (
+                <input
+                  type="url"
+                  value={settings.notifications.webhookUrl || ''}
+                  onChange={(e) => handleSettingChange('notifications', 'webhookUrl', e.target.value)}
+                  placeholder="https://example.com/medication-webhook"
+                  className="mt-2 w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md focus:outline-none focus:ring-2 focus:ring-medical-500 dark:bg-gray-700 dark:text-white"
+                />
+              )}
+            </div>
+
+            {/* Test Notifications */}
             <div className="border-t pt-4 mt-4">
               <h3 className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-3">
                 🧪 Test Medication Reminders
@@ -389,6 +633,28 @@ const Settings = React.memo(() => {  const { user, updateUser } = useAuthStore()
                 >
                   📱 Test Push Reminder
                 </Button>
+                {settings.notifications.sms && (
+                  <Button
+                    size="sm"
+                    variant="outline"
+                    onClick={() => handleTestNotification('sms')}
+                    disabled={loading}
+                    className="text-xs flex items-center gap-1"
+                  >
+                    💬 Test SMS Reminder
+                  </Button>
+                )}
+                {settings.notifications.webhook && (
+                  <Button
+                    size="sm"
+                    variant="outline"
+                    onClick={() => handleTestNotification('webhook')}
+                    disabled={loading || !settings.notifications.webhookUrl}
+                    className="text-xs flex items-center gap-1"
+                  >
+                    🔗 Test Webhook
+                  </Button>
+                )}
               </div>
               {(!settings.notifications.email || (!settings.notifications.push || !pushSubscribed)) && (
                 <p className="text-xs text-amber-600 dark:text-amber-400 mt-2">
@@ -411,9 +677,158 @@ const Settings = React.memo(() => {  const { user, updateUser } = useAuthStore()
                 <option value={60}>1 hour before dose</option>
               </select>
               <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
-                How early to send reminders before your scheduled medication times
+                How early to send reminders for medications without their own reminder times
               </p>
             </div>
+
+            <div className="border-t pt-4 mt-4">
+              <div className="flex items-center justify-between">
+                <div>
+                  <label className="text-sm font-medium text-gray-700 dark:text-gray-300">
+                    🌙 Quiet Hours
+                  </label>
+                  <p className="text-sm text-gray-500 dark:text-gray-400">
+                    Hold reminders overnight; overdue notices are sent once quiet hours end
+                  </p>
+                </div>
+                <button
+                  type="button"
+                  onClick={() => handleQuietHoursChange('enabled', !settings.notifications.quietHours?.enabled)}
+                  className={`relative inline-flex h-6 w-11 items-center rounded-full transition-colors ${
+                    settings.notifications.quietHours?.enabled ? 'bg-medical-600' : 'bg-gray-200 dark:bg-gray-700'
+                  }`}
+                >
+                  <span
+                    className={`inline-block h-4 w-4 transform rounded-full bg-white transition-transform ${
+                      settings.notifications.quietHours?.enabled ? 'translate-x-6' : 'translate-x-1'
+                    }`}
+                  />
+                </button>
+              </div>
+              {settings.notifications.quietHours?.enabled && (
+                <div className="mt-3 space-y-3">
+                  <div className="flex items-center gap-3">
+                    <input
+                      type="time"
+                      value={settings.notifications.quietHours.start}
+                      onChange={(e) => handleQuietHoursChange('start', e.target.value)}
+                      className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md focus:outline-none focus:ring-2 focus:ring-medical-500 dark:bg-gray-700 dark:text-white"
+                    />
+                    <span className="text-sm text-gray-500 dark:text-gray-400">to</span>
+                    <input
+                      type="time"
+                      value={settings.notifications.quietHours.end}
+                      onChange={(e) => handleQuietHoursChange('end', e.target.value)}
+                      className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md focus:outline-none focus:ring-2 focus:ring-medical-500 dark:bg-gray-700 dark:text-white"
+                    />
+                  </div>
+                  <label className="flex items-center text-sm text-gray-700 dark:text-gray-300">
+                    <input
+                      type="checkbox"
+                      checked={settings.notifications.quietHours.allowCritical !== false}
+                      onChange={(e) => handleQuietHoursChange('allowCritical', e.target.checked)}
+                      className="h-4 w-4 text-medical-600 focus:ring-medical-500 border-gray-300 dark:border-gray-600 rounded"
+                    />
+                    <span className="ml-2">Still remind me about critical medications</span>
+                  </label>
+                </div>
+              )}
+            </div>
+
+            <div className="flex items-center justify-between">
+              <div>
+                <label className="text-sm font-medium text-gray-700 dark:text-gray-300">
+                  📦 Combine Reminders
+                </label>
+                <p className="text-sm text-gray-500 dark:text-gray-400">
+                  Send one notification when several medications are due at the same time
+                </p>
+              </div>
+              <button
+                type="button"
+                onClick={() => handleSettingChange('notifications', 'batchReminders', !settings.notifications.batchReminders)}
+                className={`relative inline-flex h-6 w-11 items-center rounded-full transition-colors ${
+                  settings.notifications.batchReminders ? 'bg-medical-600' : 'bg-gray-200 dark:bg-gray-700'
+                }`}
+              >
+                <span
+                  className={`inline-block h-4 w-4 transform rounded-full bg-white transition-transform ${
+                    settings.notifications.batchReminders ? 'translate-x-6' : 'translate-x-1'
+                  }`}
+                />
+              </button>
+            </div>
+
+            <div className="border-t pt-4 mt-4">
+              <div className="flex items-center justify-between">
+                <div>
+                  <label className="text-sm font-medium text-gray-700 dark:text-gray-300">
+                    📊 Weekly Summary Email
+                  </label>
+                  <p className="text-sm text-gray-500 dark:text-gray-400">
+                    A recap of your past week: adherence, missed doses, streak and points
+                  </p>
+                </div>
+                <button
+                  type="button"
+                  onClick={() => handleWeeklySummaryChange('enabled', !settings.notifications.weeklySummary?.enabled)}
+                  className={`relative inline-flex h-6 w-11 items-center rounded-full transition-colors ${
+                    settings.notifications.weeklySummary?.enabled ? 'bg-medical-600' : 'bg-gray-200 dark:bg-gray-700'
+                  }`}
+                >
+                  <span
+                    className={`inline-block h-4 w-4 transform rounded-full bg-white transition-transform ${
+                      settings.notifications.weeklySummary?.enabled ? 'translate-x-6' : 'translate-x-1'
+                    }`}
+                  />
+                </button>
+              </div>
+              {settings.notifications.weeklySummary?.enabled && (
+                <div className="mt-3 space-y-3">
+                  <div className="flex items-center gap-3">
+                    <select
+                      value={settings.notifications.weeklySummary.weekday}
+                      onChange={(e) => handleWeeklySummaryChange('weekday', parseInt(e.target.value))}
+                      className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md focus:outline-none focus:ring-2 focus:ring-medical-500 dark:bg-gray-700 dark:text-white"
+                    >
+                      {WEEKDAYS.map((day, index) => (
+                        <option key={day} value={index}>{day}</option>
+                      ))}
+                    </select>
+                    <span className="text-sm text-gray-500 dark:text-gray-400">at</span>
+                    <select
+                      value={settings.notifications.weeklySummary.hour}
+                      onChange={(e) => handleWeeklySummaryChange('hour', parseInt(e.target.value))}
+                      className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md focus:outline-none focus:ring-2 focus:ring-medical-500 dark:bg-gray-700 dark:text-white"
+                    >
+                      {Array.from({ length: 24 }, (_, hour) => (
+                        <option key={hour} value={hour}>{`${String(hour).padStart(2, '0')}:00`}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <label className="flex items-center text-sm text-gray-700 dark:text-gray-300">
+                    <input
+                      type="checkbox"
+                      checked={!!settings.notifications.weeklySummary.attachReport}
+                      onChange={(e) => handleWeeklySummaryChange('attachReport', e.target.checked)}
+                      className="h-4 w-4 text-medical-600 focus:ring-medical-500 border-gray-300 dark:border-gray-600 rounded"
+                    />
+                    <span className="ml-2">Attach the adherence report as a PDF</span>
+                  </label>
+                  <p className="text-xs text-gray-500 dark:text-gray-400">
+                    Sent in your timezone ({settings.preferences.timezone}).
+                  </p>
+                  <Button
+                    size="sm"
+                    variant="outline"
+                    onClick={handleSendWeeklySummary}
+                    disabled={loading || !user?.email}
+                  >
+                    📊 Send Me This Week's Summary
+                  </Button>
+                </div>
+              )}
+            </div>
           </div>
         </Card>
 
@@ -705,6 +1120,96 @@ const Settings = React.memo(() => {  const { user, updateUser } = useAuthStore()
           </div>
         </Card>
 
+        {/* Missed-Dose Escalation */}
+        <Card className="p-6 dark:bg-gray-800">
+          <h2 className="text-xl font-semibold text-gray-900 dark:text-white mb-4">Missed-Dose Escalation</h2>
+          <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">
+            For medications marked as critical, alert the people below if a dose is still not taken after the overdue reminder.
+          </p>
+
+          <div className="space-y-4">
+            <div className="flex items-center justify-between">
+              <label className="text-sm font-medium text-gray-700 dark:text-gray-300">Enable escalation</label>
+              <button
+                type="button"
+                onClick={() => handleSettingChange('escalation', 'enabled', !settings.escalation.enabled)}
+                className={`relative inline-flex h-6 w-11 items-center rounded-full transition-colors ${
+                  settings.escalation.enabled ? 'bg-medical-600' : 'bg-gray-200 dark:bg-gray-700'
+                }`}
+              >
+                <span
+                  className={`inline-block h-4 w-4 transform rounded-full bg-white transition-transform ${
+                    settings.escalation.enabled ? 'translate-x-6' : 'translate-x-1'
+                  }`}
+                />
+              </button>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                Wait after the overdue reminder
+              </label>
+              <select
+                value={settings.escalation.delayMinutes}
+                onChange={(e) => handleSettingChange('escalation', 'delayMinutes', parseInt(e.target.value))}
+                disabled={!settings.escalation.enabled}
+                className="w-48 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md focus:outline-none focus:ring-2 focus:ring-medical-500 dark:bg-gray-700 dark:text-white"
+              >
+                <option value={15}>15 minutes</option>
+                <option value={30}>30 minutes</option>
+                <option value={60}>1 hour</option>
+                <option value={120}>2 hours</option>
+              </select>
+            </div>
+
+            <div className="space-y-2">
+              <label className="flex items-center space-x-2 text-sm text-gray-700 dark:text-gray-300">
+                <input
+                  type="checkbox"
+                  checked={settings.escalation.notifyCaregivers}
+                  onChange={(e) => handleSettingChange('escalation', 'notifyCaregivers', e.target.checked)}
+                  disabled={!settings.escalation.enabled}
+                />
+                <span>Notify my caregivers</span>
+              </label>
+              <label className="flex items-center space-x-2 text-sm text-gray-700 dark:text-gray-300">
+                <input
+                  type="checkbox"
+                  checked={settings.escalation.notifyEmergencyContact}
+                  onChange={(e) => handleSettingChange('escalation', 'notifyEmergencyContact', e.target.checked)}
+                  disabled={!settings.escalation.enabled}
+                />
+                <span>Notify my emergency contact</span>
+              </label>
+            </div>
+
+            <div className="border-t border-gray-200 dark:border-gray-700 pt-4">
+              <h3 className="text-sm font-medium text-gray-900 dark:text-white mb-3">Emergency Contact</h3>
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                {[
+                  { key: 'name', label: 'Name', type: 'text' },
+                  { key: 'relationship', label: 'Relationship', type: 'text' },
+                  { key: 'email', label: 'Email', type: 'email' },
+                  { key: 'phone', label: 'Phone', type: 'tel' }
+                ].map(field => (
+                  <div key={field.key}>
+                    <label className="block text-sm text-gray-700 dark:text-gray-300 mb-1">{field.label}</label>
+                    <input
+                      type={field.type}
+                      value={emergencyContact[field.key] || ''}
+                      onChange={(e) => setEmergencyContact(prev => ({ ...prev, [field.key]: e.target.value }))}
+                      className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md focus:outline-none focus:ring-2 focus:ring-medical-500 dark:bg-gray-700 dark:text-white"
+                    />
+                  </div>
+                ))}
+              </div>
+              <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+                Escalation alerts are sent by email, so add an email address for your emergency contact.
+              </p>
+            </div>
+          </div>
+        </Card>
+
         {/* Privacy Settings */}
         <Card className="p-6 dark:bg-gray-800">
           <h2 className="text-xl font-semibold text-gray-900 dark:text-white mb-4">Privacy</h2>
@@ -752,6 +1257,60 @@ const Settings = React.memo(() => {  const { user, updateUser } = useAuthStore()
           </div>
         </Card>
 
+        {/* Two-Factor Authentication */}
+        <TwoFactorSettings />
+
+        {/* Active Sessions */}
+        <Card className="p-6 dark:bg-gray-800">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-xl font-semibold text-gray-900 dark:text-white">Active Sessions</h2>
+            {sessions.length > 1 && (
+              <Button
+                onClick={handleRevokeOtherSessions}
+                disabled={sessionsLoading}
+                variant="outline"
+                size="sm"
+              >
+                Sign out other devices
+              </Button>
+            )}
+          </div>
+
+          {sessions.length === 0 ? (
+            <p className="text-sm text-gray-500 dark:text-gray-400">No active sessions found</p>
+          ) : (
+            <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+              {sessions.map(session => (
+                <li key={session.id} className="flex items-center justify-between py-3">
+                  <div>
+                    <p className="text-sm font-medium text-gray-900 dark:text-gray-100">
+                      {session.device}
+                      {session.current && (
+                        <span className="ml-2 inline-flex items-center rounded-full bg-medical-100 dark:bg-medical-900 px-2 py-0.5 text-xs font-medium text-medical-700 dark:text-medical-300">
+                          This device
+                        </span>
+                      )}
+                    </p>
+                    <p className="text-sm text-gray-500 dark:text-gray-400">
+                      {session.ip ? `${session.ip} · ` : ''}Last used {getRelativeTime(session.lastUsedAt).toLowerCase()}
+                    </p>
+                  </div>
+                  {!session.current && (
+                    <Button
+                      onClick={() => handleRevokeSession(session.id)}
+                      disabled={sessionsLoading}
+                      variant="outline"
+                      size="sm"
+                    >
+                      Sign out
+                    </Button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </Card>
+
         {/* Account Info */}
         <Card className="p-6 dark:bg-gray-800">
           <h2 className="text-xl font-semibold text-gray-900 dark:text-white mb-4">Account Information</h2>
@@ -0,0 +1,78 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { Card, Alert, LoadingSpinner } from '../components';
+import authService from '../services/authService';
+import useAuthStore from '../store/authStore';
+
+// Landing page for the emailed verification link; works signed in or out
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const { isAuthenticated, getCurrentUser } = useAuthStore();
+
+  const [status, setStatus] = useState(token ? 'verifying' : 'error');
+  const [message, setMessage] = useState(token ? '' : 'This verification link is incomplete. Please use the link from your email.');
+  // Tokens are single-use, so never send one twice (e.g. on a StrictMode re-run)
+  const attempted = useRef(false);
+
+  useEffect(() => {
+    if (!token || attempted.current) return;
+    attempted.current = true;
+
+    const verify = async () => {
+      try {
+        const result = await authService.verifyEmail(token);
+        setStatus('success');
+        setMessage(`${result.email} has been verified. You'll now receive medication reminders by email.`);
+        if (isAuthenticated) {
+          await getCurrentUser();
+        }
+      } catch (error) {
+        setStatus('error');
+        setMessage(error.message || 'This verification link is invalid or has expired');
+      }
+    };
+
+    verify();
+  }, [token, isAuthenticated, getCurrentUser]);
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-50 via-white to-blue-50 dark:from-gray-900 dark:via-gray-900 dark:to-gray-800 flex items-center justify-center py-8 sm:py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-6 sm:space-y-8">
+        <div className="text-center">
+          <h2 className="text-2xl sm:text-3xl font-bold bg-gradient-to-r from-gray-900 to-gray-700 dark:from-white dark:to-gray-200 bg-clip-text text-transparent">
+            Email verification
+          </h2>
+        </div>
+
+        <Card className="p-6 sm:p-8 bg-white/95 dark:bg-gray-800/95 backdrop-blur-sm border border-gray-200 dark:border-gray-700 shadow-xl">
+          {status === 'verifying' ? (
+            <div className="flex justify-center py-4">
+              <LoadingSpinner />
+            </div>
+          ) : (
+            <Alert
+              type={status === 'success' ? 'success' : 'error'}
+              message={message}
+            />
+          )}
+
+          {status !== 'verifying' && (
+            <div className="mt-6 text-center text-sm">
+              <Link
+                to={isAuthenticated ? (status === 'success' ? '/dashboard' : '/settings') : '/login'}
+                className="font-semibold text-medical-600 dark:text-medical-400 hover:text-medical-500 dark:hover:text-medical-300 transition-colors duration-200"
+              >
+                {isAuthenticated ?
+                  (status === 'success' ? 'Go to dashboard' : 'Send a new link from Settings') :
+                  'Sign in'}
+              </Link>
+            </div>
+          )}
+        </Card>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
@@ -22,6 +22,18 @@ api.interceptors.request.use(
       config.headers.Authorization = `Bearer ${token}`;
     }
 
+    // Caregivers act on the patient picked in the patient switcher
+    const activePatientId = localStorage.getItem('activePatientId');
+    if (activePatientId) {
+      config.headers['X-Patient-Id'] = activePatientId;
+    }
+
+    // Data is scoped to the dependent profile picked in the profile switcher
+    const activeProfileId = localStorage.getItem('activeProfileId');
+    if (activeProfileId) {
+      config.headers['X-Profile-Id'] = activeProfileId;
+    }
+
     // Sanitize and validate JSON data before sending
     if (config.data && typeof config.data === 'object') {
       try {
@@ -44,17 +56,74 @@ api.interceptors.request.use(
   }
 );
 
+// Requests that must not trigger a token refresh when they return 401
+const NO_REFRESH_URLS = ['/auth/login', '/auth/register', '/auth/refresh'];
+
+// Shared by every request that fails while a refresh is already under way
+let refreshPromise = null;
+
+// Swap the stored refresh token for a new access token. Uses plain axios so
+// the call doesn't go through these interceptors.
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem('refreshToken');
+
+    refreshPromise = (refreshToken ?
+      axios.post(`${API_BASE_URL}/auth/refresh`, { refreshToken }, { timeout: 30000 })
+        .then((response) => {
+          localStorage.setItem('authToken', response.data.token);
+          localStorage.setItem('refreshToken', response.data.refreshToken);
+          return response.data.token;
+        })
+        .catch((error) => {
+          // Another tab may have rotated the token first; use what it stored
+          const latest = localStorage.getItem('refreshToken');
+          if (error.response && latest && latest !== refreshToken) {
+            return localStorage.getItem('authToken');
+          }
+          throw error;
+        }) :
+      Promise.reject(new Error('No refresh token'))
+    ).finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+};
+
+const clearSession = () => {
+  localStorage.removeItem('authToken');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('authUser');
+  window.location.href = '/login';
+};
+
 // Response interceptor to handle common errors
 api.interceptors.response.use(
   (response) => {
     return response;
   },
-  (error) => {
+  async (error) => {
+    const config = error.config;
+
     if (error.response?.status === 401) {
-      // Token expired or invalid
-      localStorage.removeItem('authToken');
-      localStorage.removeItem('authUser');
-      window.location.href = '/login';
+      // Access tokens are short-lived: refresh once and replay the request
+      if (config && !config._retry && !NO_REFRESH_URLS.includes(config.url)) {
+        config._retry = true;
+        try {
+          const token = await refreshAccessToken();
+          config.headers.Authorization = `Bearer ${token}`;
+          return api(config);
+        } catch (refreshError) {
+          // A network failure isn't a signed-out session; leave the tokens alone
+          if (!refreshError.response && refreshError.message !== 'No refresh token') {
+            return Promise.reject(error);
+          }
+          clearSession();
+        }
+      } else if (!NO_REFRESH_URLS.includes(config?.url)) {
+        clearSession();
+      }
     }
     
     // Handle network errors
@@ -87,6 +156,7 @@ export const handleApiResponse = (response) => {
   if (response.data.token && response.data.user) {
     return {
       token: response.data.token,
+      refreshToken: response.data.refreshToken,
       user: response.data.user,
       message: response.data.message
     };
@@ -0,0 +1,16 @@
+import { apiClient, handleApiResponse, handleApiError } from './api';
+
+export const auditService = {
+  // Get the change history of a dose log, regimen or medication, newest first.
+  // type is 'doses', 'regimens' or 'medications'.
+  getHistory: async (type, id) => {
+    try {
+      const response = await apiClient.get(`/audit/${type}/${id}`);
+      return handleApiResponse(response).history;
+    } catch (error) {
+      throw handleApiError(error);
+    }
+  }
+};
+
+export default auditService;
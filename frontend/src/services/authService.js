@@ -20,6 +20,7 @@ export const authService = {
       // Store token and user data
       if (data.token) {
         localStorage.setItem('authToken', data.token);
+        localStorage.setItem('refreshToken', data.refreshToken);
         localStorage.setItem('authUser', JSON.stringify(data.user));
       }
       
@@ -39,6 +40,7 @@ export const authService = {
     } finally {
       // Always clear local storage
       localStorage.removeItem('authToken');
+      localStorage.removeItem('refreshToken');
       localStorage.removeItem('authUser');
     }
   },
@@ -129,6 +131,76 @@ export const authService = {
     }
   },
 
+  // Get the devices the user is signed in on
+  getSessions: async () => {
+    try {
+      const response = await apiClient.get('/auth/sessions');
+      return handleApiResponse(response).sessions;
+    } catch (error) {
+      throw handleApiError(error);
+    }
+  },
+
+  // Sign out one device
+  revokeSession: async (sessionId) => {
+    try {
+      const response = await apiClient.delete(`/auth/sessions/${sessionId}`);
+      return handleApiResponse(response);
+    } catch (error) {
+      throw handleApiError(error);
+    }
+  },
+
+  // Sign out every device except this one
+  revokeOtherSessions: async () => {
+    try {
+      const response = await apiClient.delete('/auth/sessions');
+      return handleApiResponse(response);
+    } catch (error) {
+      throw handleApiError(error);
+    }
+  },
+
+  // Start two-factor setup; returns the secret and otpauth URI
+  setupTwoFactor: async (password) => {
+    try {
+      const response = await apiClient.post('/auth/2fa/setup', { password });
+      return handleApiResponse(response);
+    } catch (error) {
+      throw handleApiError(error);
+    }
+  },
+
+  // Confirm two-factor setup; returns the recovery codes
+  enableTwoFactor: async (code) => {
+    try {
+      const response = await apiClient.post('/auth/2fa/enable', { code });
+      return handleApiResponse(response);
+    } catch (error) {
+      throw handleApiError(error);
+    }
+  },
+
+  // Turn off two-factor authentication
+  disableTwoFactor: async (password, code) => {
+    try {
+      const response = await apiClient.post('/auth/2fa/disable', { password, code });
+      return handleApiResponse(response);
+    } catch (error) {
+      throw handleApiError(error);
+    }
+  },
+
+  // Replace the recovery codes
+  regenerateRecoveryCodes: async (password, code) => {
+    try {
+      const response = await apiClient.post('/auth/2fa/recovery-codes', { password, code });
+      return handleApiResponse(response);
+    } catch (error) {
+      throw handleApiError(error);
+    }
+  },
+
   // Check if user is authenticated
   isAuthenticated: () => {
     return !!localStorage.getItem('authToken');
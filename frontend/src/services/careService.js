@@ -0,0 +1,105 @@
+import { apiClient, handleApiResponse, handleApiError } from './api';
+
+export const careService = {
+  // Get patients the current user is a caregiver for
+  getPatients: async () => {
+    try {
+      const response = await apiClient.get('/care/patients');
+      return handleApiResponse(response);
+    } catch (error) {
+      throw handleApiError(error);
+    }
+  },
+
+  // Stop being a caregiver for a patient
+  leavePatient: async (patientId) => {
+    try {
+      const response = await apiClient.delete(`/care/patients/${patientId}`);
+      return handleApiResponse(response);
+    } catch (error) {
+      throw handleApiError(error);
+    }
+  },
+
+  // Get the current user's caregivers
+  getCaregivers: async () => {
+    try {
+      const response = await apiClient.get('/care/caregivers');
+      return handleApiResponse(response);
+    } catch (error) {
+      throw handleApiError(error);
+    }
+  },
+
+  // Change a caregiver's permissions
+  updateCaregiver: async (userId, permissions) => {
+    try {
+      const response = await apiClient.put(`/care/caregivers/${userId}`, permissions);
+      return handleApiResponse(response);
+    } catch (error) {
+      throw handleApiError(error);
+    }
+  },
+
+  // Remove a caregiver
+  removeCaregiver: async (userId) => {
+    try {
+      const response = await apiClient.delete(`/care/caregivers/${userId}`);
+      return handleApiResponse(response);
+    } catch (error) {
+      throw handleApiError(error);
+    }
+  },
+
+  // Get invitations the current user has sent
+  getInvitations: async () => {
+    try {
+      const response = await apiClient.get('/care/invitations');
+      return handleApiResponse(response);
+    } catch (error) {
+      throw handleApiError(error);
+    }
+  },
+
+  // Invite someone to be a caregiver
+  sendInvitation: async (invitation) => {
+    try {
+      const response = await apiClient.post('/care/invitations', invitation);
+      return handleApiResponse(response);
+    } catch (error) {
+      throw handleApiError(error);
+    }
+  },
+
+  // Revoke a pending invitation
+  revokeInvitation: async (invitationId) => {
+    try {
+      const response = await apiClient.delete(`/care/invitations/${invitationId}`);
+      return handleApiResponse(response);
+    } catch (error) {
+      throw handleApiError(error);
+    }
+  },
+
+  // Accept an invitation using the token from the email link
+  acceptInvitation: async (token) => {
+    try {
+      const response = await apiClient.post('/care/invitations/accept', { token });
+      return handleApiResponse(response);
+    } catch (error) {
+      throw handleApiError(error);
+    }
+  },
+
+  // Decline an invitation
+  declineInvitation: async (token) => {
+    try {
+      const response = await apiClient.post('/care/invitations/decline', { token });
+      return handleApiResponse(response);
+    } catch (error) {
+      throw handleApiError(error);
+    }
+  }
+};
+
+export default careService;
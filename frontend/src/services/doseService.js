@@ -31,6 +31,26 @@ export const doseService = {
     }
   },
 
+  // Log an unscheduled as-needed (PRN) dose
+  logPrnDose: async (doseData) => {
+    try {
+      const response = await apiClient.post('/doses/prn', doseData);
+      return handleApiResponse(response);
+    } catch (error) {
+      throw handleApiError(error);
+    }
+  },
+
+  // Get as-needed usage and next allowed dose time for a PRN regimen
+  getPrnStatus: async (regimenId) => {
+    try {
+      const response = await apiClient.get(`/doses/prn/${regimenId}/status`);
+      return handleApiResponse(response);
+    } catch (error) {
+      throw handleApiError(error);
+    }
+  },
+
   // Update dose log
   updateDose: async (id, updates) => {
     try {
@@ -249,6 +269,16 @@ export const doseService = {
     }
   },
 
+  // Snooze a pending dose's reminder for 15 minutes
+  snoozeDose: async (doseId) => {
+    try {
+      const response = await apiClient.post(`/doses/${doseId}/snooze`);
+      return handleApiResponse(response);
+    } catch (error) {
+      throw handleApiError(error);
+    }
+  },
+
   // Snooze reminder
   snoozeReminder: async (reminderId, minutes = 15) => {
     try {
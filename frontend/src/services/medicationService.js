@@ -51,6 +51,17 @@ export const medicationService = {
     }
   },
 
+  // Copy a shared catalog medication into a private, editable entry.
+  // Pass { moveRegimens: true } to point the user's regimens at the copy.
+  forkMedication: async (id, options = {}) => {
+    try {
+      const response = await apiClient.post(`/medications/${id}/fork`, options);
+      return handleApiResponse(response);
+    } catch (error) {
+      throw handleApiError(error);
+    }
+  },
+
   // Search medications
   searchMedications: async (query, params = {}) => {
     try {
@@ -162,11 +173,28 @@ export const medicationService = {
     }
   },
 
-  // Bulk import medications
-  bulkImport: async (medications) => {
+  // Bulk import medications; pass { dryRun: true } to validate without saving
+  bulkImport: async (medications, options = {}) => {
     try {
       const response = await apiClient.post('/medications/bulk-import', {
-        medications
+        medications,
+        ...options
+      });
+      return handleApiResponse(response);
+    } catch (error) {
+      throw handleApiError(error);
+    }
+  },
+
+  // Bulk import medications from a .csv or .json file
+  bulkImportFile: async (file, options = {}) => {
+    try {
+      const formData = new FormData();
+      formData.append('file', file);
+      Object.entries(options).forEach(([key, value]) => formData.append(key, String(value)));
+
+      const response = await apiClient.post('/medications/bulk-import', formData, {
+        headers: { 'Content-Type': 'multipart/form-data' }
       });
       return handleApiResponse(response);
     } catch (error) {
@@ -2,10 +2,20 @@ import { apiClient, handleApiResponse, handleApiError } from './api';
 import toast from 'react-hot-toast';
 
 export const notificationService = {
-  // Get pending notifications
-  getNotifications: async () => {
+  // Get a page of the notification inbox ({ notifications, unreadCount, pagination })
+  getNotifications: async (params = {}) => {
     try {
-      const response = await apiClient.get('/notifications');
+      const response = await apiClient.get('/notifications', { params });
+      return handleApiResponse(response);
+    } catch (error) {
+      throw handleApiError(error);
+    }
+  },
+
+  // Get the number of unread inbox notifications
+  getUnreadCount: async () => {
+    try {
+      const response = await apiClient.get('/notifications/unread-count');
       return handleApiResponse(response);
     } catch (error) {
       throw handleApiError(error);
@@ -22,6 +32,26 @@ export const notificationService = {
     }
   },
 
+  // Mark every inbox notification as read
+  markAllAsRead: async () => {
+    try {
+      const response = await apiClient.patch('/notifications/read-all');
+      return handleApiResponse(response);
+    } catch (error) {
+      throw handleApiError(error);
+    }
+  },
+
+  // Delete an inbox notification
+  deleteNotification: async (notificationId) => {
+    try {
+      const response = await apiClient.delete(`/notifications/${notificationId}`);
+      return handleApiResponse(response);
+    } catch (error) {
+      throw handleApiError(error);
+    }
+  },
+
   // Get upcoming dose reminders
   getUpcomingReminders: async (minutesAhead = 60) => {
     try {
@@ -66,6 +96,16 @@ export const notificationService = {
     }
   },
 
+  // Email the weekly summary now, using the saved settings
+  sendWeeklySummary: async () => {
+    try {
+      const response = await apiClient.post('/notifications/weekly-summary');
+      return handleApiResponse(response);
+    } catch (error) {
+      throw handleApiError(error);
+    }
+  },
+
   // Show in-app notification using react-hot-toast
   showToast: (type, message, options = {}) => {
     const toastOptions = {
@@ -0,0 +1,45 @@
+import { apiClient, handleApiResponse, handleApiError } from './api';
+
+export const profileService = {
+  // Get dependent profiles under the active account
+  getProfiles: async () => {
+    try {
+      const response = await apiClient.get('/profiles');
+      return handleApiResponse(response);
+    } catch (error) {
+      throw handleApiError(error);
+    }
+  },
+
+  // Add a dependent profile
+  createProfile: async (profile) => {
+    try {
+      const response = await apiClient.post('/profiles', profile);
+      return handleApiResponse(response);
+    } catch (error) {
+      throw handleApiError(error);
+    }
+  },
+
+  // Update a dependent profile
+  updateProfile: async (profileId, updates) => {
+    try {
+      const response = await apiClient.put(`/profiles/${profileId}`, updates);
+      return handleApiResponse(response);
+    } catch (error) {
+      throw handleApiError(error);
+    }
+  },
+
+  // Remove a dependent profile
+  deleteProfile: async (profileId) => {
+    try {
+      const response = await apiClient.delete(`/profiles/${profileId}`);
+      return handleApiResponse(response);
+    } catch (error) {
+      throw handleApiError(error);
+    }
+  }
+};
+
+export default profileService;
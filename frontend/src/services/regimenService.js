@@ -91,6 +91,26 @@ export const regimenService = {
     }
   },
 
+  // Get current stock and projected run-out date
+  getInventory: async (id) => {
+    try {
+      const response = await apiClient.get(`/regimens/${id}/inventory`);
+      return handleApiResponse(response);
+    } catch (error) {
+      throw handleApiError(error);
+    }
+  },
+
+  // Record a refill ({ quantity, date, notes })
+  recordRefill: async (id, refill) => {
+    try {
+      const response = await apiClient.post(`/regimens/${id}/refill`, refill);
+      return handleApiResponse(response);
+    } catch (error) {
+      throw handleApiError(error);
+    }
+  },
+
   // Get today's doses for all regimens
   getTodaysDoses: async () => {
     try {
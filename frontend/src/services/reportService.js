@@ -144,6 +144,18 @@ export const reportService = {
     }
   },
 
+  // Get as-needed (PRN) usage frequency
+  getPrnUsage: async (days = 30) => {
+    try {
+      const response = await apiClient.get('/reports/prn-usage', {
+        params: { days }
+      });
+      return handleApiResponse(response);
+    } catch (error) {
+      throw handleApiError(error);
+    }
+  },
+
   // Get streak analysis
   getStreakAnalysis: async () => {
     try {
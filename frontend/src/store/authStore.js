@@ -13,6 +13,13 @@ const useAuthStore = create(
         set({ loading: true, error: null });
         try {
           const response = await authService.login({ email, password });
+
+          // Two-factor accounts finish signing in with verifyTwoFactor
+          if (response.twoFactorRequired) {
+            set({ loading: false });
+            return response;
+          }
+
           set({
             user: response.user,
             token: response.token,
@@ -28,6 +35,27 @@ const useAuthStore = create(
           });
           throw error;
         }
+      },
+
+      verifyTwoFactor: async (twoFactorToken, code) => {
+        set({ loading: true, error: null });
+        try {
+          const response = await authService.login({ twoFactorToken, code });
+          set({
+            user: response.user,
+            token: response.token,
+            isAuthenticated: true,
+            loading: false,
+            error: null
+          });
+          return response;
+        } catch (error) {
+          set({
+            error: error.message || 'Verification failed',
+            loading: false
+          });
+          throw error;
+        }
       },      register: async (userData) => {
         set({ loading: true, error: null });
         try {
@@ -0,0 +1,114 @@
+import { create } from 'zustand';
+import { persist } from 'zustand/middleware';
+import careService from '../services/careService';
+import profileService from '../services/profileService';
+
+// Keys the API client reads to send X-Patient-Id and X-Profile-Id with each request
+export const ACTIVE_PATIENT_KEY = 'activePatientId';
+export const ACTIVE_PROFILE_KEY = 'activeProfileId';
+
+const useCareStore = create(
+  persist(
+    (set, get) => ({
+      // State
+      patients: [],
+      activePatientId: null,
+      profiles: [],
+      activeProfileId: null,
+      loading: false,
+      error: null,
+
+      // Fetch patients the current user can act for
+      fetchPatients: async () => {
+        set({ loading: true, error: null });
+        try {
+          const response = await careService.getPatients();
+          const patients = Array.isArray(response.patients) ? response.patients : [];
+
+          // Drop a selection the caregiver no longer has access to
+          const { activePatientId } = get();
+          if (activePatientId && !patients.some(patient => patient._id === activePatientId)) {
+            get().setActivePatient(null);
+          }
+
+          set({ patients, loading: false });
+          return patients;
+        } catch (error) {
+          set({
+            error: error.message || 'Failed to fetch patients',
+            loading: false
+          });
+          throw error;
+        }
+      },
+
+      // Switch whose data the app shows; null means the signed-in user
+      setActivePatient: (patientId) => {
+        if (patientId) {
+          localStorage.setItem(ACTIVE_PATIENT_KEY, patientId);
+        } else {
+          localStorage.removeItem(ACTIVE_PATIENT_KEY);
+        }
+        // Profiles belong to an account, so switching account resets the profile
+        localStorage.removeItem(ACTIVE_PROFILE_KEY);
+        set({ activePatientId: patientId || null, activeProfileId: null, profiles: [] });
+      },
+
+      // Fetch dependent profiles of the active account
+      fetchProfiles: async () => {
+        try {
+          const response = await profileService.getProfiles();
+          const profiles = Array.isArray(response.profiles) ? response.profiles : [];
+
+          // Drop a selection for a profile that has been removed
+          const { activeProfileId } = get();
+          if (activeProfileId && !profiles.some(profile => profile._id === activeProfileId)) {
+            get().setActiveProfile(null);
+          }
+
+          set({ profiles });
+          return profiles;
+        } catch (error) {
+          set({ error: error.message || 'Failed to fetch profiles' });
+          throw error;
+        }
+      },
+
+      // Switch to a dependent profile; null means the account holder
+      setActiveProfile: (profileId) => {
+        if (profileId) {
+          localStorage.setItem(ACTIVE_PROFILE_KEY, profileId);
+        } else {
+          localStorage.removeItem(ACTIVE_PROFILE_KEY);
+        }
+        set({ activeProfileId: profileId || null });
+      },
+
+      getActiveProfile: () => {
+        const { profiles, activeProfileId } = get();
+        return profiles.find(profile => profile._id === activeProfileId) || null;
+      },
+
+      getActivePatient: () => {
+        const { patients, activePatientId } = get();
+        return patients.find(patient => patient._id === activePatientId) || null;
+      },
+
+      // Reset on logout
+      clearCare: () => {
+        localStorage.removeItem(ACTIVE_PATIENT_KEY);
+        localStorage.removeItem(ACTIVE_PROFILE_KEY);
+        set({ patients: [], activePatientId: null, profiles: [], activeProfileId: null, error: null });
+      }
+    }),
+    {
+      name: 'care-store',
+      partialize: (state) => ({
+        activePatientId: state.activePatientId,
+        activeProfileId: state.activeProfileId
+      })
+    }
+  )
+);
+
+export default useCareStore;
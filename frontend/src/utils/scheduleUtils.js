@@ -5,7 +5,7 @@ export const generateTodaySchedule = (regimens, todayDoses) => {
 
   // Generate scheduled doses from active regimens
   regimens
-    .filter(regimen => regimen.isActive && isRegimenActiveToday(regimen))
+    .filter(regimen => regimen.isActive && isRegimenActiveToday(regimen) && isScheduledOn(regimen, today))
     .forEach(regimen => {
       const times = getScheduleTimes(regimen);
       times.forEach(time => {
@@ -19,6 +19,7 @@ export const generateTodaySchedule = (regimens, todayDoses) => {
         });
         
         if (!existingDose) {
+          const dosage = getDosageFor(regimen, scheduledTime);
           schedule.push({
             _id: `pending-${regimen._id}-${time}`,
             regimen: regimen, // Store full regimen object
@@ -26,26 +27,91 @@ export const generateTodaySchedule = (regimens, todayDoses) => {
             scheduledTime,
             status: 'pending',
             timeString: time,
-            isOverdue: scheduledTime < new Date(),
-            minutesLate: scheduledTime < new Date() ? 
-              Math.floor((new Date() - scheduledTime) / (1000 * 60)) : 0,
-            dosage: `${regimen.dosage?.amount} ${regimen.dosage?.unit}`
+            ...getLateness(scheduledTime),
+            dosage: `${dosage.amount} ${dosage.unit}`
           });
         }
       });
     });
     // Combine scheduled doses with logged doses
-  return [...schedule, ...todayDoses].sort((a, b) => 
+  // As-needed intake isn't part of the schedule. Pending rows the server
+  // materialized need the same overdue flags as the generated ones.
+  const scheduledDoses = todayDoses
+    .filter(dose => !dose.isPrn)
+    .map(dose => (dose.status === 'pending'
+      ? { ...dose, ...getLateness(new Date(dose.scheduledTime || dose.timestamp)) }
+      : dose));
+  return [...schedule, ...scheduledDoses].sort((a, b) => 
     new Date(a.scheduledTime || a.timestamp) - new Date(b.scheduledTime || b.timestamp)
   );
 };
 
+// Whether a pending dose is past due, and by how many minutes
+const getLateness = (scheduledTime) => {
+  const now = new Date();
+  return {
+    isOverdue: scheduledTime < now,
+    minutesLate: scheduledTime < now ? Math.floor((now - scheduledTime) / (1000 * 60)) : 0
+  };
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Day index of a local calendar day
+const getLocalDayNumber = (date) =>
+  Math.floor(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) / DAY_MS);
+
+// Start/end dates are stored as UTC midnight of the chosen calendar day
+const getStoredDayNumber = (value) => {
+  const date = new Date(value);
+  return Math.floor(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()) / DAY_MS);
+};
+
 export const isRegimenActiveToday = (regimen) => {
-  const today = new Date();
-  const startDate = new Date(regimen.startDate);
-  const endDate = regimen.endDate ? new Date(regimen.endDate) : null;
+  const today = getLocalDayNumber(new Date());
+  const startDay = getStoredDayNumber(regimen.startDate);
+  const endDay = regimen.endDate ? getStoredDayNumber(regimen.endDate) : null;
   
-  return today >= startDate && (!endDate || today <= endDate);
+  return today >= startDay && (endDay === null || today <= endDay);
+};
+
+// Same rule resolution as the server: legacy every_other_day/weekly
+// regimens without a rule map to day intervals
+export const getRecurrence = (regimen) => {
+  const recurrence = regimen.recurrence || {};
+  const pattern = recurrence.pattern || 'daily';
+
+  if (pattern === 'daily') {
+    if (regimen.frequency === 'every_other_day') return { pattern: 'interval', interval: 2 };
+    if (regimen.frequency === 'weekly') return { pattern: 'interval', interval: 7 };
+  }
+
+  return { ...recurrence, pattern };
+};
+
+export const isScheduledOn = (regimen, date = new Date()) => {
+  const daysDiff = getLocalDayNumber(date) - getStoredDayNumber(regimen.startDate);
+  if (daysDiff < 0) return false;
+
+  const recurrence = getRecurrence(regimen);
+  switch (recurrence.pattern) {
+    case 'weekdays':
+      return (recurrence.daysOfWeek || []).includes(date.getDay());
+    case 'interval':
+      return daysDiff % (recurrence.interval || 1) === 0;
+    case 'cycle': {
+      const daysOn = recurrence.cycle?.daysOn || 1;
+      const daysOff = recurrence.cycle?.daysOff || 0;
+      return daysDiff % (daysOn + daysOff) < daysOn;
+    }
+    case 'monthly': {
+      const daysInMonth = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+      return date.getDate() === Math.min(recurrence.dayOfMonth || 1, daysInMonth);
+    }
+    default:
+      return true;
+  }
 };
 
 export const getScheduleTimes = (regimen) => {
@@ -58,28 +124,65 @@ export const getScheduleTimes = (regimen) => {
     'twice_daily': ['08:00', '20:00'],
     'three_times_daily': ['08:00', '14:00', '20:00'],
     'four_times_daily': ['08:00', '12:00', '16:00', '20:00'],
-    'every_other_day': shouldTakeToday(regimen) ? ['08:00'] : [],
-    'weekly': shouldTakeToday(regimen) ? ['08:00'] : [],
+    'every_other_day': ['08:00'],
+    'weekly': ['08:00'],
     'as_needed': []
   };
   
   return schedules[regimen.frequency] || [];
 };
 
-export const shouldTakeToday = (regimen) => {
-  const today = new Date();
-  const startDate = new Date(regimen.startDate);
-  const daysDiff = Math.floor((today - startDate) / (1000 * 60 * 60 * 24));
-  
-  if (regimen.frequency === 'every_other_day') {
-    return daysDiff % 2 === 0;
-  }
-  
-  if (regimen.frequency === 'weekly') {
-    return daysDiff % 7 === 0;
+// Dose phase covering a local calendar day; open-ended phases run until the next one
+export const getDosePhaseFor = (regimen, date = new Date()) => {
+  const phases = regimen.dosePhases || [];
+  const day = getLocalDayNumber(new Date(date));
+
+  return phases.find((phase, index) => {
+    if (day < getStoredDayNumber(phase.startDate)) return false;
+    if (phase.endDate) return day <= getStoredDayNumber(phase.endDate);
+    const next = phases[index + 1];
+    return !next || day < getStoredDayNumber(next.startDate);
+  }) || null;
+};
+
+// Dosage for a specific dose time, honouring dose phases and per-time-slot amounts
+export const getDosageFor = (regimen, scheduledTime) => {
+  const base = { amount: regimen.dosage?.amount, unit: regimen.dosage?.unit };
+  const phase = getDosePhaseFor(regimen, scheduledTime);
+  if (!phase) return base;
+
+  const time = new Date(scheduledTime);
+  const slot = (phase.slotAmounts || []).find(item => {
+    const [hours, minutes] = item.time.split(':');
+    return parseInt(hours) === time.getHours() && parseInt(minutes) === time.getMinutes();
+  });
+
+  return {
+    amount: slot ? slot.amount : phase.amount,
+    unit: phase.unit || base.unit
+  };
+};
+
+export const shouldTakeToday = (regimen) => isScheduledOn(regimen, new Date());
+
+// Human-readable summary of a regimen's recurrence rule
+export const formatRecurrence = (regimen) => {
+  const recurrence = getRecurrence(regimen);
+  switch (recurrence.pattern) {
+    case 'weekdays':
+      return [...(recurrence.daysOfWeek || [])]
+        .sort((a, b) => a - b)
+        .map(day => WEEKDAY_NAMES[day])
+        .join(', ');
+    case 'interval':
+      return recurrence.interval === 1 ? 'Every day' : `Every ${recurrence.interval} days`;
+    case 'cycle':
+      return `${recurrence.cycle?.daysOn} days on / ${recurrence.cycle?.daysOff} days off`;
+    case 'monthly':
+      return `Monthly on day ${recurrence.dayOfMonth}`;
+    default:
+      return 'Every day';
   }
-  
-  return true;
 };
 
 export const getScheduleStats = (schedule) => {